@@ -16,6 +16,99 @@ class GeoMapWidget {
         this.height = options.height || 600;
         this.debug = options.debug || false;
         this.maxSelections = options.maxSelections || 10;
+        this.maxZoom = options.maxZoom || 12;
+        this.geoJsonOptions = options.geoJson || {};
+        this.tabularMapping = options.tabular || null;
+        
+        // Validation: lenient mode renders the valid subset instead of failing
+        this.lenient = options.lenient || false;
+        this.validationOptions = options.validation || {};
+        this.showDiagnostics = options.showDiagnostics !== undefined
+            ? options.showDiagnostics
+            : this.lenient;
+        
+        // Filter facets (see DataProcessing.normalizeFacets)
+        this.facets = DataProcessing.normalizeFacets(options.facets || DataProcessing.defaultFacets);
+        this.facetContainer = options.facetContainer || '#facetFilters';
+        
+        // Numeric metrics rolled up the hierarchy (see utils/aggregation.js)
+        this.metrics = this.normalizeMetrics(options.metrics);
+        this.labelMetric = options.labelMetric || null;
+        
+        // Marker colour, size and shape encodings (see utils/encoding.js)
+        this.encoding = MarkerEncoding.normalize(options.encoding, this.metrics);
+        this.encodingMetrics = MarkerEncoding.getMetrics(this.encoding);
+        
+        // Status roll-up and alert highlighting (see utils/health.js); `health: false` disables it
+        this.healthOptions = options.health === false ? null
+            : HealthStatus.normalize(typeof options.health === 'object' ? options.health : {});
+        this.healthMetrics = this.healthOptions ? HealthStatus.getMetrics(this.healthOptions) : [];
+        
+        // Map projection (see ProjectionUtils.types); 'orthographic' draws a globe rotated by dragging
+        this.projectionType = options.projection || 'naturalEarth1';
+        if (!ProjectionUtils.types.includes(this.projectionType)) {
+            throw new Error(`Unknown projection "${this.projectionType}"`);
+        }
+        
+        // World basemap source and offline fallback (see utils/basemap.js); `basemap: false` draws no land
+        this.basemapOptions = Basemap.normalize(options.basemap);
+        
+        // Leaf density overlay (see utils/heatmap.js)
+        this.heatmapOptions = options.heatmap
+            ? DensityHeatmap.normalize(options.heatmap === true ? {} : options.heatmap)
+            : null;
+        
+        // Basemap countries shaded by an aggregated value (see utils/choropleth.js)
+        this.choroplethOptions = options.choropleth
+            ? Choropleth.normalize(options.choropleth === true ? {} : options.choropleth, this.metrics)
+            : null;
+        
+        // Location search (see utils/search.js); `search: false` hides the box
+        this.searchOptions = options.search === false ? null : {
+            properties: [],
+            limit: 8,
+            placeholder: 'Search locations…',
+            ...(typeof options.search === 'object' ? options.search : {})
+        };
+        this.searchIndex = null;
+        this.searchIndexData = null; // originalData the search index was built from
+        
+        // Network links between nodes (see utils/links.js); `links: false` hides them
+        this.linkOptions = options.links === false ? null : {
+            ...LinkUtils.defaults,
+            ...(typeof options.links === 'object' ? options.links : {})
+        };
+        this.linkMetrics = this.linkOptions ? LinkUtils.normalizeEncoding(this.linkOptions) : [];
+        
+        // Marker rendering backend (see utils/canvasRenderer.js). The canvas
+        // renderer is only used once at least `canvasThreshold` markers are drawn.
+        this.rendererType = options.renderer === 'canvas' ? 'canvas' : 'svg';
+        this.canvasThreshold = options.canvasThreshold !== undefined ? options.canvasThreshold : 1000;
+        this.canvasRenderer = null;
+        
+        // Marker clustering (see utils/clustering.js); off unless `clustering` is true or an object
+        this.clusterOptions = !options.clustering ? null : {
+            ...MarkerClustering.defaults,
+            ...(typeof options.clustering === 'object' ? options.clustering : {})
+        };
+        
+        // Live updates (see utils/dataSource.js)
+        this.dataSource = options.dataSource ? DataSource.create(options.dataSource) : null;
+        
+        // Temporal playback (see utils/temporal.js)
+        this.timelineOptions = options.timeline ? {
+            ...Temporal.defaults,
+            start: null,            // Range start (defaults to the earliest time in the data)
+            end: null,              // Range end (defaults to the latest time in the data)
+            duration: 30000,        // Milliseconds to play the whole range at 1x
+            speed: 1,
+            speeds: [0.5, 1, 2, 4],
+            tickInterval: 200,      // Milliseconds between playback frames
+            ...(options.timeline === true ? {} : options.timeline)
+        } : null;
+        this.temporalData = null;   // Full time-varying data; originalData is its slice at currentTime
+        this.timeRange = null;
+        this.playbackTimer = null;
         
         // Callbacks
         this.onMarkerClick = options.onMarkerClick || (() => {});
@@ -23,6 +116,11 @@ class GeoMapWidget {
         this.onSelectionChange = options.onSelectionChange || (() => {});
         this.onZoomLevelChange = options.onZoomLevelChange || (() => {});
         this.onFilterChange = options.onFilterChange || (() => {});
+        this.onConnectionChange = options.onConnectionChange || (() => {});
+        this.onTimeChange = options.onTimeChange || (() => {});
+        this.onLinkClick = options.onLinkClick || (() => {});
+        this.onLinkSelectionChange = options.onLinkSelectionChange || (() => {});
+        this.onStatusChange = options.onStatusChange || (() => {});
         
         // State
         this.state = {
@@ -30,23 +128,57 @@ class GeoMapWidget {
             activeFilters: {
                 region: 'All',
                 location: 'All',
-                datacentre: 'All'
+                datacentre: 'All',
+                query: null,
+                facets: {}
             },
             visibleMarkers: [],
+            levelMarkers: [],      // Markers of the current level, including those behind the globe
             zoomTransform: d3.zoomIdentity,
             isTransitioning: false,
             clickTimeout: null,
             lastClickTime: 0,
-            currentParentId: null // Track which parent's children are being shown
+            currentParentId: null, // Track which parent's children are being shown
+            diagnostics: [],       // Structured validation results for the current data
+            connectionStatus: null, // Data source status, null without a data source
+            currentTime: null,     // Timeline position in ms, null without a timeline
+            isPlaying: false,
+            searchResults: [],     // Suggestions currently listed under the search box
+            searchActiveIndex: -1,
+            visibleLinks: [],      // Link bundles between the visible markers
+            selectedLinkIds: new Set(),
+            clusters: [],          // Cluster markers currently drawn
+            clusterScale: null,    // Zoom scale the clusters were computed for
+            spiderClusterId: null, // Cluster currently fanned out
+            activeRenderer: 'svg', // Backend drawing the markers right now
+            canvasHoverId: null,   // Marker under the pointer on the canvas
+            canvasListMarkers: [], // On-screen canvas markers listed for keyboard users
+            canvasListIndex: -1,   // Active entry in that list
+            hoveredMarkerId: null, // Marker under the pointer (labels shown first)
+            labelPlacements: new Map(), // Marker id → label position from LabelPlacement
+            statuses: new Map(),   // Node id → rolled-up status over all data (ignores filters)
+            choroplethJoin: new Map(), // Basemap feature key → joined node id
+            hoveredCountryNodeId: null, // Node of the choropleth country under the pointer
+            basemapTier: -1        // Basemap tier drawn (-1 for the base source)
         };
         
+        // Label text widths in the current label font, by text
+        this.labelWidths = new Map();
+        this.labelWidthFont = null;
+        this.measureContext = null;
+        
         // Debounce timers
         this.debounceTimers = {};
         
         // Data
         this.originalData = null;
         this.filteredData = null;
-        this.worldMapData = null;
+        this.basemap = null;            // { features, borders } (see Basemap.toFeatures)
+        this.basemapNotice = null;      // Message shown while the basemap is degraded
+        this.basemapTierData = new Map(); // Tier index → promise of detailed geometry (null if it failed)
+        
+        // Indexed lookups over originalData (see utils/nodeIndex.js)
+        this.nodeIndex = new NodeIndex(null, { debug: this.debug });
         
         // D3 elements
         this.svg = null;
@@ -54,6 +186,9 @@ class GeoMapWidget {
         this.projection = null;
         this.path = null;
         this.zoom = null;
+        this.heatmapGroup = null;
+        this.areasGroup = null;
+        this.linksGroup = null;
         this.markersGroup = null;
         
         // Selection Manager
@@ -63,26 +198,46 @@ class GeoMapWidget {
             onSelectionChange: (selection) => {
                 this.onSelectionChange(selection);
                 this.updateMarkerStyles();
+                this.placeLabels();
             }
         });
         
-        // Marker sizing
+        // Hierarchy depth (derived from data unless supplied)
+        this.levelCount = options.levelCount || 3;
+        
+        // User-supplied per-level overrides, keyed by level number
+        this.levelOptions = {
+            levelCount: options.levelCount || null,
+            names: options.levelNames || {},
+            markerSizes: options.markerSizes || {},
+            zoomThresholds: options.zoomThresholds || {},
+            maxZoom: options.maxZoom || null
+        };
+        
+        // Marker sizing, keyed by level (filled for every depth by configureLevels)
         this.markerSizes = {
             1: { outer: 36, inner: 28, icon: 16 },
             2: { outer: 30, inner: 24, icon: 14 },
             3: { outer: 24, inner: 18, icon: 12 }
         };
         
-        // Zoom scale thresholds for hierarchy levels
+        // Zoom scale thresholds for hierarchy levels, keyed by level
         this.zoomThresholds = {
-            continent: 1,      // Default view
-            country: 2.5,      // Zoom level to show countries
-            city: 5            // Zoom level to show cities
+            1: 1,      // Default view
+            2: 2.5,    // Zoom level to show countries
+            3: 5       // Zoom level to show cities
+        };
+        
+        // Level display names, keyed by level
+        this.levelNames = {
+            1: 'Continents',
+            2: 'Countries',
+            3: 'Datacenters'
         };
         
-        // Initialize
-        if (options.data) {
-            this.init(options.data);
+        // Initialize (a data source alone starts empty and fills from the stream)
+        if (options.data || this.dataSource) {
+            this.init(options.data || { type: 'GeoLocations', GeoLocations: [] });
         }
     }
 
@@ -121,6 +276,74 @@ class GeoMapWidget {
         }
     }
 
+    /**
+     * Derive level count, zoom thresholds, marker sizes and names for every
+     * hierarchy depth. Explicit options win, then the built-in three-level
+     * defaults, then values extrapolated from the previous level.
+     */
+    configureLevels(data) {
+        const depth = Math.max(this.levelOptions.levelCount || this.nodeIndex.getMaxDepth(), 1);
+        const categories = DataProcessing.getLevelCategories(data);
+        const defaultNames = { 1: 'Continents', 2: 'Countries', 3: 'Datacenters' };
+        const userNames = this.levelOptions.names;
+        
+        const thresholds = { 1: 1 };
+        const sizes = {};
+        const names = {};
+        
+        for (let level = 1; level <= depth; level++) {
+            // Zoom thresholds: 1 → 2.5 → 5, then doubling for deeper levels
+            const userThreshold = this.levelOptions.zoomThresholds[level];
+            if (userThreshold !== undefined) {
+                thresholds[level] = userThreshold;
+            } else if (level === 2) {
+                thresholds[level] = 2.5;
+            } else if (level > 2) {
+                thresholds[level] = thresholds[level - 1] * 2;
+            }
+            
+            // Marker sizes shrink by one step per level, with a floor
+            const outer = Math.max(36 - (level - 1) * 6, 16);
+            sizes[level] = this.levelOptions.markerSizes[level] || {
+                outer,
+                inner: outer - (level === 1 ? 8 : 6),
+                icon: Math.max(16 - (level - 1) * 2, 8)
+            };
+            
+            // The legacy names only describe the sample three-level layout
+            const category = categories[level];
+            names[level] = (Array.isArray(userNames) ? userNames[level - 1] : userNames[level]) ||
+                (depth === 3 && defaultNames[level]) ||
+                (category && `${category}s`) ||
+                `Level ${level}`;
+        }
+        
+        this.levelCount = depth;
+        this.zoomThresholds = thresholds;
+        this.markerSizes = sizes;
+        this.levelNames = names;
+        
+        // Leave head-room above the deepest threshold for framing
+        this.maxZoom = this.levelOptions.maxZoom || Math.max(12, thresholds[depth] * 2.4);
+        
+        if (this.zoom) {
+            this.zoom.scaleExtent([1, this.maxZoom]);
+        }
+    }
+
+    /**
+     * Convert supported input formats to GeoLocations data: GeoJSON
+     * FeatureCollections, and CSV text or row arrays when a `tabular`
+     * column mapping is configured
+     */
+    normalizeData(data) {
+        if (this.tabularMapping && TabularLoader.isTabular(data)) {
+            return TabularLoader.load(data, this.tabularMapping);
+        }
+        
+        return GeoJsonAdapter.normalize(data, this.geoJsonOptions);
+    }
+
     /**
      * Initialize the widget
      */
@@ -129,14 +352,16 @@ class GeoMapWidget {
         
         try {
             // Store and validate data
-            const validation = DataProcessing.validateData(data);
-            if (!validation.isValid) {
-                console.error('Data validation errors:', validation.errors);
+            data = this.loadInput(data);
+            if (!data) {
                 throw new Error('Invalid data structure');
             }
             
             this.originalData = data;
             this.filteredData = data;
+            this.nodeIndex.build(data);
+            this.updateStatuses(false);
+            this.configureLevels(data);
             
             // Load world map data
             await this.loadWorldMap();
@@ -150,6 +375,15 @@ class GeoMapWidget {
             // Populate filters
             this.populateFilters();
             
+            // Show validation diagnostics
+            this.renderDiagnosticsPanel();
+            
+            // Add timeline control
+            this.addTimelineControl();
+            
+            // Start live updates
+            this.connectDataSource();
+            
             this.log('Widget initialized successfully');
             
         } catch (error) {
@@ -159,18 +393,118 @@ class GeoMapWidget {
     }
 
     /**
-     * Load world map TopoJSON data
+     * Normalise and validate input. With a timeline the input is kept as
+     * temporalData and its slice at the current time is returned.
+     * @returns {Object|null} - Data to render, or null if it must be rejected
+     */
+    loadInput(data) {
+        data = this.normalizeData(data);
+        
+        if (!this.timelineOptions) {
+            return this.prepareData(data);
+        }
+        
+        if (Temporal.isSeries(data)) {
+            const series = Temporal.normalizeSeries(data);
+            const diagnostics = [];
+            const snapshots = [];
+            
+            for (const [i, snapshot] of series.snapshots.entries()) {
+                const prepared = this.prepareData(this.normalizeData(snapshot.data));
+                diagnostics.push(...this.state.diagnostics.map(d => ({
+                    ...d,
+                    path: `snapshots[${i}]${d.path ? '.' + d.path : ''}`
+                })));
+                
+                if (!prepared) {
+                    this.state.diagnostics = diagnostics;
+                    return null;
+                }
+                snapshots.push({ ...snapshot, data: prepared });
+            }
+            
+            this.state.diagnostics = diagnostics;
+            this.temporalData = { ...series, snapshots };
+        } else {
+            const prepared = this.prepareData(data);
+            if (!prepared) return null;
+            this.temporalData = prepared;
+        }
+        
+        this.updateTimeRange();
+        
+        return Temporal.sliceAt(this.temporalData, this.state.currentTime, this.timelineOptions);
+    }
+
+    /**
+     * Derive the timeline range from options and data, keeping the current
+     * time inside it (a new timeline starts at the latest state)
+     */
+    updateTimeRange() {
+        const range = Temporal.getRange(this.temporalData, this.timelineOptions) ||
+            { start: Date.now(), end: Date.now() };
+        const start = Temporal.parseTime(this.timelineOptions.start);
+        const end = Temporal.parseTime(this.timelineOptions.end);
+        
+        this.timeRange = {
+            start: start !== null ? start : range.start,
+            end: end !== null ? end : range.end
+        };
+        
+        const current = this.state.currentTime;
+        this.state.currentTime = current === null
+            ? this.timeRange.end
+            : Math.min(Math.max(current, this.timeRange.start), this.timeRange.end);
+    }
+
+    /**
+     * Validate data and, in lenient mode, reduce it to its valid subset
+     * @returns {Object|null} - Data to render, or null if it must be rejected
+     */
+    prepareData(data) {
+        const validation = DataProcessing.validateData(data, this.validationOptions);
+        this.state.diagnostics = validation.diagnostics;
+        
+        if (validation.warnings.length > 0) {
+            this.log('Data validation warnings:', validation.warnings);
+        }
+        
+        if (validation.isValid) return data;
+        
+        if (!this.lenient) {
+            console.error('Data validation errors:', validation.errors);
+            return null;
+        }
+        
+        const { data: subset, removed } = DataProcessing.sanitizeData(data, this.validationOptions);
+        console.warn(`Rendering valid subset, dropped ${removed.length} invalid node(s):`, validation.errors);
+        
+        return subset;
+    }
+
+    /**
+     * Load the world basemap from the configured source, falling back to the
+     * bundled outline when it cannot be loaded
      */
     async loadWorldMap() {
+        this.basemap = null;
+        this.basemapNotice = null;
+        this.basemapTierData = new Map();
+        
+        if (!this.basemapOptions) return;
+        
         try {
-            // Try to fetch world map data
-            const response = await fetch('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json');
-            if (!response.ok) throw new Error('Failed to fetch world map');
-            this.worldMapData = await response.json();
+            this.basemap = await Basemap.load(this.basemapOptions);
         } catch (error) {
-            this.log('Using inline world map fallback');
-            // Create a simple fallback - we'll still render markers
-            this.worldMapData = null;
+            console.warn('Failed to load basemap:', error.message);
+            
+            if (this.basemapOptions.fallback) {
+                this.log('Using bundled world outline');
+                this.basemap = Basemap.toFeatures(Basemap.fallback);
+                this.basemapNotice = 'Basemap unavailable: showing a simplified world outline';
+            } else {
+                this.basemapNotice = 'Basemap unavailable';
+            }
         }
     }
 
@@ -221,24 +555,63 @@ class GeoMapWidget {
         this.g = this.svg.append('g').attr('class', 'map-group');
         
         // Create projection
-        this.projection = ProjectionUtils.createProjection(this.width, this.height, 'naturalEarth1');
+        this.projection = this.createMapProjection(this.projectionType);
         this.path = d3.geoPath().projection(this.projection);
+        containerEl.classed('globe', this.isGlobe());
         
         // Render base map
         this.renderBaseMap();
         
+        // Create heatmap group (density contours, under everything but the basemap)
+        this.heatmapGroup = this.g.append('g').attr('class', 'heatmap-group');
+        
+        // Create areas group (polygon footprints, drawn under the markers)
+        this.areasGroup = this.g.append('g').attr('class', 'areas-group');
+        
+        // Create links group (arcs between markers)
+        this.linksGroup = this.g.append('g').attr('class', 'links-group');
+        
         // Create markers group
         this.markersGroup = this.g.append('g').attr('class', 'markers-group');
         
+        // Canvas layer for large marker counts
+        if (this.rendererType === 'canvas') {
+            this.canvasRenderer = new CanvasMarkerRenderer({
+                container: containerNode,
+                width: this.width,
+                height: this.height,
+                debug: this.debug,
+                getPosition: marker => this.getMarkerPosition(marker),
+                getSize: marker => this.getEncodedSizes(marker),
+                getColor: marker => (marker._encoded ? marker._encoded.color : null),
+                getBadgeColor: marker => (this.getStatusStyle(marker).badge ? this.getStatusStyle(marker).color : null),
+                getMarkerScale: scale => this.getMarkerScale(scale),
+                getLabel: marker => this.formatLabel(marker.label, marker._count, marker._metrics)
+            });
+            this.addCanvasMarkerList();
+        }
+        
         // Setup zoom behavior
         this.setupZoom();
         
+        // Map background and canvas-drawn markers
+        this.setupMapEvents();
+        
         // Add zoom controls
         this.addZoomControls();
         
+        // Add heatmap toggle and opacity
+        this.addHeatmapControl();
+        
         // Add level indicator
         this.addLevelIndicator();
         
+        // Flag a missing or fallback basemap
+        this.updateBasemapNotice();
+        
+        // Add search box
+        this.addSearchBox();
+        
         // Add tooltip
         this.addTooltip();
         
@@ -247,17 +620,28 @@ class GeoMapWidget {
     }
 
     /**
-     * Render the base world map
+     * Render the base world map. Layers from a previous render (resize,
+     * basemap change) are replaced and kept under everything else.
      */
     renderBaseMap() {
-        // Add ocean background
-        this.g.append('rect')
-            .attr('class', 'ocean')
-            .attr('x', 0)
-            .attr('y', 0)
-            .attr('width', this.width)
-            .attr('height', this.height)
-            .attr('fill', 'var(--bg-map, #1a2744)');
+        const layers = ['.ocean', '.graticule', '.countries', '.country-border'];
+        this.g.selectAll(layers.join(', ')).remove();
+        
+        // Add ocean background (the sphere's outline on the globe)
+        if (this.isGlobe()) {
+            this.g.append('path')
+                .datum({ type: 'Sphere' })
+                .attr('class', 'ocean')
+                .attr('d', this.path);
+        } else {
+            this.g.append('rect')
+                .attr('class', 'ocean')
+                .attr('x', 0)
+                .attr('y', 0)
+                .attr('width', this.width)
+                .attr('height', this.height)
+                .attr('fill', 'var(--bg-map, #1a2744)');
+        }
         
         // Add graticule (grid lines)
         const graticule = d3.geoGraticule();
@@ -266,34 +650,168 @@ class GeoMapWidget {
             .attr('class', 'graticule')
             .attr('d', this.path);
         
-        // Render countries if world map data is available
-        if (this.worldMapData) {
-            const countries = topojson.feature(
-                this.worldMapData,
-                this.worldMapData.objects.countries
-            );
+        // Render countries and borders if a basemap is available
+        if (this.basemap) {
+            this.g.append('g').attr('class', 'countries');
+            this.g.append('path').attr('class', 'country-border');
             
-            this.g.append('g')
-                .attr('class', 'countries')
-                .selectAll('path')
-                .data(countries.features)
-                .enter()
-                .append('path')
-                .attr('class', 'land')
-                .attr('d', this.path);
+            this.state.basemapTier = -1;
+            this.renderLand(this.basemap.features, this.basemap.borders, this.path);
+        }
+        
+        // Move the layers under the overlays and markers, keeping their order
+        layers.slice().reverse().forEach(layer => this.g.selectAll(layer).lower());
+        
+        // Swap in detailed geometry if the view is already zoomed in
+        this.updateBasemapTier();
+    }
+
+    /**
+     * Draw land features and country borders
+     * @param {Array} features - Country features
+     * @param {Object|null} borders - Shared borders (TopoJSON only: GeoJSON land is outlined by its stroke)
+     * @param {Function} path - Path generator (clipped to the view for detailed tiers)
+     */
+    renderLand(features, borders, path) {
+        const lands = this.g.select('.countries')
+            .selectAll('path.land')
+            .data(features, (d, i) => (d.id !== undefined ? d.id : (d.properties && d.properties.name) || i));
+        
+        lands.exit().remove();
+        
+        lands.enter()
+            .append('path')
+            .attr('class', 'land')
+            .on('mousemove', (event, d) => this.handleCountryHover(event, d, true))
+            .on('mouseleave', (event, d) => this.handleCountryHover(event, d, false))
+            .merge(lands)
+            .attr('d', path);
+        
+        this.g.select('.country-border')
+            .attr('d', borders ? path(borders) : null);
+    }
+
+    /**
+     * Draw the basemap tier for the current zoom: the base source below the
+     * first tier, otherwise that tier's geometry (loaded on first use)
+     * culled and clipped to the view
+     */
+    updateBasemapTier() {
+        if (!this.basemap || !this.basemapOptions || !this.g) return;
+        
+        const tiers = this.basemapOptions.tiers;
+        const index = Basemap.tierFor(tiers, this.state.zoomTransform.k);
+        
+        const showBase = () => {
+            if (this.state.basemapTier === -1) return;
+            this.state.basemapTier = -1;
+            this.renderLand(this.basemap.features, this.basemap.borders, this.path);
+            this.renderChoropleth();
+        };
+        
+        if (index === -1) {
+            showBase();
+            return;
+        }
+        
+        this.loadBasemapTier(index).then(data => {
+            // Skip if the basemap changed or the zoom left this tier while loading
+            if (!this.basemapOptions || this.basemapOptions.tiers !== tiers) return;
+            if (Basemap.tierFor(tiers, this.state.zoomTransform.k) !== index) return;
             
-            // Add country borders
-            const borders = topojson.mesh(
-                this.worldMapData,
-                this.worldMapData.objects.countries,
-                (a, b) => a !== b
-            );
+            if (!data) {
+                showBase();
+                return;
+            }
             
-            this.g.append('path')
-                .datum(borders)
-                .attr('class', 'country-border')
-                .attr('d', this.path);
+            const { features, path } = this.clipBasemapTier(data);
+            this.state.basemapTier = index;
+            this.renderLand(features, data.borders, path);
+            this.renderChoropleth();
+            
+            this.log(`Basemap tier ${index + 1}: ${features.length}/${data.features.length} features drawn`);
+        });
+    }
+
+    /**
+     * Load a detailed basemap tier once
+     * @param {number} index - Tier index
+     * @returns {Promise<Object|null>} - { features, borders }, or null if it failed to load
+     */
+    loadBasemapTier(index) {
+        if (!this.basemapTierData.has(index)) {
+            const tier = this.basemapOptions.tiers[index];
+            
+            this.basemapTierData.set(index, Basemap.load(tier).catch(error => {
+                console.warn(`Failed to load basemap tier ${index + 1}:`, error.message);
+                return null;
+            }));
+        }
+        
+        return this.basemapTierData.get(index);
+    }
+
+    /**
+     * Features and path generator for a detailed tier in the current view
+     * @param {Object} data - Tier data
+     * @returns {Object} - { features, path }
+     */
+    clipBasemapTier(data) {
+        const transform = this.state.zoomTransform;
+        const margin = this.basemapOptions.clipMargin;
+        
+        // View rectangle in projected (unzoomed) px, padded by the margin
+        const width = this.width / transform.k;
+        const height = this.height / transform.k;
+        const x0 = -transform.x / transform.k - width * margin;
+        const y0 = -transform.y / transform.k - height * margin;
+        
+        const visible = ProjectionUtils.getVisibleBounds(transform, this.projection, this.width, this.height);
+        
+        return {
+            features: Basemap.cull(data, visible, margin),
+            path: Basemap.clippedPath(this.projection, [
+                [x0, y0],
+                [x0 + width * (1 + 2 * margin), y0 + height * (1 + 2 * margin)]
+            ])
+        };
+    }
+
+    /**
+     * Show or clear the degraded-basemap notice
+     */
+    updateBasemapNotice() {
+        const containerEl = d3.select(this.container);
+        containerEl.select('.basemap-notice').remove();
+        
+        if (!this.basemapNotice || !this.basemapOptions || !this.basemapOptions.notice) return;
+        
+        containerEl.append('div')
+            .attr('class', 'basemap-notice')
+            .attr('role', 'status')
+            .text(this.basemapNotice);
+    }
+
+    /**
+     * Change the basemap source and redraw the map
+     * @param {Object|string|Function|boolean} basemap - Same forms as the `basemap` option
+     * @returns {Promise<boolean>} - False if the options are invalid
+     */
+    async setBasemap(basemap) {
+        try {
+            this.basemapOptions = Basemap.normalize(basemap);
+        } catch (error) {
+            console.error('Invalid basemap:', error.message);
+            return false;
         }
+        
+        await this.loadWorldMap();
+        if (!this.g) return true;
+        
+        this.renderBaseMap();
+        this.updateBasemapNotice();
+        this.renderChoropleth();
+        return true;
     }
 
     /**
@@ -301,13 +819,134 @@ class GeoMapWidget {
      */
     setupZoom() {
         this.zoom = d3.zoom()
-            .scaleExtent([1, 12])
+            .scaleExtent([1, this.maxZoom])
+            .filter((event) => {
+                // On the globe, one-pointer drags rotate instead of panning
+                if (this.isGlobe() && (event.type === 'mousedown' ||
+                    (event.type === 'touchstart' && event.touches.length < 2))) {
+                    return false;
+                }
+                return (!event.ctrlKey || event.type === 'wheel') && !event.button;
+            })
             .on('zoom', (event) => this.handleZoom(event));
         
         this.svg.call(this.zoom);
         
         // Disable double-click zoom (we handle it manually)
         this.svg.on('dblclick.zoom', null);
+        
+        // Drag to rotate the globe (grabbing it stops a rotation in progress)
+        let rotated = false;
+        this.svg.call(d3.drag()
+            .filter((event) => this.isGlobe() && !event.button && !event.ctrlKey)
+            .on('start', () => {
+                rotated = false;
+                this.svg.interrupt('rotate');
+            })
+            .on('drag', (event) => {
+                rotated = true;
+                this.handleGlobeDrag(event);
+            })
+            .on('end', () => {
+                if (rotated) this.reproject();
+            }));
+    }
+
+    /**
+     * Rotate the globe by a drag, at about the speed of the surface under the pointer
+     */
+    handleGlobeDrag(event) {
+        const degreesPerPixel = 180 / (Math.PI * this.projection.scale() * this.state.zoomTransform.k);
+        const [lambda, phi, gamma] = this.projection.rotate();
+        
+        this.projection.rotate([
+            lambda + event.dx * degreesPerPixel,
+            Math.max(-90, Math.min(90, phi - event.dy * degreesPerPixel)),
+            gamma
+        ]);
+        this.reproject(false);
+    }
+
+    /**
+     * Rotate the globe to face a point
+     * @param {Array} center - [longitude, latitude]
+     * @param {number} duration - Animation length in ms
+     */
+    rotateGlobe(center, duration = 800) {
+        const from = this.projection.rotate();
+        
+        // Turn the short way round
+        const deltaLambda = ((((-center[0] - from[0]) % 360) + 540) % 360) - 180;
+        const interpolate = d3.interpolate(from, [from[0] + deltaLambda, -center[1], from[2]]);
+        
+        this.svg.interrupt('rotate');
+        this.svg.transition('rotate')
+            .duration(duration)
+            .ease(d3.easeCubicInOut)
+            .tween('rotate', () => (t) => {
+                this.projection.rotate(interpolate(t));
+                this.reproject(t === 1);
+            });
+    }
+
+    /**
+     * Redraw for a changed projection or globe rotation. The light redraw
+     * (while dragging or animating) moves the basemap at once and re-renders
+     * the markers at most every 50 ms; the full redraw re-renders everything.
+     * @param {boolean} full - Re-render the markers now
+     */
+    reproject(full = true) {
+        this.redrawBaseMap();
+        
+        if (full) {
+            this.renderMarkers();
+            return;
+        }
+        
+        this.throttle('reproject', () => this.renderMarkers(), 50);
+        this.debounce('reproject', () => this.renderMarkers(), 100);
+    }
+
+    /**
+     * Re-project the basemap layers in place
+     */
+    redrawBaseMap() {
+        this.g.select('path.ocean').attr('d', this.path);
+        this.g.select('.graticule').attr('d', this.path);
+        
+        if (this.basemap) {
+            if (this.state.basemapTier === -1) {
+                this.renderLand(this.basemap.features, this.basemap.borders, this.path);
+            }
+            this.updateBasemapTier();
+        }
+    }
+
+    /**
+     * Create a projection fitted to the container
+     * @param {string} type - Projection type (see ProjectionUtils.types)
+     * @param {Array} rotate - Rotation for the globe; flat maps are not rotated
+     * @returns {Object} - D3 projection
+     */
+    createMapProjection(type, rotate = [0, 0]) {
+        const projection = ProjectionUtils.createProjection(this.width, this.height, type);
+        if (ProjectionUtils.isGlobe(type)) projection.rotate(rotate);
+        return projection;
+    }
+
+    /**
+     * Check whether the map is drawn as a globe
+     */
+    isGlobe() {
+        return ProjectionUtils.isGlobe(this.projectionType);
+    }
+
+    /**
+     * Check whether a node faces the viewer (always true on flat maps)
+     */
+    isNodeInView(node) {
+        const position = GeometryUtils.getPosition(node.geometry);
+        return !!position && ProjectionUtils.isVisible(this.projection, position);
     }
 
     /**
@@ -319,18 +958,13 @@ class GeoMapWidget {
         
         // Apply transform to main group
         this.g.attr('transform', transform);
+        if (this.canvasRenderer) {
+            this.canvasRenderer.setTransform(transform);
+        }
         
         // Determine hierarchy level based on zoom scale
         const previousLevel = this.state.currentZoomLevel;
-        let newLevel = 1;
-        
-        if (transform.k >= this.zoomThresholds.city) {
-            newLevel = 3;
-        } else if (transform.k >= this.zoomThresholds.country) {
-            newLevel = 2;
-        } else {
-            newLevel = 1;
-        }
+        const newLevel = this.getLevelForScale(transform.k);
         
         // Update markers if level changed
         if (newLevel !== previousLevel) {
@@ -340,6 +974,27 @@ class GeoMapWidget {
             
             // Transition markers for new level
             this.transitionToLevel(newLevel, previousLevel);
+        } else if (this.clusterOptions && transform.k !== this.state.clusterScale) {
+            // Clusters depend on the zoom scale: regroup once zooming settles
+            this.debounce('cluster', () => this.renderMarkers(true), 100);
+        }
+        
+        // Re-place labels for the new view once zooming and panning settle
+        this.debounce('labels', () => this.placeLabels(), 150);
+        
+        // Canvas markers are listed while on screen: relist once zooming settles
+        if (this.state.activeRenderer === 'canvas') {
+            this.debounce('canvasList', () => this.updateCanvasMarkerList(), 150);
+        }
+        
+        // Swap basemap detail and re-clip it to the new view once zooming settles
+        if (this.basemapOptions && this.basemapOptions.tiers.length > 0) {
+            this.debounce('basemap', () => this.updateBasemapTier(), 150);
+        }
+        
+        // Density is computed in screen space: recompute for the new view
+        if (this.heatmapOptions && this.heatmapOptions.visible) {
+            this.debounce('heatmap', () => this.renderHeatmap(), 150);
         }
         
         // Scale marker elements (circles and icons) inversely to zoom
@@ -352,54 +1007,209 @@ class GeoMapWidget {
         this.updateZoomButtons(transform.k);
     }
 
+    /**
+     * Get the deepest hierarchy level whose threshold the zoom scale has reached
+     */
+    getLevelForScale(scale) {
+        let level = 1;
+        
+        for (let l = 2; l <= this.levelCount; l++) {
+            if (scale >= this.zoomThresholds[l]) {
+                level = l;
+            }
+        }
+        
+        return level;
+    }
+
     /**
      * Scale marker labels based on zoom
      */
     scaleMarkerLabels(scale) {
         const labelScale = 1 / Math.sqrt(scale);
+        const placements = this.state.labelPlacements;
         this.markersGroup.selectAll('.marker-label')
-            .attr('transform', function() {
+            .attr('transform', function(d) {
+                // Placed labels keep their screen offset until the next placement
+                const placement = d && placements.get(d.id);
+                if (placement) {
+                    return `translate(${placement.dx / scale}, ${placement.dy / scale}) scale(${labelScale})`;
+                }
                 const y = parseFloat(d3.select(this).attr('data-base-y') || 0);
                 return `translate(0, ${y}) scale(${labelScale})`;
             });
     }
 
+    /**
+     * Position marker labels around their markers so they do not overlap.
+     * Labels are placed by priority (hovered, then selected, then by count)
+     * and those that do not fit are hidden. Runs after rendering, on hover
+     * and selection changes, and once zooming settles.
+     */
+    placeLabels() {
+        if (!this.markersGroup) return;
+        
+        const useCanvas = this.state.activeRenderer === 'canvas';
+        const labels = this.markersGroup.selectAll('.marker-group:not(.exiting) .marker-label');
+        const markers = useCanvas ? this.canvasRenderer.getMarkers() : labels.data();
+        
+        const transform = this.state.zoomTransform;
+        const k = transform.k;
+        const labelFont = this.getLabelFont(labels.node());
+        const fontSize = labelFont.size * Math.sqrt(k);
+        const sizes = this.markerSizes[this.state.currentZoomLevel] || this.markerSizes[1];
+        const radius = (sizes.outer / 2) * this.getMarkerScale(k) * k;
+        const selectedIds = new Set(this.selectionManager.getSelectedIds());
+        const hoveredId = this.state.hoveredMarkerId;
+        const sizeFactor = d => (d._encoded ? d._encoded.size : 1);
+        
+        const candidates = markers.map(d => {
+            const [x, y] = transform.apply(this.getMarkerPosition(d) || [0, 0]);
+            const selected = d._cluster
+                ? d.members.some(member => selectedIds.has(member.id))
+                : selectedIds.has(d.id);
+            const full = this.formatLabel(d.label, d._count, d._metrics, Infinity);
+            const short = this.formatLabel(d.label, d._count, d._metrics);
+            const rank = d.id === hoveredId ? 2 : selected ? 1 : 0;
+            
+            return {
+                id: d.id,
+                x,
+                y,
+                radius: radius * sizeFactor(d),
+                texts: full === short ? [full] : [full, short],
+                priority: rank * 1e9 + (d._count || 0),
+                force: rank > 0
+            };
+        });
+        
+        const placements = LabelPlacement.place(candidates, {
+            measure: text => this.measureLabel(text, labelFont.font) * (fontSize / labelFont.size),
+            height: fontSize,
+            bounds: { width: this.width, height: this.height }
+        });
+        
+        // Fading-out markers keep their labels where they were
+        const previous = this.state.labelPlacements;
+        this.markersGroup.selectAll('.marker-group.exiting').each(d => {
+            if (previous.has(d.id)) placements.set(d.id, previous.get(d.id));
+        });
+        this.state.labelPlacements = placements;
+        
+        if (useCanvas) {
+            this.canvasRenderer.setLabelPlacements(placements);
+        } else {
+            labels
+                .attr('y', null)
+                .attr('dominant-baseline', 'central')
+                .style('text-anchor', d => placements.get(d.id).anchor)
+                .classed('label-hidden', d => placements.get(d.id).hidden)
+                .text(d => placements.get(d.id).text);
+            
+            this.scaleMarkerLabels(k);
+        }
+        
+        const hidden = candidates.filter(c => placements.get(c.id).hidden).length;
+        this.log(`Placed ${candidates.length - hidden} labels, ${hidden} hidden`);
+    }
+
+    /**
+     * Font of the marker labels, read from a drawn label (or the theme
+     * font when markers are on the canvas)
+     * @param {Element|null} labelNode - A `.marker-label` element
+     * @returns {Object} - { font, size } with the size in px
+     */
+    getLabelFont(labelNode) {
+        if (labelNode) {
+            const style = getComputedStyle(labelNode);
+            const size = parseFloat(style.fontSize) || 11;
+            return { font: `${style.fontWeight} ${size}px ${style.fontFamily}`, size };
+        }
+        
+        const containerNode = d3.select(this.container).node();
+        const family = getComputedStyle(containerNode).getPropertyValue('--font-primary').trim() || 'monospace';
+        return { font: `500 11px ${family}`, size: 11 };
+    }
+
+    /**
+     * Width of a label's text in a font (cached by text)
+     * @param {string} text - Label text
+     * @param {string} font - CSS font shorthand
+     * @returns {number} - Pixels
+     */
+    measureLabel(text, font) {
+        if (this.labelWidthFont !== font) {
+            this.labelWidthFont = font;
+            this.labelWidths.clear();
+        }
+        
+        if (!this.labelWidths.has(text)) {
+            if (!this.measureContext) {
+                this.measureContext = document.createElement('canvas').getContext('2d');
+            }
+            this.measureContext.font = font;
+            this.labelWidths.set(text, this.measureContext.measureText(text).width);
+        }
+        return this.labelWidths.get(text);
+    }
+
     /**
      * Scale marker elements (circles and icons) based on zoom level
      * Keeps markers at a reasonable visual size when zooming in/out
      */
     scaleMarkerElements(scale) {
-        // Calculate inverse scale factor with a minimum to prevent markers from becoming too small
-        // Using sqrt for a gentler scaling curve that feels more natural
-        const markerScale = 1 / Math.sqrt(scale);
-        const clampedScale = Math.max(0.3, Math.min(1, markerScale));
+        const clampedScale = this.getMarkerScale(scale);
         
         const level = this.state.currentZoomLevel;
         const baseSizes = this.markerSizes[level] || this.markerSizes[1];
         
+        // Per-marker factor from the size encoding
+        const sizeFactor = d => (d && d._encoded ? d._encoded.size : 1);
+        
         // Scale outer circles
         this.markersGroup.selectAll('.marker-outer')
-            .attr('r', (baseSizes.outer / 2) * clampedScale);
+            .attr('r', d => (baseSizes.outer / 2) * clampedScale * sizeFactor(d));
         
         // Scale inner circles
         this.markersGroup.selectAll('.marker-inner')
-            .attr('r', (baseSizes.inner / 2) * clampedScale);
+            .attr('r', d => (baseSizes.inner / 2) * clampedScale * sizeFactor(d));
+        
+        // Badges sit on the outer circle, top right
+        const badgeOffset = d => (baseSizes.outer / 2) * clampedScale * sizeFactor(d) * Math.SQRT1_2;
+        this.markersGroup.selectAll('.status-badge')
+            .attr('cx', badgeOffset)
+            .attr('cy', d => -badgeOffset(d))
+            .attr('r', d => (baseSizes.outer / 2) * clampedScale * sizeFactor(d) * 0.35);
+        
+        // Scale cluster counts
+        this.markersGroup.selectAll('.cluster-count')
+            .attr('font-size', baseSizes.icon * clampedScale);
         
         // Scale icons
-        const iconSize = baseSizes.icon * clampedScale;
+        const iconSize = d => baseSizes.icon * clampedScale * sizeFactor(d);
         this.markersGroup.selectAll('.marker-icon')
-            .attr('transform', `translate(${-iconSize/2}, ${-iconSize/2})`)
+            .attr('transform', d => `translate(${-iconSize(d)/2}, ${-iconSize(d)/2})`)
             .select('svg')
             .attr('width', iconSize)
             .attr('height', iconSize);
         
         // Update label positions to maintain constant visual gap from marker edge
         // The gap needs to be divided by zoom scale so it appears constant after zoom transform
-        const scaledMarkerRadius = (baseSizes.outer / 2) * clampedScale;
         const constantVisualGap = 14; // Desired visual gap in pixels
-        const labelOffset = scaledMarkerRadius + (constantVisualGap / scale);
         this.markersGroup.selectAll('.marker-label')
-            .attr('data-base-y', labelOffset);
+            .attr('data-base-y', d => (baseSizes.outer / 2) * clampedScale * sizeFactor(d) + (constantVisualGap / scale));
+    }
+
+    /**
+     * Size factor applied to marker elements at a zoom scale
+     * @param {number} scale - Zoom scale
+     * @returns {number}
+     */
+    getMarkerScale(scale) {
+        // Inverse scale factor with a minimum to prevent markers from becoming too small
+        // Using sqrt for a gentler scaling curve that feels more natural
+        const markerScale = 1 / Math.sqrt(scale);
+        return Math.max(0.3, Math.min(1, markerScale));
     }
 
     /**
@@ -410,6 +1220,7 @@ class GeoMapWidget {
         
         this.log(`Transitioning from level ${previousLevel} to ${newLevel}`);
         this.state.isTransitioning = true;
+        this.state.spiderClusterId = null;
         
         // For zooming out, clear parent tracking and handle smooth transition
         if (newLevel < previousLevel) {
@@ -433,8 +1244,8 @@ class GeoMapWidget {
      * Get human-readable level name
      */
     getLevelName(level) {
-        const names = { 1: 'continents', 2: 'countries', 3: 'datacenters' };
-        return names[level] || 'locations';
+        const name = this.levelNames[level];
+        return name ? name.toLowerCase() : 'locations';
     }
 
     /**
@@ -455,39 +1266,24 @@ class GeoMapWidget {
 
     /**
      * Render location markers based on current hierarchy level
+     * @param {boolean} animate - Animate enter, exit and moves
+     * @param {Set} changedIds - Node IDs changed by a patch, highlighted if visible
      */
-    renderMarkers(animate = false) {
+    renderMarkers(animate = false, changedIds = null) {
         const level = this.state.currentZoomLevel;
-        const data = this.filteredData;
         
         // Get nodes to display based on level and parent context
-        let nodesToShow = [];
-        
-        if (this.state.currentParentId && level > 1) {
-            // Show children of specific parent
-            const children = DataProcessing.getChildrenOfNode(data, this.state.currentParentId);
-            nodesToShow = children.map(child => ({
-                ...child,
-                _level: level,
-                _count: DataProcessing.calculateCounts(child, this.state.activeFilters)
-            }));
-        } else {
-            // Show nodes at current level
-            nodesToShow = DataProcessing.getNodesAtLevel(data, level).map(node => ({
-                ...node,
-                _level: level,
-                _count: DataProcessing.calculateCounts(node, this.state.activeFilters)
-            }));
-        }
+        let nodesToShow = this.getDisplayNodes(level);
         
         // Filter out nodes with invalid geometry or zero count
         nodesToShow = nodesToShow.filter(node => {
-            if (!node.geometry || !node.geometry.coordinates) {
+            const position = GeometryUtils.getPosition(node.geometry);
+            if (!position) {
                 this.log('Skipping node with invalid geometry:', node.id);
                 return false;
             }
-            // Validate coordinates
-            const [lon, lat] = node.geometry.coordinates;
+            // Validate coordinates (the centroid for areas)
+            const [lon, lat] = position;
             if (!ProjectionUtils.isValidCoordinate(lon, lat)) {
                 this.log('Skipping node with invalid coordinates:', node.id, [lon, lat]);
                 return false;
@@ -497,7 +1293,10 @@ class GeoMapWidget {
             return true;
         });
         
-        this.state.visibleMarkers = nodesToShow;
+        // Markers on the far side of the globe are not drawn (but stay selectable)
+        const inView = this.isGlobe() ? nodesToShow.filter(node => this.isNodeInView(node)) : nodesToShow;
+        this.state.levelMarkers = nodesToShow;
+        this.state.visibleMarkers = inView;
         
         // Handle empty state
         if (nodesToShow.length === 0) {
@@ -505,11 +1304,70 @@ class GeoMapWidget {
         } else {
             this.hideEmptyState();
         }
-        this.log(`Rendering ${nodesToShow.length} markers at level ${level}`);
+        this.log(`Rendering ${inView.length} markers at level ${level}`);
+        
+        // Colour, size and shape from the encodings; sizes also decide which
+        // markers overlap and are grouped at this zoom
+        const scales = this.createEncodingScales(inView);
+        const displayItems = this.clusterMarkers(inView, level, scales.size);
+        this.applyEncoding(displayItems, scales);
+        
+        // Draw on the canvas when there are enough markers to need it
+        const useCanvas = !!this.canvasRenderer && displayItems.length >= this.canvasThreshold;
+        if (useCanvas !== (this.state.activeRenderer === 'canvas')) {
+            this.log(`Switching to ${useCanvas ? 'canvas' : 'SVG'} markers`);
+        }
+        this.state.activeRenderer = useCanvas ? 'canvas' : 'svg';
+        
+        if (useCanvas) {
+            this.markersGroup.selectAll('.marker-group').remove();
+            this.canvasRenderer.setMarkers(displayItems);
+        } else {
+            if (this.canvasRenderer) this.canvasRenderer.clear();
+            this.renderSvgMarkers(displayItems, level, animate, changedIds);
+        }
+        
+        // Polygon footprints under the markers
+        this.renderAreas(nodesToShow, animate);
+        
+        // Legs from a fanned-out cluster's centre to its members
+        this.renderSpiderLegs(displayItems);
+        
+        // Links between the visible markers
+        this.renderLinks(animate);
+        
+        // Country shading and leaf density follow the filters and data
+        this.renderChoropleth();
+        this.renderHeatmap();
+        
+        // Update selection styling
+        this.updateMarkerStyles();
         
+        // Scale marker elements for current zoom
+        this.scaleMarkerElements(this.state.zoomTransform.k);
+        
+        // Position labels for current zoom (also scales them)
+        this.placeLabels();
+        
+        // List the canvas-drawn markers for keyboard users
+        this.updateCanvasMarkerList();
+        
+        // Prune invalid selections
+        const visibleIds = nodesToShow.map(n => n.id);
+        this.selectionManager.pruneInvalidSelections(visibleIds);
+    }
+
+    /**
+     * Draw markers as SVG groups (keyed join with enter/exit animations)
+     * @param {Array} displayItems - Markers and clusters to draw
+     * @param {number} level - Current hierarchy level
+     * @param {boolean} animate - Animate enter, exit and moves
+     * @param {Set} changedIds - Node IDs changed by a patch, highlighted if visible
+     */
+    renderSvgMarkers(displayItems, level, animate, changedIds) {
         // Data join
         const markerGroups = this.markersGroup.selectAll('.marker-group')
-            .data(nodesToShow, d => d.id);
+            .data(displayItems, d => d.id);
         
         // Exit
         markerGroups.exit()
@@ -523,15 +1381,15 @@ class GeoMapWidget {
         const enterGroups = markerGroups.enter()
             .append('g')
             .attr('class', 'marker-group')
+            .classed('cluster', d => !!d._cluster)
             .attr('data-level', d => d._level)
             .attr('data-id', d => d.id)
             .attr('tabindex', 0)
             .attr('role', 'button')
-            .attr('aria-label', d => `${d.label} with ${d._count} locations`)
+            .attr('aria-label', d => this.getMarkerAriaLabel(d))
             .style('opacity', animate ? 0 : 1)
             .attr('transform', d => {
-                const [lon, lat] = d.geometry.coordinates;
-                const [x, y] = this.projection([lon, lat]) || [0, 0];
+                const [x, y] = this.getMarkerPosition(d) || [0, 0];
                 return `translate(${x}, ${y})`;
             });
         
@@ -548,18 +1406,29 @@ class GeoMapWidget {
             .attr('class', 'marker-inner')
             .attr('r', sizes.inner / 2);
         
-        // Icon (datacenter/server icon)
-        enterGroups.append('g')
+        // Icon (datacenter/server icon), or the member count for clusters
+        enterGroups.filter(d => d._cluster)
+            .append('text')
+            .attr('class', 'cluster-count')
+            .attr('dy', '0.35em')
+            .attr('font-size', sizes.icon)
+            .text(d => d.members.length);
+        
+        enterGroups.filter(d => !d._cluster)
+            .append('g')
             .attr('class', 'marker-icon')
-            .attr('transform', `translate(${-sizes.icon/2}, ${-sizes.icon/2})`)
-            .html(this.getMarkerIcon(sizes.icon));
+            .attr('transform', `translate(${-sizes.icon/2}, ${-sizes.icon/2})`);
         
         // Label
         enterGroups.append('text')
             .attr('class', 'marker-label')
             .attr('y', sizes.outer / 2 + 16)
             .attr('data-base-y', sizes.outer / 2 + 16)
-            .text(d => this.formatLabel(d.label, d._count));
+            .text(d => this.formatLabel(d.label, d._count, d._metrics));
+        
+        // Status badge (shown for statuses listed in health.badge)
+        enterGroups.append('circle')
+            .attr('class', 'status-badge');
         
         // Animate entrance
         if (animate) {
@@ -573,619 +1442,2999 @@ class GeoMapWidget {
                 });
         }
         
-        // Update existing markers
+        // Update existing markers (moved markers glide to their new position)
         markerGroups
+            .attr('aria-label', d => this.getMarkerAriaLabel(d));
+        
+        // Encoded colour and icon shape (entering and updated markers)
+        const encodedGroups = enterGroups.merge(markerGroups)
+            .classed('encoded-color', d => !!(d._encoded && d._encoded.color))
+            .style('--marker-color', d => (d._encoded && d._encoded.color) || null);
+        
+        // Pass the new data down to the circles (select propagates it)
+        encodedGroups.select('.marker-outer');
+        encodedGroups.select('.marker-inner');
+        encodedGroups.select('.status-badge');
+        
+        // Rolled-up status: badge and pulse for bad states
+        encodedGroups
+            .attr('data-status', d => d._status || null)
+            .classed('status-badged', d => this.getStatusStyle(d).badge)
+            .classed('status-pulse', d => this.getStatusStyle(d).pulse)
+            .style('--status-color', d => this.getStatusStyle(d).color);
+        
+        encodedGroups.select('.marker-icon')
+            .filter(function(d) {
+                return this.getAttribute('data-shape') !== ((d._encoded && d._encoded.shape) || 'server');
+            })
+            .attr('data-shape', d => (d._encoded && d._encoded.shape) || 'server')
+            .html(d => this.getMarkerIcon(sizes.icon, d._encoded && d._encoded.shape));
+        
+        (animate ? markerGroups.transition().duration(500) : markerGroups)
             .attr('transform', d => {
-                const [lon, lat] = d.geometry.coordinates;
-                const [x, y] = this.projection([lon, lat]) || [0, 0];
+                const [x, y] = this.getMarkerPosition(d) || [0, 0];
                 return `translate(${x}, ${y})`;
-            })
-            .attr('aria-label', d => `${d.label} with ${d._count} locations`);
+            });
+        
+        // Briefly highlight markers whose data changed
+        if (changedIds && changedIds.size > 0) {
+            const updated = markerGroups.filter(d => changedIds.has(d.id))
+                .classed('updated', true);
+            setTimeout(() => updated.classed('updated', false), 1200);
+        }
         
         markerGroups.select('.marker-label')
-            .text(d => this.formatLabel(d.label, d._count));
+            .text(d => this.formatLabel(d.label, d._count, d._metrics));
         
         // Add event listeners to all markers (enter + update)
         const allMarkers = this.markersGroup.selectAll('.marker-group');
         this.setupMarkerEvents(allMarkers);
+    }
+
+    /**
+     * Replace markers that would overlap at the current zoom with cluster
+     * markers. Members of the fanned-out cluster are returned individually,
+     * placed around the cluster centre.
+     * @param {Array} nodes - Visible marker nodes
+     * @param {number} level - Current hierarchy level
+     * @returns {Array} - Markers and clusters to draw
+     */
+    clusterMarkers(nodes, level, sizeOf = () => 1) {
+        const k = this.state.zoomTransform.k;
+        this.state.clusterScale = k;
+        this.state.clusters = [];
+        
+        if (!this.clusterOptions || nodes.length < 2) return nodes;
+        
+        // Cluster in map units: a screen distance divided by the zoom scale
+        const radius = this.getClusterRadius(level, k) / k;
+        const points = nodes.map(node => {
+            const [x, y] = this.projectNode(node) || [0, 0];
+            const sizeFactor = sizeOf(node);
+            return {
+                id: node.id, x, y, weight: node._count, node, sizeFactor,
+                radius: this.getClusterRadius(level, k, sizeFactor) / k
+            };
+        });
         
-        // Update selection styling
-        this.updateMarkerStyles();
+        const { clusters, singles } = MarkerClustering.cluster(points, radius, this.clusterOptions.minPoints);
+        const items = singles.map(point => point.node);
         
-        // Scale marker elements for current zoom
-        this.scaleMarkerElements(this.state.zoomTransform.k);
+        clusters.forEach(cluster => {
+            const members = cluster.members.map(point => point.node);
+            const sizeFactor = Math.max(...cluster.members.map(point => point.sizeFactor));
+            
+            if (cluster.id === this.state.spiderClusterId) {
+                const spacing = this.getClusterRadius(level, k, sizeFactor) / k;
+                const offsets = MarkerClustering.spiderOffsets(members.length, spacing);
+                members.forEach((node, i) => items.push({
+                    ...node,
+                    _position: [cluster.x + offsets[i].dx, cluster.y + offsets[i].dy],
+                    _spiderCenter: [cluster.x, cluster.y]
+                }));
+                return;
+            }
+            
+            const item = {
+                id: cluster.id,
+                label: `${members.length} ${this.getLevelName(level)}`,
+                geometry: { type: 'Point', coordinates: this.projection.invert([cluster.x, cluster.y]) },
+                members,
+                _cluster: true,
+                _level: level,
+                _count: members.reduce((sum, node) => sum + node._count, 0),
+                _status: this.healthOptions ? HealthStatus.worst(members.map(node => node._status), this.healthOptions) : null,
+                _spread: MarkerClustering.spread(cluster.members),
+                _sizeFactor: sizeFactor
+            };
+            items.push(item);
+            this.state.clusters.push(item);
+        });
         
-        // Scale labels for current zoom
-        this.scaleMarkerLabels(this.state.zoomTransform.k);
+        return items;
+    }
+
+    /**
+     * Screen distance below which markers cluster: the configured radius, or
+     * the on-screen marker diameter at a zoom scale
+     * @param {number} level - Hierarchy level
+     * @param {number} scale - Zoom scale
+     * @param {number} sizeFactor - Encoded size of the marker (see applyEncoding)
+     * @returns {number} - Pixels
+     */
+    getClusterRadius(level, scale, sizeFactor = 1) {
+        if (this.clusterOptions && this.clusterOptions.radius) return this.clusterOptions.radius;
         
-        // Prune invalid selections
-        const visibleIds = nodesToShow.map(n => n.id);
-        this.selectionManager.pruneInvalidSelections(visibleIds);
+        const sizes = this.markerSizes[level] || this.markerSizes[1];
+        return sizes.outer * sizeFactor * this.getMarkerScale(scale) * scale;
     }
 
     /**
-     * Get SVG icon for marker
+     * Map position of a drawn marker: its fanned-out spot, or its projected
+     * position
+     * @returns {Array|null} - [x, y]
      */
-    getMarkerIcon(size) {
-        // Datacenter/server icon
-        return `
-            <svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="currentColor">
-                <rect x="4" y="4" width="16" height="4" rx="1"/>
-                <rect x="4" y="10" width="16" height="4" rx="1"/>
-                <rect x="4" y="16" width="16" height="4" rx="1"/>
-                <circle cx="7" cy="6" r="1"/>
-                <circle cx="7" cy="12" r="1"/>
-                <circle cx="7" cy="18" r="1"/>
-            </svg>
-        `;
+    getMarkerPosition(marker) {
+        return marker._position || this.projectNode(marker);
     }
 
     /**
-     * Format marker label with count
+     * Accessible name of a marker or cluster
      */
-    formatLabel(label, count) {
-        // Truncate long labels
-        const maxLength = 15;
-        const displayLabel = label.length > maxLength 
-            ? label.substring(0, maxLength - 2) + '...'
-            : label;
-        
-        return count !== undefined ? `${displayLabel} (${count})` : displayLabel;
+    getMarkerAriaLabel(marker) {
+        const name = marker._cluster
+            ? `Cluster of ${marker.label} with ${marker._count} locations`
+            : `${marker.label} with ${marker._count} locations`;
+        return marker._status ? `${name}, status ${marker._status}` : name;
     }
 
     /**
-     * Setup event listeners for markers
+     * Draw legs from the centre of a fanned-out cluster to its members
+     * @param {Array} items - Drawn markers (see clusterMarkers)
      */
-    setupMarkerEvents(markers) {
-        const self = this;
-        
-        markers
-            .on('click', function(event, d) {
-                event.stopPropagation();
-                self.handleMarkerClick(event, d, this);
-            })
-            .on('dblclick', function(event, d) {
-                event.stopPropagation();
-                event.preventDefault();
-                self.handleMarkerDoubleClick(event, d, this);
-            })
-            .on('mouseenter', function(event, d) {
-                self.handleMarkerHover(event, d, this, true);
-            })
-            .on('mouseleave', function(event, d) {
-                self.handleMarkerHover(event, d, this, false);
-            })
-            .on('keydown', function(event, d) {
-                if (event.key === 'Enter') {
-                    self.handleMarkerClick(event, d, this);
-                } else if (event.key === ' ') {
-                    event.preventDefault();
-                    self.handleMarkerDoubleClick(event, d, this);
-                }
-            });
+    renderSpiderLegs(items) {
+        const legs = this.markersGroup.selectAll('.spider-leg')
+            .data(items.filter(d => d._spiderCenter), d => d.id);
+        
+        legs.exit().remove();
+        
+        legs.enter()
+            .append('line')
+            .attr('class', 'spider-leg')
+            .merge(legs)
+            .attr('x1', d => d._spiderCenter[0])
+            .attr('y1', d => d._spiderCenter[1])
+            .attr('x2', d => d._position[0])
+            .attr('y2', d => d._position[1])
+            .lower();
     }
 
     /**
-     * Handle single click on marker
+     * Expand a cluster: zoom in until its members separate, or fan them out
+     * when they cannot be separated without leaving the current level
+     * @param {Object} cluster - Cluster marker
      */
-    handleMarkerClick(event, marker, element) {
-        if (this.state.isTransitioning) return;
+    expandCluster(cluster) {
+        const k = this.state.zoomTransform.k;
+        const level = cluster._level;
         
-        // Clear any pending double-click timeout
-        if (this.state.clickTimeout) {
-            clearTimeout(this.state.clickTimeout);
-            this.state.clickTimeout = null;
-            // This was a double-click, let dblclick handler manage it
+        // Stay below the next level so the members themselves are revealed
+        const nextThreshold = this.zoomThresholds[level + 1];
+        const maxScale = nextThreshold ? Math.min(this.maxZoom, nextThreshold * 0.99) : this.maxZoom;
+        
+        const positions = cluster.members.map(node => this.projectNode(node)).filter(Boolean);
+        const [minX, maxX] = d3.extent(positions, p => p[0]);
+        const [minY, maxY] = d3.extent(positions, p => p[1]);
+        
+        const fitScale = Math.min(
+            (this.width * 0.5) / Math.max(maxX - minX, 1e-6),
+            (this.height * 0.5) / Math.max(maxY - minY, 1e-6)
+        );
+        const targetScale = Math.min(fitScale, maxScale);
+        const separates = targetScale > k * 1.05 &&
+            cluster._spread * 2 * targetScale >= this.getClusterRadius(level, targetScale, cluster._sizeFactor);
+        
+        if (!separates && this.clusterOptions.spiderfy) {
+            this.log('Fanning out cluster:', cluster.id);
+            this.state.spiderClusterId = cluster.id;
+            this.renderMarkers(true);
+            this.announceToScreenReader(`Showing ${cluster.label}`);
             return;
         }
         
-        // Set timeout to distinguish from double-click
-        this.state.clickTimeout = setTimeout(() => {
-            this.state.clickTimeout = null;
-            this.performSingleClick(event, marker, element);
-        }, 250);
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        const scale = Math.max(targetScale, Math.min(k * 2, maxScale));
+        const transform = d3.zoomIdentity
+            .translate(this.width / 2 - centerX * scale, this.height / 2 - centerY * scale)
+            .scale(scale);
+        
+        this.svg.transition()
+            .duration(600)
+            .ease(d3.easeCubicInOut)
+            .call(this.zoom.transform, transform);
     }
 
     /**
-     * Perform single click action
+     * Fold a fanned-out cluster back up
      */
-    performSingleClick(event, marker, element) {
-        // Debounce rapid clicks
-        const now = Date.now();
-        if (now - this.state.lastClickTime < 100) {
-            this.log('Rapid click ignored');
-            return;
-        }
-        this.state.lastClickTime = now;
-        
-        this.log('Single click on:', marker.label);
-        
-        const isMultiSelect = event.ctrlKey || event.metaKey;
-        const level = this.state.currentZoomLevel;
-        
-        const result = this.selectionManager.toggleSelection(marker, level, isMultiSelect);
+    collapseSpider() {
+        if (!this.state.spiderClusterId) return;
         
-        this.log('Selection result:', result);
-        
-        // Emit callback
-        this.onMarkerClick(marker, this.selectionManager.isSelected(marker.id));
+        this.state.spiderClusterId = null;
+        this.renderMarkers(true);
     }
 
     /**
-     * Handle double click on marker
+     * Render Polygon/MultiPolygon geometries of the visible markers as shaded
+     * areas. The area of the node being drilled into stays visible as
+     * non-interactive context.
+     * @param {Array} markers - Visible marker nodes
+     * @param {boolean} animate - Fade areas in and out
      */
-    handleMarkerDoubleClick(event, marker, element) {
-        if (this.state.isTransitioning) return;
+    renderAreas(markers, animate = false) {
+        const parentId = this.state.currentParentId;
+        const parent = parentId ? this.nodeIndex.getNode(parentId) : null;
         
-        // Clear single click timeout
-        if (this.state.clickTimeout) {
-            clearTimeout(this.state.clickTimeout);
-            this.state.clickTimeout = null;
+        const areas = markers.filter(m => GeometryUtils.isArea(m.geometry));
+        if (parent && GeometryUtils.isArea(parent.geometry)) {
+            areas.unshift({ ...parent, _level: this.nodeIndex.getDepth(parentId), _context: true });
         }
         
-        this.log('Double click on:', marker.label);
+        const shapes = this.areasGroup.selectAll('.area-shape')
+            .data(areas, d => d.id);
         
-        // Check if marker has children to reveal
-        const hasChildren = marker.children && marker.children.length > 0;
+        shapes.exit()
+            .transition()
+            .duration(animate ? 300 : 0)
+            .style('opacity', 0)
+            .remove();
         
-        if (!hasChildren) {
-            this.log('No children to reveal');
-            return;
+        const enterShapes = shapes.enter()
+            .append('path')
+            .attr('class', 'area-shape')
+            .style('opacity', animate ? 0 : 1);
+        
+        if (animate) {
+            enterShapes.transition()
+                .duration(500)
+                .style('opacity', 1);
         }
         
-        // Zoom to marker and reveal children
-        this.zoomToMarkerAndRevealChildren(marker);
+        // Context first so it stays beneath the areas it contains
+        const allShapes = enterShapes.merge(shapes)
+            .attr('d', d => this.path(GeometryUtils.rewindForD3(d.geometry)))
+            .attr('data-level', d => d._level)
+            .attr('data-id', d => d.id)
+            .classed('context', d => !!d._context)
+            .order();
         
-        // Emit callback
-        this.onMarkerDoubleClick(marker);
+        this.setupMarkerEvents(allShapes.filter(d => !d._context));
     }
 
     /**
-     * Zoom to a marker and reveal its children
+     * Render links as great-circle arcs between the visible markers, with
+     * width and colour encoded from the bundled links' properties
+     * @param {boolean} animate - Fade links in and out
      */
-    zoomToMarkerAndRevealChildren(marker) {
-        const currentLevel = this.state.currentZoomLevel;
+    renderLinks(animate = false) {
+        if (!this.linksGroup) return;
         
-        // Check if marker has children
-        if (!marker.children || marker.children.length === 0) {
-            this.log('No children to reveal');
-            return;
-        }
+        const bundles = this.getLinkBundles();
+        this.state.visibleLinks = bundles;
         
-        // Set parent context for child rendering
-        this.state.currentParentId = marker.id;
+        const widthScale = this.getLinkScale('width', this.linkOptions && this.linkOptions.widthRange);
+        const colorScale = this.getLinkScale('color', this.linkOptions && this.linkOptions.colorRange);
+        const arcPath = d => this.path(LinkUtils.arc(d.sourceNode, d.targetNode)) || '';
         
-        // Collect all children coordinates
-        const childCoordinates = marker.children
-            .filter(child => child.geometry && child.geometry.coordinates)
-            .map(child => child.geometry.coordinates);
+        const linkGroups = this.linksGroup.selectAll('.link')
+            .data(bundles, d => d.id);
         
-        // If no valid children coordinates, fall back to parent
-        if (childCoordinates.length === 0) {
-            const [lon, lat] = marker.geometry.coordinates;
-            const targetScale = this.getTargetScaleForLevel(currentLevel);
-            const [x, y] = this.projection([lon, lat]) || [this.width / 2, this.height / 2];
-            const transform = d3.zoomIdentity
-                .translate(this.width / 2 - x * targetScale, this.height / 2 - y * targetScale)
-                .scale(targetScale);
-            
-            this.svg.transition()
-                .duration(800)
-                .ease(d3.easeCubicInOut)
-                .call(this.zoom.transform, transform);
-            return;
-        }
+        linkGroups.exit()
+            .transition()
+            .duration(animate ? 300 : 0)
+            .style('opacity', 0)
+            .remove();
         
-        // Calculate bounding box of all children
-        const bbox = ProjectionUtils.calculateBoundingBox(childCoordinates);
+        const enterGroups = linkGroups.enter()
+            .append('g')
+            .attr('class', 'link')
+            .style('opacity', animate ? 0 : 1);
         
-        if (!bbox) {
-            this.log('Could not calculate bounding box');
-            return;
+        // Wide transparent stroke so thin arcs are easy to hover and click
+        enterGroups.append('path').attr('class', 'link-hit');
+        enterGroups.append('path').attr('class', 'link-line');
+        
+        if (animate) {
+            enterGroups.transition()
+                .duration(500)
+                .style('opacity', 1);
         }
         
-        // Project bounding box corners to screen coordinates
-        const topLeft = this.projection([bbox.minLon, bbox.maxLat]);
-        const bottomRight = this.projection([bbox.maxLon, bbox.minLat]);
+        const allLinks = enterGroups.merge(linkGroups)
+            .attr('data-id', d => d.id);
         
-        if (!topLeft || !bottomRight) {
-            this.log('Could not project bounding box');
-            return;
+        allLinks.select('.link-hit')
+            .attr('d', arcPath);
+        
+        allLinks.select('.link-line')
+            .attr('d', arcPath)
+            .style('stroke-width', d => (widthScale ? `${widthScale(d._metrics.width)}px` : null))
+            .style('stroke', d => (colorScale ? colorScale(d._metrics.color) : null));
+        
+        this.setupLinkEvents(allLinks);
+        
+        // Drop selections whose bundle is no longer drawn
+        const visibleIds = new Set(bundles.map(b => b.id));
+        const selected = this.state.selectedLinkIds;
+        const before = selected.size;
+        selected.forEach(id => {
+            if (!visibleIds.has(id)) selected.delete(id);
+        });
+        if (selected.size !== before) {
+            this.onLinkSelectionChange(this.getSelectedLinks());
         }
         
-        // Calculate the dimensions of the bounding box in screen space
-        const bboxWidth = Math.abs(bottomRight[0] - topLeft[0]);
-        const bboxHeight = Math.abs(bottomRight[1] - topLeft[1]);
+        this.updateLinkStyles();
+    }
+
+    /**
+     * Collapse the data's links onto the visible markers and aggregate the
+     * encoded properties. Links need both endpoints to pass the node filters
+     * and the link filter.
+     * @returns {Array} - [{ id, source, target, sourceNode, targetNode, links, _metrics }]
+     */
+    getLinkBundles() {
+        if (!this.linkOptions || !this.originalData) return [];
+        
+        const filters = this.state.activeFilters;
+        const links = LinkUtils.getLinks(this.originalData)
+            .filter(link => LinkUtils.matches(link, this.linkOptions.filter));
+        
+        // Links to a clustered marker attach to its cluster
+        const markersById = new Map(this.state.visibleMarkers.map(m => [m.id, m]));
+        const aliases = new Map();
+        this.state.clusters.forEach(cluster => {
+            markersById.set(cluster.id, cluster);
+            cluster.members.forEach(member => aliases.set(member.id, cluster.id));
+        });
         
-        // Calculate center of bounding box in screen coordinates
-        const centerX = (topLeft[0] + bottomRight[0]) / 2;
-        const centerY = (topLeft[1] + bottomRight[1]) / 2;
+        const bundles = LinkUtils.collapse(links, {
+            nodeIndex: this.nodeIndex,
+            visibleIds: new Set(this.state.visibleMarkers.map(m => m.id)),
+            aliases,
+            include: nodeId => this.nodeIndex.getCount(nodeId, filters) > 0
+        });
         
-        // Calculate scale to fit with padding (70% of available space)
-        const padding = 0.7;
-        const scaleX = (this.width * padding) / Math.max(bboxWidth, 1);
-        const scaleY = (this.height * padding) / Math.max(bboxHeight, 1);
-        let targetScale = Math.min(scaleX, scaleY);
+        bundles.forEach(bundle => {
+            bundle.sourceNode = markersById.get(bundle.source);
+            bundle.targetNode = markersById.get(bundle.target);
+        });
         
-        // Ensure minimum scale for hierarchy level transition
-        const minScaleForLevel = this.getTargetScaleForLevel(currentLevel);
-        targetScale = Math.max(targetScale, minScaleForLevel);
+        return LinkUtils.aggregate(bundles, this.linkMetrics);
+    }
+
+    /**
+     * Linear scale from the visible bundles' values of an encoding to a range
+     * @param {string} name - "width" or "color"
+     * @param {Array} range - Output range
+     * @returns {Function|null} - Scale (null for missing values), or null if not encoded
+     */
+    getLinkScale(name, range) {
+        if (!this.linkMetrics.some(metric => metric.name === name)) return null;
         
-        // Clamp to zoom extent
-        targetScale = Math.min(Math.max(targetScale, 1), 12);
+        const values = this.state.visibleLinks
+            .map(bundle => bundle._metrics[name])
+            .filter(value => value !== null);
+        if (values.length === 0) return () => null;
         
-        // Calculate transform to center the bounding box
-        const transform = d3.zoomIdentity
-            .translate(
-                this.width / 2 - centerX * targetScale,
-                this.height / 2 - centerY * targetScale
-            )
-            .scale(targetScale);
+        const scale = d3.scaleLinear().domain(d3.extent(values)).range(range);
+        return value => (value === null ? null : scale(value));
+    }
+
+    /**
+     * Setup click and hover on links
+     */
+    setupLinkEvents(links) {
+        const self = this;
         
-        // Animate zoom
-        this.svg.transition()
-            .duration(800)
-            .ease(d3.easeCubicInOut)
-            .call(this.zoom.transform, transform);
+        links
+            .on('click', function(event, d) {
+                event.stopPropagation();
+                self.toggleLinkSelection(d, event.ctrlKey || event.metaKey);
+            })
+            .on('mouseenter', function(event, d) {
+                self.handleLinkHover(event, d, true);
+            })
+            .on('mouseleave', function(event, d) {
+                self.handleLinkHover(event, d, false);
+            });
+    }
+
+    /**
+     * Select a link bundle (Ctrl/Cmd adds to the selection)
+     */
+    toggleLinkSelection(bundle, isMultiSelect) {
+        const selected = this.state.selectedLinkIds;
+        const wasSelected = selected.has(bundle.id);
+        
+        if (!isMultiSelect) selected.clear();
+        if (wasSelected) {
+            selected.delete(bundle.id);
+        } else {
+            selected.add(bundle.id);
+        }
+        
+        this.updateLinkStyles();
+        this.onLinkClick(bundle, selected.has(bundle.id));
+        this.onLinkSelectionChange(this.getSelectedLinks());
+    }
+
+    /**
+     * Highlight a link and its endpoint markers, with a tooltip
+     */
+    handleLinkHover(event, bundle, isEntering) {
+        this.linksGroup.selectAll('.link')
+            .filter(d => d.id === bundle.id)
+            .classed('hovered', isEntering)
+            .raise();
+        
+        this.markersGroup.selectAll('.marker-group')
+            .filter(d => d.id === bundle.source || d.id === bundle.target)
+            .classed('hovered', isEntering);
+        
+        if (isEntering) {
+            this.showLinkTooltip(event, bundle);
+        } else {
+            this.hideTooltip();
+        }
+    }
+
+    /**
+     * Update link visual styles based on selection
+     */
+    updateLinkStyles() {
+        const selected = this.state.selectedLinkIds;
+        
+        this.linksGroup.selectAll('.link')
+            .classed('selected', d => selected.has(d.id));
+    }
+
+    /**
+     * Build marker data for a level from the node index. Counts come from the
+     * index cache and children are narrowed to those with matching leaves, so
+     * the result mirrors what filterData would produce without walking the tree.
+     */
+    getDisplayNodes(level) {
+        const filters = this.state.activeFilters;
+        const index = this.nodeIndex;
+        
+        const nodes = this.state.currentParentId && level > 1
+            ? index.getChildren(this.state.currentParentId)
+            : index.getNodesAtLevel(level);
+        
+        return nodes
+            .filter(node => index.getCount(node.id, filters) > 0)
+            .map(node => {
+                const marker = {
+                    ...node,
+                    _level: level,
+                    _parent: index.getParent(node.id),
+                    _count: index.getCount(node.id, filters),
+                    _metrics: index.getAggregates(node.id, filters, this.metrics),
+                    _encoding: index.getAggregates(node.id, filters, this.encodingMetrics),
+                    _status: this.getNodeStatus(node.id, filters)
+                };
+                
+                if (node.children) {
+                    marker.children = node.children.filter(
+                        child => index.getCount(child.id, filters) > 0
+                    );
+                }
+                
+                return marker;
+            });
+    }
+
+    /**
+     * Get SVG icon for marker
+     * @param {number} size - Icon size
+     * @param {string} shape - Glyph name from MarkerEncoding.glyphs (default: datacenter/server)
+     */
+    getMarkerIcon(size, shape = null) {
+        const glyph = MarkerEncoding.glyphs[shape] || MarkerEncoding.glyphs.server;
+        return `
+            <svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="currentColor">
+                ${glyph}
+            </svg>
+        `;
+    }
+
+    /**
+     * Build the encoding scales for the markers in view
+     * @param {Array} markers - Markers (not clusters)
+     * @returns {Object} - { color, size, shape }: marker => output
+     */
+    createEncodingScales(markers) {
+        // Categories come from the whole dataset so colours and shapes match at every level
+        return MarkerEncoding.createScales(this.encoding, markers, channel => (channel.property
+            ? this.getEncodingCategories(channel.property)
+            : MarkerEncoding.sortCategories(markers.map(marker => MarkerEncoding.getValue(marker, channel)))));
+    }
+
+    /**
+     * Categories of a property over the whole dataset, cached until the
+     * data or the encoding changes
+     * @param {string} property - Property key
+     * @returns {Array} - Sorted distinct values
+     */
+    getEncodingCategories(property) {
+        const cache = this.categoryCache;
+        if (!cache || cache.data !== this.originalData || cache.encoding !== this.encoding) {
+            this.categoryCache = {
+                data: this.originalData,
+                encoding: this.encoding,
+                categories: new Map()
+            };
+        }
+        
+        const categories = this.categoryCache.categories;
+        if (!categories.has(property)) {
+            categories.set(property, MarkerEncoding.getCategories(this.getAllNodes(), property));
+        }
+        return categories.get(property);
+    }
+
+    /**
+     * Resolve the encodings for the markers being drawn into `_encoded`
+     * ({ color, size, shape }). Clusters keep the default look.
+     * @param {Array} items - Markers and clusters to draw (modified in place)
+     * @param {Object} scales - From createEncodingScales
+     */
+    applyEncoding(items, scales) {
+        items.forEach(item => {
+            item._encoded = item._cluster ? null : {
+                color: scales.color(item),
+                size: scales.size(item),
+                shape: scales.shape(item)
+            };
+        });
+    }
+
+    /**
+     * Rolled-up status of a node (see utils/health.js)
+     * @param {string} nodeId - Node ID
+     * @param {Object} filters - Only leaves matching these filters contribute
+     * @returns {string|null} - Null when health is disabled or no leaf has a known status
+     */
+    getNodeStatus(nodeId, filters = {}) {
+        if (!this.healthOptions) return null;
+        
+        const aggregates = this.nodeIndex.getAggregates(nodeId, filters, this.healthMetrics);
+        return HealthStatus.rollUp(aggregates.health, this.healthOptions);
+    }
+
+    /**
+     * Badge, pulse and colour for a marker's status
+     * @returns {Object} - { badge, pulse, color }
+     */
+    getStatusStyle(marker) {
+        if (!this.healthOptions) return { badge: false, pulse: false, color: null };
+        return HealthStatus.getStyle(marker._status, this.healthOptions);
+    }
+
+    /**
+     * Recompute every node's status over the whole dataset and report the
+     * nodes whose status changed through `onStatusChange`. Filters are
+     * ignored, so narrowing the view never fires the callback.
+     * @param {boolean} notify - Fire callbacks (false on first load)
+     */
+    updateStatuses(notify = true) {
+        if (!this.healthOptions) return;
+        
+        const previous = this.state.statuses;
+        const statuses = new Map();
+        this.getAllNodes().forEach(node => statuses.set(node.id, this.getNodeStatus(node.id)));
+        this.state.statuses = statuses;
+        
+        if (!notify) return;
+        
+        statuses.forEach((status, id) => {
+            if (!previous.has(id) || previous.get(id) === status) return;
+            
+            this.log(`Status of ${id}: ${previous.get(id)} → ${status}`);
+            this.onStatusChange(this.nodeIndex.getNode(id), status, previous.get(id));
+        });
+    }
+
+    /**
+     * Get every indexed node (all levels)
+     */
+    getAllNodes() {
+        const nodes = [];
+        for (let level = 1; level <= this.nodeIndex.getMaxDepth(); level++) {
+            nodes.push(...this.nodeIndex.getNodesAtLevel(level));
+        }
+        return nodes;
+    }
+
+    /**
+     * Marker sizes for a marker's level, scaled by the size encoding
+     * @returns {Object} - { outer, inner, icon }
+     */
+    getEncodedSizes(marker) {
+        const sizes = this.markerSizes[marker._level] || this.markerSizes[1];
+        const factor = marker._encoded ? marker._encoded.size : 1;
+        if (factor === 1) return sizes;
+        
+        return { outer: sizes.outer * factor, inner: sizes.inner * factor, icon: sizes.icon * factor };
+    }
+
+    /**
+     * Format marker label with count, or with the `labelMetric` aggregate
+     * when one is configured
+     * @param {number} maxLength - Truncate longer names (Infinity for the full name)
+     */
+    formatLabel(label, count, metrics = null, maxLength = 15) {
+        // Truncate long labels
+        const displayLabel = label.length > maxLength 
+            ? label.substring(0, maxLength - 2) + '...'
+            : label;
+        
+        const metric = this.labelMetric && this.metrics.find(m => m.name === this.labelMetric);
+        if (metric && metrics && metrics[metric.name] !== null && metrics[metric.name] !== undefined) {
+            return `${displayLabel} (${Aggregation.formatValue(metrics[metric.name], metric)})`;
+        }
+        
+        return count !== undefined ? `${displayLabel} (${count})` : displayLabel;
+    }
+
+    /**
+     * Setup pointer events on the map itself: canvas-drawn markers are
+     * hit-tested here, and clicking the background folds a fanned-out cluster
+     */
+    setupMapEvents() {
+        const markerAt = (event) => {
+            if (this.state.activeRenderer !== 'canvas') return null;
+            const [x, y] = d3.pointer(event, this.svg.node());
+            return this.canvasRenderer.hitTest(x, y);
+        };
+        
+        this.svg
+            .on('click.markers', (event) => {
+                const marker = markerAt(event);
+                if (marker) {
+                    this.handleMarkerClick(event, marker, null);
+                } else {
+                    this.collapseSpider();
+                }
+            })
+            .on('dblclick.markers', (event) => {
+                const marker = markerAt(event);
+                if (marker) {
+                    event.preventDefault();
+                    this.handleMarkerDoubleClick(event, marker, null);
+                }
+            })
+            .on('mousemove.markers', (event) => {
+                if (this.state.activeRenderer !== 'canvas') return;
+                
+                const marker = markerAt(event);
+                const hoveredId = marker ? marker.id : null;
+                if (hoveredId === this.state.canvasHoverId) return;
+                
+                const previous = this.state.visibleMarkers.concat(this.state.clusters)
+                    .find(d => d.id === this.state.canvasHoverId);
+                if (previous) this.handleMarkerHover(event, previous, null, false);
+                
+                this.state.canvasHoverId = hoveredId;
+                this.canvasRenderer.setHovered(hoveredId);
+                this.svg.classed('marker-hover', !!marker);
+                if (marker) this.handleMarkerHover(event, marker, null, true);
+            })
+            .on('mouseleave.markers', () => {
+                if (!this.state.canvasHoverId) return;
+                
+                this.state.canvasHoverId = null;
+                this.canvasRenderer.setHovered(null);
+                this.svg.classed('marker-hover', false);
+                this.hideTooltip();
+            });
+    }
+
+    /**
+     * Add the keyboard fallback for canvas-drawn markers: a visually hidden
+     * listbox of the markers on screen. The canvas itself is aria-hidden.
+     */
+    addCanvasMarkerList() {
+        this.canvasMarkerList = d3.select(this.container).append('ul')
+            .attr('id', this.elementId('canvas-markers'))
+            .attr('class', 'canvas-marker-list sr-only')
+            .attr('role', 'listbox')
+            .attr('aria-label', 'Map markers')
+            .attr('tabindex', -1)
+            .on('keydown', (event) => this.handleCanvasListKeydown(event))
+            .on('focus', () => {
+                this.svg.classed('canvas-list-focus', true);
+                this.setActiveCanvasMarker(Math.max(this.state.canvasListIndex, 0));
+            })
+            .on('blur', () => {
+                this.svg.classed('canvas-list-focus', false);
+                this.setActiveCanvasMarker(-1);
+            });
+    }
+
+    /**
+     * Refill the canvas marker list with the markers now on screen, in
+     * reading order (top to bottom, then left to right). Empty while the
+     * markers are drawn as SVG, which are focusable themselves.
+     */
+    updateCanvasMarkerList() {
+        if (!this.canvasMarkerList) return;
+        
+        const transform = this.state.zoomTransform;
+        const onScreen = this.state.activeRenderer !== 'canvas' ? [] : this.canvasRenderer.getMarkers()
+            .map(marker => {
+                const position = this.getMarkerPosition(marker);
+                return position ? { marker, point: transform.apply(position) } : null;
+            })
+            .filter(entry => entry
+                && entry.point[0] >= 0 && entry.point[0] <= this.width
+                && entry.point[1] >= 0 && entry.point[1] <= this.height)
+            .sort((a, b) => a.point[1] - b.point[1] || a.point[0] - b.point[0]);
+        
+        const previous = this.state.canvasListMarkers[this.state.canvasListIndex];
+        const markers = onScreen.map(entry => entry.marker);
+        this.state.canvasListMarkers = markers;
+        this.state.canvasListIndex = previous ? markers.findIndex(d => d.id === previous.id) : -1;
+        
+        this.canvasMarkerList
+            .attr('tabindex', markers.length > 0 ? 0 : -1)
+            .selectAll('.canvas-marker-option')
+            .data(markers, d => d.id)
+            .join('li')
+            .order()
+            .attr('id', (d, i) => this.elementId(`canvas-marker-${i}`))
+            .attr('class', 'canvas-marker-option')
+            .attr('role', 'option')
+            .attr('aria-selected', 'false')
+            .text(d => this.getMarkerAriaLabel(d));
+        
+        // Keep the active marker (if still on screen) highlighted for a focused list
+        if (this.canvasMarkerList.node() === document.activeElement) {
+            this.setActiveCanvasMarker(Math.max(this.state.canvasListIndex, 0));
+        } else if (previous) {
+            this.setActiveCanvasMarker(-1);
+        }
+    }
+
+    /**
+     * Make a listed canvas marker the active one: highlighted on the canvas
+     * with its tooltip, as if hovered
+     * @param {number} index - Index into the list, -1 for none
+     */
+    setActiveCanvasMarker(index) {
+        const markers = this.state.canvasListMarkers;
+        const marker = markers[index] || null;
+        
+        const previous = this.state.visibleMarkers.concat(this.state.clusters)
+            .find(d => d.id === this.state.canvasHoverId);
+        if (previous) this.handleMarkerHover(null, previous, null, false);
+        
+        this.state.canvasListIndex = marker ? index : -1;
+        this.state.canvasHoverId = marker ? marker.id : null;
+        this.canvasRenderer.setHovered(this.state.canvasHoverId);
+        
+        this.canvasMarkerList
+            .attr('aria-activedescendant', marker ? this.elementId(`canvas-marker-${index}`) : null)
+            .selectAll('.canvas-marker-option')
+            .attr('aria-selected', (d, i) => (i === index ? 'true' : 'false'));
+        
+        if (marker) {
+            // Place the tooltip at the marker rather than the pointer
+            const rect = this.svg.node().getBoundingClientRect();
+            const [x, y] = this.state.zoomTransform.apply(this.getMarkerPosition(marker));
+            this.handleMarkerHover({ clientX: rect.left + x, clientY: rect.top + y }, marker, null, true);
+        }
+    }
+
+    /**
+     * Keyboard navigation for the canvas marker list. Enter and Space act
+     * like a click and double-click, as on SVG markers.
+     */
+    handleCanvasListKeydown(event) {
+        const markers = this.state.canvasListMarkers;
+        const index = this.state.canvasListIndex;
+        if (markers.length === 0) return;
+        
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowRight':
+            case 'ArrowUp':
+            case 'ArrowLeft': {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' || event.key === 'ArrowRight' ? 1 : -1;
+                this.setActiveCanvasMarker((index + step + markers.length) % markers.length);
+                break;
+            }
+            case 'Home':
+            case 'End': {
+                event.preventDefault();
+                this.setActiveCanvasMarker(event.key === 'Home' ? 0 : markers.length - 1);
+                break;
+            }
+            case 'Enter': {
+                if (index < 0) return;
+                event.preventDefault();
+                this.handleMarkerClick(event, markers[index], null);
+                break;
+            }
+            case ' ': {
+                if (index < 0) return;
+                event.preventDefault();
+                this.handleMarkerDoubleClick(event, markers[index], null);
+                break;
+            }
+            case 'Escape': {
+                this.setActiveCanvasMarker(-1);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Setup event listeners for markers
+     */
+    setupMarkerEvents(markers) {
+        const self = this;
+        
+        markers
+            .on('click', function(event, d) {
+                event.stopPropagation();
+                self.handleMarkerClick(event, d, this);
+            })
+            .on('dblclick', function(event, d) {
+                event.stopPropagation();
+                event.preventDefault();
+                self.handleMarkerDoubleClick(event, d, this);
+            })
+            .on('mouseenter', function(event, d) {
+                self.handleMarkerHover(event, d, this, true);
+            })
+            .on('mouseleave', function(event, d) {
+                self.handleMarkerHover(event, d, this, false);
+            })
+            .on('keydown', function(event, d) {
+                if (event.key === 'Enter') {
+                    self.handleMarkerClick(event, d, this);
+                } else if (event.key === ' ') {
+                    event.preventDefault();
+                    self.handleMarkerDoubleClick(event, d, this);
+                }
+            });
+    }
+
+    /**
+     * Handle single click on marker
+     */
+    handleMarkerClick(event, marker, element) {
+        if (this.state.isTransitioning) return;
+        
+        // Clear any pending double-click timeout
+        if (this.state.clickTimeout) {
+            clearTimeout(this.state.clickTimeout);
+            this.state.clickTimeout = null;
+            // This was a double-click, let dblclick handler manage it
+            return;
+        }
+        
+        // Set timeout to distinguish from double-click
+        this.state.clickTimeout = setTimeout(() => {
+            this.state.clickTimeout = null;
+            this.performSingleClick(event, marker, element);
+        }, 250);
+    }
+
+    /**
+     * Perform single click action
+     */
+    performSingleClick(event, marker, element) {
+        // Debounce rapid clicks
+        const now = Date.now();
+        if (now - this.state.lastClickTime < 100) {
+            this.log('Rapid click ignored');
+            return;
+        }
+        this.state.lastClickTime = now;
+        
+        if (marker._cluster) {
+            this.expandCluster(marker);
+            return;
+        }
+        
+        this.log('Single click on:', marker.label);
+        
+        const isMultiSelect = event.ctrlKey || event.metaKey;
+        const level = this.state.currentZoomLevel;
+        
+        const result = this.selectionManager.toggleSelection(marker, level, isMultiSelect);
+        
+        this.log('Selection result:', result);
+        
+        // Emit callback
+        this.onMarkerClick(marker, this.selectionManager.isSelected(marker.id));
+    }
+
+    /**
+     * Handle double click on marker
+     */
+    handleMarkerDoubleClick(event, marker, element) {
+        if (this.state.isTransitioning) return;
+        
+        // Clear single click timeout
+        if (this.state.clickTimeout) {
+            clearTimeout(this.state.clickTimeout);
+            this.state.clickTimeout = null;
+        }
+        
+        if (marker._cluster) {
+            this.expandCluster(marker);
+            return;
+        }
+        
+        this.log('Double click on:', marker.label);
+        
+        // Check if marker has children to reveal
+        const hasChildren = marker.children && marker.children.length > 0;
+        
+        if (!hasChildren) {
+            this.log('No children to reveal');
+            return;
+        }
+        
+        // Zoom to marker and reveal children
+        this.zoomToMarkerAndRevealChildren(marker);
+        
+        // Emit callback
+        this.onMarkerDoubleClick(marker);
+    }
+
+    /**
+     * Zoom to a marker and reveal its children
+     * @param {Object} marker - Marker whose children should be shown
+     * @param {number} currentLevel - Level of the marker (defaults to the current level)
+     * @returns {Object|null} - The zoom transition, or null if nothing to reveal
+     */
+    zoomToMarkerAndRevealChildren(marker, currentLevel = this.state.currentZoomLevel) {
+        // Check if marker has children
+        if (!marker.children || marker.children.length === 0) {
+            this.log('No children to reveal');
+            return null;
+        }
+        
+        // Set parent context for child rendering
+        this.state.currentParentId = marker.id;
+        
+        // Collect all children coordinates (every outer-ring vertex for areas),
+        // plus the marker's own footprint when it is an area
+        const childCoordinates = marker.children
+            .flatMap(child => GeometryUtils.getPositions(child.geometry));
+        if (childCoordinates.length > 0 && GeometryUtils.isArea(marker.geometry)) {
+            childCoordinates.push(...GeometryUtils.getPositions(marker.geometry));
+        }
+        
+        // If no valid children coordinates, fall back to parent
+        if (childCoordinates.length === 0) {
+            const targetScale = Math.min(this.getTargetScaleForLevel(currentLevel), this.maxZoom);
+            return this.centerOnNode(marker, targetScale);
+        }
+        
+        // Calculate bounding box of all children
+        const bbox = ProjectionUtils.calculateBoundingBox(childCoordinates);
+        
+        if (!bbox) {
+            this.log('Could not calculate bounding box');
+            return null;
+        }
+        
+        // On the globe, turn to the children's centre and frame them as they will be seen
+        let projection = this.projection;
+        if (this.isGlobe()) {
+            const center = ProjectionUtils.calculateCenter(bbox);
+            this.rotateGlobe(center);
+            projection = this.createMapProjection(this.projectionType, [-center[0], -center[1]]);
+        }
+        
+        // Project bounding box corners to screen coordinates
+        const topLeft = projection([bbox.minLon, bbox.maxLat]);
+        const bottomRight = projection([bbox.maxLon, bbox.minLat]);
+        
+        if (!topLeft || !bottomRight) {
+            this.log('Could not project bounding box');
+            return null;
+        }
+        
+        // Calculate the dimensions of the bounding box in screen space
+        const bboxWidth = Math.abs(bottomRight[0] - topLeft[0]);
+        const bboxHeight = Math.abs(bottomRight[1] - topLeft[1]);
+        
+        // Calculate center of bounding box in screen coordinates
+        const centerX = (topLeft[0] + bottomRight[0]) / 2;
+        const centerY = (topLeft[1] + bottomRight[1]) / 2;
+        
+        // Calculate scale to fit with padding (70% of available space)
+        const padding = 0.7;
+        const scaleX = (this.width * padding) / Math.max(bboxWidth, 1);
+        const scaleY = (this.height * padding) / Math.max(bboxHeight, 1);
+        let targetScale = Math.min(scaleX, scaleY);
+        
+        // Ensure minimum scale for hierarchy level transition
+        const minScaleForLevel = this.getTargetScaleForLevel(currentLevel);
+        targetScale = Math.max(targetScale, minScaleForLevel);
+        
+        // Stay above the children's level so they are the ones shown
+        const nextThreshold = this.zoomThresholds[currentLevel + 2];
+        if (nextThreshold !== undefined) {
+            targetScale = Math.min(targetScale, nextThreshold - 0.01);
+        }
+        
+        // Clamp to zoom extent
+        targetScale = Math.min(Math.max(targetScale, 1), this.maxZoom);
+        
+        // Calculate transform to center the bounding box
+        const transform = d3.zoomIdentity
+            .translate(
+                this.width / 2 - centerX * targetScale,
+                this.height / 2 - centerY * targetScale
+            )
+            .scale(targetScale);
+        
+        // Animate zoom
+        return this.svg.transition()
+            .duration(800)
+            .ease(d3.easeCubicInOut)
+            .call(this.zoom.transform, transform);
+    }
+
+    /**
+     * Get target zoom scale for a hierarchy level
+     */
+    getTargetScaleForLevel(currentLevel) {
+        if (currentLevel < this.levelCount) {
+            return this.zoomThresholds[currentLevel + 1] + 0.5;
+        }
+        
+        return Math.min(this.state.zoomTransform.k * 1.5, this.maxZoom);
+    }
+
+    /**
+     * Handle marker hover
+     */
+    handleMarkerHover(event, marker, element, isEntering) {
+        const group = d3.select(element);
+        
+        if (isEntering) {
+            group.raise(); // Bring to front
+            this.showTooltip(event, marker);
+        } else {
+            this.hideTooltip();
+        }
+        
+        // Link a marker and its area so either highlights both
+        this.g.selectAll('.marker-group, .area-shape')
+            .filter(d => d && d.id === marker.id)
+            .classed('hovered', isEntering);
+        
+        // Show the hovered marker's label even where it collides
+        this.state.hoveredMarkerId = isEntering ? marker.id : null;
+        this.placeLabels();
+    }
+
+    /**
+     * Update marker visual styles based on selection
+     */
+    updateMarkerStyles() {
+        const selectedIds = new Set(this.selectionManager.getSelectedIds());
+        
+        const isSelected = d => (d._cluster
+            ? d.members.some(member => selectedIds.has(member.id))
+            : selectedIds.has(d.id));
+        
+        this.markersGroup.selectAll('.marker-group')
+            .classed('selected', isSelected);
+        
+        if (this.canvasRenderer) {
+            const canvasSelected = new Set(selectedIds);
+            this.state.clusters.filter(isSelected).forEach(cluster => canvasSelected.add(cluster.id));
+            this.canvasRenderer.setSelected(canvasSelected);
+        }
+        
+        this.areasGroup.selectAll('.area-shape')
+            .classed('selected', d => !d._context && selectedIds.has(d.id));
+    }
+
+    /**
+     * Add zoom controls to the map
+     */
+    addZoomControls() {
+        const containerEl = d3.select(this.container);
+        
+        const controls = containerEl.append('div')
+            .attr('class', 'zoom-controls');
+        
+        // Zoom in button
+        controls.append('button')
+            .attr('class', 'zoom-btn zoom-in')
+            .attr('aria-label', 'Zoom in')
+            .html('+')
+            .on('click', () => this.handleZoomIn());
+        
+        // Zoom out button
+        controls.append('button')
+            .attr('class', 'zoom-btn zoom-out')
+            .attr('aria-label', 'Zoom out')
+            .html('−')
+            .on('click', () => this.handleZoomOut());
+    }
+
+    /**
+     * Handle zoom in button click
+     */
+    handleZoomIn() {
+        const currentScale = this.state.zoomTransform.k;
+        const newScale = Math.min(currentScale * 1.5, this.maxZoom);
+        
+        this.svg.transition()
+            .duration(300)
+            .call(this.zoom.scaleTo, newScale);
+    }
+
+    /**
+     * Handle zoom out button click
+     */
+    handleZoomOut() {
+        const currentScale = this.state.zoomTransform.k;
+        const newScale = Math.max(currentScale / 1.5, 1);
+        
+        // Clear parent context when zooming out
+        if (newScale < this.zoomThresholds[2]) {
+            this.state.currentParentId = null;
+        }
+        
+        this.svg.transition()
+            .duration(300)
+            .call(this.zoom.scaleTo, newScale);
+    }
+
+    /**
+     * Update zoom buttons state
+     */
+    updateZoomButtons(scale) {
+        d3.select(this.container).select('.zoom-in')
+            .attr('disabled', scale >= this.maxZoom ? true : null);
+        
+        d3.select(this.container).select('.zoom-out')
+            .attr('disabled', scale <= 1 ? true : null);
+    }
+
+    /**
+     * Add level indicator
+     */
+    addLevelIndicator() {
+        const containerEl = d3.select(this.container);
+        
+        containerEl.append('div')
+            .attr('class', 'level-indicator')
+            .html(this.getLevelIndicatorHTML());
+    }
+
+    /**
+     * Update level indicator
+     */
+    updateLevelIndicator() {
+        d3.select(this.container).select('.level-indicator')
+            .html(this.getLevelIndicatorHTML());
+    }
+
+    /**
+     * Get level indicator HTML
+     */
+    getLevelIndicatorHTML() {
+        const level = this.state.currentZoomLevel;
+        
+        return `Level: <strong>${level}</strong> (${this.levelNames[level] || 'Unknown'})`;
+    }
+
+    /**
+     * Add tooltip element
+     */
+    addTooltip() {
+        d3.select(this.container).append('div')
+            .attr('class', 'marker-tooltip')
+            .attr('id', 'marker-tooltip');
+    }
+
+    /**
+     * Show tooltip for a marker
+     */
+    showTooltip(event, marker) {
+        const tooltip = d3.select('#marker-tooltip');
+        const count = marker._count !== undefined ? marker._count : '?';
+        
+        const metricRows = marker._cluster
+            ? this.getClusterTooltipRows(marker)
+            : this.metrics.map(metric => `
+            <div class="tooltip-metric">
+                <span>${this.escapeHTML(metric.label)}</span>
+                <strong>${Aggregation.formatValue((marker._metrics || {})[metric.name], metric)}</strong>
+            </div>
+        `).join('');
+        
+        tooltip.html(`
+            <div class="tooltip-title">${marker.label}</div>
+            <div class="tooltip-count">${count} location${count !== 1 ? 's' : ''}</div>
+            ${this.getStatusTooltipRow(marker)}
+            ${metricRows}
+        `);
+        
+        // Position tooltip
+        const containerRect = d3.select(this.container).node().getBoundingClientRect();
+        const x = event.clientX - containerRect.left + 15;
+        const y = event.clientY - containerRect.top - 10;
+        
+        tooltip
+            .style('left', `${x}px`)
+            .style('top', `${y}px`)
+            .classed('visible', true);
+    }
+
+    /**
+     * Tooltip row with a marker's rolled-up status and, for aggregated
+     * markers, how many locations are in each status
+     */
+    getStatusTooltipRow(marker) {
+        if (!marker._status) return '';
+        
+        const color = HealthStatus.getStyle(marker._status, this.healthOptions).color;
+        let detail = '';
+        if (!marker._cluster && marker.children && marker.children.length > 0) {
+            const distribution = this.nodeIndex.getAggregates(marker.id, this.state.activeFilters, this.healthMetrics).health;
+            detail = this.healthOptions.levels
+                .filter(status => distribution[status])
+                .map(status => `${distribution[status]} ${this.escapeHTML(status)}`)
+                .join(', ');
+        }
+        
+        return `
+            <div class="tooltip-metric tooltip-status">
+                <span>Status</span>
+                <strong${color ? ` style="color: ${this.escapeHTML(color)}"` : ''}>${this.escapeHTML(marker._status)}</strong>
+            </div>
+            ${detail ? `<div class="tooltip-count">${detail}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Tooltip rows listing a cluster's members
+     */
+    getClusterTooltipRows(cluster) {
+        const shown = 6;
+        const rows = cluster.members.slice(0, shown).map(member => `
+            <div class="tooltip-metric">
+                <span>${this.escapeHTML(member.label)}</span>
+                <strong>${member._count}</strong>
+            </div>
+        `);
+        
+        if (cluster.members.length > shown) {
+            rows.push(`<div class="tooltip-count">+${cluster.members.length - shown} more</div>`);
+        }
+        
+        return rows.join('');
+    }
+
+    /**
+     * Show tooltip for a link bundle
+     */
+    showLinkTooltip(event, bundle) {
+        const tooltip = d3.select('#marker-tooltip');
+        const count = bundle.links.length;
+        
+        const metricRows = this.linkMetrics.map(metric => `
+            <div class="tooltip-metric">
+                <span>${this.escapeHTML(metric.label)}</span>
+                <strong>${Aggregation.formatValue(bundle._metrics[metric.name], metric)}</strong>
+            </div>
+        `).join('');
+        
+        tooltip.html(`
+            <div class="tooltip-title">${this.escapeHTML(bundle.sourceNode.label)} ↔ ${this.escapeHTML(bundle.targetNode.label)}</div>
+            <div class="tooltip-count">${count} link${count !== 1 ? 's' : ''}</div>
+            ${metricRows}
+        `);
+        
+        const containerRect = d3.select(this.container).node().getBoundingClientRect();
+        
+        tooltip
+            .style('left', `${event.clientX - containerRect.left + 15}px`)
+            .style('top', `${event.clientY - containerRect.top - 10}px`)
+            .classed('visible', true);
+    }
+
+    /**
+     * Shade basemap countries by the value of the node each is joined to
+     * and redraw the legend. Countries without a joined node, or whose node
+     * has no matching locations, keep the plain land fill. Detail tiers are
+     * coloured by feature key from the base countries' join.
+     */
+    renderChoropleth() {
+        const lands = this.g ? this.g.selectAll('.countries .land') : null;
+        if (!lands || lands.empty()) return;
+        
+        const options = this.choroplethOptions;
+        if (!options) {
+            this.state.choroplethJoin = new Map();
+            lands.classed('choropleth-shaded', false).style('fill', null);
+            this.renderChoroplethLegend([]);
+            return;
+        }
+        
+        // Join against the full base features, not a detail tier culled to
+        // the view, so the values, scale and legend don't change while panning
+        const filters = this.state.activeFilters;
+        const joined = Choropleth.join(
+            this.basemap ? this.basemap.features : lands.data(),
+            this.nodeIndex.getNodesAtLevel(options.level),
+            options,
+            nodeId => this.nodeIndex.has(nodeId)
+        );
+        this.state.choroplethJoin = joined;
+        
+        // One value per node (grouped countries share theirs)
+        const values = new Map();
+        joined.forEach(nodeId => {
+            if (!values.has(nodeId)) values.set(nodeId, this.getChoroplethValue(nodeId, filters));
+        });
+        const scale = Choropleth.createScale(Array.from(values.values()), options);
+        
+        const colorOf = feature => {
+            const nodeId = joined.get(Choropleth.featureKey(feature, options.join));
+            return nodeId && scale ? scale(values.get(nodeId)) : null;
+        };
+        
+        lands
+            .classed('choropleth-shaded', d => colorOf(d) !== null)
+            .style('fill', d => colorOf(d));
+        
+        this.renderChoroplethLegend(Choropleth.legendStops(Array.from(values.values()), options));
+    }
+
+    /**
+     * Choropleth value of a node under the active filters
+     * @returns {number|null} - Null when the node has no matching locations
+     */
+    getChoroplethValue(nodeId, filters) {
+        const count = this.nodeIndex.getCount(nodeId, filters);
+        if (count === 0) return null;
+        if (this.choroplethOptions.metric === 'count') return count;
+        
+        const value = this.nodeIndex.getAggregates(nodeId, filters, this.metrics)[this.choroplethOptions.metric];
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Draw density contours of the leaves matching the active filters. The
+     * contours are computed in screen space for the current view and drawn
+     * inside the zoomed group with the inverse transform, so they move with
+     * the map until the next recompute.
+     */
+    renderHeatmap() {
+        if (!this.heatmapGroup) return;
+        
+        const options = this.heatmapOptions;
+        if (!options || !options.visible) {
+            this.heatmapGroup.selectAll('path').remove();
+            return;
+        }
+        
+        const filters = this.state.activeFilters;
+        const transform = this.state.zoomTransform;
+        const leaves = this.getAllNodes().filter(node =>
+            (!node.children || node.children.length === 0) && this.nodeIndex.getCount(node.id, filters) > 0);
+        
+        const points = DensityHeatmap.getPoints(leaves, node => {
+            const position = this.isNodeInView(node) ? this.projectNode(node) : null;
+            return position ? transform.apply(position) : null;
+        }, options.weight);
+        
+        const { contours, margin } = DensityHeatmap.contours(points, {
+            width: this.width,
+            height: this.height,
+            bandwidth: options.bandwidth,
+            cellSize: options.cellSize,
+            thresholds: options.thresholds
+        });
+        const color = DensityHeatmap.colorScale(contours, options.colors);
+        
+        this.heatmapGroup
+            .style('opacity', options.opacity)
+            .attr('transform', `translate(${-transform.x / transform.k}, ${-transform.y / transform.k}) ` +
+                `scale(${1 / transform.k}) translate(${-margin}, ${-margin})`);
+        
+        const paths = this.heatmapGroup.selectAll('path')
+            .data(contours);
+        
+        paths.exit().remove();
+        
+        paths.enter()
+            .append('path')
+            .attr('class', 'heatmap-contour')
+            .merge(paths)
+            .attr('d', d3.geoPath())
+            .style('fill', d => color(d.value));
+        
+        this.log(`Heatmap: ${points.length} points, ${contours.length} contours`);
+    }
+
+    /**
+     * Add the heatmap toggle and opacity slider
+     */
+    addHeatmapControl() {
+        const containerEl = d3.select(this.container);
+        containerEl.select('.heatmap-control').remove();
+        
+        if (!this.heatmapOptions || !this.heatmapOptions.control) return;
+        
+        const control = containerEl.append('div')
+            .attr('class', 'heatmap-control');
+        
+        const toggle = control.append('label')
+            .attr('class', 'heatmap-toggle');
+        toggle.append('input')
+            .attr('type', 'checkbox')
+            .property('checked', this.heatmapOptions.visible)
+            .on('change', event => this.setHeatmapVisible(event.target.checked));
+        toggle.append('span').text('Heatmap');
+        
+        control.append('input')
+            .attr('type', 'range')
+            .attr('class', 'heatmap-opacity')
+            .attr('min', 0)
+            .attr('max', 1)
+            .attr('step', 0.05)
+            .attr('aria-label', 'Heatmap opacity')
+            .property('value', this.heatmapOptions.opacity)
+            .property('disabled', !this.heatmapOptions.visible)
+            .on('input', event => this.setHeatmapOpacity(Number(event.target.value)));
+    }
+
+    /**
+     * Sync the heatmap control with the options
+     */
+    updateHeatmapControl() {
+        const control = d3.select(this.container).select('.heatmap-control');
+        if (control.empty() || !this.heatmapOptions) return;
+        
+        control.select('input[type="checkbox"]').property('checked', this.heatmapOptions.visible);
+        control.select('.heatmap-opacity')
+            .property('value', this.heatmapOptions.opacity)
+            .property('disabled', !this.heatmapOptions.visible);
+    }
+
+    /**
+     * Label and formatter for the choropleth metric
+     * @returns {Object} - { label, format }
+     */
+    getChoroplethMetric() {
+        const metric = this.metrics.find(m => m.name === this.choroplethOptions.metric);
+        
+        return metric
+            ? { label: metric.label, format: value => Aggregation.formatValue(value, metric) }
+            : { label: 'Locations', format: value => Math.round(value).toLocaleString() };
+    }
+
+    /**
+     * Draw the choropleth legend (bottom left of the map)
+     * @param {Array} stops - Legend entries (see Choropleth.legendStops)
+     */
+    renderChoroplethLegend(stops) {
+        const containerEl = d3.select(this.container);
+        containerEl.select('.choropleth-legend').remove();
+        
+        const options = this.choroplethOptions;
+        if (!options || !options.legend || stops.length === 0) return;
+        
+        const { label, format } = this.getChoroplethMetric();
+        const title = options.title || label;
+        const first = stops[0].from;
+        const last = stops[stops.length - 1].to;
+        
+        const legend = containerEl.append('div')
+            .attr('class', 'choropleth-legend')
+            .attr('role', 'img')
+            .attr('aria-label', `${title}: ${format(first)} to ${format(last)}`);
+        
+        legend.append('div')
+            .attr('class', 'choropleth-legend-title')
+            .text(title);
+        
+        if (options.scale === 'quantize') {
+            const rows = legend.selectAll('.choropleth-legend-class')
+                .data(stops)
+                .enter()
+                .append('div')
+                .attr('class', 'choropleth-legend-class');
+            
+            rows.append('span')
+                .attr('class', 'choropleth-legend-swatch')
+                .style('background', d => d.color);
+            rows.append('span')
+                .text(d => `${format(d.from)} – ${format(d.to)}`);
+            return;
+        }
+        
+        legend.append('div')
+            .attr('class', 'choropleth-legend-bar')
+            .style('background', `linear-gradient(to right, ${stops.map(stop => stop.color).join(', ')})`);
+        
+        const labels = legend.append('div')
+            .attr('class', 'choropleth-legend-labels');
+        labels.append('span').text(format(first));
+        labels.append('span').text(format(last));
+    }
+
+    /**
+     * Highlight a shaded country (and the others joined to the same node)
+     * and show its value
+     */
+    handleCountryHover(event, feature, isEntering) {
+        const options = this.choroplethOptions;
+        if (!options || this.state.canvasHoverId) return;
+        
+        const join = this.state.choroplethJoin;
+        const nodeId = isEntering ? join.get(Choropleth.featureKey(feature, options.join)) || null : null;
+        
+        if (nodeId !== this.state.hoveredCountryNodeId) {
+            this.state.hoveredCountryNodeId = nodeId;
+            this.g.selectAll('.countries .land')
+                .classed('hovered', d => nodeId !== null && join.get(Choropleth.featureKey(d, options.join)) === nodeId);
+        }
+        
+        if (nodeId) {
+            this.showCountryTooltip(event, feature, nodeId);
+        } else {
+            this.hideTooltip();
+        }
+    }
+
+    /**
+     * Show tooltip for a shaded country
+     */
+    showCountryTooltip(event, feature, nodeId) {
+        const tooltip = d3.select('#marker-tooltip');
+        const node = this.nodeIndex.getNode(nodeId);
+        const name = (feature.properties && feature.properties.name) || node.label;
+        const value = this.getChoroplethValue(nodeId, this.state.activeFilters);
+        const { label, format } = this.getChoroplethMetric();
+        
+        tooltip.html(`
+            <div class="tooltip-title">${this.escapeHTML(name)}</div>
+            ${node.label !== name ? `<div class="tooltip-count">${this.escapeHTML(node.label)}</div>` : ''}
+            <div class="tooltip-metric">
+                <span>${this.escapeHTML(label)}</span>
+                <strong>${value !== null ? format(value) : '–'}</strong>
+            </div>
+        `);
+        
+        const containerRect = d3.select(this.container).node().getBoundingClientRect();
+        
+        tooltip
+            .style('left', `${event.clientX - containerRect.left + 15}px`)
+            .style('top', `${event.clientY - containerRect.top - 10}px`)
+            .classed('visible', true);
+    }
+
+    /**
+     * Hide tooltip
+     */
+    hideTooltip() {
+        d3.select('#marker-tooltip').classed('visible', false);
+    }
+
+    /**
+     * Build an element id that is unique on the page, prefixed with the
+     * container's id so several widgets can share a page
+     * @param {string} name - Element name, e.g. 'search-results'
+     * @returns {string}
+     */
+    elementId(name) {
+        if (!this.idPrefix) {
+            const container = d3.select(this.container).node();
+            const base = container && container.id
+                ? container.id
+                : `geo-map-${Math.random().toString(36).slice(2, 8)}`;
+            this.idPrefix = base.replace(/[^\w-]/g, '-');
+        }
+        return `${this.idPrefix}-${name}`;
+    }
+
+    /**
+     * Add search box (ARIA combobox with a suggestion listbox)
+     */
+    addSearchBox() {
+        if (!this.searchOptions) return;
+        
+        const containerEl = d3.select(this.container);
+        containerEl.select('.map-search').remove();
+        
+        const box = containerEl.append('div')
+            .attr('class', 'map-search')
+            .attr('role', 'search');
+        
+        const input = box.append('input')
+            .attr('type', 'search')
+            .attr('class', 'map-search-input')
+            .attr('role', 'combobox')
+            .attr('aria-label', 'Search locations')
+            .attr('aria-autocomplete', 'list')
+            .attr('aria-expanded', 'false')
+            .attr('aria-controls', this.elementId('search-results'))
+            .attr('placeholder', this.searchOptions.placeholder)
+            .attr('autocomplete', 'off');
+        
+        box.append('ul')
+            .attr('id', this.elementId('search-results'))
+            .attr('class', 'map-search-results')
+            .attr('role', 'listbox')
+            .attr('hidden', true);
+        
+        input.on('input', (event) => {
+            const query = event.target.value;
+            this.debounce('search', () => this.renderSearchResults(this.search(query)), 100);
+        });
+        input.on('keydown', (event) => this.handleSearchKeydown(event));
+        input.on('blur', () => {
+            // Delay so a click on a suggestion lands first
+            setTimeout(() => this.renderSearchResults([]), 150);
+        });
+    }
+
+    /**
+     * Keyboard navigation for the search suggestions
+     */
+    handleSearchKeydown(event) {
+        const results = this.state.searchResults;
+        
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (results.length === 0) return;
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                const next = (this.state.searchActiveIndex + step + results.length) % results.length;
+                this.setActiveSearchResult(next);
+                break;
+            }
+            case 'Enter': {
+                if (results.length === 0) return;
+                event.preventDefault();
+                this.chooseSearchResult(results[Math.max(this.state.searchActiveIndex, 0)]);
+                break;
+            }
+            case 'Escape': {
+                event.preventDefault();
+                if (results.length > 0) {
+                    this.renderSearchResults([]);
+                } else {
+                    event.target.value = '';
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Render the suggestion list
+     * @param {Array} results - Results from search()
+     */
+    renderSearchResults(results) {
+        const box = d3.select(this.container).select('.map-search');
+        if (box.empty()) return;
+        
+        this.state.searchResults = results;
+        this.state.searchActiveIndex = -1;
+        
+        const list = box.select('.map-search-results')
+            .attr('hidden', results.length === 0 ? true : null);
+        box.select('.map-search-input')
+            .attr('aria-expanded', results.length > 0 ? 'true' : 'false')
+            .attr('aria-activedescendant', null);
+        
+        list.html(results.map((result, i) => `
+            <li id="${this.elementId(`search-option-${i}`)}" class="map-search-option" role="option" aria-selected="false" data-index="${i}">
+                <span class="map-search-label">${this.highlightMatch(result)}</span>
+                <span class="map-search-context">${this.escapeHTML([...result.context, this.getLevelName(result.depth)].join(' › '))}</span>
+            </li>
+        `).join(''));
+        
+        list.selectAll('.map-search-option')
+            .on('mousedown', (event) => event.preventDefault())
+            .on('click', (event) => {
+                const index = Number(event.currentTarget.getAttribute('data-index'));
+                this.chooseSearchResult(this.state.searchResults[index]);
+            });
+    }
+
+    /**
+     * Mark the active suggestion for keyboard users
+     */
+    setActiveSearchResult(index) {
+        const box = d3.select(this.container).select('.map-search');
+        this.state.searchActiveIndex = index;
+        
+        box.selectAll('.map-search-option')
+            .classed('active', (d, i) => i === index)
+            .attr('aria-selected', (d, i) => (i === index ? 'true' : 'false'));
+        box.select('.map-search-input')
+            .attr('aria-activedescendant', this.elementId(`search-option-${index}`));
+    }
+
+    /**
+     * Label HTML with matched characters wrapped in <mark>. Matches in other
+     * fields are shown after the label.
+     */
+    highlightMatch(result) {
+        const mark = (text, indices) => {
+            const matched = new Set(indices);
+            return Array.from(text, (char, i) => (matched.has(i)
+                ? `<mark>${this.escapeHTML(char)}</mark>`
+                : this.escapeHTML(char))).join('');
+        };
+        
+        if (result.field === 'label') {
+            return mark(result.node.label, result.indices);
+        }
+        
+        return `${this.escapeHTML(result.node.label)} <small>${mark(result.text, result.indices)}</small>`;
+    }
+
+    /**
+     * Fly to a chosen suggestion and close the list
+     */
+    chooseSearchResult(result) {
+        if (!result) return;
+        
+        const input = d3.select(this.container).select('.map-search-input');
+        input.property('value', result.node.label);
+        this.renderSearchResults([]);
+        
+        this.flyToNode(result.node.id);
+    }
+
+    /**
+     * Get the search index, rebuilding it when the data has changed
+     */
+    getSearchIndex() {
+        if (!this.searchIndex || this.searchIndexData !== this.originalData) {
+            this.searchIndex = new SearchIndex(this.searchOptions || {});
+            this.searchIndex.build(this.nodeIndex);
+            this.searchIndexData = this.originalData;
+        }
+        
+        return this.searchIndex;
+    }
+
+    /**
+     * Center the map on a node at a given scale
+     * @returns {Object} - The zoom transition
+     */
+    centerOnNode(node, scale) {
+        let [x, y] = this.projectNode(node) || [this.width / 2, this.height / 2];
+        
+        // The globe turns the node to its centre instead
+        const position = GeometryUtils.getPosition(node.geometry);
+        if (this.isGlobe() && position) {
+            this.rotateGlobe(position);
+            [x, y] = this.projection.translate();
+        }
+        
+        const transform = d3.zoomIdentity
+            .translate(this.width / 2 - x * scale, this.height / 2 - y * scale)
+            .scale(scale);
+        
+        return this.svg.transition()
+            .duration(800)
+            .ease(d3.easeCubicInOut)
+            .call(this.zoom.transform, transform);
+    }
+
+    /**
+     * Build one filter dropdown per configured facet
+     */
+    populateFilters() {
+        const container = document.querySelector(this.facetContainer);
+        if (!container) return;
+        
+        container.innerHTML = this.facets.map(facet => `
+            <div class="filter-group" data-facet="${this.escapeHTML(facet.id)}">
+                <label for="facet-${this.escapeHTML(facet.id)}">${this.escapeHTML(facet.label)}</label>
+                <select id="facet-${this.escapeHTML(facet.id)}" class="filter-select facet-select"
+                        aria-label="Filter by ${this.escapeHTML(facet.label.toLowerCase())}"
+                        ${facet.multiple ? 'multiple' : ''}></select>
+            </div>
+        `).join('');
+        
+        this.facets.forEach(facet => {
+            const select = container.querySelector(`[data-facet="${CSS.escape(facet.id)}"] select`);
+            
+            select.addEventListener('change', () => {
+                const values = Array.from(select.selectedOptions)
+                    .map(option => option.value)
+                    .filter(value => value !== 'All');
+                this.setFacet(facet.id, values);
+            });
+        });
+        
+        this.updateFacetOptions();
+    }
+
+    /**
+     * Refresh facet options so each reflects the other active selections
+     */
+    updateFacetOptions() {
+        const container = document.querySelector(this.facetContainer);
+        if (!container || !this.originalData) return;
+        
+        const options = DataProcessing.extractFacetOptions(
+            this.originalData,
+            this.facets,
+            this.state.activeFilters,
+            this.getFilterCache().facets
+        );
+        
+        this.facets.forEach(facet => {
+            const select = container.querySelector(`[data-facet="${CSS.escape(facet.id)}"] select`);
+            if (!select) return;
+            
+            const selection = this.state.activeFilters.facets[facet.id];
+            const selected = new Set(selection ? selection.values : []);
+            
+            const items = (options[facet.id] || []).map(({ value, count }) => `
+                <option value="${this.escapeHTML(value)}" ${selected.has(value) ? 'selected' : ''}>
+                    ${this.escapeHTML(value)} (${count})
+                </option>
+            `);
+            
+            if (!facet.multiple) {
+                items.unshift(`<option value="All" ${selected.size === 0 ? 'selected' : ''}>All</option>`);
+            }
+            
+            select.innerHTML = items.join('');
+        });
+    }
+
+    /**
+     * Escape text for insertion into HTML
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Set the selected values of a facet ([] or 'All' clears it)
+     * @param {string} facetId - Facet id
+     * @param {Array|string} values - Selected value(s)
+     */
+    setFacet(facetId, values) {
+        return this.applyFilters({ facets: { [facetId]: values } });
+    }
+
+    /**
+     * Expand facet selections given as plain values into the self-describing
+     * { property, level, values } form DataProcessing evaluates
+     */
+    expandFacetSelections(selections) {
+        const expanded = {};
+        
+        Object.keys(selections || {}).forEach(id => {
+            const selection = selections[id];
+            const facet = this.facets.find(f => f.id === id);
+            const rawValues = Array.isArray(selection) || typeof selection !== 'object'
+                ? [].concat(selection)
+                : selection.values || [];
+            const values = rawValues
+                .filter(value => value !== undefined && value !== null && value !== 'All')
+                .map(String);
+            
+            if (!facet && !(selection && selection.property)) {
+                this.log('Ignoring unknown facet:', id);
+                return;
+            }
+            
+            expanded[id] = {
+                property: facet ? facet.property : selection.property,
+                level: facet ? facet.level : selection.level || null,
+                values
+            };
+        });
+        
+        return expanded;
+    }
+
+    /**
+     * Apply filters to the data
+     * @param {Object|string} filters - Filter criteria, or a query expression
+     * @returns {boolean} - False if the query expression does not parse
+     */
+    applyFilters(filters) {
+        this.log('Applying filters:', filters);
+        
+        filters = DataProcessing.normalizeFilters(filters);
+        
+        if (filters.query) {
+            const check = FilterQuery.validate(filters.query);
+            if (!check.isValid) {
+                console.error('Invalid filter query:', check.error);
+                return false;
+            }
+        }
+        
+        const facets = filters.facets
+            ? { ...this.state.activeFilters.facets, ...this.expandFacetSelections(filters.facets) }
+            : this.state.activeFilters.facets;
+        
+        this.state.activeFilters = { ...this.state.activeFilters, ...filters, facets };
+        
+        // Filter data
+        this.filteredData = this.filterActiveData(this.originalData);
+        
+        // Re-render markers with transition
+        this.renderMarkers(true);
+        
+        // Narrow the other facets to the new selection
+        this.updateFacetOptions();
+        
+        // Emit callback
+        this.onFilterChange(this.state.activeFilters);
+        
+        return true;
+    }
+
+    /**
+     * Handle window resize
+     */
+    setupResizeHandler() {
+        let resizeTimeout;
+        
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                this.handleResize();
+            }, 250);
+        });
+    }
+
+    /**
+     * Handle resize event
+     */
+    handleResize() {
+        const containerEl = d3.select(this.container);
+        const rect = containerEl.node().getBoundingClientRect();
+        
+        this.width = rect.width;
+        this.height = rect.height;
+        
+        // Update SVG viewBox
+        this.svg.attr('viewBox', `0 0 ${this.width} ${this.height}`);
+        
+        // Update projection (the globe keeps its rotation)
+        this.projection = this.createMapProjection(this.projectionType, this.projection.rotate());
+        this.path = d3.geoPath().projection(this.projection);
+        
+        if (this.canvasRenderer) {
+            this.canvasRenderer.resize(this.width, this.height);
+        }
+        
+        // Re-render
+        this.renderBaseMap();
+        this.renderMarkers();
+    }
+
+    /**
+     * Render the collapsible validation diagnostics panel
+     */
+    renderDiagnosticsPanel() {
+        const containerEl = d3.select(this.container);
+        containerEl.select('.diagnostics-panel').remove();
+        
+        const diagnostics = this.state.diagnostics;
+        if (!this.showDiagnostics || diagnostics.length === 0) return;
+        
+        const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+        const warningCount = diagnostics.length - errorCount;
+        const plural = (n, word) => `${n} ${word}${n !== 1 ? 's' : ''}`;
+        
+        const items = diagnostics.map(d => `
+            <li class="diagnostic ${d.severity}">
+                <code>${d.code}</code> ${this.escapeHTML(d.message)}
+                ${d.path ? `<span class="diagnostic-path">${this.escapeHTML(d.path)}</span>` : ''}
+                ${d.suggestion ? `<div class="diagnostic-suggestion">${this.escapeHTML(d.suggestion)}</div>` : ''}
+            </li>
+        `).join('');
+        
+        containerEl.append('details')
+            .attr('class', `diagnostics-panel${errorCount > 0 ? ' has-errors' : ''}`)
+            .html(`
+                <summary>${plural(errorCount, 'error')}, ${plural(warningCount, 'warning')}${errorCount > 0 ? ' (invalid nodes hidden)' : ''}</summary>
+                <ul>${items}</ul>
+            `);
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const containerEl = d3.select(this.container);
+        containerEl.html(`<div class="error-message">${message}</div>`);
+    }
+
+    /**
+     * Show empty state when no data matches filters
+     */
+    showEmptyState(message = 'No locations match the current filters') {
+        // Check if empty state already exists
+        const existing = d3.select(this.container).select('.empty-state');
+        if (!existing.empty()) return;
+        
+        d3.select(this.container).append('div')
+            .attr('class', 'empty-state')
+            .html(`
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <circle cx="12" cy="12" r="10"/>
+                    <path d="M8 12h8M12 8v8"/>
+                </svg>
+                <h3>No Results</h3>
+                <p>${message}</p>
+            `);
+    }
+
+    /**
+     * Hide empty state
+     */
+    hideEmptyState() {
+        d3.select(this.container).select('.empty-state').remove();
+    }
+
+    /**
+     * Project a node's marker position (its centroid for areas) to screen
+     * coordinates
+     * @returns {Array|null} - [x, y], or null if the node has no position
+     */
+    projectNode(node) {
+        const position = GeometryUtils.getPosition(node.geometry);
+        return position ? this.projection(position) : null;
+    }
+
+    /**
+     * Handle edge case: single location
+     */
+    handleSingleLocation() {
+        if (!this.filteredData || !this.filteredData.GeoLocations) return;
+        
+        const totalLocations = this.filteredData.GeoLocations.length;
+        
+        if (totalLocations === 1) {
+            const location = this.filteredData.GeoLocations[0];
+            
+            // Center on the single location
+            const [x, y] = this.projectNode(location) || [this.width / 2, this.height / 2];
+            const transform = d3.zoomIdentity
+                .translate(this.width / 2 - x, this.height / 2 - y);
+            
+            this.svg.transition()
+                .duration(500)
+                .call(this.zoom.transform, transform);
+        }
+    }
+
+    // ==========================================
+    // Public API Methods
+    // ==========================================
+
+    /**
+     * Update data programmatically
+     */
+    updateData(newData) {
+        this.log('Updating data...');
+        
+        newData = this.loadInput(newData);
+        if (!newData) {
+            return false;
+        }
+        
+        this.originalData = newData;
+        this.filteredData = this.filterActiveData(newData);
+        this.nodeIndex.update(newData);
+        this.configureLevels(newData);
+        this.updateLevelIndicator();
+        this.updateStatuses();
+        
+        if (this.state.currentParentId && !this.nodeIndex.has(this.state.currentParentId)) {
+            this.state.currentParentId = null;
+        }
+        
+        this.populateFilters();
+        this.renderMarkers(true);
+        this.renderDiagnosticsPanel();
+        this.updateTimelineControl();
+        
+        return true;
+    }
+
+    /**
+     * Apply incremental changes without resetting filters, selection,
+     * drill-down parent or zoom (see utils/dataPatch.js for operations)
+     * @param {Array|Object} operations - Patch operation(s)
+     * @returns {boolean} - False if any operation failed or the result is invalid
+     */
+    patchData(operations) {
+        if (Temporal.isSeries(this.temporalData)) {
+            console.error('Data patch failed: patches cannot be applied to a snapshot series');
+            return false;
+        }
+        
+        // With a timeline, patch the full time-varying data (the index only
+        // covers the current slice, so paths are searched for instead)
+        const patch = DataPatch.apply(this.temporalData || this.originalData, operations, {
+            index: this.temporalData ? null : this.nodeIndex
+        });
+        
+        if (patch.errors.length > 0) {
+            console.error('Data patch failed:', patch.errors);
+            return false;
+        }
+        
+        return this.commitPatch(patch);
+    }
+
+    /**
+     * Validate, index and render the result of DataPatch.apply
+     * @param {Object} patch - { data, changedIds, removedIds }
+     * @returns {boolean} - False if the patched data is invalid
+     */
+    commitPatch(patch) {
+        const previousDiagnostics = this.state.diagnostics;
+        
+        let newData = this.temporalData ? this.prepareData(patch.data) : this.preparePatch(patch);
+        if (!newData) {
+            return false;
+        }
+        
+        if (this.temporalData) {
+            this.temporalData = newData;
+            this.updateTimeRange();
+            this.updateTimelineControl();
+            newData = Temporal.sliceAt(newData, this.state.currentTime, this.timelineOptions);
+        }
+        
+        this.originalData = newData;
+        this.filteredData = this.filterActiveData(newData);
+        const { changed, removed } = this.nodeIndex.update(newData);
+        this.log(`Patched ${changed.length} nodes, removed ${removed.length}`);
+        this.updateStatuses();
+        
+        this.configureLevels(newData);
+        this.updateLevelIndicator();
+        
+        // Step out of a drill-down whose parent no longer exists
+        if (this.state.currentParentId && !this.nodeIndex.has(this.state.currentParentId)) {
+            this.state.currentParentId = null;
+        }
+        
+        this.renderMarkers(true, patch.changedIds);
+        
+        this.refreshSelectedMarkers();
+        
+        this.updateFacetOptions();
+        
+        const diagnostics = this.state.diagnostics;
+        if (diagnostics.length !== previousDiagnostics.length ||
+            diagnostics.some((d, i) => d !== previousDiagnostics[i])) {
+            this.renderDiagnosticsPanel();
+        }
+        
+        return true;
+    }
+
+    /**
+     * Point selected markers at their current data, dropping those that are
+     * gone or filtered out (call after renderMarkers)
+     */
+    refreshSelectedMarkers() {
+        const shown = new Map(this.state.levelMarkers.map(m => [m.id, m]));
+        this.selectionManager.refreshSelections(id => shown.get(id));
+    }
+
+    /**
+     * Validate only the nodes a patch touched, keeping the diagnostics of
+     * the rest. Falls back to prepareData (whole-tree validation, and the
+     * valid subset in lenient mode) when a touched node is invalid.
+     * @param {Object} patch - Result of DataPatch.apply
+     * @returns {Object|null} - Data to render, or null if it must be rejected
+     */
+    preparePatch(patch) {
+        const entries = DataPatch.collectChanged(patch.data, patch.changedIds);
+        const validation = DataProcessing.validateNodes(entries, this.validationOptions);
+        
+        if (!validation.isValid) {
+            return this.prepareData(patch.data);
+        }
+        
+        const affected = new Set(patch.removedIds);
+        entries.forEach(({ node }) => affected.add(node.id));
+        
+        this.state.diagnostics = [
+            ...this.state.diagnostics.filter(d => !affected.has(d.nodeId)),
+            ...validation.diagnostics
+        ];
+        
+        return patch.data;
+    }
+
+    /**
+     * Apply the active filters, reusing results for subtrees that did not
+     * change since the last call with the same filters
+     * @param {Object} data - GeoLocations data
+     * @returns {Object} - Filtered data
+     */
+    filterActiveData(data) {
+        return DataProcessing.filterData(data, this.state.activeFilters, this.getFilterCache().nodes);
+    }
+
+    /**
+     * Caches for filterActiveData and updateFacetOptions, replaced whenever
+     * the active filters change
+     */
+    getFilterCache() {
+        if (!this.filterCache || this.filterCache.filters !== this.state.activeFilters) {
+            this.filterCache = {
+                filters: this.state.activeFilters,
+                nodes: new WeakMap(),
+                facets: new WeakMap()
+            };
+        }
+        return this.filterCache;
+    }
+
+    /**
+     * Add a node (with any children) under a parent, or as a root
+     * @param {string|null} parentId - Parent node ID
+     * @param {Object} node - Node to add
+     * @param {number} index - Position among siblings (optional)
+     */
+    addNode(parentId, node, index) {
+        return this.patchData({ op: 'add', parentId, node, index });
+    }
+
+    /**
+     * Remove a node and its subtree
+     * @param {string} nodeId - Node ID
+     */
+    removeNode(nodeId) {
+        return this.patchData({ op: 'remove', id: nodeId });
+    }
+
+    /**
+     * Move a node and its subtree under another parent
+     * @param {string} nodeId - Node ID
+     * @param {string|null} parentId - New parent node ID
+     * @param {number} index - Position among siblings (optional)
+     */
+    moveNode(nodeId, parentId, index) {
+        return this.patchData({ op: 'move', id: nodeId, parentId, index });
+    }
+
+    /**
+     * Set or remove (null) properties on a node
+     * @param {string} nodeId - Node ID
+     * @param {Object} properties - Map of property key to value
+     */
+    updateProperties(nodeId, properties) {
+        return this.patchData({ op: 'update', id: nodeId, properties });
+    }
+
+    /**
+     * Subscribe to the configured data source and show its status badge
+     */
+    connectDataSource() {
+        if (!this.dataSource) return;
+        
+        this.addConnectionStatus();
+        
+        this.dataSource.onBatch = (batch) => this.applyStreamBatch(batch);
+        this.dataSource.onStatusChange = (status, info) => this.updateConnectionStatus(status, info);
+        this.dataSource.onError = (error) => this.log('Data source error:', error.message);
+        
+        this.dataSource.connect();
+    }
+
+    /**
+     * Apply one coalesced batch from the data source with a single render.
+     * The operations are applied to the data (the batch's snapshot, if any)
+     * before anything is drawn. A stale operation, e.g. removing a node that
+     * is already gone, is skipped and the rest still apply.
+     * @param {Object} batch - { snapshot, operations } from DataSource.coalesce
+     */
+    applyStreamBatch({ snapshot, operations }) {
+        if (snapshot) {
+            let data = snapshot;
+            if (operations.length > 0) {
+                const patch = DataPatch.apply(this.normalizeData(snapshot), operations);
+                this.logStaleOperations(patch.errors);
+                data = patch.data;
+            }
+            
+            this.updateData(data);
+            return;
+        }
+        
+        if (operations.length === 0) return;
+        
+        if (Temporal.isSeries(this.temporalData)) {
+            console.error('Data patch failed: patches cannot be applied to a snapshot series');
+            return;
+        }
+        
+        const patch = DataPatch.apply(this.temporalData || this.originalData, operations, {
+            index: this.temporalData ? null : this.nodeIndex
+        });
+        this.logStaleOperations(patch.errors);
+        
+        if (patch.changedIds.size > 0 || patch.removedIds.size > 0) {
+            this.commitPatch(patch);
+        }
+    }
+
+    /**
+     * Log live operations that no longer apply to the current data
+     * @param {Array} errors - errors from DataPatch.apply
+     */
+    logStaleOperations(errors) {
+        if (errors.length > 0) {
+            this.log(`Skipped ${errors.length} stale operation(s):`, errors);
+        }
+    }
+
+    /**
+     * Add connection status badge
+     */
+    addConnectionStatus() {
+        const containerEl = d3.select(this.container);
+        
+        containerEl.select('.connection-status').remove();
+        containerEl.append('div')
+            .attr('class', 'connection-status')
+            .attr('role', 'status')
+            .attr('aria-live', 'polite')
+            .html('<span class="connection-dot"></span><span class="connection-label"></span>');
+        
+        this.updateConnectionStatus(this.dataSource.status);
+    }
+
+    /**
+     * Update connection status badge
+     * @param {string} status - DataSource status
+     * @param {Object} info - { attempts, nextRetryIn }
+     */
+    updateConnectionStatus(status, info = {}) {
+        const labels = {
+            idle: 'Not connected',
+            connecting: 'Connecting…',
+            open: 'Live',
+            reconnecting: info.nextRetryIn
+                ? `Reconnecting in ${Math.ceil(info.nextRetryIn / 1000)}s`
+                : 'Reconnecting…',
+            closed: 'Offline',
+            error: 'Connection lost'
+        };
+        
+        this.state.connectionStatus = status;
+        
+        const badge = d3.select(this.container).select('.connection-status')
+            .attr('data-status', status);
+        badge.select('.connection-label').text(labels[status] || status);
+        
+        this.onConnectionChange(status, info);
+    }
+
+    /**
+     * Add timeline control (play/pause, scrubber, time label, speed)
+     */
+    addTimelineControl() {
+        if (!this.timelineOptions) return;
+        
+        const containerEl = d3.select(this.container);
+        containerEl.select('.timeline-control').remove();
+        
+        const control = containerEl.append('div')
+            .attr('class', 'timeline-control')
+            .attr('role', 'group')
+            .attr('aria-label', 'Timeline');
+        
+        control.append('button')
+            .attr('class', 'timeline-play')
+            .on('click', () => (this.state.isPlaying ? this.pause() : this.play()));
+        
+        control.append('input')
+            .attr('type', 'range')
+            .attr('class', 'timeline-scrubber')
+            .attr('aria-label', 'Time')
+            .on('input', (event) => {
+                const value = Number(event.target.value);
+                this.throttle('timeline', () => this.setTime(value), 100);
+            })
+            .on('change', (event) => this.setTime(Number(event.target.value)));
+        
+        control.append('span')
+            .attr('class', 'timeline-time')
+            .attr('aria-live', 'off');
+        
+        control.append('select')
+            .attr('class', 'timeline-speed')
+            .attr('aria-label', 'Playback speed')
+            .on('change', (event) => this.setPlaybackSpeed(Number(event.target.value)))
+            .selectAll('option')
+            .data(this.timelineOptions.speeds)
+            .enter()
+            .append('option')
+            .attr('value', d => d)
+            .text(d => `${d}×`);
+        
+        this.updateTimelineControl();
+    }
+
+    /**
+     * Sync the timeline control with the current time and playback state
+     */
+    updateTimelineControl() {
+        const control = d3.select(this.container).select('.timeline-control');
+        if (control.empty() || !this.timeRange) return;
+        
+        const { start, end } = this.timeRange;
+        const time = this.state.currentTime;
+        
+        control.select('.timeline-play')
+            .attr('aria-label', this.state.isPlaying ? 'Pause' : 'Play')
+            .text(this.state.isPlaying ? '❚❚' : '▶');
+        
+        control.select('.timeline-scrubber')
+            .attr('min', start)
+            .attr('max', end)
+            .attr('step', Math.max(1, Math.round((end - start) / 1000)))
+            .attr('aria-valuetext', Temporal.formatTime(time, end - start))
+            .property('value', time);
+        
+        control.select('.timeline-time')
+            .text(Temporal.formatTime(time, end - start));
+        
+        control.select('.timeline-speed')
+            .property('value', this.timelineOptions.speed);
+    }
+
+    /**
+     * Get the data source connection status
+     * @returns {string|null} - idle | connecting | open | reconnecting | closed | error
+     */
+    getConnectionStatus() {
+        return this.state.connectionStatus;
+    }
+
+    /**
+     * Export the current data as a GeoJSON FeatureCollection
+     * @param {Object} options - { filtered: use active filters, plus GeoJsonAdapter options }
+     */
+    exportGeoJSON(options = {}) {
+        const { filtered = false, ...adapterOptions } = options;
+        
+        return GeoJsonAdapter.toFeatureCollection(this.originalData, {
+            ...this.geoJsonOptions,
+            ...adapterOptions,
+            filters: filtered ? this.state.activeFilters : null
+        });
+    }
+
+    /**
+     * Get structured validation diagnostics for the current data
+     * @returns {Array} - [{ code, severity, path, nodeId, message, suggestion }]
+     */
+    getDiagnostics() {
+        return [...this.state.diagnostics];
+    }
+
+    /**
+     * Get rolled-up metric values for a node under the active filters
+     * @param {string} nodeId - Node ID
+     * @returns {Object} - Map of metric name to value
+     */
+    getMetrics(nodeId) {
+        return this.nodeIndex.getAggregates(nodeId, this.state.activeFilters, this.metrics);
+    }
+
+    /**
+     * Normalise a metric configuration one metric at a time, logging and
+     * skipping invalid definitions instead of rejecting the whole set
+     * @param {Object} metrics - Map of metric name to definition
+     * @returns {Array} - Normalised metrics
+     */
+    normalizeMetrics(metrics) {
+        return Object.keys(metrics || {}).reduce((valid, name) => {
+            try {
+                valid.push(...Aggregation.normalizeMetrics({ [name]: metrics[name] }));
+            } catch (error) {
+                console.error('Invalid metric:', error.message);
+            }
+            return valid;
+        }, []);
+    }
+
+    /**
+     * Replace the metric configuration and refresh labels and tooltips.
+     * Invalid metric definitions are logged and skipped. The change is
+     * rejected if it drops a metric the encodings or choropleth still use.
+     * @param {Object} metrics - Map of metric name to definition
+     * @param {string} labelMetric - Metric shown in marker labels (optional)
+     * @returns {boolean} - False if a metric in use is missing
+     */
+    setMetrics(metrics, labelMetric = this.labelMetric) {
+        const normalized = this.normalizeMetrics(metrics);
+        const names = new Set(normalized.map(metric => metric.name));
+        
+        const missing = this.encoding
+            .filter(channel => channel.metric && !names.has(channel.metric))
+            .map(channel => `"${channel.metric}" (${channel.channel} encoding)`);
+        const choropleth = this.choroplethOptions;
+        if (choropleth && choropleth.metric !== 'count' && !names.has(choropleth.metric)) {
+            missing.push(`"${choropleth.metric}" (choropleth)`);
+        }
+        if (missing.length > 0) {
+            console.error('Invalid metrics:', `Missing metrics still in use: ${missing.join(', ')}`);
+            return false;
+        }
+        
+        this.metrics = normalized;
+        this.labelMetric = labelMetric;
+        this.renderMarkers();
+        return true;
+    }
+
+    /**
+     * Get a node's rolled-up status under the active filters
+     * @param {string} nodeId - Node ID
+     * @returns {string|null}
+     */
+    getStatus(nodeId) {
+        return this.getNodeStatus(nodeId, this.state.activeFilters);
+    }
+
+    /**
+     * Switch the map projection, animating from the current one. Basemap,
+     * markers and overlays are re-projected and the zoom is reset.
+     * @param {string} type - 'naturalEarth1', 'mercator', 'equirectangular' or 'orthographic' (globe)
+     * @param {Object} options - { duration (ms, default 1000), center ([longitude, latitude] the globe
+     *   faces; defaults to the centre of the current view) }
+     * @returns {boolean} - False for an unknown projection
+     */
+    setProjection(type, options = {}) {
+        if (!ProjectionUtils.types.includes(type)) {
+            console.error('Invalid projection:', `Unknown projection "${type}"`);
+            return false;
+        }
+        
+        if (!this.projection) {
+            this.projectionType = type;
+            return true;
+        }
+        
+        // Settle a switch or rotation still in progress
+        this.svg.interrupt('projection').interrupt('rotate');
+        if (type === this.projectionType && !options.center) return true;
+        
+        const fromType = this.projectionType;
+        const from = this.projection;
+        
+        // Face the centre of the current view unless told otherwise
+        let center = options.center;
+        if (!center) {
+            const viewCenter = from.invert(this.state.zoomTransform.invert([this.width / 2, this.height / 2]));
+            center = viewCenter && viewCenter.every(isFinite) ? viewCenter : [0, 0];
+        }
+        const to = this.createMapProjection(type, [-center[0], -center[1]]);
+        
+        this.projectionType = type;
+        d3.select(this.container).classed('globe', this.isGlobe());
+        
+        const finish = () => {
+            this.projection = to;
+            this.path = d3.geoPath().projection(to);
+            this.renderBaseMap();
+            this.renderMarkers();
+        };
+        
+        // The old zoom transform does not apply to the new projection
+        const duration = options.duration !== undefined ? options.duration : 1000;
+        this.svg.transition()
+            .duration(duration)
+            .call(this.zoom.transform, d3.zoomIdentity);
+        
+        if (duration <= 0) {
+            finish();
+            return true;
+        }
+        
+        const blend = ProjectionUtils.interpolateProjection(from, to, fromType, type);
+        this.projection = blend;
+        this.path = d3.geoPath().projection(blend);
+        this.renderBaseMap();
+        
+        this.svg.transition('projection')
+            .duration(duration)
+            .ease(d3.easeCubicInOut)
+            .tween('projection', () => (t) => {
+                blend.alpha(t);
+                this.reproject(false);
+            })
+            .on('end interrupt', finish);
+        
+        return true;
     }
 
     /**
-     * Get target zoom scale for a hierarchy level
+     * Get the current projection type
+     * @returns {string}
      */
-    getTargetScaleForLevel(currentLevel) {
-        if (currentLevel === 1) {
-            return this.zoomThresholds.country + 0.5;
-        } else if (currentLevel === 2) {
-            return this.zoomThresholds.city + 0.5;
-        } else {
-            return Math.min(this.state.zoomTransform.k * 1.5, 12);
-        }
+    getProjection() {
+        return this.projectionType;
     }
 
     /**
-     * Handle marker hover
+     * Show or hide the heatmap
+     * @param {boolean} visible - Draw the density contours
      */
-    handleMarkerHover(event, marker, element, isEntering) {
-        const group = d3.select(element);
+    setHeatmapVisible(visible) {
+        if (!this.heatmapOptions) return;
         
-        if (isEntering) {
-            group.raise(); // Bring to front
-            this.showTooltip(event, marker);
-        } else {
-            this.hideTooltip();
-        }
+        this.heatmapOptions.visible = !!visible;
+        this.updateHeatmapControl();
+        this.renderHeatmap();
     }
 
     /**
-     * Update marker visual styles based on selection
+     * Set the heatmap opacity
+     * @param {number} opacity - 0 to 1
      */
-    updateMarkerStyles() {
-        const selectedIds = new Set(this.selectionManager.getSelectedIds());
+    setHeatmapOpacity(opacity) {
+        if (!this.heatmapOptions) return;
         
-        this.markersGroup.selectAll('.marker-group')
-            .classed('selected', d => selectedIds.has(d.id));
+        this.heatmapOptions.opacity = Math.min(Math.max(Number(opacity) || 0, 0), 1);
+        this.heatmapGroup.style('opacity', this.heatmapOptions.opacity);
+        this.updateHeatmapControl();
     }
 
     /**
-     * Add zoom controls to the map
+     * Change the heatmap options (weight, bandwidth, colours, ...), or remove
+     * the heatmap and its control
+     * @param {Object|null} options - Options merged into the current ones; null removes the heatmap
      */
-    addZoomControls() {
-        const containerEl = d3.select(this.container);
-        
-        const controls = containerEl.append('div')
-            .attr('class', 'zoom-controls');
-        
-        // Zoom in button
-        controls.append('button')
-            .attr('class', 'zoom-btn zoom-in')
-            .attr('aria-label', 'Zoom in')
-            .html('+')
-            .on('click', () => this.handleZoomIn());
+    setHeatmap(options) {
+        this.heatmapOptions = options
+            ? DensityHeatmap.normalize({ ...(this.heatmapOptions || {}), ...(options === true ? {} : options) })
+            : null;
         
-        // Zoom out button
-        controls.append('button')
-            .attr('class', 'zoom-btn zoom-out')
-            .attr('aria-label', 'Zoom out')
-            .html('−')
-            .on('click', () => this.handleZoomOut());
+        this.addHeatmapControl();
+        this.renderHeatmap();
     }
 
     /**
-     * Handle zoom in button click
+     * Change the choropleth (metric, join, scale, ...) or turn it off
+     * @param {Object|null} options - Choropleth options; null removes the shading
+     * @returns {boolean} - False if the options are invalid
      */
-    handleZoomIn() {
-        const currentScale = this.state.zoomTransform.k;
-        const newScale = Math.min(currentScale * 1.5, 12);
+    setChoropleth(options) {
+        try {
+            this.choroplethOptions = options
+                ? Choropleth.normalize(options === true ? {} : options, this.metrics)
+                : null;
+        } catch (error) {
+            console.error('Invalid choropleth:', error.message);
+            return false;
+        }
         
-        this.svg.transition()
-            .duration(300)
-            .call(this.zoom.scaleTo, newScale);
+        this.renderChoropleth();
+        return true;
     }
 
     /**
-     * Handle zoom out button click
+     * Replace the marker encodings (colour, size and shape) and redraw
+     * @param {Object} encoding - Map of channel to definition; null clears all
+     * @returns {boolean} - False if the encoding is invalid
      */
-    handleZoomOut() {
-        const currentScale = this.state.zoomTransform.k;
-        const newScale = Math.max(currentScale / 1.5, 1);
-        
-        // Clear parent context when zooming out
-        if (newScale < this.zoomThresholds.country) {
-            this.state.currentParentId = null;
+    setEncoding(encoding) {
+        try {
+            this.encoding = MarkerEncoding.normalize(encoding, this.metrics);
+        } catch (error) {
+            console.error('Invalid encoding:', error.message);
+            return false;
         }
         
-        this.svg.transition()
-            .duration(300)
-            .call(this.zoom.scaleTo, newScale);
+        this.encodingMetrics = MarkerEncoding.getMetrics(this.encoding);
+        this.renderMarkers();
+        return true;
     }
 
     /**
-     * Update zoom buttons state
+     * Show only links matching a filter query (over link ids and properties)
+     * @param {string|Function|null} filter - Query, predicate, or null for all links
+     * @returns {boolean} - False if the query does not parse
      */
-    updateZoomButtons(scale) {
-        d3.select(this.container).select('.zoom-in')
-            .attr('disabled', scale >= 12 ? true : null);
+    setLinkFilter(filter) {
+        if (!this.linkOptions) return false;
         
-        d3.select(this.container).select('.zoom-out')
-            .attr('disabled', scale <= 1 ? true : null);
+        if (typeof filter === 'string') {
+            const check = FilterQuery.validate(filter);
+            if (!check.isValid) {
+                console.error('Invalid link filter:', check.error);
+                return false;
+            }
+        }
+        
+        this.linkOptions.filter = filter || null;
+        this.renderLinks(true);
+        return true;
     }
 
     /**
-     * Add level indicator
+     * Change how link properties map to width and colour
+     * @param {Object} encoding - { width, color, widthRange, colorRange }; null clears an encoding
      */
-    addLevelIndicator() {
-        const containerEl = d3.select(this.container);
+    setLinkEncoding(encoding) {
+        if (!this.linkOptions) return;
         
-        containerEl.append('div')
-            .attr('class', 'level-indicator')
-            .html(this.getLevelIndicatorHTML());
+        this.linkOptions = { ...this.linkOptions, ...encoding };
+        this.linkMetrics = LinkUtils.normalizeEncoding(this.linkOptions);
+        this.renderLinks();
     }
 
     /**
-     * Update level indicator
+     * Get the link bundles currently drawn
+     * @returns {Array} - [{ id, source, target, links, _metrics, ... }]
      */
-    updateLevelIndicator() {
-        d3.select(this.container).select('.level-indicator')
-            .html(this.getLevelIndicatorHTML());
+    getVisibleLinks() {
+        return this.state.visibleLinks;
     }
 
     /**
-     * Get level indicator HTML
+     * Get the selected link bundles
      */
-    getLevelIndicatorHTML() {
-        const levelNames = {
-            1: 'Continents',
-            2: 'Countries',
-            3: 'Datacenters'
-        };
-        
-        return `Level: <strong>${this.state.currentZoomLevel}</strong> (${levelNames[this.state.currentZoomLevel] || 'Unknown'})`;
+    getSelectedLinks() {
+        return this.state.visibleLinks.filter(bundle => this.state.selectedLinkIds.has(bundle.id));
     }
 
     /**
-     * Add tooltip element
+     * Clear the link selection
      */
-    addTooltip() {
-        d3.select(this.container).append('div')
-            .attr('class', 'marker-tooltip')
-            .attr('id', 'marker-tooltip');
+    clearLinkSelection() {
+        if (this.state.selectedLinkIds.size === 0) return;
+        
+        this.state.selectedLinkIds.clear();
+        this.updateLinkStyles();
+        this.onLinkSelectionChange([]);
     }
 
     /**
-     * Show tooltip for a marker
+     * Move the timeline to a point in time; markers enter, exit and restyle
+     * to match the data at that time
+     * @param {Date|number|string} time - Target time (clamped to the range)
+     * @returns {boolean} - False without a timeline or for an invalid time
      */
-    showTooltip(event, marker) {
-        const tooltip = d3.select('#marker-tooltip');
-        const count = marker._count !== undefined ? marker._count : '?';
+    setTime(time) {
+        const parsed = Temporal.parseTime(time);
+        if (!this.temporalData || parsed === null) return false;
         
-        tooltip.html(`
-            <div class="tooltip-title">${marker.label}</div>
-            <div class="tooltip-count">${count} location${count !== 1 ? 's' : ''}</div>
-        `);
+        const { start, end } = this.timeRange;
+        this.state.currentTime = Math.min(Math.max(parsed, start), end);
         
-        // Position tooltip
-        const containerRect = d3.select(this.container).node().getBoundingClientRect();
-        const x = event.clientX - containerRect.left + 15;
-        const y = event.clientY - containerRect.top - 10;
+        let data = Temporal.sliceAt(this.temporalData, this.state.currentTime, this.timelineOptions);
+        if (Temporal.isSeries(this.temporalData)) {
+            data = Temporal.shareUnchanged(this.originalData, data);
+        }
         
-        tooltip
-            .style('left', `${x}px`)
-            .style('top', `${y}px`)
-            .classed('visible', true);
-    }
-
-    /**
-     * Hide tooltip
-     */
-    hideTooltip() {
-        d3.select('#marker-tooltip').classed('visible', false);
-    }
-
-    /**
-     * Populate filter dropdowns
-     */
-    populateFilters() {
-        const options = DataProcessing.extractFilterOptions(this.originalData);
+        const { changed, removed } = this.nodeIndex.update(data);
+        this.originalData = data;
         
-        // Populate region filter
-        const regionSelect = document.getElementById('regionFilter');
-        if (regionSelect) {
-            regionSelect.innerHTML = options.regions
-                .map(r => `<option value="${r}">${r}</option>`)
-                .join('');
+        if (changed.length > 0 || removed.length > 0) {
+            this.filteredData = this.filterActiveData(data);
+            this.updateStatuses();
+            
+            if (this.state.currentParentId && !this.nodeIndex.has(this.state.currentParentId)) {
+                this.state.currentParentId = null;
+            }
+            
+            this.renderMarkers(true, new Set(changed));
+            
+            this.refreshSelectedMarkers();
+            
+            this.updateFacetOptions();
         }
         
-        // Populate location filter
-        const locationSelect = document.getElementById('locationFilter');
-        if (locationSelect) {
-            locationSelect.innerHTML = options.locations
-                .map(l => `<option value="${l}">${l}</option>`)
-                .join('');
-        }
+        this.updateTimelineControl();
+        this.onTimeChange(new Date(this.state.currentTime));
         
-        // Populate datacentre filter
-        const datacentreSelect = document.getElementById('datacentreFilter');
-        if (datacentreSelect) {
-            datacentreSelect.innerHTML = options.datacentres
-                .map(d => `<option value="${d}">${d}</option>`)
-                .join('');
-        }
+        return true;
     }
 
     /**
-     * Apply filters to the data
+     * Get the current timeline position
+     * @returns {Date|null}
      */
-    applyFilters(filters) {
-        this.log('Applying filters:', filters);
-        
-        this.state.activeFilters = { ...this.state.activeFilters, ...filters };
-        
-        // Filter data
-        this.filteredData = DataProcessing.filterData(this.originalData, this.state.activeFilters);
-        
-        // Re-render markers with transition
-        this.renderMarkers(true);
-        
-        // Emit callback
-        this.onFilterChange(this.state.activeFilters);
+    getCurrentTime() {
+        return this.state.currentTime !== null ? new Date(this.state.currentTime) : null;
     }
 
     /**
-     * Handle window resize
+     * Get the timeline range
+     * @returns {Object|null} - { start: Date, end: Date }
      */
-    setupResizeHandler() {
-        let resizeTimeout;
-        
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                this.handleResize();
-            }, 250);
-        });
+    getTimeRange() {
+        return this.timeRange
+            ? { start: new Date(this.timeRange.start), end: new Date(this.timeRange.end) }
+            : null;
     }
 
     /**
-     * Handle resize event
+     * Play the timeline from the current time (restarting at the end)
      */
-    handleResize() {
-        const containerEl = d3.select(this.container);
-        const rect = containerEl.node().getBoundingClientRect();
+    play() {
+        if (!this.temporalData || this.state.isPlaying) return;
         
-        this.width = rect.width;
-        this.height = rect.height;
+        const { start, end } = this.timeRange;
+        if (this.state.currentTime >= end) {
+            this.setTime(start);
+        }
         
-        // Update SVG viewBox
-        this.svg.attr('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.state.isPlaying = true;
+        let last = Date.now();
         
-        // Update projection
-        this.projection = ProjectionUtils.createProjection(this.width, this.height, 'naturalEarth1');
-        this.path = d3.geoPath().projection(this.projection);
+        this.playbackTimer = d3.interval(() => {
+            const now = Date.now();
+            const rate = (end - start) / this.timelineOptions.duration * this.timelineOptions.speed;
+            const next = this.state.currentTime + (now - last) * rate;
+            last = now;
+            
+            if (next >= end) {
+                this.setTime(end);
+                this.pause();
+            } else {
+                this.setTime(next);
+            }
+        }, this.timelineOptions.tickInterval);
         
-        // Re-render
-        this.renderBaseMap();
-        this.renderMarkers();
+        this.updateTimelineControl();
     }
 
     /**
-     * Show error message
+     * Pause timeline playback
      */
-    showError(message) {
-        const containerEl = d3.select(this.container);
-        containerEl.html(`<div class="error-message">${message}</div>`);
+    pause() {
+        if (this.playbackTimer) {
+            this.playbackTimer.stop();
+            this.playbackTimer = null;
+        }
+        
+        this.state.isPlaying = false;
+        this.updateTimelineControl();
     }
 
     /**
-     * Show empty state when no data matches filters
+     * Set the playback speed multiplier
+     * @param {number} speed - e.g. 2 for double speed
      */
-    showEmptyState(message = 'No locations match the current filters') {
-        // Check if empty state already exists
-        const existing = d3.select(this.container).select('.empty-state');
-        if (!existing.empty()) return;
+    setPlaybackSpeed(speed) {
+        if (!(speed > 0)) return;
         
-        d3.select(this.container).append('div')
-            .attr('class', 'empty-state')
-            .html(`
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                    <circle cx="12" cy="12" r="10"/>
-                    <path d="M8 12h8M12 8v8"/>
-                </svg>
-                <h3>No Results</h3>
-                <p>${message}</p>
-            `);
+        this.timelineOptions.speed = speed;
+        this.updateTimelineControl();
     }
 
     /**
-     * Hide empty state
+     * Look up a node by ID
      */
-    hideEmptyState() {
-        d3.select(this.container).select('.empty-state').remove();
+    getNodeById(nodeId) {
+        return this.nodeIndex.getNode(nodeId);
     }
 
     /**
-     * Handle edge case: overlapping markers
+     * Get the ancestor nodes of a node, root first
      */
-    resolveMarkerOverlaps(markers) {
-        if (markers.length < 2) return markers;
-        
-        const minDistance = 50 / this.state.zoomTransform.k;
-        
-        return ProjectionUtils.resolveOverlaps(
-            markers.map(m => {
-                const [x, y] = this.projection(m.geometry.coordinates) || [0, 0];
-                return { ...m, x, y };
-            }),
-            minDistance
-        );
+    getAncestors(nodeId) {
+        return this.nodeIndex.getAncestors(nodeId);
     }
 
     /**
-     * Handle edge case: single location
+     * Search locations by label, id and the configured properties. Only
+     * locations matching the active filters are returned.
+     * @param {string} query - Search text (fuzzy)
+     * @param {Object} options - { limit }
+     * @returns {Array} - [{ node, depth, context, score, field, text, indices }], best first
      */
-    handleSingleLocation() {
-        if (!this.filteredData || !this.filteredData.GeoLocations) return;
-        
-        const totalLocations = this.filteredData.GeoLocations.length;
+    search(query, options = {}) {
+        const filters = this.state.activeFilters;
         
-        if (totalLocations === 1) {
-            const location = this.filteredData.GeoLocations[0];
-            const [lon, lat] = location.geometry.coordinates;
-            
-            // Center on the single location
-            const [x, y] = this.projection([lon, lat]) || [this.width / 2, this.height / 2];
-            const transform = d3.zoomIdentity
-                .translate(this.width / 2 - x, this.height / 2 - y);
-            
-            this.svg.transition()
-                .duration(500)
-                .call(this.zoom.transform, transform);
-        }
+        return this.getSearchIndex().search(query, {
+            ...options,
+            filter: node => this.nodeIndex.getCount(node.id, filters) > 0
+        });
     }
 
-    // ==========================================
-    // Public API Methods
-    // ==========================================
-
     /**
-     * Update data programmatically
+     * Reveal a node: show its siblings under its parent, frame them the way a
+     * double-click does, then select the node
+     * @param {string} nodeId - Node ID
+     * @returns {boolean} - False if the node is unknown or filtered out
      */
-    updateData(newData) {
-        this.log('Updating data...');
+    flyToNode(nodeId) {
+        const filters = this.state.activeFilters;
+        const node = this.nodeIndex.getNode(nodeId);
         
-        const validation = DataProcessing.validateData(newData);
-        if (!validation.isValid) {
-            console.error('Data validation errors:', validation.errors);
+        if (!node || this.nodeIndex.getCount(nodeId, filters) === 0) {
+            this.log('Cannot fly to hidden or unknown node:', nodeId);
             return false;
         }
         
-        this.originalData = newData;
-        this.filteredData = DataProcessing.filterData(newData, this.state.activeFilters);
+        const level = this.nodeIndex.getDepth(nodeId);
+        const parent = this.nodeIndex.getParent(nodeId);
         
-        this.populateFilters();
-        this.renderMarkers(true);
+        const transition = parent
+            ? this.zoomToMarkerAndRevealChildren({
+                ...parent,
+                children: parent.children.filter(child => this.nodeIndex.getCount(child.id, filters) > 0)
+            }, level - 1)
+            : this.centerOnNode(node, 1);
+        
+        const reveal = () => {
+            // Zooming out on the way may have cleared the parent context
+            this.state.currentParentId = parent ? parent.id : null;
+            this.renderMarkers();
+            
+            const marker = this.state.visibleMarkers.find(m => m.id === nodeId);
+            if (!marker) return;
+            
+            if (!this.selectionManager.isSelected(nodeId)) {
+                this.selectionManager.selectMarker(marker, level, false);
+            }
+            this.announceToScreenReader(`Showing ${node.label}`);
+        };
+        
+        if (transition) {
+            transition.on('end.search', reveal);
+        } else {
+            reveal();
+        }
         
         return true;
     }
 
+    /**
+     * Get the backend currently drawing the markers
+     * @returns {string} - "svg" or "canvas"
+     */
+    getActiveRenderer() {
+        return this.state.activeRenderer;
+    }
+
     /**
      * Get current selection
      */
@@ -1204,21 +4453,12 @@ class GeoMapWidget {
      * Zoom to a specific level programmatically
      */
     zoomToLevel(level) {
-        let targetScale;
+        let targetScale = 1;
         
-        switch (level) {
-            case 1:
-                targetScale = 1;
-                this.state.currentParentId = null;
-                break;
-            case 2:
-                targetScale = this.zoomThresholds.country + 0.5;
-                break;
-            case 3:
-                targetScale = this.zoomThresholds.city + 0.5;
-                break;
-            default:
-                targetScale = 1;
+        if (level > 1 && level <= this.levelCount) {
+            targetScale = Math.min(this.zoomThresholds[level] + 0.5, this.maxZoom);
+        } else {
+            this.state.currentParentId = null;
         }
         
         this.svg.transition()
@@ -1237,7 +4477,10 @@ class GeoMapWidget {
      * Get current filters
      */
     getFilters() {
-        return { ...this.state.activeFilters };
+        return {
+            ...this.state.activeFilters,
+            facets: { ...this.state.activeFilters.facets }
+        };
     }
 
     /**
@@ -1247,18 +4490,18 @@ class GeoMapWidget {
         this.state.activeFilters = {
             region: 'All',
             location: 'All',
-            datacentre: 'All'
+            datacentre: 'All',
+            query: null,
+            facets: {}
         };
         this.state.currentParentId = null;
         
         this.filteredData = this.originalData;
         this.clearSelection();
+        this.clearLinkSelection();
         
         // Reset filters UI
-        ['regionFilter', 'locationFilter', 'datacentreFilter'].forEach(id => {
-            const el = document.getElementById(id);
-            if (el) el.value = 'All';
-        });
+        this.updateFacetOptions();
         
         // Reset zoom
         this.svg.transition()
@@ -1272,6 +4515,21 @@ class GeoMapWidget {
      * Destroy the widget
      */
     destroy() {
+        this.pause();
+        
+        // Stop live updates
+        if (this.dataSource) {
+            this.dataSource.disconnect();
+        }
+        
+        if (this.canvasRenderer) {
+            this.canvasRenderer.destroy();
+        }
+        
+        // Cancel debounced work (label placement, reclustering) still pending
+        Object.values(this.debounceTimers).forEach(timer => clearTimeout(timer));
+        this.debounceTimers = {};
+        
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
         
@@ -83,7 +83,7 @@ const GeoWidgetTests = {
 
         // Test 6: Filters populated
         await this.test('Filters Populated', () => {
-            const regionFilter = document.getElementById('regionFilter');
+            const regionFilter = document.querySelector('[data-facet="region"] select');
             return regionFilter && regionFilter.options.length > 1;
         }, results);
 
@@ -153,6 +153,1128 @@ const GeoWidgetTests = {
             return this.widget.state.currentZoomLevel === 1;
         }, results);
 
+        // Test 16: Hierarchies deeper than three levels
+        await this.test('Arbitrary Hierarchy Depth', () => {
+            const node = (id, category, children) => ({
+                id, label: id,
+                properties: [{ propertyKey: 'CategoryName', propertyValue: category }],
+                geometry: { type: 'Point', coordinates: [0, 0] },
+                children
+            });
+            const data = { GeoLocations: [
+                node('europe', 'Continent', [
+                    node('germany', 'Country', [
+                        node('bavaria', 'State', [
+                            node('munich', 'Metro', [node('dc-munich-1', 'Datacenter'), node('dc-munich-2', 'Datacenter')])
+                        ])
+                    ]),
+                    node('dc-lisbon', 'Datacenter')
+                ])
+            ] };
+            
+            const options = DataProcessing.extractFilterOptions(data);
+            const leaves = DataProcessing.getNodesAtLevel(data, 5);
+            
+            return DataProcessing.getMaxDepth(data) === 5 &&
+                   DataProcessing.getLevelCategories(data)[4] === 'Metro' &&
+                   options.byLevel[4].join() === 'All,munich' &&
+                   options.datacentres.join() === 'All,dc-lisbon,dc-munich-1,dc-munich-2' &&
+                   leaves.length === 2 && leaves[0]._parent.id === 'munich' &&
+                   DataProcessing.calculateCounts(data.GeoLocations[0]) === 3;
+        }, results);
+
+        // Test 17: Node index lookups, cached counts and incremental updates
+        await this.test('Node Index', () => {
+            const node = (id, children) => ({
+                id, label: id, geometry: { type: 'Point', coordinates: [0, 0] }, children
+            });
+            const data = { GeoLocations: [
+                node('europe', [node('germany', [node('dc-berlin'), node('dc-frankfurt')]), node('france', [node('dc-paris')])]),
+                node('asia', [node('japan', [node('dc-tokyo')])])
+            ] };
+            const index = new NodeIndex(data);
+            
+            const looked = index.getParent('dc-berlin').id === 'germany' &&
+                           index.getDepth('dc-paris') === 3 &&
+                           index.getPath('dc-tokyo').join() === 'asia,japan,dc-tokyo' &&
+                           index.getAncestors('dc-frankfurt').map(n => n.id).join() === 'europe,germany' &&
+                           index.getNodesAtLevel(2).length === 3 &&
+                           index.getMaxDepth() === 3 &&
+                           index.getCount('europe') === 3 &&
+                           index.getCount('europe', { datacentre: 'dc-paris' }) === 1;
+            
+            // Replace the changed branch (and its ancestors); asia keeps its identity
+            const [europe, asia] = data.GeoLocations;
+            const [germany] = europe.children;
+            const updated = { GeoLocations: [
+                { ...europe, children: [{ ...germany, children: [...germany.children, node('dc-munich')] }] },
+                asia
+            ] };
+            const { changed, removed } = index.update(updated);
+            
+            return looked &&
+                   changed.join() === 'europe,germany,dc-munich' &&
+                   removed.sort().join() === 'dc-paris,france' &&
+                   !index.has('france') && index.getNode('asia') === asia &&
+                   index.getCount('europe') === 3 &&
+                   index.getCount('europe', { datacentre: 'dc-paris' }) === 0 &&
+                   index.getCount('germany', { datacentre: 'dc-munich' }) === 1;
+        }, results);
+
+        // Test 18: GeoJSON export and import round-trip; duplicate and cyclic features are reported
+        await this.test('GeoJSON Round Trip', () => {
+            const shape = node => ({
+                id: node.id,
+                label: node.label,
+                properties: node.properties || [],
+                geometry: node.geometry,
+                children: (node.children || []).map(shape)
+            });
+            const data = this.widget.originalData;
+            const collection = GeoJsonAdapter.toFeatureCollection(data);
+            const restored = GeoJsonAdapter.fromFeatureCollection(collection);
+            const roundTrip = GeoJsonAdapter.isFeatureCollection(collection) &&
+                              JSON.stringify(restored.GeoLocations.map(shape)) === JSON.stringify(data.GeoLocations.map(shape));
+            
+            const feature = (properties, coordinates) => ({
+                type: 'Feature',
+                properties,
+                geometry: coordinates ? { type: 'Point', coordinates } : null
+            });
+            const byPath = GeoJsonAdapter.fromFeatureCollection({ type: 'FeatureCollection', features: [
+                feature({ id: 'dc-1', path: 'Asia/Japan/DC 1' }, [140, 36]),
+                feature({ id: 'dc-2', path: 'Asia/Japan/DC 2' }, [136, 34]),
+                feature({ id: 'dc-3', path: 'Asia/Japan/DC 2' }, [135, 35])
+            ] }, { pathProperty: 'path' });
+            const japan = byPath.GeoLocations[0].children[0];
+            const placeholders = japan.label === 'Japan' && japan.children.length === 2 &&
+                                 japan.geometry.coordinates.join() === '138,35';
+            
+            const cyclic = GeoJsonAdapter.fromFeatureCollection({ type: 'FeatureCollection', features: [
+                feature({ id: 'a', parentId: 'b' }, [0, 0]),
+                feature({ id: 'b', parentId: 'a' }, [1, 1]),
+                feature({ id: 'c', parentId: 'a' }, [2, 2]),
+                feature({ id: 'd' }, [3, 3])
+            ] });
+            const errors = [...DataProcessing.validateData(byPath).errors, ...DataProcessing.validateData(cyclic).errors];
+            const reported = cyclic.GeoLocations.map(n => n.id).join() === 'd' &&
+                             errors.length === 4 &&
+                             errors[0] === 'Duplicate feature path "Asia/Japan/DC 2" (first used at features[1]) at features[2]' &&
+                             errors.slice(1).every(e => e.includes('parent cycle'));
+            
+            return roundTrip && placeholders && reported;
+        }, results);
+
+        // Test 19: CSV rows become the hierarchy; bad rows are reported with their line number
+        await this.test('CSV Loader Row Errors', () => {
+            const csv = [
+                'region,country,site,lat,lon,status',
+                'Asia,Japan,Tokyo DC-1,35.6,139.6,Active',
+                'Asia,Japan,"Osaka, ""West""",34.6,135.5,Degraded',
+                'Asia,,Orphan,1,1,Active',
+                '"Asia","Japan","Kobe',
+                'Port",34.7,135.2,Active',
+                'Asia,Japan,,x,y,',
+                'Europe,Deutschland,München!,48.1,11.5,Active',
+                'Europe,Deutschland,München?,48.2,11.6,Active',
+                'Asia,Japan,Tokyo DC-1,35.6,139.6,Active'
+            ].join('\n');
+            const data = TabularLoader.load(csv, {
+                levels: ['region', 'country', 'site'],
+                properties: { Status: 'status' }
+            });
+            
+            const japan = data.GeoLocations[0].children[0];
+            const germany = data.GeoLocations[1].children[0];
+            const built = japan.children.map(n => n.label).join('|') === 'Tokyo DC-1|Osaka, "West"|Kobe\nPort' &&
+                          DataProcessing.getPropertyValue(japan.children[1], 'Status') === 'Degraded' &&
+                          germany.children.map(n => n.id).join() ===
+                              'site-europe-deutschland-münchen,site-europe-deutschland-münchen-2';
+            
+            const errors = data._rowErrors.map(e => `${e.line}: ${e.message.split(' ')[0]}`);
+            return built &&
+                   errors.join(' | ') === '4: Missing | 7: Invalid | 10: Duplicate' &&
+                   !DataProcessing.validateData(data).isValid;
+        }, results);
+
+        // Test 20: Filter queries parse, evaluate against ancestors and report errors
+        await this.test('Filter Query Language', () => {
+            const props = values => Object.keys(values).map(key => ({ propertyKey: key, propertyValue: values[key] }));
+            const asia = { id: 'asia', label: 'Asia', properties: props({ CategoryName: 'Region' }) };
+            const japan = { id: 'japan', label: 'Japan', properties: props({ Tier: 'gold' }) };
+            const leaf = { id: 'dc-1', label: 'Tokyo DC-1', properties: props({ Status: 'Active', Tier: 3, Provider: 'AWS' }) };
+            const matches = query => FilterQuery.evaluate(query, leaf, [asia, japan]);
+            
+            const evaluated = matches('Status = "Active" AND Tier >= 3 AND Provider IN ("AWS", "GCP")') &&
+                              !matches('Status = "Active" AND NOT (Tier > 2 OR Provider = "GCP")') &&
+                              matches("parent.Tier = 'gold' AND ancestor(1).CategoryName = 'Region'") &&
+                              matches('label STARTSWITH "tokyo" AND label MATCHES /dc-\\d/i') &&
+                              matches('level = 3 AND Missing = null') &&
+                              !matches('ancestor.label = "Europe"');
+            
+            const invalid = FilterQuery.validate('Status = "Active" AND');
+            const unterminated = FilterQuery.validate('Status = "Active');
+            const reported = FilterQuery.validate('Tier > 2').isValid &&
+                             !invalid.isValid && !unterminated.isValid &&
+                             unterminated.error === 'Unterminated string at position 9';
+            
+            // Least recently used expressions are evicted first
+            const maxCacheSize = FilterQuery.maxCacheSize;
+            FilterQuery.cache.clear();
+            FilterQuery.maxCacheSize = 2;
+            let evicted;
+            try {
+                FilterQuery.compile('Tier = 1');
+                FilterQuery.compile('Tier = 2');
+                FilterQuery.compile('Tier = 1');
+                FilterQuery.compile('Tier = 3');
+                evicted = [...FilterQuery.cache.keys()].join() === 'Tier = 1,Tier = 3';
+            } finally {
+                FilterQuery.maxCacheSize = maxCacheSize;
+            }
+            
+            return evaluated && reported && evicted;
+        }, results);
+
+        // Test 21: Cached counts below a node whose fields change are recomputed
+        await this.test('Query Counts Follow Parent Changes', () => {
+            const node = (id, properties, children) => ({
+                id, label: id, properties, geometry: { type: 'Point', coordinates: [0, 0] }, children
+            });
+            const japan = node('japan', [], [node('dc-tokyo', []), node('dc-osaka', [])]);
+            const asia = node('asia', [], [japan]);
+            const index = new NodeIndex({ GeoLocations: [asia] });
+            const filters = { query: "not parent.Tier = 'gold'" };
+            const before = index.getCount('asia', filters);
+            
+            // Only japan's own fields change; its children keep their identity
+            const goldJapan = { ...japan, properties: [{ propertyKey: 'Tier', propertyValue: 'gold' }] };
+            index.update({ GeoLocations: [{ ...asia, children: [goldJapan] }] });
+            
+            return before === 2 &&
+                   index.getCount('asia', filters) === 0 &&
+                   index.getCount('dc-tokyo', filters) === 0;
+        }, results);
+
+        // Test 22: Facet options cascade from the other active selections
+        await this.test('Cascading Facets', () => {
+            const node = (id, status, children) => ({
+                id, label: id,
+                properties: status ? [{ propertyKey: 'Status', propertyValue: status }] : [],
+                geometry: { type: 'Point', coordinates: [0, 0] },
+                children
+            });
+            const data = { GeoLocations: [
+                node('Europe', null, [
+                    node('Germany', null, [node('dc-berlin', 'Active'), node('dc-frankfurt', 'Down')]),
+                    node('France', null, [node('dc-paris', 'Active')])
+                ]),
+                node('Asia', null, [node('Japan', null, [node('dc-tokyo', 'Active')])])
+            ] };
+            const facets = DataProcessing.normalizeFacets([
+                { id: 'region', level: 1 },
+                { id: 'location', level: 2 },
+                'Status'
+            ]);
+            const select = selections => ({ facets: facets.reduce((result, facet) => {
+                if (selections[facet.id]) result[facet.id] = { ...facet, values: selections[facet.id] };
+                return result;
+            }, {}) });
+            const format = options => options.map(o => `${o.value}:${o.count}`).join();
+            
+            const byRegion = DataProcessing.extractFacetOptions(data, facets, select({ region: ['Europe'] }));
+            const byStatus = DataProcessing.extractFacetOptions(data, facets, select({ region: ['Europe'], Status: ['Down'] }));
+            
+            return facets[2].id === 'Status' && facets[2].level === null &&
+                   format(byRegion.region) === 'Asia:1,Europe:3' &&
+                   format(byRegion.location) === 'France:1,Germany:2' &&
+                   format(byRegion.Status) === 'Active:2,Down:1' &&
+                   format(byStatus.region) === 'Europe:1' &&
+                   format(byStatus.location) === 'Germany:1' &&
+                   DataProcessing.calculateCounts(data.GeoLocations[0], select({ Status: ['Active', 'Down'] })) === 3;
+        }, results);
+
+        // Test 23: Region, location and datacentre filters keep everything beneath the selection
+        await this.test('Ancestor-Aware Location Filters', () => {
+            const node = (label, children) => ({
+                id: label.toLowerCase(), label,
+                properties: [{ propertyKey: 'CategoryValue', propertyValue: label }],
+                geometry: { type: 'Point', coordinates: [0, 0] },
+                children
+            });
+            const data = { GeoLocations: [
+                node('Europe', [
+                    node('Germany', [node('Berlin DC'), node('Frankfurt DC')]),
+                    node('France', [node('Paris DC')])
+                ]),
+                node('Asia', [node('Japan', [node('Tokyo DC')])])
+            ] };
+            const summary = filters => DataProcessing.filterData(data, filters).GeoLocations
+                .map(region => `${region.label}:${region._filteredCount}`).join();
+            const [europe] = data.GeoLocations;
+            const germany = europe.children[0];
+            
+            return summary({ region: 'Europe' }) === 'Europe:3' &&
+                   summary({ location: 'Germany' }) === 'Europe:2' &&
+                   summary({ region: 'Asia', location: 'Germany' }) === 'Asia:0' &&
+                   summary({ datacentre: 'Tokyo DC' }) === 'Asia:1' &&
+                   summary({}) === 'Europe:3,Asia:1' &&
+                   DataProcessing.matchesFilters(germany.children[0], { region: 'Europe', location: 'Germany' }, [europe, germany]) &&
+                   !DataProcessing.matchesFilters(germany.children[0], { location: 'Germany' });
+        }, results);
+
+        // Test 24: Lenient mode keeps the duplicate that validation reports as kept
+        await this.test('Sanitize Keeps First Duplicate', () => {
+            const node = (id, lat) => ({
+                id, label: id, geometry: { type: 'Point', coordinates: [0, lat] }
+            });
+            const data = { GeoLocations: [
+                { ...node('parent', 10), children: [node('dup', 11)] },
+                node('dup', 20),
+                node('bad', 95),
+                node('bad', 30)
+            ] };
+            
+            const { data: subset, validation } = DataProcessing.sanitizeData(data);
+            const duplicate = validation.diagnostics.find(d => d.code === 'DUPLICATE_ID' && d.nodeId === 'dup');
+            const kept = subset.GeoLocations[0].children[0];
+            
+            return duplicate.path === 'GeoLocations[1]' &&
+                   kept && kept.id === 'dup' &&
+                   subset.GeoLocations.length === 1;
+        }, results);
+
+        // Test 25: Metrics roll up through the hierarchy; invalid metrics are logged and skipped
+        await this.test('Metric Aggregation', () => {
+            const node = (id, values, children) => ({
+                id, label: id,
+                properties: Object.keys(values).map(key => ({ propertyKey: key, propertyValue: values[key] })),
+                geometry: { type: 'Point', coordinates: [0, 0] },
+                children
+            });
+            const europe = node('Europe', {}, [
+                node('Germany', {}, [node('dc-a', { Cap: 10, Util: 50 }), node('dc-b', { Cap: '30', Util: 90 })]),
+                node('France', {}, [node('dc-c', { Cap: 20 }), node('dc-d', { Cap: 'n/a' })])
+            ]);
+            const metrics = Aggregation.normalizeMetrics({
+                capacity: { property: 'Cap', op: 'sum', unit: 'MW' },
+                meanCapacity: { property: 'Cap', op: 'mean' },
+                utilisation: { property: 'Util', op: 'weightedMean', weight: 'Cap', unit: '%' },
+                medianCapacity: { property: 'Cap', op: 'median' },
+                p90Capacity: { property: 'Cap', op: 'percentile', p: 90 },
+                reporting: { property: 'Util', op: 'count' }
+            });
+            const all = Aggregation.aggregate(europe, metrics);
+            const france = Aggregation.aggregate(europe, metrics, { location: 'France' });
+            const indexed = new NodeIndex({ GeoLocations: [europe] }).getAggregates('Europe', {}, metrics);
+            
+            const rolledUp = all.capacity === 60 && all.meanCapacity === 20 &&
+                             all.utilisation === 80 && all.medianCapacity === 20 &&
+                             Math.abs(all.p90Capacity - 28) < 1e-9 && all.reporting === 2 &&
+                             france.capacity === 20 && france.utilisation === null && france.reporting === 0 &&
+                             JSON.stringify(indexed) === JSON.stringify(all) &&
+                             Aggregation.formatValue(all.capacity, metrics[0]) === '60 MW' &&
+                             Aggregation.formatValue(null, metrics[0]) === '–';
+            
+            let thrown = false;
+            try {
+                Aggregation.normalizeMetrics({ bad: { op: 'nope' } });
+            } catch (error) {
+                thrown = true;
+            }
+            
+            const logged = [];
+            const consoleError = console.error;
+            console.error = (...args) => logged.push(args.join(' '));
+            let skipped;
+            try {
+                skipped = this.widget.normalizeMetrics({ capacity: 'Cap', bad: { op: 'nope' }, worse: 5 });
+            } finally {
+                console.error = consoleError;
+            }
+            
+            return rolledUp && thrown &&
+                   skipped.map(m => m.name).join() === 'capacity' &&
+                   logged.length === 2 && logged[0].startsWith('Invalid metric:');
+        }, results);
+
+        // Test 26: Removing or moving a last child drops the emptied parent
+        await this.test('Patch Drops Emptied Parents', () => {
+            const node = (id, children) => ({
+                id, label: id, geometry: { type: 'Point', coordinates: [0, 0] }, children
+            });
+            const data = { GeoLocations: [
+                node('europe', [node('germany', [node('dc-berlin')]), node('france', [node('dc-paris')])]),
+                node('asia', [node('japan', [node('dc-tokyo')])])
+            ] };
+            const index = new NodeIndex(data);
+            
+            const removal = DataPatch.apply(data, { op: 'remove', id: 'dc-berlin' }, { index });
+            const europe = removal.data.GeoLocations[0];
+            const removed = removal.errors.length === 0 &&
+                            europe.children.map(c => c.id).join() === 'france' &&
+                            removal.removedIds.has('germany') &&
+                            new NodeIndex(removal.data).getCount('europe') === 1;
+            
+            const move = DataPatch.apply(data, { op: 'move', id: 'dc-tokyo', parentId: 'france' }, { index });
+            const moved = move.errors.length === 0 &&
+                          move.data.GeoLocations.map(r => r.id).join() === 'europe' &&
+                          move.removedIds.has('asia') && move.removedIds.has('japan') &&
+                          !move.removedIds.has('dc-tokyo') &&
+                          new NodeIndex(move.data).getCount('france') === 2;
+            
+            return removed && moved;
+        }, results);
+
+        // Test 27: Patching a parent re-filters the unchanged leaves below it
+        await this.test('Patch Refilters Children Of Changed Parent', () => this.withTestWidget({}, widget => {
+            widget.applyFilters({ query: "not parent.Tier = 'gold'" });
+            const asiaCount = () => widget.nodeIndex.getCount('continent-asia', widget.state.activeFilters);
+            const before = asiaCount();
+            
+            widget.updateProperties('country-japan', { Tier: 'gold' });
+            const asia = widget.filteredData.GeoLocations.find(n => n.id === 'continent-asia');
+            const marker = widget.state.visibleMarkers.find(m => m.id === 'continent-asia');
+            
+            return before === 8 && asiaCount() === 5 &&
+                   !asia.children.some(n => n.id === 'country-japan') &&
+                   marker._count === 5;
+        }), results);
+
+        // Test 28: Patches only emit a selection change when a selected marker changed
+        await this.test('Patch Selection Change Events', () => {
+            let emitted = 0;
+            return this.withTestWidget({ onSelectionChange: () => emitted++ }, widget => {
+                const asia = widget.state.visibleMarkers.find(m => m.id === 'continent-asia');
+                widget.selectionManager.selectMarker(asia, 1, false);
+                emitted = 0;
+                
+                widget.updateProperties('dc-paris', { Ticket: 'OPS-1' });
+                const unrelated = emitted;
+                widget.updateProperties('dc-tokyo-1', { Ticket: 'OPS-2' });
+                
+                return unrelated === 0 && emitted === 1 &&
+                       widget.selectionManager.isSelected('continent-asia');
+            });
+        }, results);
+
+        // Test 29: Streaming data source batches and reconnects
+        await this.test('Streaming Data Source', async () => {
+            const server = this.createMockServer();
+            const batches = [];
+            const source = new DataSource.WebSocketSource({
+                url: 'ws://mock',
+                WebSocket: server.WebSocket,
+                batchInterval: 50,
+                reconnect: { initialDelay: 50, jitter: 0 },
+                onBatch: batch => batches.push(batch)
+            });
+            
+            source.connect();
+            await new Promise(r => setTimeout(r, 20));
+            server.push({ op: 'update', id: 'dc-tokyo-1', properties: { Status: 'Degraded' } });
+            server.push({ op: 'update', id: 'dc-tokyo-1', properties: { Load: '80' } });
+            await new Promise(r => setTimeout(r, 100));
+            
+            const coalesced = batches.length === 1 && batches[0].operations.length === 1;
+            
+            server.drop();
+            const reconnecting = source.status === 'reconnecting';
+            await new Promise(r => setTimeout(r, 100));
+            const reopened = source.status === 'open' && server.connections === 2;
+            
+            source.disconnect();
+            return coalesced && reconnecting && reopened;
+        }, results);
+
+        // Test 30: Server-sent events source delivers and reconnects
+        await this.test('Event Stream Data Source', async () => {
+            const server = this.createMockServer();
+            const batches = [];
+            const source = new DataSource.EventSourceSource({
+                url: '/mock-stream',
+                EventSource: server.EventSource,
+                batchInterval: 20,
+                reconnect: { initialDelay: 50, jitter: 0 },
+                onBatch: batch => batches.push(batch)
+            });
+            
+            source.connect();
+            await new Promise(r => setTimeout(r, 20));
+            server.push({ op: 'update', id: 'dc-tokyo-1', properties: { Status: 'Degraded' } });
+            await new Promise(r => setTimeout(r, 50));
+            const delivered = batches.length === 1 && batches[0].operations[0].id === 'dc-tokyo-1';
+            
+            server.drop();
+            const reconnecting = source.status === 'reconnecting';
+            await new Promise(r => setTimeout(r, 100));
+            const reopened = source.status === 'open' && server.connections === 2;
+            
+            source.disconnect();
+            return delivered && reconnecting && reopened;
+        }, results);
+
+        // Test 31: Polling source skips unchanged responses and recovers from failures
+        await this.test('Polling Data Source', async () => {
+            const server = this.createMockServer();
+            const batches = [];
+            const source = new DataSource.PollingSource({
+                url: '/mock-poll',
+                fetch: server.fetch,
+                interval: 20,
+                batchInterval: 0,
+                reconnect: { initialDelay: 60, jitter: 0 },
+                onBatch: batch => batches.push(batch)
+            });
+            
+            server.push({ op: 'update', id: 'dc-tokyo-1', properties: { Load: '80' } });
+            source.connect();
+            await new Promise(r => setTimeout(r, 90));
+            const polled = source.status === 'open' && server.connections > 2 && batches.length === 1;
+            
+            server.refuse = true;
+            await new Promise(r => setTimeout(r, 30));
+            const reconnecting = source.status === 'reconnecting';
+            
+            server.refuse = false;
+            server.push({ op: 'remove', id: 'dc-tokyo-1' });
+            await new Promise(r => setTimeout(r, 100));
+            const recovered = source.status === 'open' && batches.length === 2 &&
+                              batches[1].operations[0].op === 'remove';
+            
+            source.disconnect();
+            return polled && reconnecting && recovered;
+        }, results);
+
+        // Test 32: Reconnect delays back off exponentially and give up after maxRetries
+        await this.test('Reconnect Backoff', async () => {
+            const server = this.createMockServer();
+            const statuses = [];
+            const source = new DataSource.WebSocketSource({
+                url: 'ws://mock',
+                WebSocket: server.WebSocket,
+                reconnect: { initialDelay: 10, factor: 2, maxDelay: 30, jitter: 0, maxRetries: 2 },
+                onStatusChange: (status, info) => statuses.push([status, info.nextRetryIn])
+            });
+            
+            const delays = [0, 1, 2, 3].map(attempt => source.getBackoffDelay(attempt));
+            
+            server.refuse = true;
+            source.connect();
+            await new Promise(r => setTimeout(r, 100));
+            
+            const retries = statuses.filter(([status]) => status === 'reconnecting').map(([, delay]) => delay);
+            source.disconnect();
+            
+            return delays.join() === '10,20,30,30' &&
+                   retries.join() === '10,20' &&
+                   statuses.some(([status]) => status === 'error') &&
+                   server.connections === 3;
+        }, results);
+
+        // Test 33: Coalescing keeps the latest snapshot and merges repeated updates
+        await this.test('Batch Coalescing', () => {
+            const { snapshot, operations } = DataSource.coalesce([
+                { type: 'patch', operations: [{ op: 'remove', id: 'dc-old' }] },
+                { type: 'snapshot', data: { GeoLocations: [] } },
+                { type: 'patch', operations: [{ op: 'update', id: 'dc-a', properties: { Status: 'Down' } }] },
+                { type: 'patch', operations: [{ op: 'update', id: 'dc-a', properties: { Load: '90' } }] },
+                { type: 'patch', operations: [{ op: 'move', id: 'dc-a', parentId: 'country-b' }] },
+                { type: 'patch', operations: [{ op: 'update', id: 'dc-a', label: 'A' }] }
+            ]);
+            
+            return snapshot && snapshot.GeoLocations.length === 0 &&
+                   operations.map(o => o.op).join() === 'update,move,update' &&
+                   operations[0].properties.Status === 'Down' &&
+                   operations[0].properties.Load === '90';
+        }, results);
+
+        // Test 34: A multi-operation live batch renders once and skips stale operations
+        await this.test('Live Batch Renders Once', () => {
+            const widget = this.widget;
+            const leaves = widget.nodeIndex.getNodesAtLevel(widget.nodeIndex.getMaxDepth());
+            if (leaves.length < 2) return false;
+            
+            let renders = 0;
+            const render = widget.renderMarkers;
+            widget.renderMarkers = function(...args) {
+                renders++;
+                return render.apply(this, args);
+            };
+            
+            try {
+                widget.applyStreamBatch({ snapshot: null, operations: [
+                    { op: 'update', id: leaves[0].id, properties: { TestFlag: 'on' } },
+                    { op: 'remove', id: 'no-such-node' },
+                    { op: 'update', id: leaves[1].id, properties: { TestFlag: 'on' } }
+                ] });
+                
+                const flagged = leaves.slice(0, 2).every(leaf =>
+                    DataProcessing.getPropertyValue(widget.nodeIndex.getNode(leaf.id), 'TestFlag') === 'on');
+                const once = renders === 1;
+                
+                widget.applyStreamBatch({ snapshot: null, operations: leaves.slice(0, 2).map(leaf =>
+                    ({ op: 'update', id: leaf.id, properties: { TestFlag: null } })) });
+                
+                return flagged && once;
+            } finally {
+                delete widget.renderMarkers;
+            }
+        }, results);
+
+        // Test 35: Time slices follow node lifetimes and timed property windows
+        await this.test('Temporal Slicing', () => {
+            const timeline = this.createTimelineData();
+            const slice = time => Temporal.sliceAt(timeline, Temporal.parseTime(time));
+            const sites = data => data.GeoLocations.length > 0
+                ? data.GeoLocations[0].children[0].children
+                : [];
+            const status = (data, id) => DataProcessing.getPropertyValue(sites(data).find(n => n.id === id), 'Status');
+            const range = Temporal.getRange(timeline);
+            
+            const early = slice('2021-06-01');
+            const outage = slice('2023-01-15');
+            const series = { type: 'GeoLocationsSeries', snapshots: [
+                { time: '2024-02-01', data: { GeoLocations: [{ id: 'b' }] } },
+                { time: '2024-01-01', data: { GeoLocations: [{ id: 'a' }] } }
+            ] };
+            const snapshotAt = time => Temporal.sliceAt(Temporal.normalizeSeries(series), Temporal.parseTime(time));
+            
+            return new Date(range.start).toISOString().startsWith('2020-01-01') &&
+                   new Date(range.end).toISOString().startsWith('2024-01-01') &&
+                   slice('2019-06-01').GeoLocations.length === 0 &&
+                   sites(early).map(n => n.id).join() === 'dc-a' &&
+                   sites(outage).map(n => n.id).join() === 'dc-a,dc-b' &&
+                   status(outage, 'dc-b') === 'Outage' &&
+                   status(slice('2023-02-01'), 'dc-b') === 'Active' &&    // validTo is exclusive
+                   sites(slice('2024-01-01')).map(n => n.id).join() === 'dc-a' &&
+                   sites(early)[0] === sites(outage)[0] &&                  // Unchanged nodes keep their identity
+                   snapshotAt('2024-01-15').GeoLocations[0].id === 'a' &&
+                   snapshotAt('2024-03-01').GeoLocations[0].id === 'b';
+        }, results);
+
+        // Test 36: Moving the timeline re-filters and refreshes the selection
+        await this.test('Timeline With Filters', () => this.withTestWidget({
+            data: this.createTimelineData(),
+            timeline: true
+        }, widget => {
+            // Germany is "gold" only during January 2023
+            widget.applyFilters({ query: "parent.Tier = 'gold'" });
+            const count = () => widget.nodeIndex.getCount('europe', widget.state.activeFilters);
+            
+            widget.setTime('2023-01-15');
+            const gold = count();
+            const europe = widget.state.visibleMarkers.find(m => m.id === 'europe');
+            widget.selectionManager.selectMarker(europe, 1, false);
+            
+            widget.setTime('2023-03-01');
+            const after = count();
+            
+            return gold === 2 && after === 0 &&
+                   widget.filteredData.GeoLocations.length === 0 &&
+                   widget.selectionManager.getSelectionCount() === 0;
+        }), results);
+
+        // Test 37: Search ranks exact, prefix, word and fuzzy matches
+        await this.test('Search Ranking', () => {
+            const node = (id, label, children, provider) => ({
+                id, label,
+                properties: provider ? [{ propertyKey: 'Provider', propertyValue: provider }] : [],
+                geometry: { type: 'Point', coordinates: [0, 0] },
+                children
+            });
+            const index = new NodeIndex({ GeoLocations: [
+                node('europe', 'Europe', [
+                    node('germany', 'Germany', [
+                        node('dc-fra-2', 'Frankfurt DC-2'),
+                        node('dc-fra-1', 'Frankfurt DC-1', null, 'AWS'),
+                        node('hub-fra', 'Frankfort Hub')
+                    ])
+                ]),
+                node('americas', 'Americas', [node('brazil', 'Brazil', [node('dc-sao', 'São Paulo DC')])])
+            ] });
+            const search = new SearchIndex({ properties: ['Provider'] });
+            search.build(index);
+            const labels = (query, options) => search.search(query, options).map(r => r.node.label);
+            
+            const [first] = search.search('fra dc');
+            const [provider] = search.search('aws');
+            
+            return labels('frankfurt').join('|') === 'Frankfurt DC-1|Frankfurt DC-2|Frankfort Hub' &&
+                   labels('sao')[0] === 'São Paulo DC' &&
+                   first.node.id === 'dc-fra-1' && first.context.join() === 'Europe,Germany' &&
+                   labels('frankfrt').length === 3 &&
+                   provider.node.id === 'dc-fra-1' && provider.field === 'Provider' &&
+                   labels('frankfurt', { filter: n => n.id !== 'dc-fra-1', limit: 1 }).join() === 'Frankfurt DC-2' &&
+                   labels('zzz').length === 0;
+        }, results);
+
+        // Test 38: Flying to a search result reveals and selects it, unless it is filtered out
+        await this.test('Search Fly To', () => this.withTestWidget({}, async widget => {
+            const found = widget.search('osaka');
+            const flying = widget.flyToNode('dc-osaka');
+            for (let i = 0; i < 60 && !widget.selectionManager.isSelected('dc-osaka'); i++) {
+                await new Promise(r => setTimeout(r, 50));
+            }
+            const revealed = widget.selectionManager.isSelected('dc-osaka') &&
+                             widget.state.currentParentId === 'country-japan';
+            
+            widget.applyFilters({ location: 'Germany' });
+            
+            return found[0].node.id === 'dc-osaka' && flying && revealed &&
+                   widget.search('osaka').length === 0 &&
+                   !widget.flyToNode('dc-osaka') &&
+                   !widget.flyToNode('no-such-node');
+        }), results);
+
+        // Test 39: Centroid of a MultiPolygon with mixed winding
+        await this.test('Centroid Mixed Winding', () => {
+            const square = (x0, y0, size, clockwise) => {
+                const ring = [[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]];
+                return [clockwise ? ring.reverse() : ring];
+            };
+            const [lon, lat] = GeometryUtils.centroid({
+                type: 'MultiPolygon',
+                coordinates: [square(0, 0, 2, false), square(10, 0, 2, true)]
+            });
+            
+            return Math.abs(lon - 6) < 1e-9 && Math.abs(lat - 1) < 1e-9;
+        }, results);
+
+        // Test 40: Links collapse onto the nearest visible ancestors of their endpoints
+        await this.test('Network Links', () => {
+            const data = this.widget.originalData;
+            const links = [
+                { id: 'tyo-fra', source: 'dc-tokyo-1', target: 'dc-frankfurt-1', properties: [{ propertyKey: 'BandwidthGbps', propertyValue: 100 }] },
+                { source: 'dc-osaka', target: 'dc-paris', properties: [{ propertyKey: 'BandwidthGbps', propertyValue: 40 }] },
+                { source: 'dc-tokyo-1', target: 'dc-tokyo-2' }
+            ];
+            const index = new NodeIndex(data);
+            const collapse = visibleIds => LinkUtils.collapse(LinkUtils.getLinks({ links }), { nodeIndex: index, visibleIds })
+                .map(bundle => `${bundle.id}:${bundle.links.length}`).join();
+            
+            return LinkUtils.getLinks({ links }).map(link => link.id).join() === 'tyo-fra,link-1,link-2' &&
+                   collapse(new Set(data.GeoLocations.map(n => n.id))) === 'continent-asia|continent-europe:2' &&
+                   collapse(new Set(['country-japan', 'country-germany', 'country-france'])) === 'country-germany|country-japan:1,country-france|country-japan:1';
+        }, results);
+
+        // Test 41: Links are validated and bundles roll up their encoded properties
+        await this.test('Network Link Validation And Encoding', () => {
+            const data = this.widget.originalData;
+            const links = [
+                { source: 'dc-tokyo-1', target: 'dc-frankfurt-1', properties: [{ propertyKey: 'BandwidthGbps', propertyValue: 100 }] },
+                { source: 'dc-osaka', target: 'dc-paris', properties: [{ propertyKey: 'BandwidthGbps', propertyValue: 40 }] }
+            ];
+            
+            const validation = DataProcessing.validateData({ ...data, links: [...links, { source: 'dc-tokyo-1' }, { source: 'dc-tokyo-1', target: 'dc-nowhere' }] });
+            const validated = validation.errors.join() === 'Link is missing its source or target at links[2]' &&
+                              validation.warnings.filter(w => w.code === 'UNKNOWN_LINK_NODE').length === 1;
+            
+            return validated && this.withTestWidget({
+                data: { ...data, links },
+                links: { width: { property: 'BandwidthGbps', op: 'sum' } }
+            }, async widget => {
+                const [bundle] = widget.getVisibleLinks();
+                return widget.getVisibleLinks().length === 1 &&
+                       bundle.id === 'continent-asia|continent-europe' &&
+                       bundle._metrics.width === 140;
+            });
+        }, results);
+
+        // Test 42: Clustering groups overlapping points and fans out members
+        await this.test('Marker Clustering', () => {
+            const { clusters, singles } = MarkerClustering.cluster([
+                { id: 'a', x: 0, y: 0, weight: 1 },
+                { id: 'b', x: 8, y: 0, weight: 5 },
+                { id: 'c', x: 30, y: 0, weight: 1 },
+                { id: 'd', x: 38, y: 0, weight: 1 },
+                { id: 'far', x: 200, y: 200, weight: 1 }
+            ], 10);
+            const grouped = clusters.map(c => c.id).sort().join(' | ') === 'cluster:a,b | cluster:c,d' &&
+                            singles.map(p => p.id).join() === 'far' &&
+                            clusters.find(c => c.id === 'cluster:a,b').x === 4;
+            
+            // Neighbouring fanned-out points stay at least `spacing` apart (circle and spiral)
+            const apart = [5, 30].every(count => {
+                const offsets = MarkerClustering.spiderOffsets(count, 10);
+                return offsets.length === count && offsets.every((p, i) => i === 0 ||
+                    Math.hypot(p.dx - offsets[i - 1].dx, p.dy - offsets[i - 1].dy) >= 9.5);
+            });
+            
+            return grouped && apart;
+        }, results);
+
+        // Test 43: Clustering is off unless enabled; `true` or an object turns it on
+        await this.test('Clustering Is Opt-In', async () => {
+            const off = await this.withTestWidget({}, async widget => widget.clusterOptions === null);
+            const on = await this.withTestWidget({ clustering: true }, async widget => widget.clusterOptions.minPoints === 2);
+            const custom = await this.withTestWidget({ clustering: { minPoints: 3 } }, async widget =>
+                widget.clusterOptions.minPoints === 3 && widget.clusterOptions.spiderfy === true);
+            
+            return off && on && custom;
+        }, results);
+
+        // Test 44: Canvas markers are hit-tested, listed for keyboard users and selectable
+        await this.test('Canvas Renderer Hit Testing', () => {
+            const clicks = [];
+            const changes = [];
+            
+            return this.withTestWidget({
+                renderer: 'canvas',
+                canvasThreshold: 1,
+                onMarkerClick: (marker, isSelected) => clicks.push(`${marker.id}:${isSelected}`),
+                onSelectionChange: selected => changes.push(selected.map(node => node.id).join())
+            }, async widget => {
+                const [marker] = widget.state.visibleMarkers;
+                const [x, y] = widget.state.zoomTransform.apply(widget.getMarkerPosition(marker));
+                const hit = widget.canvasRenderer.hitTest(x, y);
+                
+                const drawn = widget.getActiveRenderer() === 'canvas' &&
+                              d3.select(widget.container).selectAll('.marker-group').empty() &&
+                              hit.id === marker.id &&
+                              widget.canvasRenderer.hitTest(x + 200, y + 200) === null &&
+                              widget.state.canvasListMarkers.length === widget.state.visibleMarkers.length;
+                
+                // Clicks wait out the double-click delay before selecting
+                widget.handleMarkerClick({}, hit, null);
+                await new Promise(r => setTimeout(r, 300));
+                
+                return drawn &&
+                       clicks.join() === `${marker.id}:true` &&
+                       changes.join() === marker.id;
+            });
+        }, results);
+
+        // Test 45: Labels avoid markers and each other, shorten to fit, and hide when nothing fits
+        await this.test('Label Placement', () => {
+            const label = (id, x, y, texts, priority, force = false) => ({ id, x, y, radius: 5, texts, priority, force });
+            const placements = LabelPlacement.place([
+                label('alpha', 30, 30, ['Alpha'], 2),
+                label('bravo', 30, 48, ['Bravo Long Name', 'Bravo'], 1),
+                label('offscreen', 300, 30, ['Off'], 3, true),
+                label('delta', 30, 40, ['Delta'], 0),
+                label('echo', 30, 40, ['Echo'], 0, true)
+            ], { measure: text => text.length * 6, height: 12, bounds: { width: 60, height: 100 } });
+            const get = id => placements.get(id);
+            
+            // Alpha moves above its marker (the echo marker is below), bravo's full
+            // text is wider than the map, and only the forced label on screen shows
+            return get('alpha').candidate === 'top' &&
+                   get('bravo').text === 'Bravo' && !get('bravo').hidden &&
+                   get('offscreen').hidden &&
+                   get('delta').hidden &&
+                   !get('echo').hidden && get('echo').candidate === 'bottom';
+        }, results);
+
+        // Test 46: Labels are placed when no SVG label is drawn (canvas markers, nothing left after filtering)
+        await this.test('Label Font Without SVG Labels', async () => {
+            const canvas = await this.withTestWidget({ renderer: 'canvas', canvasThreshold: 1 }, async widget =>
+                widget.getActiveRenderer() === 'canvas' &&
+                widget.state.labelPlacements.size === widget.state.visibleMarkers.length);
+            
+            const filtered = await this.withTestWidget({}, async widget => {
+                widget.applyFilters({ region: 'Nowhere' });
+                return widget.state.visibleMarkers.length === 0;
+            });
+            
+            return canvas && filtered;
+        }, results);
+
+        // Test 47: Encoding scales keep category colours stable and map numeric domains
+        await this.test('Encoding Scales', () => {
+            const channels = MarkerEncoding.normalize({
+                color: 'Status',
+                size: { metric: 'capacity', scale: 'linear' },
+                shape: { property: 'Provider', mapping: { AWS: 'cloud' } }
+            }, [{ name: 'capacity' }]);
+            const marker = (status, provider, capacity) => ({
+                _encoding: { color: status, shape: provider },
+                _metrics: { capacity }
+            });
+            const markers = [marker('Down', 'AWS', 10), marker('Down', 'GCP', 30), marker(null, null, undefined)];
+            
+            // Categories from the whole dataset, not just these markers
+            const categories = { color: ['Active', 'Down'], shape: ['AWS', 'GCP'] };
+            const scales = MarkerEncoding.createScales(channels, markers, channel => categories[channel.channel]);
+            const [min, max] = MarkerEncoding.defaults.sizeRange;
+            
+            return scales.color(markers[0]) === MarkerEncoding.defaults.categoricalColors[1] &&
+                   scales.color(markers[2]) === null &&
+                   scales.size(markers[0]) === min && scales.size(markers[1]) === max &&
+                   scales.size(markers[2]) === 1 &&
+                   scales.shape(markers[0]) === 'cloud' && scales.shape(markers[2]) === null;
+        }, results);
+
+        // Test 48: A marker with a larger encoded size reaches further when clustering
+        await this.test('Cluster Radius Per Marker', () => {
+            const { clusters, singles } = MarkerClustering.cluster([
+                { id: 'a', x: 0, y: 0, weight: 1 },
+                { id: 'c', x: 30, y: 0, weight: 1 },
+                { id: 'big', x: 60, y: 0, weight: 1, radius: 50 },
+                { id: 'far', x: 200, y: 200, weight: 1 }
+            ], 10);
+            
+            // c and big are 30 apart, within the mean of their radii
+            return clusters.map(c => c.id).join() === 'cluster:big,c' &&
+                   singles.map(p => p.id).join() === 'a,far';
+        }, results);
+
+        // Test 49: Metrics used by an encoding cannot be dropped; categories are cached
+        await this.test('Encoding Metrics In Use', () => {
+            const originalError = console.error;
+            const errors = [];
+            console.error = (...args) => errors.push(args.join(' '));
+            
+            return this.withTestWidget({
+                metrics: { sites: { op: 'count' } },
+                encoding: { size: { metric: 'sites' }, color: 'Status' }
+            }, async widget => {
+                const rejected = widget.setMetrics({ other: { op: 'count' } }) === false &&
+                                 widget.metrics.map(m => m.name).join() === 'sites';
+                const accepted = widget.setMetrics({ sites: { op: 'count' }, other: { op: 'count' } }) === true &&
+                                 widget.metrics.map(m => m.name).join() === 'sites,other';
+                const categories = widget.getEncodingCategories('Status');
+                
+                return rejected && accepted &&
+                       errors.length === 1 && errors[0].includes('"sites" (size encoding)') &&
+                       categories.join() === 'Active' &&
+                       widget.getEncodingCategories('Status') === categories;
+            }).finally(() => {
+                console.error = originalError;
+            });
+        }, results);
+
+        // Test 50: Threshold roll-up counts worse leaves towards each status's threshold
+        await this.test('Health Threshold Roll-up', () => {
+            const options = HealthStatus.normalize({ rule: 'threshold', thresholds: { Down: 25, Degraded: 10 } });
+            const rollUp = distribution => HealthStatus.rollUp(distribution, options);
+            
+            return rollUp({ Active: 3, Down: 1 }) === 'Down' &&
+                   rollUp({ Active: 8, Down: 2 }) === 'Degraded' &&      // 20% at Degraded or worse
+                   rollUp({ Active: 19, Maintenance: 1 }) === 'Active' && // No threshold: needs every leaf
+                   rollUp({ Maintenance: 4 }) === 'Maintenance' &&
+                   rollUp({ Unknown: 3 }) === null &&
+                   HealthStatus.rollUp({ Active: 99, Maintenance: 1 }, HealthStatus.normalize()) === 'Maintenance';
+        }, results);
+
+        // Test 51: Choropleth joins by name, id and mapping, and classes values
+        await this.test('Choropleth Join And Scale', () => {
+            const feature = (name, id) => ({ id, properties: { name } });
+            const features = ['Japan', 'Germany', 'Belgium', 'Netherlands', 'France'].map(name => feature(name));
+            const nodes = [
+                { id: 'country-jp', label: 'Japan' },
+                { id: 'country-de', label: 'Germany', properties: [{ propertyKey: 'Iso', propertyValue: '276' }] },
+                { id: 'country-fr', label: 'France' }
+            ];
+            
+            const byName = Choropleth.join(features, nodes, Choropleth.normalize({
+                mapping: { Belgium: 'group-benelux', Netherlands: 'group-benelux', France: null }
+            }), nodeId => nodeId === 'group-benelux');
+            const byId = Choropleth.join([feature('Deutschland', 276)], nodes,
+                Choropleth.normalize({ join: 'id', nodeKey: 'Iso' }));
+            const joined = byName.get('Japan') === 'country-jp' &&
+                           byName.get('Belgium') === 'group-benelux' && byName.get('Netherlands') === 'group-benelux' &&
+                           !byName.has('France') &&
+                           byId.get('276') === 'country-de';
+            
+            const quantize = Choropleth.createScale([0, 10, null], Choropleth.normalize({ scale: 'quantize', steps: 2 }));
+            const log = Choropleth.createScale([0, -1], Choropleth.normalize({ scale: 'log' }));
+            const single = Choropleth.createScale([5, 5], Choropleth.normalize());
+            const scaled = quantize(1) === quantize(4) && quantize(1) !== quantize(9) &&
+                           quantize(null) === null &&
+                           log === null &&
+                           single(5) !== null;
+            
+            return joined && scaled;
+        }, results);
+
+        // Test 52: The choropleth's metric cannot be dropped
+        await this.test('Choropleth Metric In Use', () => {
+            const originalError = console.error;
+            const errors = [];
+            console.error = (...args) => errors.push(args.join(' '));
+            
+            return this.withTestWidget({
+                metrics: { sites: { op: 'count' } },
+                choropleth: { metric: 'sites' }
+            }, async widget => {
+                const rejected = widget.setMetrics({ other: { op: 'count' } }) === false &&
+                                 widget.metrics.map(m => m.name).join() === 'sites';
+                
+                return rejected && errors.length === 1 && errors[0].includes('"sites" (choropleth)');
+            }).finally(() => {
+                console.error = originalError;
+            });
+        }, results);
+
+        // Test 53: Heatmap points are weighted, and density contours are ordered low to high
+        await this.test('Density Heatmap Contours', () => {
+            const leaf = (id, x, racks) => ({ id, x, properties: [{ propertyKey: 'Racks', propertyValue: racks }] });
+            const points = DensityHeatmap.getPoints(
+                [leaf('a', 10, 4), leaf('unplaced', null, 4), leaf('empty', 30, 0), leaf('text', 50, '2')],
+                node => (node.x === null ? null : [node.x, 20]),
+                'Racks'
+            );
+            const options = DensityHeatmap.normalize({ opacity: 2, bandwidth: 0 });
+            
+            const { contours, margin } = DensityHeatmap.contours(
+                [{ x: 50, y: 50, weight: 1 }, { x: 52, y: 50, weight: 3 }],
+                { width: 100, height: 100, bandwidth: 10, cellSize: 4, thresholds: 5 }
+            );
+            const color = DensityHeatmap.colorScale(contours, ['#000000', '#ffffff']);
+            const values = contours.map(c => c.value);
+            
+            return points.map(p => `${p.x}:${p.weight}`).join() === '10:4,50:2' &&
+                   options.opacity === 1 && options.bandwidth === DensityHeatmap.defaults.bandwidth &&
+                   margin === 30 && contours.length > 1 &&
+                   values.every((value, i) => i === 0 || value > values[i - 1]) &&
+                   color(values[0]) === 'rgb(0, 0, 0)' && color(values[values.length - 1]) === 'rgb(255, 255, 255)';
+        }, results);
+
+        // Test 54: The heatmap follows the filters and its visibility and opacity controls
+        await this.test('Density Heatmap Overlay', () => this.withTestWidget({ heatmap: true }, async widget => {
+            const contours = () => d3.select(widget.container).selectAll('.heatmap-contour').size();
+            const drawn = contours();
+            
+            widget.applyFilters({ region: 'Nowhere' });
+            const filtered = contours();
+            widget.applyFilters({ region: null });
+            const restored = contours();
+            
+            widget.setHeatmapOpacity(0.3);
+            const opacity = widget.heatmapGroup.style('opacity');
+            widget.setHeatmapVisible(false);
+            const hidden = contours();
+            widget.setHeatmap(null);
+            
+            return drawn > 0 && filtered === 0 && restored === drawn &&
+                   opacity === '0.3' && hidden === 0 &&
+                   widget.heatmapOptions === null;
+        }), results);
+
+        // Test 55: Basemap options normalise and GeoJSON polygons are rewound for d3
+        await this.test('Basemap Sources', () => {
+            // Counter-clockwise, as RFC 7946 winds exterior rings
+            const square = [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]];
+            const { features, borders } = Basemap.toFeatures({ type: 'FeatureCollection', features: [
+                { type: 'Feature', properties: { name: 'Square' }, geometry: { type: 'Polygon', coordinates: square } },
+                { type: 'Feature', properties: {}, geometry: null }
+            ] });
+            const throws = fn => {
+                try {
+                    fn();
+                    return false;
+                } catch (error) {
+                    return true;
+                }
+            };
+            
+            return features.length === 1 && d3.geoArea(features[0].geometry) < 1 && borders === null &&
+                   throws(() => Basemap.toFeatures({ type: 'Unknown' })) &&
+                   throws(() => Basemap.normalize({ source: '' })) &&
+                   Basemap.normalize(false) === null &&
+                   Basemap.normalize('./assets/countries-50m.json').source === './assets/countries-50m.json' &&
+                   Basemap.normalize(true).fallback === true;
+        }, results);
+
+        // Test 56: A failing basemap falls back to the bundled outline with a notice
+        await this.test('Basemap Fallback', async () => {
+            const land = widget => d3.select(widget.container).selectAll('.countries path').size();
+            const offline = () => Promise.reject(new Error('offline'));
+            
+            const fallback = await this.withTestWidget({ basemap: offline }, async widget =>
+                widget.basemapNotice === 'Basemap unavailable: showing a simplified world outline' &&
+                d3.select(widget.container).select('.basemap-notice').text() === widget.basemapNotice &&
+                land(widget) === Basemap.toFeatures(Basemap.fallback).features.length);
+            
+            const noFallback = await this.withTestWidget({ basemap: { source: offline, fallback: false } }, async widget =>
+                widget.basemapNotice === 'Basemap unavailable' && land(widget) === 0);
+            
+            const originalError = console.error;
+            console.error = () => {};
+            try {
+                const square = { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]] };
+                const inline = await this.withTestWidget({ basemap: square }, async widget => {
+                    const loaded = widget.basemapNotice === null && land(widget) === 1;
+                    const rejected = await widget.setBasemap('') === false;
+                    const replaced = await widget.setBasemap(offline) === true &&
+                                     !d3.select(widget.container).select('.basemap-notice').empty() &&
+                                     land(widget) > 1;
+                    return loaded && rejected && replaced;
+                });
+                
+                return fallback && noFallback && inline;
+            } finally {
+                console.error = originalError;
+            }
+        }, results);
+
+        // Test 57: Basemap tiers are sorted and chosen by zoom; detail is culled to the view
+        await this.test('Basemap Tiers And Culling', () => {
+            const tiers = Basemap.normalizeTiers([
+                { minZoom: 5, source: 'countries-10m.json' },
+                { minZoom: 2.5, source: 'countries-50m.json', object: 'land' }
+            ]);
+            const fromDirectory = Basemap.normalizeTiers('./atlas');
+            let rejected = false;
+            try {
+                Basemap.normalizeTiers([{ minZoom: 1, source: 'countries-50m.json' }]);
+            } catch (error) {
+                rejected = true;
+            }
+            const normalized = tiers.map(t => t.source).join() === 'countries-50m.json,countries-10m.json' &&
+                               tiers[0].object === 'land' && tiers[1].object === null &&
+                               fromDirectory[1].source === './atlas/countries-10m.json' &&
+                               rejected;
+            const chosen = Basemap.tierFor(tiers, 1) === -1 &&
+                           Basemap.tierFor(tiers, 2.5) === 0 &&
+                           Basemap.tierFor(tiers, 8) === 1;
+            
+            // Clockwise rings (d3's winding for spherical polygons)
+            const box = (name, west, south, east, north) => ({
+                type: 'Feature',
+                properties: { name },
+                geometry: { type: 'Polygon', coordinates: [[[west, south], [west, north], [east, north], [east, south], [west, south]]] }
+            });
+            const data = { features: [
+                box('Europe', 0, 40, 20, 60),
+                box('Asia', 100, 20, 120, 40),
+                box('Chukotka', 170, 62, -170, 70)
+            ] };
+            const visible = { minLon: 5, maxLon: 15, minLat: 45, maxLat: 65 };
+            const names = features => features.map(f => f.properties.name).join();
+            const culled = names(Basemap.cull(data, visible)) === 'Europe,Chukotka' &&
+                           names(Basemap.cull(data, visible, 10)) === 'Europe,Asia,Chukotka' &&
+                           Basemap.cull(data, null).length === 3;
+            
+            return normalized && chosen && culled;
+        }, results);
+
+        // Test 58: Only the hemisphere facing the viewer is visible on the globe
+        await this.test('Globe Visibility', () => {
+            const globe = ProjectionUtils.createProjection(800, 600, 'orthographic').rotate([-100, -30]);
+            const flat = ProjectionUtils.createProjection(800, 600, 'mercator');
+            
+            return ProjectionUtils.isVisible(globe, [100, 30]) &&
+                   ProjectionUtils.isVisible(globe, [150, 10]) &&
+                   !ProjectionUtils.isVisible(globe, [-80, -30]) &&   // Antipode of the centre
+                   !ProjectionUtils.isVisible(globe, [100, -65]) &&   // 95° south of the centre
+                   ProjectionUtils.isVisible(flat, [-80, -30]);
+        }, results);
+
+        // Test 59: Selected markers behind the globe stay selected when the data is patched
+        await this.test('Globe Keeps Hidden Selections', () => this.withTestWidget({ projection: 'orthographic' }, async widget => {
+            const hidden = widget.state.levelMarkers.filter(marker => !widget.state.visibleMarkers.includes(marker));
+            widget.selectionManager.setSelection(widget.state.levelMarkers, 1);
+            
+            // North America is behind the globe; patching one of its sites refreshes its marker
+            widget.updateProperties('dc-virginia-1', { Tier: 'gold' });
+            const selectedIds = widget.getSelection().map(node => node.id);
+            
+            return hidden.some(marker => marker.id === 'continent-northamerica') &&
+                   selectedIds.join() === widget.state.levelMarkers.map(marker => marker.id).join();
+        }), results);
+
         // Print summary
         console.log('='.repeat(60));
         console.log(`✅ PASSED: ${results.passed}/${results.tests.length}`);
@@ -191,6 +1313,132 @@ const GeoWidgetTests = {
         }
     },
 
+    /**
+     * Run `fn` with a throwaway widget in its own container, so a test can
+     * change data, filters or options without touching the page's widget.
+     * The widget starts with the page widget's data unless `options.data`
+     * is given, and is destroyed (with its container) afterwards.
+     */
+    async withTestWidget(options, fn) {
+        const element = document.createElement('div');
+        element.id = `geo-test-widget-${Date.now()}`;
+        element.style.width = '800px';
+        document.body.appendChild(element);
+        
+        const widget = new GeoMapWidget({
+            data: this.widget.originalData,
+            width: 800,
+            height: 400,
+            ...options,
+            container: `#${element.id}`
+        });
+        
+        try {
+            // init() is not awaited by the constructor: wait for the first render
+            for (let i = 0; i < 100 && !widget.svg; i++) {
+                await new Promise(r => setTimeout(r, 50));
+            }
+            return await fn(widget);
+        } finally {
+            widget.destroy();
+            element.remove();
+        }
+    },
+
+    /**
+     * In-page stand-in for a live update server. Pass `server.WebSocket`,
+     * `server.EventSource` or `server.fetch` as the matching option of a
+     * data source (or a `dataSource` config). `push` sends a message to the
+     * open connection and becomes the polled response; `drop` breaks the
+     * connection; while `refuse` is set, new connections and polls fail.
+     */
+    createMockServer() {
+        const server = {
+            socket: null,
+            connections: 0,
+            body: '',
+            refuse: false,
+            push(message) {
+                server.body = JSON.stringify(message);
+                if (server.socket) {
+                    server.socket.onmessage({ data: server.body });
+                }
+            },
+            drop() {
+                if (server.socket) {
+                    server.socket.fail();
+                }
+            },
+            async fetch() {
+                server.connections++;
+                return server.refuse
+                    ? { ok: false, status: 503, text: async () => '' }
+                    : { ok: true, status: 200, text: async () => server.body };
+            }
+        };
+        
+        class MockConnection {
+            constructor(url) {
+                this.url = url;
+                server.socket = this;
+                server.connections++;
+                setTimeout(() => {
+                    if (server.refuse) {
+                        this.fail();
+                    } else if (this.onopen) {
+                        this.onopen();
+                    }
+                }, 0);
+            }
+            close() {
+                if (server.socket === this) server.socket = null;
+            }
+        }
+        
+        server.WebSocket = class extends MockConnection {
+            send() {}
+            fail() {
+                if (this.onclose) this.onclose({ wasClean: false, code: 1006 });
+            }
+        };
+        
+        server.EventSource = class extends MockConnection {
+            addEventListener() {}
+            fail() {
+                if (this.onerror) this.onerror();
+            }
+        };
+        
+        return server;
+    },
+
+    /**
+     * Time-stamped sample: dc-a from 2020, dc-b during 2022-2023 with an
+     * outage in January 2023, while Germany is "gold" tier
+     */
+    createTimelineData() {
+        const property = (propertyKey, propertyValue, validFrom, validTo) => validFrom
+            ? { propertyKey, propertyValue, validFrom, validTo }
+            : { propertyKey, propertyValue };
+        const node = (id, coordinates, properties, children) => ({
+            id, label: id, properties, geometry: { type: 'Point', coordinates }, children
+        });
+        
+        return { GeoLocations: [
+            node('europe', [10, 51], [], [
+                node('germany', [10, 51], [property('Tier', 'gold', '2023-01-01', '2023-02-01')], [
+                    node('dc-a', [9, 50], [property('ValidFrom', '2020-01-01'), property('Status', 'Active')]),
+                    node('dc-b', [11, 52], [
+                        property('ValidFrom', '2022-01-01'),
+                        property('ValidTo', '2024-01-01'),
+                        property('Status', 'Active'),
+                        property('Status', 'Outage', '2023-01-01', '2023-02-01')
+                    ])
+                ])
+            ])
+        ] };
+    },
+
     /**
      * Test zoom functionality
      */
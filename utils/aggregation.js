@@ -0,0 +1,304 @@
+/**
+ * Metric Aggregation for Geo Visualization Widget
+ * Rolls numeric leaf properties up the hierarchy (sum, mean, min, max,
+ * count, weighted mean, median, percentiles), and categorical properties
+ * to their most common value (mode) or their value counts (distribution)
+ *
+ * Metrics are configured by name:
+ *   {
+ *     capacityMW: { property: 'CapacityMW', op: 'sum', unit: 'MW' },
+ *     utilisation: { property: 'Utilisation', op: 'weightedMean', weight: 'CapacityMW', unit: '%' },
+ *     p90Cost: { property: 'MonthlyCost', op: 'percentile', p: 90 }
+ *   }
+ */
+
+const Aggregation = {
+    /**
+     * Supported operations
+     */
+    operations: ['sum', 'mean', 'min', 'max', 'count', 'weightedMean', 'median', 'percentile', 'mode', 'distribution'],
+
+    /**
+     * Normalise a metric configuration object
+     * @param {Object} metrics - Map of metric name to definition
+     * @returns {Array} - [{ name, property, op, weight, p, label, unit, decimals }]
+     */
+    normalizeMetrics(metrics) {
+        return Object.keys(metrics || {}).map(name => {
+            const definition = typeof metrics[name] === 'string'
+                ? { property: metrics[name] }
+                : metrics[name];
+
+            if (!definition || typeof definition !== 'object') {
+                throw new Error(`Invalid definition for metric "${name}"`);
+            }
+
+            const op = definition.op || 'sum';
+
+            if (!this.operations.includes(op)) {
+                throw new Error(`Unknown aggregation "${op}" for metric "${name}"`);
+            }
+
+            return {
+                name,
+                property: definition.property || name,
+                op,
+                weight: definition.weight || null,
+                p: op === 'median' ? 50 : (definition.p !== undefined ? definition.p : 50),
+                label: definition.label || name,
+                unit: definition.unit || '',
+                decimals: definition.decimals !== undefined ? definition.decimals : 1
+            };
+        });
+    },
+
+    /**
+     * Read a numeric property value
+     * @returns {number|null}
+     */
+    readNumber(node, property) {
+        const raw = DataProcessing.getPropertyValue(node, property);
+        if (raw === null || raw === undefined || raw === '') return null;
+
+        const value = Number(raw);
+        return isNaN(value) ? null : value;
+    },
+
+    /**
+     * Create an empty partial state
+     */
+    emptyState(metric) {
+        const state = { count: 0, sum: 0, min: null, max: null, weightSum: 0, weightedSum: 0 };
+        if (metric.op === 'median' || metric.op === 'percentile') {
+            state.values = [];
+        }
+        if (metric.op === 'mode' || metric.op === 'distribution') {
+            state.counts = new Map();
+        }
+        return state;
+    },
+
+    /**
+     * Partial states for a single leaf
+     * @param {Object} node - Leaf node
+     * @param {Array} metrics - Normalised metrics
+     * @returns {Object} - Map of metric name to partial state
+     */
+    leafState(node, metrics) {
+        const states = {};
+
+        metrics.forEach(metric => {
+            const state = this.emptyState(metric);
+
+            // Categorical values are counted, not read as numbers
+            if (state.counts) {
+                const raw = DataProcessing.getPropertyValue(node, metric.property);
+                if (raw !== null && raw !== undefined && raw !== '') {
+                    state.count = 1;
+                    state.counts.set(raw, 1);
+                }
+                states[metric.name] = state;
+                return;
+            }
+
+            const value = this.readNumber(node, metric.property);
+
+            if (value !== null) {
+                state.count = 1;
+                state.sum = value;
+                state.min = value;
+                state.max = value;
+
+                if (metric.weight) {
+                    const weight = this.readNumber(node, metric.weight);
+                    if (weight !== null) {
+                        state.weightSum = weight;
+                        state.weightedSum = value * weight;
+                    }
+                }
+
+                if (state.values) state.values.push(value);
+            }
+
+            states[metric.name] = state;
+        });
+
+        return states;
+    },
+
+    /**
+     * Combine partial states (returns a new object)
+     * @param {Array} stateList - Partial state maps to merge
+     * @param {Array} metrics - Normalised metrics
+     * @returns {Object} - Merged partial state map
+     */
+    mergeStates(stateList, metrics) {
+        const merged = {};
+
+        metrics.forEach(metric => {
+            const target = this.emptyState(metric);
+
+            stateList.forEach(states => {
+                const state = states[metric.name];
+                if (!state || state.count === 0) return;
+
+                target.count += state.count;
+                target.sum += state.sum;
+                target.min = target.min === null ? state.min : Math.min(target.min, state.min);
+                target.max = target.max === null ? state.max : Math.max(target.max, state.max);
+                target.weightSum += state.weightSum;
+                target.weightedSum += state.weightedSum;
+                if (target.values) target.values.push(...state.values);
+                if (target.counts) {
+                    state.counts.forEach((n, value) => target.counts.set(value, (target.counts.get(value) || 0) + n));
+                }
+            });
+
+            merged[metric.name] = target;
+        });
+
+        return merged;
+    },
+
+    /**
+     * Turn partial states into final metric values
+     * @param {Object} states - Partial state map
+     * @param {Array} metrics - Normalised metrics
+     * @returns {Object} - Map of metric name to value (null when no data)
+     */
+    finalize(states, metrics) {
+        const result = {};
+
+        metrics.forEach(metric => {
+            const state = states[metric.name];
+            result[metric.name] = state ? this.finalizeMetric(state, metric) : null;
+        });
+
+        return result;
+    },
+
+    /**
+     * Final value of one metric
+     */
+    finalizeMetric(state, metric) {
+        if (metric.op === 'count') return state.count;
+        if (metric.op === 'distribution' && state.count === 0) return {};
+        if (state.count === 0) return null;
+
+        switch (metric.op) {
+            case 'sum':
+                return state.sum;
+            case 'mean':
+                return state.sum / state.count;
+            case 'min':
+                return state.min;
+            case 'max':
+                return state.max;
+            case 'weightedMean':
+                return state.weightSum > 0 ? state.weightedSum / state.weightSum : state.sum / state.count;
+            case 'median':
+            case 'percentile':
+                return this.percentile(state.values, metric.p);
+            case 'mode':
+                return this.mode(state.counts);
+            case 'distribution':
+                return Object.fromEntries(state.counts);
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Linear-interpolated percentile
+     * @param {Array} values - Numbers
+     * @param {number} p - Percentile (0-100)
+     * @returns {number|null}
+     */
+    percentile(values, p) {
+        if (!values || values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = (Math.min(Math.max(p, 0), 100) / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    },
+
+    /**
+     * Most common value (ties go to the value that sorts first, so the
+     * result does not depend on leaf order)
+     * @param {Map} counts - Value → number of leaves
+     * @returns {*|null}
+     */
+    mode(counts) {
+        let best = null;
+        let bestCount = 0;
+
+        counts.forEach((n, value) => {
+            if (n > bestCount || (n === bestCount && String(value) < String(best))) {
+                best = value;
+                bestCount = n;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Aggregate a subtree directly, without an index
+     * @param {Object} node - Subtree root
+     * @param {Object|Array} metrics - Metric config or normalised metrics
+     * @param {Object} filters - Active filters (only matching leaves contribute)
+     * @param {Array} ancestors - Ancestor nodes, root first
+     * @returns {Object} - Map of metric name to value
+     */
+    aggregate(node, metrics, filters = {}, ancestors = []) {
+        const normalized = Array.isArray(metrics) ? metrics : this.normalizeMetrics(metrics);
+        return this.finalize(this.collectStates(node, normalized, filters, ancestors), normalized);
+    },
+
+    /**
+     * Partial states for a subtree
+     */
+    collectStates(node, metrics, filters, ancestors) {
+        if (!node.children || node.children.length === 0) {
+            return DataProcessing.matchesFilters(node, filters, ancestors)
+                ? this.leafState(node, metrics)
+                : this.mergeStates([], metrics);
+        }
+
+        const childAncestors = [...ancestors, node];
+        return this.mergeStates(
+            node.children.map(child => this.collectStates(child, metrics, filters, childAncestors)),
+            metrics
+        );
+    },
+
+    /**
+     * Format a metric value for display
+     * @param {number|null} value - Metric value
+     * @param {Object} metric - Normalised metric
+     * @returns {string}
+     */
+    formatValue(value, metric) {
+        if (value === null || value === undefined) return '–';
+        if (typeof value === 'object') {
+            return Object.keys(value).map(key => `${key}: ${value[key]}`).join(', ') || '–';
+        }
+        if (typeof value !== 'number' && isNaN(Number(value))) return String(value);
+
+        const decimals = metric.op === 'count' ? 0 : metric.decimals;
+        const text = Number(value).toLocaleString(undefined, {
+            maximumFractionDigits: decimals
+        });
+
+        if (!metric.unit) return text;
+        return metric.unit === '%' ? `${text}%` : `${text} ${metric.unit}`;
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Aggregation;
+}
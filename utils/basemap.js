@@ -0,0 +1,380 @@
+/**
+ * Basemap Loading for Geo Visualization Widget
+ * Resolves the `basemap` option to country features and borders. The source
+ * can be a URL (the CDN world atlas by default, or a self-hosted file),
+ * inline TopoJSON or GeoJSON, or a loader function returning either (or a
+ * URL):
+ *
+ *   basemap: './assets/countries-50m.json'
+ *   basemap: { source: () => import('./world.js').then(m => m.default), object: 'countries' }
+ *
+ * When the source cannot be loaded, a bundled low-resolution outline of the
+ * continents (`fallback`) is drawn instead so the map is never blank.
+ *
+ * More detailed geometry can be listed in `tiers`, each used from its
+ * `minZoom` scale up. Tiers are loaded on first use and drawn clipped to the
+ * visible area:
+ *
+ *   basemap: { tiers: './assets/world-atlas/' }   // countries-50m.json, countries-10m.json
+ *   basemap: { tiers: [{ minZoom: 4, source: './assets/europe-10m.json' }] }
+ */
+
+const Basemap = {
+    /**
+     * Default basemap options
+     */
+    defaults: {
+        source: 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json',
+        object: null,           // TopoJSON object to draw; null uses 'countries' or the first object
+        fallback: true,         // Draw the bundled outline when the source fails
+        notice: true,           // Show a notice on the map when the basemap is degraded
+        tiers: [],              // Detailed sources by zoom: [{ minZoom, source, object }], or a world-atlas directory
+        clipMargin: 0.5         // Extra area drawn around the view for detailed tiers, as a fraction of its size
+    },
+
+    /**
+     * Normalise the `basemap` option
+     * @param {Object|string|Function|boolean} basemap - Options, or a source on its own; false draws no land
+     * @returns {Object|null} - Options, or null for no basemap
+     */
+    normalize(basemap) {
+        if (basemap === false || basemap === null) return null;
+        if (basemap === undefined || basemap === true) return { ...this.defaults };
+
+        const isSource = typeof basemap === 'string' || typeof basemap === 'function' || !!basemap.type;
+        const normalized = { ...this.defaults, ...(isSource ? { source: basemap } : basemap) };
+
+        if (!normalized.source) {
+            throw new Error('Basemap needs a source (URL, TopoJSON/GeoJSON or loader function)');
+        }
+        normalized.tiers = this.normalizeTiers(normalized.tiers);
+
+        return normalized;
+    },
+
+    /**
+     * Normalise detail tiers
+     * @param {Array|string|null} tiers - Tier list, or a directory holding the world-atlas files
+     * @returns {Array} - [{ minZoom, source, object }] sorted by minZoom
+     */
+    normalizeTiers(tiers) {
+        if (!tiers) return [];
+        if (typeof tiers === 'string') tiers = this.worldAtlasTiers(tiers);
+
+        if (!Array.isArray(tiers)) {
+            throw new Error('Basemap tiers must be an array or a world-atlas directory');
+        }
+
+        return tiers.map(tier => {
+            if (!tier || !tier.source) {
+                throw new Error('Each basemap tier needs a source');
+            }
+            const minZoom = Number(tier.minZoom);
+            if (!(minZoom > 1)) {
+                throw new Error(`Basemap tier minZoom must be above 1 (got ${tier.minZoom})`);
+            }
+            return { minZoom, source: tier.source, object: tier.object || null };
+        }).sort((a, b) => a.minZoom - b.minZoom);
+    },
+
+    /**
+     * Tiers for self-hosted world-atlas files: 50m from the country level
+     * (scale 2.5) and 10m from the datacentre level (scale 5)
+     * @param {string} directory - URL of the directory holding countries-50m.json and countries-10m.json
+     * @returns {Array}
+     */
+    worldAtlasTiers(directory) {
+        const base = directory.endsWith('/') ? directory : `${directory}/`;
+        return [
+            { minZoom: 2.5, source: `${base}countries-50m.json` },
+            { minZoom: 5, source: `${base}countries-10m.json` }
+        ];
+    },
+
+    /**
+     * Index of the tier to draw at a zoom scale
+     * @param {Array} tiers - Normalised tiers
+     * @param {number} k - Zoom scale
+     * @returns {number} - Tier index, or -1 for the base source
+     */
+    tierFor(tiers, k) {
+        let index = -1;
+        tiers.forEach((tier, i) => {
+            if (k >= tier.minZoom) index = i;
+        });
+        return index;
+    },
+
+    /**
+     * Features overlapping the visible area. Feature bounds are computed on
+     * first use and kept on `data`.
+     * @param {Object} data - { features } from toFeatures
+     * @param {Object|null} visible - { minLon, maxLon, minLat, maxLat } (see ProjectionUtils.getVisibleBounds)
+     * @param {number} margin - Fraction of the visible size added on each side
+     * @returns {Array} - Features (all of them when the visible bounds are unknown)
+     */
+    cull(data, visible, margin = 0.5) {
+        if (!visible || ![visible.minLon, visible.maxLon, visible.minLat, visible.maxLat].every(isFinite)) {
+            return data.features;
+        }
+
+        if (!data.bounds) {
+            data.bounds = data.features.map(feature => d3.geoBounds(feature));
+        }
+
+        const padLon = (visible.maxLon - visible.minLon) * margin;
+        const padLat = (visible.maxLat - visible.minLat) * margin;
+        const minLon = visible.minLon - padLon;
+        const maxLon = visible.maxLon + padLon;
+        const minLat = visible.minLat - padLat;
+        const maxLat = visible.maxLat + padLat;
+
+        return data.features.filter((feature, i) => {
+            const [[west, south], [east, north]] = data.bounds[i];
+            if (south > maxLat || north < minLat) return false;
+            // Features crossing the antimeridian have west > east: keep them
+            return west > east || (west <= maxLon && east >= minLon);
+        });
+    },
+
+    /**
+     * Path generator clipping projected geometry to a rectangle
+     * @param {Function} projection - D3 projection
+     * @param {Array} extent - [[x0, y0], [x1, y1]] in projected (unzoomed) px
+     * @returns {Function} - d3.geoPath
+     */
+    clippedPath(projection, extent) {
+        const clip = d3.geoClipRectangle(extent[0][0], extent[0][1], extent[1][0], extent[1][1]);
+        return d3.geoPath({ stream: output => projection.stream(clip(output)) });
+    },
+
+    /**
+     * Load and convert the basemap source
+     * @param {Object} options - Normalised options
+     * @returns {Promise<Object>} - { features, borders } (see toFeatures)
+     */
+    async load(options) {
+        let data = options.source;
+
+        if (typeof data === 'function') {
+            data = await data();
+        }
+        if (typeof data === 'string') {
+            const response = await fetch(data);
+            if (!response.ok) throw new Error(`HTTP ${response.status} loading ${data}`);
+            data = await response.json();
+        }
+
+        return this.toFeatures(data, options.object);
+    },
+
+    /**
+     * Convert TopoJSON or GeoJSON to drawable features
+     * @param {Object} data - Topology, FeatureCollection, Feature or geometry
+     * @param {string|null} objectName - TopoJSON object to use
+     * @returns {Object} - { features, borders }: borders is a MultiLineString of the
+     *   shared edges for TopoJSON, or null for GeoJSON (land outlines only)
+     */
+    toFeatures(data, objectName = null) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Basemap data is empty');
+        }
+
+        let features;
+        let borders = null;
+
+        if (data.type === 'Topology') {
+            const objects = data.objects || {};
+            const name = objectName || (objects.countries ? 'countries' : Object.keys(objects)[0]);
+            const object = objects[name];
+            if (!object) throw new Error(`TopoJSON has no object "${objectName || 'countries'}"`);
+
+            const converted = topojson.feature(data, object);
+            features = converted.type === 'FeatureCollection' ? converted.features : [converted];
+            if (object.type === 'GeometryCollection') {
+                borders = topojson.mesh(data, object, (a, b) => a !== b);
+            }
+        } else if (data.type === 'FeatureCollection') {
+            features = data.features || [];
+        } else if (data.type === 'Feature') {
+            features = [data];
+        } else if (data.type === 'Polygon' || data.type === 'MultiPolygon') {
+            features = [{ type: 'Feature', properties: {}, geometry: data }];
+        } else {
+            throw new Error('Unrecognised basemap data (expected TopoJSON or GeoJSON)');
+        }
+
+        return {
+            features: features.filter(feature => feature && feature.geometry).map(feature => this.rewind(feature)),
+            borders
+        };
+    },
+
+    /**
+     * Fix polygon winding for d3-geo. GeoJSON files following RFC 7946 wind
+     * exterior rings counter-clockwise, which d3 reads as "everything but
+     * this polygon"; any polygon covering more than a hemisphere is reversed.
+     * @param {Object} feature - GeoJSON feature
+     * @returns {Object} - The feature, or a copy with its rings reversed
+     */
+    rewind(feature) {
+        const fix = coordinates => (
+            d3.geoArea({ type: 'Polygon', coordinates }) > 2 * Math.PI
+                ? coordinates.map(ring => ring.slice().reverse())
+                : coordinates
+        );
+        const geometry = feature.geometry;
+
+        if (geometry.type === 'Polygon') {
+            return { ...feature, geometry: { ...geometry, coordinates: fix(geometry.coordinates) } };
+        }
+        if (geometry.type === 'MultiPolygon') {
+            return { ...feature, geometry: { ...geometry, coordinates: geometry.coordinates.map(fix) } };
+        }
+        return feature;
+    },
+
+    /**
+     * Bundled low-resolution outline of the continents and main islands
+     * ([longitude, latitude], roughly 1-3° accuracy)
+     */
+    fallback: {
+        type: 'FeatureCollection',
+        features: [
+            ['North America', [[
+                [-168, 66], [-156, 71.3], [-140, 69.6], [-128, 70], [-115, 68], [-95, 70], [-85, 69.5],
+                [-82, 66.5], [-87, 64], [-94, 60], [-92.5, 57], [-82.5, 55], [-79, 52], [-78, 58],
+                [-78, 62.5], [-73, 62], [-69.5, 59], [-64.5, 60.3], [-61, 56], [-56, 52], [-60, 48],
+                [-64.5, 49], [-65, 46], [-66, 44.5], [-70, 43.5], [-70, 41.7], [-74, 40.5], [-76, 37],
+                [-75.5, 35.3], [-81, 31.5], [-80, 25.3], [-82, 26.5], [-84, 30], [-89, 30.3], [-90, 29],
+                [-94, 29.6], [-97.4, 27.5], [-97.7, 22], [-96, 19], [-94, 18.2], [-91, 18.7], [-90.5, 21],
+                [-87, 21.5], [-88, 17], [-88.5, 15.8], [-84, 15.9], [-83.3, 14], [-83.8, 11], [-81.4, 8.8],
+                [-77.3, 8.6], [-77.9, 7.2], [-80.3, 7.4], [-80.5, 8.2], [-83, 8.2], [-85.7, 10], [-87.6, 13],
+                [-91.5, 14], [-94.5, 16.1], [-96.5, 15.7], [-101, 17.5], [-105.5, 20], [-105.5, 23],
+                [-109, 26], [-112.5, 29.5], [-114.7, 31.7], [-112.7, 28.3], [-111, 25.5], [-109.5, 23],
+                [-112, 24.8], [-115, 28], [-116.5, 31.5], [-117.1, 32.5], [-120.6, 34.6], [-122.5, 37.5],
+                [-124.3, 40.4], [-124.1, 46.2], [-124.7, 48.4], [-128, 51], [-131, 54.5], [-135, 58],
+                [-139.5, 59.5], [-146, 60.8], [-152, 59.5], [-157, 57.5], [-163, 54.8], [-158, 58.7],
+                [-162, 60], [-165.2, 62], [-164.5, 63.3], [-161, 64.5], [-166.5, 65.3], [-168, 66]
+            ]]],
+            ['Baffin Island', [[
+                [-80, 73.6], [-68, 70.5], [-61.5, 66.6], [-65, 62.5], [-78, 64.3], [-73, 67.5], [-81, 70.5],
+                [-89, 73.5], [-80, 73.6]
+            ]]],
+            ['Greenland', [[
+                [-73, 78], [-60, 82], [-30, 83.5], [-18, 81], [-20, 75], [-22, 70], [-32, 68], [-42, 60],
+                [-50, 62], [-54, 67], [-56, 73], [-66, 76], [-73, 78]
+            ]]],
+            ['Cuba', [[
+                [-85, 21.9], [-82, 23.1], [-77, 22.2], [-74.1, 20.2], [-77.7, 19.9], [-81.5, 21.8], [-85, 21.9]
+            ]]],
+            ['South America', [[
+                [-77, 8.5], [-72, 12], [-63, 10.5], [-60, 8.5], [-52, 5], [-50, 0], [-44, -2.5], [-35, -5],
+                [-35, -9], [-39, -14], [-40, -20], [-44, -23], [-48, -26], [-53, -33], [-58, -35], [-57, -38],
+                [-62, -39], [-65, -42], [-67, -46], [-69, -51], [-68, -55], [-72, -54], [-75, -50], [-74, -43],
+                [-73, -37], [-71.5, -30], [-70, -18], [-76, -14], [-81, -6], [-80, -2], [-80, 1], [-78, 2.5],
+                [-77, 5], [-77, 8.5]
+            ]]],
+            ['Iceland', [[
+                [-22.5, 64], [-24, 65.5], [-22, 66.4], [-16, 66.5], [-13.5, 65.2], [-15, 64.3], [-18.5, 63.4],
+                [-22.5, 64]
+            ]]],
+            ['Great Britain', [[
+                [-5.7, 50], [1.4, 51.2], [1.7, 52.7], [0, 53.5], [-1.6, 55.6], [-2, 57.6], [-3.1, 58.6],
+                [-5, 58.6], [-6.2, 56.5], [-4.8, 54.8], [-3, 53.9], [-4.7, 52.8], [-5.2, 51.7], [-3, 51.4],
+                [-5.7, 50]
+            ]]],
+            ['Ireland', [[
+                [-6, 52.2], [-6, 54], [-7.3, 55.3], [-10, 54.2], [-10.2, 51.8], [-8, 51.6], [-6, 52.2]
+            ]]],
+            ['Eurasia', [[
+                [-9, 37], [-9, 43], [-2, 43.5], [-1.5, 46], [-4.5, 48], [2, 51], [5, 53], [8.5, 55], [8, 57],
+                [10.5, 57.7], [12, 55.5], [14, 54], [20, 54.5], [21, 57], [24, 58.5], [23.5, 59.3], [30, 60.5],
+                [25, 65.5], [21.5, 65], [17.5, 61], [19, 59.5], [16, 56], [13, 55.5], [11, 59], [5.5, 58],
+                [5, 62], [14, 67], [20, 70], [28, 71], [33, 69.5], [41, 67], [44, 68.5], [53, 68], [60, 69],
+                [68, 71], [73, 72.8], [80, 72.5], [88, 75.5], [104, 77.7], [113, 74], [128, 73], [140, 72.5],
+                [150, 71.5], [160, 70], [170, 70], [180, 69], [180, 65], [178, 64.5], [171, 60], [163, 59.8],
+                [162, 57], [156, 51], [156.5, 57.5], [160, 61.5], [155, 59.2], [143, 59.3], [135, 54.7],
+                [141, 52], [140, 48], [135, 43.5], [132, 43], [129.5, 36], [126.5, 34.5], [126, 37.5],
+                [125, 39.5], [121, 40], [117.8, 39], [119, 37.2], [122.5, 37], [120, 36], [119, 35], [121, 32],
+                [122, 30], [119.5, 25.5], [116, 23], [110, 21], [110, 20.3], [108.5, 21.5], [105.7, 19],
+                [107, 17], [109, 14], [109, 11.5], [105, 8.6], [105, 10], [103, 10.5], [100, 13.5], [99, 10],
+                [100.5, 7], [103.5, 1.5], [101, 2.8], [98, 8], [98.5, 13], [97.5, 16.5], [94.5, 16], [94, 19],
+                [91.5, 22.5], [89, 21.7], [87, 21.5], [86, 20], [80.3, 15.5], [80, 10], [77.5, 8], [76, 10],
+                [73, 16], [72.8, 20], [69, 22.5], [67, 24.8], [62, 25.2], [57.3, 25.7], [56.5, 27],
+                [51.5, 27.9], [50, 30], [48, 30], [48.5, 28.5], [50.5, 26], [51.5, 24.5], [54, 24.2],
+                [56.3, 26.5], [59.8, 22.5], [57.8, 19], [55, 17], [52, 15.5], [45, 12.8], [43.5, 12.7],
+                [42.7, 16], [39.2, 21.5], [35, 28], [34.5, 29.5], [34.2, 31.3], [35, 33], [36, 35.5],
+                [36, 36.7], [32.5, 36.1], [30, 36.2], [27.2, 37], [26.3, 39.5], [26.2, 40.8], [23.5, 40],
+                [24, 38], [22.8, 36.5], [21, 38.5], [19.5, 41.8], [13.5, 45.5], [12.3, 44.5], [16, 41.5],
+                [18.5, 40.2], [16, 38], [15.6, 40], [11, 42.5], [8.8, 44.4], [6, 43.1], [3, 43.3],
+                [3.2, 41.9], [0, 39], [-2, 36.7], [-5.6, 36], [-9, 37]
+            ]]],
+            ['Sri Lanka', [[
+                [79.9, 9.5], [81.9, 7.5], [81.2, 6.2], [80, 6.1], [79.8, 8], [79.9, 9.5]
+            ]]],
+            ['Japan', [
+                [[130.8, 31.3], [131.9, 33.8], [135, 33.5], [139.8, 35], [141, 38], [141.5, 41.4], [140, 40.5],
+                    [139.5, 38], [136.5, 37], [132.5, 35.5], [130.7, 33.9], [130.8, 31.3]],
+                [[140.2, 41.5], [141.7, 45.4], [145.5, 43.3], [143.3, 42], [140.2, 41.5]]
+            ]],
+            ['Taiwan', [[
+                [121, 25.2], [121.9, 25], [120.8, 21.9], [120.1, 23], [121, 25.2]
+            ]]],
+            ['Luzon', [[
+                [120.6, 18.5], [122.3, 18.5], [122.1, 16], [124, 13], [121, 13.7], [120, 14.8], [120, 16.5],
+                [120.6, 18.5]
+            ]]],
+            ['Africa', [[
+                [-5.9, 35.8], [-2, 35], [3, 36.8], [10, 37.3], [11, 35.5], [10, 34], [11, 33], [15, 32.4],
+                [19, 30.3], [20, 32], [23, 32.8], [29, 30.8], [32.3, 31.2], [34, 31], [34.8, 29.4], [33.5, 27.5],
+                [35.5, 24], [37.2, 21], [38.5, 18], [39.5, 15.5], [43, 12.5], [44, 10.5], [51.2, 11.8],
+                [51, 10.4], [47, 4.5], [41.5, -1.5], [39.3, -4.7], [39.5, -7], [40.5, -11], [40.5, -15],
+                [35, -19.5], [35.5, -23], [32.8, -25.8], [32.5, -29], [30, -31.3], [25.7, -34], [20, -34.8],
+                [18.4, -34], [18, -31.5], [15.2, -27], [14.5, -22.5], [11.8, -17], [13.7, -10.8], [12.2, -6],
+                [9, -1], [9.7, 3], [8.7, 4.5], [5, 5.6], [1, 5.9], [-4, 5.2], [-7.5, 4.4], [-11.5, 7],
+                [-13.5, 9.5], [-16.7, 12.4], [-17.5, 14.7], [-16, 19], [-17, 21], [-14, 26], [-10, 29],
+                [-9.8, 31.5], [-6.8, 34], [-5.9, 35.8]
+            ]]],
+            ['Madagascar', [[
+                [49.3, -12], [50.5, -15.5], [47, -25], [45, -25.5], [43.5, -22], [44, -17], [47, -14.5],
+                [49.3, -12]
+            ]]],
+            ['Indonesia', [
+                [[95.3, 5.6], [98, 4], [104.5, -1], [106, -3], [105.8, -5.8], [102.3, -4], [100.3, -1],
+                    [98.5, 1.5], [96, 3.5], [95.3, 5.6]],
+                [[109, 1.7], [111, 1.4], [113, 3.2], [116, 6.9], [119, 5], [117.8, 1], [116.5, -3.5],
+                    [114.5, -4], [110.3, -3], [109, -0.5], [109, 1.7]],
+                [[105.2, -6.8], [106, -5.9], [110.5, -6.8], [114.5, -7.8], [114.4, -8.7], [110, -8.1],
+                    [106.5, -7.4], [105.2, -6.8]]
+            ]],
+            ['New Guinea', [[
+                [131, -1.4], [134, -0.8], [138, -1.5], [144, -3.8], [147.5, -6], [150.5, -10.5], [147, -10.1],
+                [143.5, -9], [141, -9.1], [138, -8.4], [137.8, -5.2], [134, -3.8], [132, -2.8], [131, -1.4]
+            ]]],
+            ['Australia', [[
+                [113.5, -22], [114, -26], [115, -34], [118, -35], [124, -33.8], [131, -31.5], [135.5, -34.8],
+                [138, -35], [140, -38], [146, -39], [150, -37.5], [153.5, -28], [153, -25], [146, -19],
+                [142.5, -10.7], [141.5, -17], [139.5, -17.5], [136, -15], [137, -12], [132, -11.3],
+                [129.5, -15], [126, -14], [122, -17.5], [119, -20], [113.5, -22]
+            ]]],
+            ['New Zealand', [
+                [[172.7, -34.4], [178.5, -37.7], [177, -39.6], [175, -41.6], [173, -39.3], [174.5, -36.5],
+                    [172.7, -34.4]],
+                [[172.7, -40.5], [174.3, -41.7], [173, -43.8], [171, -45.5], [168.3, -46.6], [166.5, -45.5],
+                    [170.5, -42.5], [172.7, -40.5]]
+            ]]
+        ].map(([name, polygons]) => ({
+            type: 'Feature',
+            properties: { name },
+            geometry: polygons.length === 1
+                ? { type: 'Polygon', coordinates: polygons }
+                : { type: 'MultiPolygon', coordinates: polygons.map(ring => [ring]) }
+        }))
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Basemap;
+}
@@ -0,0 +1,334 @@
+/**
+ * Canvas Marker Renderer for Geo Visualization Widget
+ * Draws markers on a Canvas 2D layer instead of one SVG group per marker,
+ * for datasets with thousands of visible markers. Zooming and panning only
+ * repaint the canvas (once per animation frame) rather than updating DOM
+ * attributes, and pointer events are hit-tested against a quadtree.
+ *
+ * The canvas sits above the map SVG with `pointer-events: none`, so the
+ * zoom behaviour keeps receiving input; the widget forwards pointer
+ * positions to `hitTest`.
+ */
+
+class CanvasMarkerRenderer {
+    constructor(options = {}) {
+        this.container = options.container;
+        this.debug = options.debug || false;
+
+        // Callbacks into the widget
+        this.getPosition = options.getPosition;                   // marker => [x, y] in map units
+        this.getSize = options.getSize;                           // marker => { outer, inner }
+        this.getColor = options.getColor || (() => null);         // marker => fill colour, null for the level colour
+        this.getBadgeColor = options.getBadgeColor || (() => null); // marker => status badge colour, null for none
+        this.getMarkerScale = options.getMarkerScale || (() => 1); // zoom scale => size factor
+        this.getLabel = options.getLabel || (marker => marker.label);
+
+        // State
+        this.entries = [];          // [{ marker, x, y }]
+        this.quadtree = null;
+        this.maxOuter = 0;          // Largest outer diameter, bounds hit-test searches
+        this.transform = d3.zoomIdentity;
+        this.selectedIds = new Set();
+        this.hoveredId = null;
+        this.labelPlacements = new Map(); // Marker id → { text, dx, dy, anchor, hidden }
+        this.frame = null;
+
+        this.canvas = d3.select(this.container)
+            .append('canvas')
+            .attr('class', 'marker-canvas')
+            .attr('aria-hidden', 'true')
+            .node();
+        this.context = this.canvas.getContext('2d');
+
+        this.resize(options.width, options.height);
+    }
+
+    /**
+     * Log debug messages
+     */
+    log(...args) {
+        if (this.debug) {
+            console.log('[CanvasMarkerRenderer]', ...args);
+        }
+    }
+
+    /**
+     * CSS custom properties used by the SVG marker styles
+     */
+    static get levelColorVariables() {
+        return ['--marker-continent', '--marker-country', '--marker-city', '--marker-level-4', '--marker-level-5'];
+    }
+
+    /**
+     * Match the canvas to the map size (at device pixel resolution)
+     * @param {number} width - Width in CSS px
+     * @param {number} height - Height in CSS px
+     */
+    resize(width, height) {
+        const ratio = window.devicePixelRatio || 1;
+
+        this.width = width;
+        this.height = height;
+        this.ratio = ratio;
+
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        this.render();
+    }
+
+    /**
+     * Replace the drawn markers and rebuild the hit-test index
+     * @param {Array} markers - Markers and clusters to draw
+     */
+    setMarkers(markers) {
+        this.entries = [];
+        this.maxOuter = 0;
+
+        markers.forEach(marker => {
+            const position = this.getPosition(marker);
+            if (!position) return;
+
+            this.entries.push({ marker, x: position[0], y: position[1] });
+            this.maxOuter = Math.max(this.maxOuter, this.getSize(marker).outer);
+        });
+
+        this.quadtree = d3.quadtree()
+            .x(entry => entry.x)
+            .y(entry => entry.y)
+            .addAll(this.entries);
+
+        if (this.hoveredId && !this.entries.some(entry => entry.marker.id === this.hoveredId)) {
+            this.hoveredId = null;
+        }
+
+        this.log(`Indexed ${this.entries.length} markers`);
+        this.render();
+    }
+
+    /**
+     * Get the drawn markers and clusters
+     */
+    getMarkers() {
+        return this.entries.map(entry => entry.marker);
+    }
+
+    /**
+     * Remove all markers
+     */
+    clear() {
+        if (this.entries.length === 0) return;
+
+        this.entries = [];
+        this.quadtree = null;
+        this.hoveredId = null;
+        this.render();
+    }
+
+    /**
+     * Follow the map's zoom transform (repaints on the next frame)
+     * @param {Object} transform - d3 zoom transform
+     */
+    setTransform(transform) {
+        this.transform = transform;
+        this.scheduleRender();
+    }
+
+    /**
+     * Set the selected marker ids (markers and clusters)
+     * @param {Set} ids - Selected ids
+     */
+    setSelected(ids) {
+        this.selectedIds = ids;
+        this.scheduleRender();
+    }
+
+    /**
+     * Set the hovered marker
+     * @param {string|null} id - Marker id
+     */
+    setHovered(id) {
+        if (id === this.hoveredId) return;
+
+        this.hoveredId = id;
+        this.scheduleRender();
+    }
+
+    /**
+     * Set label positions (screen px offsets from each marker, see
+     * utils/labelPlacement.js); markers without one are labelled below
+     * @param {Map} placements - Marker id → placement
+     */
+    setLabelPlacements(placements) {
+        this.labelPlacements = placements;
+        this.scheduleRender();
+    }
+
+    /**
+     * Repaint once on the next animation frame
+     */
+    scheduleRender() {
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * On-screen radius of a marker's outer circle at the current zoom
+     */
+    getRadius(marker) {
+        const k = this.transform.k;
+        return (this.getSize(marker).outer / 2) * this.getMarkerScale(k) * k;
+    }
+
+    /**
+     * Find the marker under a point
+     * @param {number} x - X in container px
+     * @param {number} y - Y in container px
+     * @returns {Object|null} - Marker or cluster
+     */
+    hitTest(x, y) {
+        if (!this.quadtree || this.entries.length === 0) return null;
+
+        const k = this.transform.k;
+        const [mx, my] = this.transform.invert([x, y]);
+        const searchRadius = (this.maxOuter / 2) * this.getMarkerScale(k) * 1.15;
+
+        const entry = this.quadtree.find(mx, my, searchRadius);
+        if (!entry) return null;
+
+        const [sx, sy] = this.transform.apply([entry.x, entry.y]);
+        return Math.hypot(sx - x, sy - y) <= this.getRadius(entry.marker) * 1.15 ? entry.marker : null;
+    }
+
+    /**
+     * Read the theme colours from the container's CSS custom properties
+     */
+    readColors() {
+        const style = getComputedStyle(this.container);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+
+        return {
+            levels: CanvasMarkerRenderer.levelColorVariables.map(name => read(name, '#6b7280')),
+            fill: read('--bg-secondary', '#1e293b'),
+            background: read('--bg-primary', '#0f172a'),
+            border: read('--color-default-border', '#4b5563'),
+            selected: read('--color-selected', '#2563eb'),
+            selectedBorder: read('--color-selected-border', '#1e40af'),
+            hover: read('--color-hover', '#60a5fa'),
+            cluster: read('--color-primary', '#2563eb'),
+            text: read('--text-primary', '#f1f5f9'),
+            label: read('--text-secondary', '#94a3b8'),
+            font: read('--font-primary', 'monospace')
+        };
+    }
+
+    /**
+     * Paint all markers (selected and hovered markers last, on top)
+     */
+    render() {
+        const ctx = this.context;
+        ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        if (this.entries.length === 0) return;
+
+        const colors = this.readColors();
+        const k = this.transform.k;
+        const labelSize = 11 * Math.sqrt(k);
+        const isRaised = entry => this.selectedIds.has(entry.marker.id) || entry.marker.id === this.hoveredId;
+        const ordered = [
+            ...this.entries.filter(entry => !isRaised(entry)),
+            ...this.entries.filter(isRaised)
+        ];
+
+        ordered.forEach(entry => {
+            const marker = entry.marker;
+            const [x, y] = this.transform.apply([entry.x, entry.y]);
+            const size = this.getSize(marker);
+            const hovered = marker.id === this.hoveredId;
+            const selected = this.selectedIds.has(marker.id);
+            const grow = hovered ? 1.15 : 1;
+            const outer = this.getRadius(marker) * grow;
+            const inner = (size.inner / 2) * this.getMarkerScale(k) * k * grow;
+
+            // Skip markers (and their labels) well outside the view
+            if (x < -outer - 100 || x > this.width + outer + 100 ||
+                y < -outer - 40 || y > this.height + outer + 40) {
+                return;
+            }
+
+            ctx.beginPath();
+            ctx.arc(x, y, outer, 0, 2 * Math.PI);
+            ctx.fillStyle = colors.fill;
+            ctx.fill();
+            ctx.lineWidth = selected ? 3 : 2;
+            ctx.strokeStyle = selected ? colors.selectedBorder : colors.border;
+            ctx.setLineDash(marker._cluster ? [3, 2] : []);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.beginPath();
+            ctx.arc(x, y, inner, 0, 2 * Math.PI);
+            ctx.fillStyle = selected ? colors.selected
+                : hovered ? colors.hover
+                : marker._cluster ? colors.cluster
+                : this.getColor(marker) || colors.levels[(marker._level || 1) - 1] || colors.levels[colors.levels.length - 1];
+            ctx.fill();
+
+            const badgeColor = this.getBadgeColor(marker);
+            if (badgeColor) {
+                const offset = (outer / grow) * Math.SQRT1_2;
+                ctx.beginPath();
+                ctx.arc(x + offset, y - offset, (outer / grow) * 0.35, 0, 2 * Math.PI);
+                ctx.fillStyle = badgeColor;
+                ctx.fill();
+                ctx.lineWidth = 1.5;
+                ctx.strokeStyle = colors.background;
+                ctx.stroke();
+            }
+
+            ctx.textAlign = 'center';
+            if (marker._cluster) {
+                ctx.font = `700 ${Math.max(inner, 6)}px ${colors.font}`;
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = colors.text;
+                ctx.fillText(String(marker.members.length), x, y);
+            }
+
+            // Label at its placed position (or below the marker), sized like
+            // the SVG labels at this zoom
+            const placement = this.labelPlacements.get(marker.id);
+            if (placement && placement.hidden) return;
+
+            ctx.font = `500 ${labelSize}px ${colors.font}`;
+            ctx.fillStyle = selected ? colors.text : colors.label;
+            if (placement) {
+                ctx.textAlign = { start: 'left', middle: 'center', end: 'right' }[placement.anchor];
+                ctx.textBaseline = 'middle';
+                ctx.fillText(placement.text, x + placement.dx, y + placement.dy);
+            } else {
+                ctx.textBaseline = 'alphabetic';
+                ctx.fillText(this.getLabel(marker), x, y + outer / grow + 14);
+            }
+        });
+    }
+
+    /**
+     * Remove the canvas
+     */
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.canvas.remove();
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasMarkerRenderer;
+}
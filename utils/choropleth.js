@@ -0,0 +1,195 @@
+/**
+ * Choropleth Basemap for Geo Visualization Widget
+ * Shades basemap countries by an aggregated value of the hierarchy node
+ * they are joined to. Countries are joined to the nodes of one level by
+ * name (the node label or a node property against the feature name) or by
+ * id (a node property against the feature id, ISO 3166-1 numeric in
+ * world-atlas). A mapping table overrides the join and can point several
+ * countries at one node to shade custom groups:
+ *
+ *   choropleth: {
+ *     metric: 'capacityMW',
+ *     level: 2,
+ *     join: 'name',
+ *     mapping: { 'United States of America': 'country-usa', 'Belgium': 'group-benelux' }
+ *   }
+ */
+
+const Choropleth = {
+    /**
+     * Join keys
+     */
+    joins: ['name', 'id'],
+
+    /**
+     * Scale types
+     */
+    scales: ['linear', 'sqrt', 'log', 'quantize'],
+
+    /**
+     * Default choropleth options
+     */
+    defaults: {
+        metric: 'count',                      // 'count' or a configured metric name
+        level: 2,                             // Hierarchy level joined to countries
+        join: 'name',                         // Feature key: 'name' (properties.name) or 'id'
+        nodeKey: null,                        // Node property holding the key; null uses the label
+        mapping: {},                          // Feature key → node id (overrides the join)
+        scale: 'linear',
+        colors: ['#1e3a5f', '#60a5fa'],       // Colours from the smallest to the largest value
+        steps: 5,                             // Classes for the quantize scale
+        legend: true,
+        title: null                           // Legend title; defaults to the metric label
+    },
+
+    /**
+     * Merge options with the defaults and check them
+     * @param {Object} options - Choropleth options (see defaults)
+     * @param {Array} metrics - Normalised widget metrics
+     * @returns {Object}
+     */
+    normalize(options, metrics = []) {
+        const normalized = { ...this.defaults, ...(options || {}) };
+
+        if (!this.joins.includes(normalized.join)) {
+            throw new Error(`Unknown choropleth join "${normalized.join}"`);
+        }
+        if (!this.scales.includes(normalized.scale)) {
+            throw new Error(`Unknown choropleth scale "${normalized.scale}"`);
+        }
+        if (normalized.metric !== 'count' && !metrics.some(m => m.name === normalized.metric)) {
+            throw new Error(`Unknown choropleth metric "${normalized.metric}"`);
+        }
+
+        return normalized;
+    },
+
+    /**
+     * Join key of a basemap feature
+     * @param {Object} feature - TopoJSON/GeoJSON feature
+     * @param {string} join - 'name' or 'id'
+     * @returns {string|null}
+     */
+    featureKey(feature, join) {
+        const key = join === 'id' ? feature.id : feature.properties && feature.properties.name;
+        return key === undefined || key === null || key === '' ? null : String(key);
+    },
+
+    /**
+     * Join key of a hierarchy node
+     * @param {Object} node - Node
+     * @param {Object} options - Normalised options
+     * @returns {string|null}
+     */
+    nodeKey(node, options) {
+        const key = options.nodeKey
+            ? DataProcessing.getPropertyValue(node, options.nodeKey)
+            : node.label;
+        return key === undefined || key === null || key === '' ? null : String(key);
+    },
+
+    /**
+     * Match features to nodes
+     * @param {Array} features - Basemap features
+     * @param {Array} nodes - Nodes of the joined level
+     * @param {Object} options - Normalised options
+     * @param {Function} hasNode - (nodeId) => boolean, for mapping targets at any level
+     * @returns {Map} - Feature key → node id
+     */
+    join(features, nodes, options, hasNode = () => true) {
+        const byKey = new Map();
+        nodes.forEach(node => {
+            const key = this.nodeKey(node, options);
+            if (key !== null && !byKey.has(key)) byKey.set(key, node.id);
+        });
+
+        const joined = new Map();
+        features.forEach(feature => {
+            const key = this.featureKey(feature, options.join);
+            if (key === null) return;
+
+            const mapped = options.mapping[key];
+            if (mapped !== undefined) {
+                if (mapped !== null && hasNode(mapped)) joined.set(key, mapped);
+                return;
+            }
+            if (byKey.has(key)) joined.set(key, byKey.get(key));
+        });
+
+        return joined;
+    },
+
+    /**
+     * Colour scale over the joined values
+     * @param {Array} values - Values of the shaded countries (nulls ignored)
+     * @param {Object} options - Normalised options
+     * @returns {Function|null} - value => colour (null for missing values), or null without data
+     */
+    createScale(values, options) {
+        const valid = values.filter(value => value !== null && !isNaN(value) &&
+            (options.scale !== 'log' || value > 0));
+        if (valid.length === 0) return null;
+
+        let [min, max] = d3.extent(valid);
+        if (min === max) max = min + 1;
+
+        const interpolate = d3.piecewise(d3.interpolate, options.colors);
+        let scale;
+
+        if (options.scale === 'quantize') {
+            const steps = Math.max(2, options.steps);
+            scale = d3.scaleQuantize()
+                .domain([min, max])
+                .range(d3.range(steps).map(i => interpolate(i / (steps - 1))));
+        } else {
+            const position = (options.scale === 'log' ? d3.scaleLog()
+                : options.scale === 'sqrt' ? d3.scaleSqrt()
+                : d3.scaleLinear())
+                .domain([min, max])
+                .range([0, 1])
+                .clamp(true);
+            scale = value => interpolate(position(value));
+        }
+
+        return value => {
+            if (value === null || isNaN(value) || (options.scale === 'log' && value <= 0)) return null;
+            return scale(value);
+        };
+    },
+
+    /**
+     * Legend entries for a scale
+     * @param {Array} values - Values of the shaded countries
+     * @param {Object} options - Normalised options
+     * @returns {Array} - [{ color, from, to }]: one per class for quantize, or
+     *   gradient stops (from = to) for the continuous scales
+     */
+    legendStops(values, options) {
+        const scale = this.createScale(values, options);
+        if (!scale) return [];
+
+        const valid = values.filter(value => value !== null && !isNaN(value) &&
+            (options.scale !== 'log' || value > 0));
+        const [min, max] = d3.extent(valid);
+
+        if (options.scale === 'quantize') {
+            const steps = Math.max(2, options.steps);
+            const width = (max - min) / steps;
+            return d3.range(steps).map(i => ({
+                color: scale(min + width * (i + 0.5)),
+                from: min + width * i,
+                to: min + width * (i + 1)
+            }));
+        }
+
+        return d3.range(5).map(i => {
+            const value = min + ((max - min) * i) / 4;
+            return { color: scale(value), from: value, to: value };
+        });
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Choropleth;
+}
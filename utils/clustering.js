@@ -0,0 +1,143 @@
+/**
+ * Marker Clustering for Geo Visualization Widget
+ * Screen-space clustering of markers that would overlap at the current zoom,
+ * and fan-out ("spider") layouts for points that share a location.
+ *
+ * Points are bucketed into a grid with cells the size of the cluster radius,
+ * so each point is only compared with points in the neighbouring cells
+ * (linear time for evenly spread points, instead of comparing every pair).
+ */
+
+const MarkerClustering = {
+    /**
+     * Default clustering options
+     */
+    defaults: {
+        radius: null,     // Screen px; defaults to the on-screen marker diameter
+        minPoints: 2,     // Smallest group drawn as a cluster
+        spiderfy: true    // Fan out points that zooming cannot separate
+    },
+
+    /**
+     * Group points that lie within `radius` of a cluster seed. Points with a
+     * larger weight seed clusters first, so a cluster sits on its biggest
+     * member rather than drifting with input order.
+     * A point may carry its own `radius` (e.g. for a larger marker); two
+     * points then group when closer than the mean of their radii.
+     * @param {Array} points - [{ id, x, y, weight, radius }] in screen space
+     * @param {number} radius - Cluster radius in the same units as x/y, for
+     *   points without their own
+     * @param {number} minPoints - Smallest group returned as a cluster
+     * @returns {Object} - { clusters: [{ id, x, y, members }], singles: [point] }
+     */
+    cluster(points, radius, minPoints = 2) {
+        const radiusOf = point => (point.radius > 0 ? point.radius : radius);
+        const cellSize = points.reduce((max, point) => Math.max(max, radiusOf(point)), radius);
+        const cellOf = value => Math.floor(value / cellSize);
+        const grid = new Map();
+
+        points.forEach(point => {
+            const key = `${cellOf(point.x)}:${cellOf(point.y)}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(point);
+        });
+
+        const ordered = [...points].sort((a, b) =>
+            (b.weight || 0) - (a.weight || 0) || String(a.id).localeCompare(String(b.id)));
+        const assigned = new Set();
+        const clusters = [];
+        const singles = [];
+
+        ordered.forEach(seed => {
+            if (assigned.has(seed.id)) return;
+
+            const members = [];
+            const cx = cellOf(seed.x);
+            const cy = cellOf(seed.y);
+
+            for (let gx = cx - 1; gx <= cx + 1; gx++) {
+                for (let gy = cy - 1; gy <= cy + 1; gy++) {
+                    (grid.get(`${gx}:${gy}`) || []).forEach(point => {
+                        if (assigned.has(point.id)) return;
+
+                        const dx = point.x - seed.x;
+                        const dy = point.y - seed.y;
+                        const reach = (radiusOf(seed) + radiusOf(point)) / 2;
+                        if (dx * dx + dy * dy <= reach * reach) {
+                            members.push(point);
+                        }
+                    });
+                }
+            }
+
+            if (members.length < minPoints) {
+                assigned.add(seed.id);
+                singles.push(seed);
+                return;
+            }
+
+            members.forEach(point => assigned.add(point.id));
+            clusters.push({
+                id: this.clusterId(members),
+                x: members.reduce((sum, p) => sum + p.x, 0) / members.length,
+                y: members.reduce((sum, p) => sum + p.y, 0) / members.length,
+                members
+            });
+        });
+
+        return { clusters, singles };
+    },
+
+    /**
+     * Stable id for a set of members (independent of their order)
+     */
+    clusterId(members) {
+        return `cluster:${members.map(m => m.id).sort().join(',')}`;
+    },
+
+    /**
+     * Largest distance of any member from the cluster centre
+     * @param {Array} members - [{ x, y }]
+     * @returns {number}
+     */
+    spread(members) {
+        const x = members.reduce((sum, p) => sum + p.x, 0) / members.length;
+        const y = members.reduce((sum, p) => sum + p.y, 0) / members.length;
+
+        return Math.max(...members.map(p => Math.hypot(p.x - x, p.y - y)));
+    },
+
+    /**
+     * Offsets that fan points out around a centre: a circle for a few
+     * points, an outward spiral for more
+     * @param {number} count - Number of points
+     * @param {number} spacing - Distance between neighbouring points (px)
+     * @returns {Array} - [{ dx, dy }]
+     */
+    spiderOffsets(count, spacing) {
+        if (count <= 8) {
+            const radius = Math.max(spacing, (spacing * count) / (2 * Math.PI));
+            return Array.from({ length: count }, (_, i) => {
+                const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+                return { dx: radius * Math.cos(angle), dy: radius * Math.sin(angle) };
+            });
+        }
+
+        // Archimedean spiral: turns `spacing` apart, points `spacing` apart along it
+        const growth = spacing / (2 * Math.PI);
+        const offsets = [];
+        let angle = 0;
+        let radius = spacing;
+        for (let i = 0; i < count; i++) {
+            offsets.push({ dx: radius * Math.cos(angle), dy: radius * Math.sin(angle) });
+            angle += spacing / radius;
+            radius = spacing + growth * angle;
+        }
+        return offsets;
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkerClustering;
+}
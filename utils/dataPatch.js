@@ -0,0 +1,371 @@
+/**
+ * Data Patching for Geo Visualization Widget
+ * Applies incremental changes to GeoLocations data without mutating it.
+ * Only the changed nodes and their ancestors are copied, so untouched
+ * branches keep their object identity and NodeIndex.update re-indexes just
+ * the affected paths.
+ *
+ * Operations (applied in order):
+ *   { op: 'add', parentId, node, index }          parentId null/omitted adds a root
+ *   { op: 'remove', id }
+ *   { op: 'move', id, parentId, index }
+ *   { op: 'update', id, properties, label, geometry }
+ *
+ * `properties` on update is merged by key: { Status: 'Offline' } sets a
+ * value, { Status: null } removes it.
+ *
+ * A parent left without children by a remove or move is removed as well
+ * (and so on up the tree), so it is never mistaken for a leaf location.
+ *
+ * Given the NodeIndex of the input data, node paths are looked up through
+ * it instead of searching the tree for every operation.
+ */
+
+const DataPatch = {
+    /**
+     * Supported operations
+     */
+    operations: ['add', 'remove', 'move', 'update'],
+
+    /**
+     * Apply a list of operations. A failing operation is recorded in
+     * `errors` and skipped; the others still apply.
+     * @param {Object} data - GeoLocations data
+     * @param {Array|Object} operations - Operation or array of operations
+     * @param {Object} options - { index: NodeIndex built from `data` (optional) }
+     * @returns {Object} - { data, changedIds, removedIds, errors }
+     */
+    apply(data, operations, options = {}) {
+        const result = {
+            data,
+            changedIds: new Set(),
+            removedIds: new Set(),
+            errors: []
+        };
+
+        // Lookup state for this call: ids whose indexed path is out of date,
+        // and ids added (true) or removed (false) since the index was built
+        const context = {
+            index: options.index || null,
+            moved: new Set(),
+            present: new Map()
+        };
+
+        [].concat(operations || []).forEach((operation, i) => {
+            if (!operation || !this.operations.includes(operation.op)) {
+                result.errors.push({ index: i, message: `Unknown operation "${operation && operation.op}"` });
+                return;
+            }
+
+            try {
+                result.data = this[operation.op](result.data, operation, result, context);
+            } catch (error) {
+                result.errors.push({ index: i, message: error.message });
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Add a node (and its subtree) under a parent
+     */
+    add(data, { parentId = null, node, index }, result, context) {
+        if (!node || node.id === undefined || node.id === null) {
+            throw new Error('Node to add must have an id');
+        }
+
+        const added = this.cloneSubtree(node);
+        const ids = this.collectIds(added);
+        const existing = ids.find(id => this.exists(data, id, context));
+        if (existing !== undefined) {
+            throw new Error(`Node "${existing}" already exists`);
+        }
+
+        DataProcessing.deriveMissingGeometry(added);
+        const inserted = this.insert(data, parentId, added, index, result, context);
+
+        ids.forEach(id => {
+            result.changedIds.add(id);
+            result.removedIds.delete(id);
+            context.moved.add(id);
+            context.present.set(id, true);
+        });
+
+        return inserted;
+    },
+
+    /**
+     * Remove a node and its subtree
+     */
+    remove(data, { id }, result, context) {
+        const path = this.requirePath(data, id, context);
+        return this.detach(data, path, null, result, context);
+    },
+
+    /**
+     * Move a node (with its subtree) under another parent
+     */
+    move(data, { id, parentId = null, index }, result, context) {
+        const path = this.requirePath(data, id, context);
+        const node = path[path.length - 1];
+        const ids = this.collectIds(node);
+
+        if (parentId !== null && ids.includes(parentId)) {
+            throw new Error(`Cannot move "${id}" into its own subtree`);
+        }
+        if (parentId !== null && parentId !== undefined) {
+            this.requirePath(data, parentId, context);
+        }
+
+        // The subtree is re-inserted below, so it only loses its old ancestors
+        const detached = this.detach(data, path, parentId, result, context);
+        const moved = this.insert(detached, parentId, { ...node }, index, result, context);
+
+        ids.forEach(nodeId => {
+            result.changedIds.add(nodeId);
+            result.removedIds.delete(nodeId);
+            context.moved.add(nodeId);
+            context.present.set(nodeId, true);
+        });
+
+        return moved;
+    },
+
+    /**
+     * Update a node's label, geometry or properties
+     */
+    update(data, { id, properties, label, geometry }, result, context) {
+        const path = this.requirePath(data, id, context);
+        const node = path[path.length - 1];
+        const updated = { ...node };
+
+        if (label !== undefined) {
+            updated.label = label;
+        }
+        if (geometry !== undefined) {
+            updated.geometry = geometry;
+        }
+        if (properties) {
+            updated.properties = this.mergeProperties(node.properties || [], properties);
+        }
+
+        path.forEach(entry => result.changedIds.add(entry.id));
+
+        return this.replaceAlongPath(data, path, updated);
+    },
+
+    /**
+     * Merge a { key: value } map into a properties array (null removes a key)
+     */
+    mergeProperties(properties, changes) {
+        const merged = properties
+            .filter(p => !(p.propertyKey in changes) || changes[p.propertyKey] !== null)
+            .map(p => (p.propertyKey in changes
+                ? { ...p, propertyValue: changes[p.propertyKey] }
+                : p));
+
+        Object.keys(changes).forEach(key => {
+            if (changes[key] !== null && !properties.some(p => p.propertyKey === key)) {
+                merged.push({ propertyKey: key, propertyValue: changes[key] });
+            }
+        });
+
+        return merged;
+    },
+
+    /**
+     * Insert a node under a parent (or as a root) at an optional position
+     */
+    insert(data, parentId, node, index, result, context) {
+        const place = (siblings) => {
+            const copy = [...siblings];
+            const at = index === undefined || index === null
+                ? copy.length
+                : Math.max(0, Math.min(index, copy.length));
+            copy.splice(at, 0, node);
+            return copy;
+        };
+
+        if (parentId === null || parentId === undefined) {
+            return { ...data, GeoLocations: place(data.GeoLocations || []) };
+        }
+
+        const path = this.requirePath(data, parentId, context);
+        const parent = path[path.length - 1];
+        path.forEach(entry => result.changedIds.add(entry.id));
+
+        return this.replaceAlongPath(data, path, {
+            ...parent,
+            children: place(parent.children || [])
+        });
+    },
+
+    /**
+     * Remove the last node of a root-first path with its subtree, and every
+     * ancestor left without children, except `keepId` (a move target)
+     */
+    detach(data, path, keepId, result, context) {
+        let top = path.length - 1;
+        while (top > 0 && path[top - 1].children.length === 1 && path[top - 1].id !== keepId) {
+            top--;
+        }
+
+        this.collectIds(path[top]).forEach(nodeId => {
+            result.removedIds.add(nodeId);
+            result.changedIds.delete(nodeId);
+            context.present.set(nodeId, false);
+        });
+        path.slice(0, top).forEach(ancestor => result.changedIds.add(ancestor.id));
+
+        return this.replaceAlongPath(data, path.slice(0, top + 1), null);
+    },
+
+    /**
+     * Replace the last node of a root-first path (null removes it), copying
+     * each ancestor so unchanged siblings keep their identity
+     */
+    replaceAlongPath(data, path, replacement) {
+        let current = replacement;
+
+        for (let i = path.length - 1; i > 0; i--) {
+            const parent = path[i - 1];
+            const children = parent.children
+                .map(child => (child === path[i] ? current : child))
+                .filter(Boolean);
+
+            current = { ...parent, children };
+        }
+
+        const roots = data.GeoLocations
+            .map(root => (root === path[0] ? current : root))
+            .filter(Boolean);
+
+        return { ...data, GeoLocations: roots };
+    },
+
+    /**
+     * Find the root-first node path to a node
+     * @param {Object} data - GeoLocations data
+     * @param {string} id - Node ID
+     * @returns {Array|null} - Array of nodes, or null if not found
+     */
+    findPath(data, id) {
+        const search = (nodes, path) => {
+            for (const node of nodes || []) {
+                const nodePath = [...path, node];
+                if (node.id === id) return nodePath;
+
+                const found = search(node.children, nodePath);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        return search(data && data.GeoLocations, []);
+    },
+
+    /**
+     * Find the node path through the index when it is still accurate for
+     * this node, otherwise by searching the tree
+     */
+    locate(data, id, context) {
+        if (!context || !context.index || context.moved.has(id)) {
+            return this.findPath(data, id);
+        }
+        if (!this.exists(data, id, context)) return null;
+
+        const path = [];
+        let siblings = data.GeoLocations;
+        for (const stepId of context.index.getPath(id)) {
+            const node = (siblings || []).find(child => child.id === stepId);
+            if (!node) return this.findPath(data, id);
+
+            path.push(node);
+            siblings = node.children;
+        }
+
+        return path;
+    },
+
+    /**
+     * Check whether a node id is in use
+     */
+    exists(data, id, context) {
+        if (!context || !context.index) {
+            return !!this.findPath(data, id);
+        }
+        return context.present.has(id) ? context.present.get(id) : context.index.has(id);
+    },
+
+    /**
+     * Find a node path or throw
+     */
+    requirePath(data, id, context) {
+        const path = this.locate(data, id, context);
+        if (!path) {
+            throw new Error(`Node "${id}" not found`);
+        }
+        return path;
+    },
+
+    /**
+     * Deep copy a subtree so later patches never alias caller-owned objects
+     */
+    cloneSubtree(node) {
+        const copy = {
+            ...node,
+            properties: (node.properties || []).map(p => ({ ...p }))
+        };
+
+        if (node.children) {
+            copy.children = node.children.map(child => this.cloneSubtree(child));
+        }
+
+        return copy;
+    },
+
+    /**
+     * List the nodes of patched data whose validation may have changed: the
+     * changed nodes and their direct children (placed relative to them).
+     * Every ancestor of a changed node is changed too, so only changed
+     * branches are walked.
+     * @param {Object} data - Patched GeoLocations data
+     * @param {Set} changedIds - changedIds from apply
+     * @returns {Array} - [{ node, parent, level, path }]
+     */
+    collectChanged(data, changedIds) {
+        const entries = [];
+
+        const visit = (nodes, parent, level, parentPath) => {
+            (nodes || []).forEach((node, i) => {
+                const path = parent ? `${parentPath}.children[${i}]` : `GeoLocations[${i}]`;
+                const changed = changedIds.has(node.id);
+
+                if (changed || parent) {
+                    entries.push({ node, parent, level, path });
+                }
+                if (changed) {
+                    visit(node.children, node, level + 1, path);
+                }
+            });
+        };
+
+        visit(data && data.GeoLocations, null, 1, '');
+        return entries;
+    },
+
+    /**
+     * Get the IDs of a node and all its descendants
+     */
+    collectIds(node) {
+        const ids = [node.id];
+        (node.children || []).forEach(child => ids.push(...this.collectIds(child)));
+        return ids;
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataPatch;
+}
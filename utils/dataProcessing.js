@@ -8,66 +8,223 @@ const DataProcessing = {
      * Calculate the count of all descendant leaf nodes
      * @param {Object} node - The node to count descendants for
      * @param {Object} filters - Active filter criteria
+     * @param {Array} ancestors - Ancestor nodes of `node`, root first
      * @returns {number} - Total count of matching leaf nodes
      */
-    calculateCounts(node, filters = {}) {
+    calculateCounts(node, filters = {}, ancestors = []) {
         if (!node) return 0;
         
         // If node has no children, it's a leaf node
         if (!node.children || node.children.length === 0) {
-            return this.matchesFilters(node, filters) ? 1 : 0;
+            return this.matchesFilters(node, filters, ancestors) ? 1 : 0;
         }
         
         // Recursively count children
         let count = 0;
+        const childAncestors = [...ancestors, node];
         for (const child of node.children) {
-            count += this.calculateCounts(child, filters);
+            count += this.calculateCounts(child, filters, childAncestors);
         }
         
         return count;
     },
 
+    /**
+     * Normalise filter input: a query string becomes { query }
+     * @param {Object|string} filters - Filter criteria or query text
+     * @returns {Object} - Filter criteria
+     */
+    normalizeFilters(filters) {
+        if (typeof filters === 'string') return { query: filters };
+        return filters || {};
+    },
+
     /**
      * Check if a node matches the given filters
+     * Region, location and datacentre predicates are evaluated against the
+     * node's whole ancestor path, so selecting a region or country keeps
+     * every datacentre beneath it. Pass `ancestors` whenever `node` is not a
+     * root; without them only the node itself is tested.
      * @param {Object} node - Node to check
-     * @param {Object} filters - Filter criteria
+     * @param {Object} filters - Filter criteria, optionally with a `query`
+     *                           expression (see utils/filterQuery.js)
+     * @param {Array} ancestors - Ancestor nodes, root first
      * @returns {boolean} - True if node matches filters
      */
-    matchesFilters(node, filters = {}) {
-        const { region, location, datacentre } = filters;
-        
-        // Get node properties
-        const nodeRegion = this.getPropertyValue(node, 'CategoryValue') || 
-                          this.getPropertyValue(node, 'Region');
-        const nodeLocation = node.label;
+    matchesFilters(node, filters = {}, ancestors = []) {
+        filters = this.normalizeFilters(filters);
+        const { region, location, datacentre, query, facets } = filters;
+        const path = [...ancestors, node];
         
         // Check region filter
         if (region && region !== 'All') {
-            // Check if this node or any ancestor matches the region
-            if (!this.nodeMatchesRegion(node, region)) {
+            if (!path.some(n => this.nodeMatchesRegion(n, region))) {
                 return false;
             }
         }
         
         // Check location filter
         if (location && location !== 'All') {
-            if (!this.nodeMatchesLocation(node, location)) {
+            if (!path.some(n => this.nodeMatchesLocation(n, location))) {
                 return false;
             }
         }
         
         // Check datacentre filter
         if (datacentre && datacentre !== 'All') {
-            if (node.label !== datacentre) {
+            if (!path.some(n => n.label === datacentre)) {
                 return false;
             }
         }
         
+        // Check property query
+        if (query && !FilterQuery.evaluate(query, node, ancestors)) {
+            return false;
+        }
+        
+        // Check facet selections
+        if (facets && !this.matchesFacets(node, facets, ancestors)) {
+            return false;
+        }
+        
         return true;
     },
 
     /**
-     * Check if node matches a region filter (including ancestors)
+     * Default facets, equivalent to the original Region/Location/Datacentre filters
+     */
+    defaultFacets: [
+        { id: 'region', label: 'Region', level: 1 },
+        { id: 'location', label: 'Location', level: 2 },
+        { id: 'datacentre', label: 'Datacentre' }
+    ],
+
+    /**
+     * Normalise facet definitions. A string is shorthand for a leaf property facet.
+     * @param {Array} facets - Facet definitions or property keys
+     * @returns {Array} - [{ id, label, property, level, multiple }]
+     */
+    normalizeFacets(facets) {
+        return (facets || []).map(facet => {
+            const definition = typeof facet === 'string' ? { property: facet } : facet;
+            const property = definition.property || 'label';
+            
+            return {
+                id: definition.id || property,
+                label: definition.label || definition.id || property,
+                property,
+                level: definition.level || null,
+                multiple: !!definition.multiple
+            };
+        });
+    },
+
+    /**
+     * Read a facet's value for a node. Facets with a `level` read the
+     * ancestor (or the node itself) at that level; others read the node.
+     * @param {Object} facet - { property, level }
+     * @param {Object} node - Node being tested
+     * @param {Array} ancestors - Ancestor nodes, root first
+     * @returns {string|null}
+     */
+    getFacetValue(facet, node, ancestors = []) {
+        const target = facet.level ? [...ancestors, node][facet.level - 1] : node;
+        if (!target) return null;
+        
+        const property = facet.property || 'label';
+        if (property === 'label') return target.label;
+        if (property === 'id') return target.id;
+        
+        return this.getPropertyValue(target, property);
+    },
+
+    /**
+     * Check a node against facet selections
+     * @param {Object} node - Node to check
+     * @param {Object} facets - Map of facet id to { property, level, values }
+     * @param {Array} ancestors - Ancestor nodes, root first
+     * @returns {boolean}
+     */
+    matchesFacets(node, facets, ancestors = []) {
+        return Object.keys(facets).every(id => {
+            const selection = facets[id];
+            const values = (selection && selection.values) || [];
+            if (values.length === 0 || values.includes('All')) return true;
+            
+            const value = this.getFacetValue(selection, node, ancestors);
+            return value !== null && values.includes(String(value));
+        });
+    },
+
+    /**
+     * Build cascading facet options. Each facet's options are narrowed by
+     * every other active filter (but not by its own selection) and carry the
+     * matching leaf count from calculateCounts.
+     * @param {Object} data - GeoLocations data
+     * @param {Array} facets - Facet definitions (see normalizeFacets)
+     * @param {Object} filters - Active filters, with selections under `facets`
+     * @param {WeakMap} cache - Counts by top-level node from earlier calls with
+     *   the same facets and filters (optional); unchanged regions are reused
+     * @returns {Object} - Map of facet id to [{ value, count }]
+     */
+    extractFacetOptions(data, facets, filters = {}, cache = null) {
+        const result = {};
+        if (!data || !data.GeoLocations) return result;
+        
+        this.normalizeFacets(facets).forEach(facet => {
+            // Every other filter stays active; this facet's own selection does not
+            const otherFacets = { ...(filters.facets || {}) };
+            delete otherFacets[facet.id];
+            const otherFilters = { ...filters, facets: otherFacets };
+            
+            const counts = new Map();
+            
+            // Level facets count whole subtrees; leaf facets count single leaves
+            const visit = (node, ancestors, counts) => {
+                const depth = ancestors.length + 1;
+                const isLeaf = !node.children || node.children.length === 0;
+                
+                if (facet.level ? depth === facet.level : isLeaf) {
+                    const value = this.getFacetValue(facet, node, ancestors);
+                    if (value !== null && value !== undefined && value !== '') {
+                        const key = String(value);
+                        const count = this.calculateCounts(node, otherFilters, ancestors);
+                        counts.set(key, (counts.get(key) || 0) + count);
+                    }
+                    return;
+                }
+                
+                if (node.children) {
+                    node.children.forEach(child => visit(child, [...ancestors, node], counts));
+                }
+            };
+            
+            data.GeoLocations.forEach(root => {
+                let rootCounts = cache && cache.has(root) ? cache.get(root)[facet.id] : null;
+                if (!rootCounts) {
+                    rootCounts = new Map();
+                    visit(root, [], rootCounts);
+                    if (cache) {
+                        cache.set(root, { ...cache.get(root), [facet.id]: rootCounts });
+                    }
+                }
+                rootCounts.forEach((count, key) => counts.set(key, (counts.get(key) || 0) + count));
+            });
+            
+            const selected = ((filters.facets || {})[facet.id] || {}).values || [];
+            
+            result[facet.id] = Array.from(counts.entries())
+                .filter(([value, count]) => count > 0 || selected.includes(value))
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([value, count]) => ({ value, count }));
+        });
+        
+        return result;
+    },
+
+    /**
+     * Check if a single node matches a region filter
+     * (matchesFilters applies this to every node on the ancestor path)
      */
     nodeMatchesRegion(node, region) {
         const nodeRegion = this.getPropertyValue(node, 'CategoryValue');
@@ -102,16 +259,21 @@ const DataProcessing = {
     /**
      * Extract unique filter values from data
      * @param {Object} data - GeoLocations data object
-     * @returns {Object} - Object with arrays of unique values for each filter
+     * @returns {Object} - Object with arrays of unique values for each filter,
+     *                     plus `byLevel` with the labels found at every depth
      */
     extractFilterOptions(data) {
         const regions = new Set();
         const locations = new Set();
         const datacentres = new Set();
+        const byLevel = {};
         
         const processNode = (node, level = 1) => {
             if (!node) return;
             
+            if (!byLevel[level]) byLevel[level] = new Set();
+            byLevel[level].add(node.label);
+            
             // Extract region (top level)
             if (level === 1) {
                 const region = this.getPropertyValue(node, 'CategoryValue') || node.label;
@@ -123,8 +285,8 @@ const DataProcessing = {
                 locations.add(node.label);
             }
             
-            // Extract datacentre (city/leaf level)
-            if (level === 3 || (!node.children || node.children.length === 0)) {
+            // Extract datacentre (leaf level, whatever its depth)
+            if (!node.children || node.children.length === 0) {
                 datacentres.add(node.label);
             }
             
@@ -138,33 +300,104 @@ const DataProcessing = {
             data.GeoLocations.forEach(node => processNode(node, 1));
         }
         
+        const levelOptions = {};
+        Object.keys(byLevel).forEach(level => {
+            levelOptions[level] = ['All', ...Array.from(byLevel[level]).sort()];
+        });
+        
         return {
             regions: ['All', ...Array.from(regions).sort()],
             locations: ['All', ...Array.from(locations).sort()],
-            datacentres: ['All', ...Array.from(datacentres).sort()]
+            datacentres: ['All', ...Array.from(datacentres).sort()],
+            byLevel: levelOptions
+        };
+    },
+
+    /**
+     * Get the depth of the deepest branch in the hierarchy
+     * @param {Object} data - GeoLocations data
+     * @returns {number} - Number of hierarchy levels (0 for empty data)
+     */
+    getMaxDepth(data) {
+        if (!data || !data.GeoLocations) return 0;
+        
+        const depthOf = (node) => {
+            if (!node.children || node.children.length === 0) return 1;
+            return 1 + Math.max(...node.children.map(depthOf));
+        };
+        
+        return data.GeoLocations.reduce(
+            (max, node) => Math.max(max, depthOf(node)), 0
+        );
+    },
+
+    /**
+     * Get the CategoryName used at each hierarchy level
+     * The first node carrying a CategoryName at a level wins.
+     * @param {Object} data - GeoLocations data
+     * @returns {Object} - Map of level number to category name
+     */
+    getLevelCategories(data) {
+        const categories = {};
+        if (!data || !data.GeoLocations) return categories;
+        
+        const visit = (node, level) => {
+            if (!categories[level]) {
+                const category = this.getPropertyValue(node, 'CategoryName');
+                if (category) categories[level] = category;
+            }
+            
+            if (node.children) {
+                node.children.forEach(child => visit(child, level + 1));
+            }
         };
+        
+        data.GeoLocations.forEach(node => visit(node, 1));
+        
+        return categories;
     },
 
     /**
      * Filter data based on active filters
      * @param {Object} data - Original GeoLocations data
-     * @param {Object} filters - Active filters
+     * @param {Object|string} filters - Active filters, or a query expression
+     * @param {WeakMap} cache - Results by node from earlier calls with the same
+     *   filters (optional). A subtree is reused while the node is the same
+     *   object and its ancestors differ at most in their children, which is
+     *   how DataPatch and Temporal.shareUnchanged produce new data.
      * @returns {Object} - Filtered data structure
      */
-    filterData(data, filters = {}) {
+    filterData(data, filters = {}, cache = null) {
         if (!data || !data.GeoLocations) return data;
         
-        const filterNode = (node, level = 1) => {
+        filters = this.normalizeFilters(filters);
+        
+        const filterNode = (node, level = 1, ancestors = []) => {
             if (!node) return null;
             
-            // Check if this node should be visible
-            const matchesRegion = !filters.region || filters.region === 'All' ||
+            if (cache) {
+                const cached = cache.get(node);
+                if (cached && this.sameAncestors(cached.ancestors, ancestors)) {
+                    return cached.result;
+                }
+                
+                const result = filterSubtree(node, level, ancestors);
+                cache.set(node, { ancestors, result });
+                return result;
+            }
+            
+            return filterSubtree(node, level, ancestors);
+        };
+        
+        const filterSubtree = (node, level, ancestors) => {
+            // Check if this node is the explicitly selected region
+            const matchesRegion = !!filters.region && filters.region !== 'All' &&
                                   this.nodeMatchesRegion(node, filters.region);
             
             // For non-leaf nodes, recursively filter children
             if (node.children && node.children.length > 0) {
                 const filteredChildren = node.children
-                    .map(child => filterNode(child, level + 1))
+                    .map(child => filterNode(child, level + 1, [...ancestors, node]))
                     .filter(child => child !== null);
                 
                 // Only include parent if it has matching children
@@ -173,12 +406,12 @@ const DataProcessing = {
                         ...node,
                         children: filteredChildren,
                         _filteredCount: filteredChildren.reduce(
-                            (sum, child) => sum + (child._filteredCount || 1), 0
+                            (sum, child) => sum + child._filteredCount, 0
                         )
                     };
                 }
                 
-                // Check if this region matches
+                // Keep an empty top-level region that was selected explicitly
                 if (matchesRegion && level === 1) {
                     return {
                         ...node,
@@ -191,7 +424,7 @@ const DataProcessing = {
             }
             
             // For leaf nodes, check if they match
-            if (this.matchesFilters(node, filters)) {
+            if (this.matchesFilters(node, filters, ancestors)) {
                 return { ...node, _filteredCount: 1 };
             }
             
@@ -208,10 +441,27 @@ const DataProcessing = {
         };
     },
 
+    /**
+     * Check whether two ancestor chains hold the same nodes, allowing copies
+     * that only differ in their children (used by the filterData cache)
+     */
+    sameAncestors(a, b) {
+        if (a.length !== b.length) return false;
+        
+        return a.every((node, i) => {
+            const other = b[i];
+            if (node === other) return true;
+            
+            const keys = Object.keys(node).filter(key => key !== 'children');
+            return keys.length === Object.keys(other).filter(key => key !== 'children').length &&
+                keys.every(key => node[key] === other[key]);
+        });
+    },
+
     /**
      * Get nodes at a specific hierarchy level
      * @param {Object} data - GeoLocations data
-     * @param {number} level - Target hierarchy level (1, 2, or 3)
+     * @param {number} level - Target hierarchy level (1-based, any depth)
      * @returns {Array} - Array of nodes at that level
      */
     getNodesAtLevel(data, level) {
@@ -359,63 +609,572 @@ const DataProcessing = {
         return null;
     },
 
+    /**
+     * Give nodes without geometry the mean position of their children.
+     * Mutates the subtree in place.
+     * @param {Object} node - Root of the subtree
+     * @returns {Array|null} - The node's position (centroid for areas)
+     */
+    deriveMissingGeometry(node) {
+        const childCoords = (node.children || [])
+            .map(child => this.deriveMissingGeometry(child))
+            .filter(Boolean);
+        
+        if (node.geometry && Array.isArray(node.geometry.coordinates)) {
+            return GeometryUtils.getPosition(node.geometry);
+        }
+        
+        if (childCoords.length === 0) return null;
+        
+        const lon = childCoords.reduce((sum, c) => sum + c[0], 0) / childCoords.length;
+        const lat = childCoords.reduce((sum, c) => sum + c[1], 0) / childCoords.length;
+        
+        node.geometry = { type: 'Point', coordinates: [lon, lat] };
+        return node.geometry.coordinates;
+    },
+
+    /**
+     * Default validation options
+     */
+    validationDefaults: {
+        // Warn when a child sits further than this from its parent (km), keyed by parent level
+        maxChildDistanceKm: { 1: 5000, 2: 3000, default: 1000 },
+        // Property schema: { Status: { type: 'string', enum: [...], required: true }, Tier: { type: 'number', min: 1, max: 4 } }
+        schema: null
+    },
+
     /**
      * Validate data structure
+     * Every problem is reported as a diagnostic:
+     *   { code, severity: 'error'|'warning', path, nodeId, message, suggestion }
+     * Only errors make the data invalid. `errors` keeps the plain-string
+     * messages of error diagnostics for existing callers.
      * @param {Object} data - Data to validate
-     * @returns {Object} - Validation result with isValid and errors
+     * @param {Object} options - See validationDefaults
+     * @returns {Object} - { isValid, errors, warnings, diagnostics }
      */
-    validateData(data) {
-        const errors = [];
+    validateData(data, options = {}) {
+        const config = { ...this.validationDefaults, ...options };
+        const { report, result } = this.collectDiagnostics();
         
         if (!data) {
-            errors.push('Data is null or undefined');
-            return { isValid: false, errors };
+            report('NO_DATA', 'error', '', null, 'Data is null or undefined',
+                'Pass a GeoLocations object, a GeoJSON FeatureCollection or tabular rows');
+            return result();
+        }
+        
+        // Row-level problems recorded by TabularLoader
+        if (Array.isArray(data._rowErrors)) {
+            data._rowErrors.forEach(({ line, message }) => {
+                report('ROW_ERROR', 'error', `line ${line}`, null, message,
+                    'Fix the source row or the column mapping');
+            });
+        }
+        
+        // Features dropped by GeoJsonAdapter
+        if (Array.isArray(data._featureErrors)) {
+            data._featureErrors.forEach(({ index, code, nodeId, message, suggestion }) => {
+                report(code, 'error', `features[${index}]`, nodeId, message, suggestion);
+            });
         }
         
         if (!data.GeoLocations || !Array.isArray(data.GeoLocations)) {
-            errors.push('Missing or invalid GeoLocations array');
-            return { isValid: false, errors };
+            report('MISSING_ROOT', 'error', 'GeoLocations', null, 'Missing or invalid GeoLocations array',
+                'Wrap the top-level nodes in { "type": "GeoLocations", "GeoLocations": [...] }');
+            return result();
         }
         
-        const validateNode = (node, path) => {
-            if (!node.id) {
-                errors.push(`Missing id at ${path}`);
+        const seenIds = new Map(); // id -> path of first occurrence
+        const levelCategories = {}; // level -> Map<CategoryName, count>
+        const categoryUses = [];    // [{ level, category, path, nodeId }]
+        
+        const validateNode = (node, nodePath, level, ancestors, parent) => {
+            // Nodes built from tabular rows carry their source line number
+            const path = node && node._source && node._source.line
+                ? `${nodePath} (line ${node._source.line})`
+                : nodePath;
+            
+            if (!node || typeof node !== 'object') {
+                report('INVALID_NODE', 'error', path, null, 'Node is not an object', 'Remove the entry');
+                return;
             }
             
-            if (!node.label) {
-                errors.push(`Missing label at ${path}`);
+            const nodeId = node.id;
+            
+            // Cycles: the same object, or an ancestor's id, appearing below itself
+            if (ancestors.includes(node)) {
+                report('CYCLE', 'error', path, nodeId, `Node "${nodeId}" contains itself`,
+                    'Remove the self-referencing child entry');
+                return;
+            }
+            if (nodeId && ancestors.some(a => a.id === nodeId)) {
+                report('CYCLE', 'error', path, nodeId, `Node id "${nodeId}" repeats one of its ancestors`,
+                    'Give the child a distinct id or remove the circular reference');
+                return;
             }
             
-            if (!node.geometry) {
-                errors.push(`Missing geometry at ${path}`);
-            } else if (!node.geometry.coordinates || 
-                       !Array.isArray(node.geometry.coordinates) ||
-                       node.geometry.coordinates.length < 2) {
-                errors.push(`Invalid coordinates at ${path}`);
-            } else {
-                const [lon, lat] = node.geometry.coordinates;
-                if (lon < -180 || lon > 180) {
-                    errors.push(`Invalid longitude ${lon} at ${path}`);
-                }
-                if (lat < -90 || lat > 90) {
-                    errors.push(`Invalid latitude ${lat} at ${path}`);
-                }
+            if (nodeId && seenIds.has(nodeId)) {
+                report('DUPLICATE_ID', 'error', path, nodeId,
+                    `Duplicate id "${nodeId}" (first used at ${seenIds.get(nodeId)})`,
+                    `Rename one of the nodes, e.g. "${nodeId}-2"`);
+            } else if (nodeId) {
+                seenIds.set(nodeId, path);
+            }
+            
+            this.validateNode(node, parent, level, path, config, report);
+            
+            const category = this.getPropertyValue(node, 'CategoryName');
+            if (category) {
+                if (!levelCategories[level]) levelCategories[level] = new Map();
+                const counts = levelCategories[level];
+                counts.set(category, (counts.get(category) || 0) + 1);
+                categoryUses.push({ level, category, path, nodeId });
             }
             
-            if (node.children && Array.isArray(node.children)) {
+            if (Array.isArray(node.children)) {
+                const childAncestors = [...ancestors, node];
                 node.children.forEach((child, i) => {
-                    validateNode(child, `${path}.children[${i}]`);
+                    validateNode(child, `${nodePath}.children[${i}]`, level + 1, childAncestors, node);
                 });
             }
         };
         
         data.GeoLocations.forEach((node, i) => {
-            validateNode(node, `GeoLocations[${i}]`);
+            validateNode(node, `GeoLocations[${i}]`, 1, [], null);
+        });
+        
+        // Mixed-level categories: a CategoryName that is not the majority at its level
+        categoryUses.forEach(({ level, category, path, nodeId }) => {
+            const counts = levelCategories[level];
+            if (counts.size < 2) return;
+            
+            const [expected] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+            if (category !== expected) {
+                report('MIXED_LEVEL_CATEGORY', 'warning', path, nodeId,
+                    `Category "${category}" at level ${level}, where most nodes are "${expected}"`,
+                    `Move the node to the level used for "${category}" or change its CategoryName to "${expected}"`);
+            }
         });
         
+        if (data.links !== undefined) {
+            this.validateLinks(data.links, seenIds, report);
+        }
+        
+        return result();
+    },
+
+    /**
+     * Validate single nodes of a larger tree, e.g. the ones a patch changed.
+     * Duplicate ids, cycles, mixed-level categories and links need the whole
+     * tree and are left to validateData.
+     * @param {Array} entries - [{ node, parent, level, path }]
+     * @param {Object} options - See validationDefaults
+     * @returns {Object} - { isValid, errors, warnings, diagnostics }
+     */
+    validateNodes(entries, options = {}) {
+        const config = { ...this.validationDefaults, ...options };
+        const { report, result } = this.collectDiagnostics();
+        
+        entries.forEach(({ node, parent, level, path }) => {
+            this.validateNode(node, parent, level, path, config, report);
+        });
+        
+        return result();
+    },
+
+    /**
+     * Check one node's own fields: id, label, geometry (against its parent),
+     * properties and the type of its children (used by validateData)
+     */
+    validateNode(node, parent, level, path, config, report) {
+        const nodeId = node.id;
+        
+        if (!nodeId) {
+            report('MISSING_ID', 'error', path, null, 'Missing id', 'Add a unique "id" to the node');
+        }
+        
+        if (!node.label) {
+            report('MISSING_LABEL', 'error', path, nodeId, 'Missing label',
+                nodeId ? `Use the id as a label: "${nodeId}"` : 'Add a "label" to the node');
+        }
+        
+        this.validateGeometry(node, parent, level, path, config, report);
+        this.validateProperties(node, path, config.schema, report);
+        
+        if (node.children !== undefined && !Array.isArray(node.children)) {
+            report('INVALID_CHILDREN', 'error', path, nodeId, 'children is not an array',
+                'Replace children with an array or remove it');
+        }
+    },
+
+    /**
+     * Create a diagnostics list with its `report` function and the
+     * validation `result` built from it
+     */
+    collectDiagnostics() {
+        const diagnostics = [];
+        
+        const report = (code, severity, path, nodeId, message, suggestion) => {
+            diagnostics.push({ code, severity, path, nodeId: nodeId || null, message, suggestion: suggestion || null });
+        };
+        
+        const result = () => {
+            const errors = diagnostics.filter(d => d.severity === 'error');
+            return {
+                isValid: errors.length === 0,
+                errors: errors.map(d => d.path ? `${d.message} at ${d.path}` : d.message),
+                warnings: diagnostics.filter(d => d.severity === 'warning'),
+                diagnostics
+            };
+        };
+        
+        return { report, result };
+    },
+
+    /**
+     * Check the optional links collection (used by validateData)
+     * @param {Array} links - Links between nodes
+     * @param {Map} seenIds - Valid node ids
+     */
+    validateLinks(links, seenIds, report) {
+        if (!Array.isArray(links)) {
+            report('INVALID_LINK', 'error', 'links', null, 'links is not an array',
+                'Replace links with an array of { source, target } objects or remove it');
+            return;
+        }
+        
+        links.forEach((link, i) => {
+            const path = `links[${i}]`;
+            
+            if (!LinkUtils.isValid(link)) {
+                report('INVALID_LINK', 'error', path, null, 'Link is missing its source or target',
+                    'Give the link the ids of the two nodes it connects');
+                return;
+            }
+            
+            [link.source, link.target].forEach(endpoint => {
+                if (!seenIds.has(endpoint)) {
+                    report('UNKNOWN_LINK_NODE', 'warning', path, null,
+                        `Link endpoint "${endpoint}" is not a node`,
+                        'Check the id; the link is not drawn until the node exists');
+                }
+            });
+        });
+    },
+
+    /**
+     * Check a node's geometry (used by validateData)
+     */
+    validateGeometry(node, parent, level, path, config, report) {
+        const geometry = node.geometry;
+        
+        if (!geometry) {
+            report('MISSING_GEOMETRY', 'error', path, node.id, 'Missing geometry',
+                node.children && node.children.length > 0
+                    ? 'Omit it and let DataProcessing.deriveMissingGeometry place the node at its children\'s centre'
+                    : 'Add a Point geometry with [longitude, latitude] coordinates');
+            return;
+        }
+        
+        if (GeometryUtils.isArea(geometry)) {
+            if (this.validateArea(node, path, report)) {
+                this.checkChildPlacement(node, parent, level, path, config, report);
+            }
+            return;
+        }
+        
+        if (geometry.type && geometry.type !== 'Point') {
+            report('UNSUPPORTED_GEOMETRY', 'error', path, node.id,
+                `Unsupported geometry type "${geometry.type}"`,
+                'Use a Point, Polygon or MultiPolygon');
+            return;
+        }
+        
+        if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2) {
+            report('INVALID_COORDINATES', 'error', path, node.id, 'Invalid coordinates',
+                'Use a [longitude, latitude] pair');
+            return;
+        }
+        
+        if (this.validatePosition(geometry.coordinates, node, path, report)) {
+            this.checkChildPlacement(node, parent, level, path, config, report);
+        }
+    },
+
+    /**
+     * Check one [longitude, latitude] position (used by validateGeometry)
+     * @returns {boolean} - Whether the position is valid
+     */
+    validatePosition(position, node, path, report) {
+        const [lon, lat] = position;
+        const maybeSwapped = typeof lon === 'number' && typeof lat === 'number' &&
+                             Math.abs(lon) <= 90 && Math.abs(lat) <= 180;
+        let valid = true;
+        
+        if (typeof lon !== 'number' || isNaN(lon) || lon < -180 || lon > 180) {
+            report('INVALID_LONGITUDE', 'error', path, node.id, `Invalid longitude ${lon}`,
+                maybeSwapped
+                    ? 'Coordinates may be swapped; GeoJSON order is [longitude, latitude]'
+                    : 'Longitude must be between -180 and 180');
+            valid = false;
+        }
+        if (typeof lat !== 'number' || isNaN(lat) || lat < -90 || lat > 90) {
+            report('INVALID_LATITUDE', 'error', path, node.id, `Invalid latitude ${lat}`,
+                maybeSwapped
+                    ? 'Coordinates may be swapped; GeoJSON order is [longitude, latitude]'
+                    : 'Latitude must be between -90 and 90');
+            valid = false;
+        }
+        
+        return valid;
+    },
+
+    /**
+     * Check the rings of a Polygon or MultiPolygon (used by validateGeometry)
+     * @returns {boolean} - Whether the geometry is valid
+     */
+    validateArea(node, path, report) {
+        const geometry = node.geometry;
+        const polygons = GeometryUtils.getPolygons(geometry);
+        
+        const structureOk = Array.isArray(geometry.coordinates) && polygons.length > 0 &&
+            polygons.every(rings => Array.isArray(rings) && rings.length > 0 &&
+                rings.every(ring => Array.isArray(ring) &&
+                    ring.every(position => Array.isArray(position) && position.length >= 2)));
+        
+        if (!structureOk) {
+            report('INVALID_POLYGON', 'error', path, node.id,
+                `Malformed ${geometry.type} coordinates`,
+                geometry.type === 'Polygon'
+                    ? 'Use an array of rings, each an array of [longitude, latitude] positions'
+                    : 'Use an array of polygons, each an array of rings of [longitude, latitude] positions');
+            return false;
+        }
+        
+        const shortRing = polygons.some(rings => rings.some(ring => ring.length < 4));
+        if (shortRing) {
+            report('INVALID_POLYGON', 'error', path, node.id,
+                'Polygon ring has fewer than four positions',
+                'Close each ring by repeating its first position as the last');
+            return false;
+        }
+        
+        // Report the first bad position only, rather than one per vertex
+        const positions = polygons.flat(1).flat(1);
+        const bad = positions.find(([lon, lat]) =>
+            typeof lon !== 'number' || typeof lat !== 'number' || isNaN(lon) || isNaN(lat) ||
+            Math.abs(lon) > 180 || Math.abs(lat) > 90);
+        if (bad) {
+            return this.validatePosition(bad, node, path, report);
+        }
+        
+        return true;
+    },
+
+    /**
+     * Warn when a node sits outside its parent's area, or far from its
+     * parent's point; both usually mean it is filed under the wrong parent
+     */
+    checkChildPlacement(node, parent, level, path, config, report) {
+        if (!parent || !parent.geometry) return;
+        
+        const position = GeometryUtils.getPosition(node.geometry);
+        
+        if (GeometryUtils.isArea(parent.geometry)) {
+            if (position && !GeometryUtils.containsPoint(position, parent.geometry)) {
+                report('CHILD_OUTSIDE_PARENT', 'warning', path, node.id,
+                    `"${node.label}" lies outside the area of its parent "${parent.label}"`,
+                    'Check the coordinates or move the node under the correct parent');
+            }
+            return;
+        }
+        
+        const parentPosition = GeometryUtils.getPosition(parent.geometry);
+        if (!position || !parentPosition) return;
+        
+        const limits = config.maxChildDistanceKm || {};
+        const limit = limits[level - 1] !== undefined ? limits[level - 1] : limits.default;
+        const distance = this.distanceKm(parentPosition, position);
+        
+        if (limit && distance > limit) {
+            report('CHILD_OUTSIDE_PARENT', 'warning', path, node.id,
+                `"${node.label}" is ${Math.round(distance)} km from its parent "${parent.label}" (limit ${limit} km)`,
+                'Check the coordinates or move the node under the correct parent');
+        }
+    },
+
+    /**
+     * Check a node's properties array against an optional schema (used by validateData)
+     */
+    validateProperties(node, path, schema, report) {
+        if (node.properties === undefined) return;
+        
+        if (!Array.isArray(node.properties)) {
+            report('INVALID_PROPERTIES', 'error', path, node.id, 'properties is not an array',
+                'Use [{ "propertyKey": ..., "propertyValue": ... }]');
+            return;
+        }
+        
+        const keys = new Set();
+        node.properties.forEach((prop, i) => {
+            if (!prop || typeof prop.propertyKey !== 'string' || !prop.propertyKey) {
+                report('INVALID_PROPERTY', 'error', `${path}.properties[${i}]`, node.id,
+                    'Property entry has no propertyKey', 'Remove the entry or add a propertyKey');
+                return;
+            }
+            // Time-stamped values (validFrom/validTo) may repeat a key
+            const timed = prop.validFrom !== undefined || prop.validTo !== undefined;
+            if (keys.has(prop.propertyKey) && !timed) {
+                report('DUPLICATE_PROPERTY', 'warning', `${path}.properties[${i}]`, node.id,
+                    `Property "${prop.propertyKey}" appears more than once`,
+                    'Keep a single entry; only the first is read');
+            }
+            keys.add(prop.propertyKey);
+        });
+        
+        if (!schema) return;
+        
+        const isLeaf = !node.children || node.children.length === 0;
+        
+        Object.keys(schema).forEach(key => {
+            const rule = schema[key];
+            const value = this.getPropertyValue(node, key);
+            const appliesHere = rule.leafOnly === false || isLeaf;
+            
+            if (value === null || value === undefined) {
+                if (rule.required && appliesHere) {
+                    report('SCHEMA_REQUIRED', 'warning', path, node.id, `Missing required property "${key}"`,
+                        rule.enum ? `Add "${key}" with one of: ${rule.enum.join(', ')}` : `Add a "${key}" property`);
+                }
+                return;
+            }
+            
+            if (rule.type === 'number') {
+                const number = Number(value);
+                if (value === '' || isNaN(number)) {
+                    report('SCHEMA_TYPE', 'warning', path, node.id, `Property "${key}" should be a number, got "${value}"`,
+                        `Store "${key}" as a numeric value`);
+                    return;
+                }
+                if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                    report('SCHEMA_RANGE', 'warning', path, node.id,
+                        `Property "${key}" is ${number}, outside ${rule.min !== undefined ? rule.min : '-∞'}..${rule.max !== undefined ? rule.max : '∞'}`,
+                        'Correct the value or widen the schema range');
+                }
+            } else if (rule.type === 'boolean' && !['true', 'false'].includes(String(value).toLowerCase())) {
+                report('SCHEMA_TYPE', 'warning', path, node.id, `Property "${key}" should be true or false, got "${value}"`,
+                    `Store "${key}" as true or false`);
+            }
+            
+            if (rule.enum && !rule.enum.includes(value)) {
+                const close = rule.enum.find(option => String(option).toLowerCase() === String(value).toLowerCase());
+                report('SCHEMA_ENUM', 'warning', path, node.id,
+                    `Property "${key}" has unexpected value "${value}"`,
+                    close ? `Did you mean "${close}"?` : `Use one of: ${rule.enum.join(', ')}`);
+            }
+            
+            if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) {
+                report('SCHEMA_PATTERN', 'warning', path, node.id,
+                    `Property "${key}" does not match ${rule.pattern}`, 'Correct the value format');
+            }
+        });
+    },
+
+    /**
+     * Great-circle distance in kilometres (kept here so validation does not
+     * depend on ProjectionUtils being loaded)
+     */
+    distanceKm([lon1, lat1], [lon2, lat2]) {
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    /**
+     * Build the subset of the data that has no error diagnostics, for
+     * lenient rendering. Nodes with errors are dropped with their subtree;
+     * parents without geometry are placed at their children's centre first.
+     * @param {Object} data - GeoLocations data
+     * @param {Object} options - Validation options
+     * @returns {Object} - { data, validation, removed } where validation
+     *                     describes the original input
+     */
+    sanitizeData(data, options = {}) {
+        const validation = this.validateData(data, options);
+        
+        if (!data || !Array.isArray(data.GeoLocations)) {
+            return { data: { type: 'GeoLocations', GeoLocations: [] }, validation, removed: [] };
+        }
+        
+        const removed = [];
+        
+        // Path of each id's first occurrence, in the order validateData walks
+        // the tree, so later occurrences are the ones reported as DUPLICATE_ID
+        const firstPaths = new Map();
+        const register = (node, ancestors, path) => {
+            if (!node || typeof node !== 'object' || ancestors.includes(node) ||
+                (node.id && ancestors.some(a => a.id === node.id))) {
+                return;
+            }
+            if (node.id && !firstPaths.has(node.id)) {
+                firstPaths.set(node.id, path);
+            }
+            if (Array.isArray(node.children)) {
+                node.children.forEach((child, i) => register(child, [...ancestors, node], `${path}.children[${i}]`));
+            }
+        };
+        data.GeoLocations.forEach((node, i) => register(node, [], `GeoLocations[${i}]`));
+        
+        const clean = (node, ancestors, path) => {
+            if (!node || typeof node !== 'object' || ancestors.includes(node) ||
+                (node.id && ancestors.some(a => a.id === node.id))) {
+                return null;
+            }
+            
+            const children = Array.isArray(node.children)
+                ? node.children
+                    .map((child, i) => clean(child, [...ancestors, node], `${path}.children[${i}]`))
+                    .filter(Boolean)
+                : undefined;
+            
+            const copy = { ...node };
+            if (children !== undefined) copy.children = children;
+            if (!Array.isArray(copy.properties)) delete copy.properties;
+            
+            // A parent that lost its geometry can still be placed by its children
+            if (!copy.geometry && children && children.length > 0) {
+                copy.geometry = null;
+                this.deriveMissingGeometry(copy);
+            }
+            
+            const nodeErrors = this.validateData({ GeoLocations: [{ ...copy, children: undefined }] }, {
+                ...options,
+                maxChildDistanceKm: {}
+            }).diagnostics.filter(d => d.severity === 'error');
+            
+            if (nodeErrors.length > 0 || firstPaths.get(copy.id) !== path) {
+                removed.push(node.id || path);
+                return null;
+            }
+            
+            return copy;
+        };
+        
+        const roots = data.GeoLocations
+            .map((node, i) => clean(node, [], `GeoLocations[${i}]`))
+            .filter(Boolean);
+        
+        const links = Array.isArray(data.links)
+            ? data.links.filter(link => LinkUtils.isValid(link))
+            : undefined;
+        
         return {
-            isValid: errors.length === 0,
-            errors
+            data: { ...data, GeoLocations: roots, links, _rowErrors: undefined, _featureErrors: undefined },
+            validation,
+            removed
         };
     }
 };
@@ -0,0 +1,451 @@
+/**
+ * Streaming Data Sources for Geo Visualization Widget
+ * WebSocket, Server-Sent Events and polling adapters that deliver live
+ * updates with reconnect/backoff and batch them into coalesced renders.
+ *
+ * Messages are JSON and are either a full dataset (GeoLocations data or a
+ * GeoJSON FeatureCollection, optionally wrapped as { type: 'snapshot', data })
+ * or patch operations (see utils/dataPatch.js: a single operation, an array,
+ * or { type: 'patch', operations }). Supply `parse` to map other formats.
+ */
+
+class DataSource {
+    constructor(options = {}) {
+        this.options = options;
+        this.url = options.url || null;
+        this.debug = options.debug || false;
+        this.parse = options.parse || DataSource.parseMessage;
+        this.batchInterval = options.batchInterval !== undefined ? options.batchInterval : 250;
+        this.reconnect = {
+            initialDelay: 1000,
+            maxDelay: 30000,
+            factor: 2,
+            jitter: 0.2,
+            maxRetries: Infinity,
+            ...options.reconnect
+        };
+
+        // Callbacks
+        this.onBatch = options.onBatch || (() => {});
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.onError = options.onError || (() => {});
+
+        // State
+        this.status = 'idle'; // idle | connecting | open | reconnecting | closed | error
+        this.attempts = 0;
+        this.queue = [];
+        this.flushTimer = null;
+        this.reconnectTimer = null;
+        this.closedByUser = false;
+    }
+
+    /**
+     * Log debug messages
+     */
+    log(...args) {
+        if (this.debug) {
+            console.log(`[${this.constructor.name}]`, ...args);
+        }
+    }
+
+    /**
+     * Start receiving updates
+     */
+    connect() {
+        this.closedByUser = false;
+        this.attempts = 0;
+        clearTimeout(this.reconnectTimer);
+        this.setStatus('connecting');
+        this.open();
+    }
+
+    /**
+     * Stop receiving updates, delivering anything already queued
+     */
+    disconnect() {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        this.close();
+        this.flush();
+        this.setStatus('closed');
+    }
+
+    /**
+     * Open the underlying transport (implemented by adapters)
+     */
+    open() {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+
+    /**
+     * Close the underlying transport (implemented by adapters)
+     */
+    close() {}
+
+    /**
+     * Update and announce the connection status
+     * @param {string} status - New status
+     * @param {boolean} force - Announce even if unchanged (e.g. a new retry delay)
+     */
+    setStatus(status, force = false) {
+        if (status === this.status && !force) return;
+
+        this.log('Status:', status);
+        this.status = status;
+        this.onStatusChange(status, {
+            attempts: this.attempts,
+            nextRetryIn: this.nextRetryIn || null
+        });
+    }
+
+    /**
+     * Transport opened
+     */
+    handleOpen() {
+        this.attempts = 0;
+        this.nextRetryIn = null;
+        this.setStatus('open');
+    }
+
+    /**
+     * Transport delivered a raw message
+     */
+    handleMessage(raw) {
+        let update;
+        try {
+            update = this.parse(raw);
+        } catch (error) {
+            this.log('Unparseable message:', raw);
+            this.onError(error);
+            return;
+        }
+
+        if (!update) {
+            this.onError(new Error('Unrecognised message'));
+            return;
+        }
+
+        this.enqueue(update);
+    }
+
+    /**
+     * Transport closed or failed: retry unless the user disconnected
+     */
+    handleClose(error = null) {
+        if (error) {
+            this.onError(error);
+        }
+        if (this.closedByUser) return;
+
+        this.close();
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Schedule the next connection attempt with exponential backoff
+     */
+    scheduleReconnect() {
+        if (this.attempts >= this.reconnect.maxRetries) {
+            this.nextRetryIn = null;
+            this.setStatus('error');
+            return;
+        }
+
+        const delay = this.getBackoffDelay(this.attempts);
+        this.attempts++;
+        this.nextRetryIn = delay;
+        this.log(`Reconnecting in ${delay}ms (attempt ${this.attempts})`);
+
+        this.setStatus('reconnecting', true);
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            if (!this.closedByUser) this.open();
+        }, delay);
+    }
+
+    /**
+     * Backoff delay for an attempt number (0-based), with +/- jitter
+     * @param {number} attempt - Attempt number
+     * @returns {number} - Delay in milliseconds
+     */
+    getBackoffDelay(attempt) {
+        const { initialDelay, maxDelay, factor, jitter } = this.reconnect;
+        const base = Math.min(initialDelay * Math.pow(factor, attempt), maxDelay);
+        const spread = base * jitter * (Math.random() * 2 - 1);
+
+        return Math.max(0, Math.round(base + spread));
+    }
+
+    /**
+     * Queue an update and schedule a flush
+     */
+    enqueue(update) {
+        this.queue.push(update);
+
+        if (this.batchInterval <= 0) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.batchInterval);
+        }
+    }
+
+    /**
+     * Deliver queued updates as one coalesced batch
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.queue.length === 0) return;
+
+        const batch = DataSource.coalesce(this.queue);
+        this.log(`Flushing ${this.queue.length} update(s)`);
+        this.queue = [];
+        this.onBatch(batch);
+    }
+
+    /**
+     * Reduce queued updates to one snapshot (the latest) plus the patch
+     * operations received after it, merging repeated property updates
+     * @param {Array} updates - [{ type: 'snapshot', data } | { type: 'patch', operations }]
+     * @returns {Object} - { snapshot, operations }
+     */
+    static coalesce(updates) {
+        let snapshot = null;
+        let operations = [];
+
+        updates.forEach(update => {
+            if (update.type === 'snapshot') {
+                snapshot = update.data;
+                operations = [];
+            } else {
+                operations.push(...update.operations);
+            }
+        });
+
+        // Fold consecutive updates of the same node into one operation
+        const merged = [];
+        const pendingUpdates = new Map(); // nodeId → index in merged
+
+        operations.forEach(operation => {
+            if (operation.op !== 'update') {
+                pendingUpdates.delete(operation.id);
+                if (operation.node) pendingUpdates.delete(operation.node.id);
+                merged.push(operation);
+                return;
+            }
+
+            if (pendingUpdates.has(operation.id)) {
+                const index = pendingUpdates.get(operation.id);
+                const previous = merged[index];
+                merged[index] = {
+                    ...previous,
+                    ...operation,
+                    properties: previous.properties || operation.properties
+                        ? { ...previous.properties, ...operation.properties }
+                        : undefined
+                };
+                return;
+            }
+
+            pendingUpdates.set(operation.id, merged.length);
+            merged.push({ ...operation });
+        });
+
+        return { snapshot, operations: merged };
+    }
+
+    /**
+     * Default message parser
+     * @param {string|Object} raw - Message payload
+     * @returns {Object|null} - { type: 'snapshot', data } or { type: 'patch', operations }
+     */
+    static parseMessage(raw) {
+        const message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        if (!message) return null;
+
+        if (Array.isArray(message)) {
+            return { type: 'patch', operations: message };
+        }
+        if (message.type === 'patch' && Array.isArray(message.operations)) {
+            return { type: 'patch', operations: message.operations };
+        }
+        if (message.type === 'snapshot' && message.data) {
+            return { type: 'snapshot', data: message.data };
+        }
+        if (message.GeoLocations || message.type === 'FeatureCollection') {
+            return { type: 'snapshot', data: message };
+        }
+        if (message.op) {
+            return { type: 'patch', operations: [message] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a data source from a config object, or return an existing one
+     * @param {Object|DataSource} config - { type: 'websocket' | 'sse' | 'polling', url, ... }
+     * @returns {DataSource}
+     */
+    static create(config) {
+        if (config instanceof DataSource) return config;
+
+        const adapters = {
+            websocket: WebSocketSource,
+            sse: EventSourceSource,
+            polling: PollingSource
+        };
+        const Adapter = adapters[config && config.type];
+
+        if (!Adapter) {
+            throw new Error(`Unknown data source type "${config && config.type}"`);
+        }
+
+        return new Adapter(config);
+    }
+}
+
+/**
+ * WebSocket adapter
+ * Options: url, protocols, WebSocket (constructor override for tests)
+ */
+class WebSocketSource extends DataSource {
+    open() {
+        const Socket = this.options.WebSocket || WebSocket;
+        const socket = new Socket(this.url, this.options.protocols);
+        this.socket = socket;
+
+        socket.onopen = () => this.handleOpen();
+        socket.onmessage = (event) => this.handleMessage(event.data);
+        socket.onclose = (event) => {
+            if (this.socket !== socket) return;
+            this.handleClose(event && event.wasClean === false
+                ? new Error(`WebSocket closed (code ${event.code})`)
+                : null);
+        };
+        socket.onerror = () => this.log('WebSocket error');
+    }
+
+    close() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        socket.onclose = null;
+        socket.close();
+    }
+
+    /**
+     * Send a message to the server (e.g. a subscription request)
+     * @param {string|Object} message - Message; objects are sent as JSON
+     * @returns {boolean} - False if the socket is not open
+     */
+    send(message) {
+        if (!this.socket || this.status !== 'open') return false;
+
+        this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+        return true;
+    }
+}
+
+/**
+ * Server-Sent Events adapter
+ * Options: url, withCredentials, events (named events to listen for in
+ * addition to "message"), EventSource (constructor override for tests)
+ *
+ * The browser's built-in retry is replaced by the shared backoff so all
+ * adapters report the same statuses.
+ */
+class EventSourceSource extends DataSource {
+    open() {
+        const Source = this.options.EventSource || EventSource;
+        const source = new Source(this.url, { withCredentials: !!this.options.withCredentials });
+        this.source = source;
+
+        const onMessage = (event) => this.handleMessage(event.data);
+
+        source.onopen = () => this.handleOpen();
+        source.onmessage = onMessage;
+        (this.options.events || []).forEach(name => source.addEventListener(name, onMessage));
+        source.onerror = () => {
+            if (this.source !== source) return;
+            this.handleClose(new Error('Event stream interrupted'));
+        };
+    }
+
+    close() {
+        if (!this.source) return;
+
+        const source = this.source;
+        this.source = null;
+        source.onerror = null;
+        source.close();
+    }
+}
+
+/**
+ * Polling adapter: fetches the URL on an interval and forwards the response
+ * when its body changed since the last poll
+ * Options: url, interval (ms, default 5000), fetchOptions, fetch (override for tests)
+ */
+class PollingSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.interval = options.interval || 5000;
+        this.pollTimer = null;
+        this.generation = 0;
+        this.lastBody = null;
+    }
+
+    open() {
+        this.generation++;
+        this.poll(this.generation);
+    }
+
+    close() {
+        this.generation++;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    /**
+     * Run one request; results from a closed generation are ignored
+     */
+    async poll(generation) {
+        const fetchFn = this.options.fetch || ((...args) => fetch(...args));
+
+        try {
+            const response = await fetchFn(this.url, this.options.fetchOptions);
+            if (!response.ok) {
+                throw new Error(`Poll failed with status ${response.status}`);
+            }
+            const body = await response.text();
+
+            if (generation !== this.generation) return;
+
+            if (this.status !== 'open') {
+                this.handleOpen();
+            }
+            if (body !== this.lastBody) {
+                this.lastBody = body;
+                this.handleMessage(body);
+            }
+
+            this.pollTimer = setTimeout(() => this.poll(generation), this.interval);
+        } catch (error) {
+            if (generation !== this.generation) return;
+            this.handleClose(error);
+        }
+    }
+}
+
+DataSource.WebSocketSource = WebSocketSource;
+DataSource.EventSourceSource = EventSourceSource;
+DataSource.PollingSource = PollingSource;
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataSource;
+}
@@ -0,0 +1,219 @@
+/**
+ * Visual Encodings for Geo Visualization Widget
+ * Maps node data to marker colour, size and icon shape:
+ *
+ *   {
+ *     color: { property: 'Status', scale: 'categorical' },
+ *     size: { metric: 'capacityMW', scale: 'sqrt' },
+ *     shape: { property: 'Provider' }
+ *   }
+ *
+ * A channel reads either a configured metric (`metric`, see
+ * utils/aggregation.js) or a node property (`property`). Property values
+ * are rolled up for aggregated markers: categorical channels take the most
+ * common value among the matching leaves, numeric channels use `op`
+ * (default 'mean').
+ */
+
+const MarkerEncoding = {
+    /**
+     * Scales allowed per channel (the first is the default)
+     */
+    scales: {
+        color: ['categorical', 'linear', 'sqrt', 'log'],
+        size: ['sqrt', 'linear', 'log'],
+        shape: ['categorical']
+    },
+
+    /**
+     * Default output ranges
+     */
+    defaults: {
+        colorRange: ['#22c55e', '#ef4444'],
+        categoricalColors: ['#4e79a7', '#f28e2c', '#e15759', '#76b7b2', '#59a14f',
+            '#edc949', '#af7aa1', '#ff9da7', '#9c755f', '#bab0ab'],
+        sizeRange: [0.7, 1.6],             // Factor on the level's marker size
+        shapes: ['server', 'cloud', 'building', 'database', 'tower', 'shield', 'diamond', 'triangle']
+    },
+
+    /**
+     * Icon glyphs (24×24 viewBox, drawn with currentColor)
+     */
+    glyphs: {
+        server: `
+            <rect x="4" y="4" width="16" height="4" rx="1"/>
+            <rect x="4" y="10" width="16" height="4" rx="1"/>
+            <rect x="4" y="16" width="16" height="4" rx="1"/>
+            <circle cx="7" cy="6" r="1"/>
+            <circle cx="7" cy="12" r="1"/>
+            <circle cx="7" cy="18" r="1"/>`,
+        cloud: '<path d="M7 19h10a4 4 0 0 0 .6-7.96A6 6 0 0 0 6.2 10.1 4.5 4.5 0 0 0 7 19z"/>',
+        building: '<path d="M5 21V3h9v5h5v13h-6v-4h-2v4H5zm2-15v2h2V6H7zm4 0v2h1V6h-1zm-4 4v2h2v-2H7zm4 0v2h1v-2h-1zm4 2v2h2v-2h-2z"/>',
+        database: `
+            <ellipse cx="12" cy="5" rx="7" ry="3"/>
+            <path d="M5 7.5v4c0 1.7 3.1 3 7 3s7-1.3 7-3v-4c0 1.7-3.1 3-7 3s-7-1.3-7-3z"/>
+            <path d="M5 14v4c0 1.7 3.1 3 7 3s7-1.3 7-3v-4c0 1.7-3.1 3-7 3s-7-1.3-7-3z"/>`,
+        tower: '<circle cx="12" cy="6" r="2"/><path d="M11 9h2l3.5 12h-2.1l-.9-3h-3l-.9 3H7.5L11 9zm.1 7h1.8L12 12.5 11.1 16z"/>',
+        shield: '<path d="M12 2l8 3v6c0 5-3.4 9.2-8 11-4.6-1.8-8-6-8-11V5l8-3z"/>',
+        diamond: '<path d="M12 2l10 10-10 10L2 12z"/>',
+        triangle: '<path d="M12 3l10 18H2z"/>'
+    },
+
+    /**
+     * Normalise an encoding configuration
+     * @param {Object} encoding - Map of channel to definition
+     * @param {Array} metrics - Normalised widget metrics (for `metric` channels)
+     * @returns {Array} - [{ channel, metric, property, op, scale, range, domain, mapping }]
+     */
+    normalize(encoding, metrics = []) {
+        return Object.keys(encoding || {})
+            .filter(channel => encoding[channel])
+            .map(channel => {
+                if (!this.scales[channel]) {
+                    throw new Error(`Unknown encoding channel "${channel}"`);
+                }
+
+                const definition = typeof encoding[channel] === 'string'
+                    ? { property: encoding[channel] }
+                    : encoding[channel];
+                const scale = definition.scale || this.scales[channel][0];
+
+                if (!this.scales[channel].includes(scale)) {
+                    throw new Error(`Scale "${scale}" is not supported for ${channel}`);
+                }
+                if (definition.metric && !metrics.some(m => m.name === definition.metric)) {
+                    throw new Error(`Unknown metric "${definition.metric}" in ${channel} encoding`);
+                }
+                if (!definition.metric && !definition.property) {
+                    throw new Error(`The ${channel} encoding needs a property or metric`);
+                }
+
+                return {
+                    channel,
+                    metric: definition.metric || null,
+                    property: definition.metric ? null : definition.property,
+                    op: scale === 'categorical' ? 'mode' : (definition.op || 'mean'),
+                    scale,
+                    range: definition.range || null,
+                    domain: definition.domain || null,
+                    mapping: definition.mapping || null   // Fixed outputs per category, e.g. { AWS: 'cloud' }
+                };
+            });
+    },
+
+    /**
+     * Aggregation metrics that roll up the property channels
+     * @param {Array} channels - Normalised channels
+     * @returns {Array} - Normalised metrics named after their channel
+     */
+    getMetrics(channels) {
+        const metrics = {};
+        channels
+            .filter(channel => channel.property)
+            .forEach(channel => {
+                metrics[channel.channel] = { property: channel.property, op: channel.op };
+            });
+
+        return Aggregation.normalizeMetrics(metrics);
+    },
+
+    /**
+     * Encoded value of a marker for a channel
+     * @param {Object} marker - Marker with `_metrics` and `_encoding` roll-ups
+     * @param {Object} channel - Normalised channel
+     * @returns {*|null}
+     */
+    getValue(marker, channel) {
+        const values = channel.metric ? marker._metrics : marker._encoding;
+        const value = values ? values[channel.metric || channel.channel] : null;
+        return value === undefined ? null : value;
+    },
+
+    /**
+     * Build one function per channel from the markers being drawn
+     * @param {Array} channels - Normalised channels
+     * @param {Array} markers - Markers being drawn (numeric domains)
+     * @param {Function} getCategories - (channel) => sorted category values, so
+     *   colours and shapes stay the same at every level
+     * @returns {Object} - { color, size, shape }: marker => output (null when unencoded)
+     */
+    createScales(channels, markers, getCategories) {
+        const scales = { color: () => null, size: () => 1, shape: () => null };
+
+        channels.forEach(channel => {
+            const read = marker => this.getValue(marker, channel);
+
+            if (channel.scale === 'categorical') {
+                const outputs = channel.range ||
+                    (channel.channel === 'shape' ? this.defaults.shapes : this.defaults.categoricalColors);
+                const explicit = channel.mapping || {};
+                const scale = d3.scaleOrdinal()
+                    .domain(channel.domain || getCategories(channel))
+                    .range(outputs);
+
+                scales[channel.channel] = marker => {
+                    const value = read(marker);
+                    if (value === null) return null;
+                    return explicit[value] || scale(value);
+                };
+                return;
+            }
+
+            const values = markers
+                .map(read)
+                .filter(value => value !== null)
+                .map(Number)
+                .filter(value => !isNaN(value) && (channel.scale !== 'log' || value > 0));
+            const domain = channel.domain || (values.length > 0 ? d3.extent(values) : null);
+            const range = channel.range ||
+                (channel.channel === 'size' ? this.defaults.sizeRange : this.defaults.colorRange);
+            const fallback = channel.channel === 'size' ? 1 : null;
+
+            if (!domain) {
+                scales[channel.channel] = () => fallback;
+                return;
+            }
+
+            const scale = (channel.scale === 'log' ? d3.scaleLog()
+                : channel.scale === 'sqrt' ? d3.scaleSqrt()
+                : d3.scaleLinear())
+                .domain(domain[0] === domain[1] ? [domain[0], domain[0] + 1] : domain)
+                .range(range)
+                .clamp(true);
+
+            scales[channel.channel] = marker => {
+                const value = read(marker);
+                if (value === null || isNaN(Number(value))) return fallback;
+                if (channel.scale === 'log' && Number(value) <= 0) return fallback;
+                return scale(Number(value));
+            };
+        });
+
+        return scales;
+    },
+
+    /**
+     * Distinct values of a property across nodes, sorted
+     * @param {Array} nodes - Nodes to scan
+     * @param {string} property - Property key
+     * @returns {Array}
+     */
+    getCategories(nodes, property) {
+        return this.sortCategories(nodes.map(node => DataProcessing.getPropertyValue(node, property)));
+    },
+
+    /**
+     * Distinct non-empty values, sorted
+     * @param {Array} values - Values (may repeat)
+     * @returns {Array}
+     */
+    sortCategories(values) {
+        return Array.from(new Set(values.filter(value => value !== null && value !== undefined && value !== '')))
+            .sort((a, b) => String(a).localeCompare(String(b)));
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkerEncoding;
+}
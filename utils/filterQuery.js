@@ -0,0 +1,484 @@
+/**
+ * Filter Query Language for Geo Visualization Widget
+ * Parses and evaluates expressions over node properties, e.g.
+ *   Status = "Active" AND Tier >= 3 AND Provider IN ("AWS", "GCP")
+ *
+ * Grammar:
+ *   expr      := and (OR and)*
+ *   and       := unary (AND unary)*
+ *   unary     := NOT unary | '(' expr ')' | predicate
+ *   predicate := field op value
+ *   field     := [scope '.'] name      name: identifier or `quoted name`
+ *   scope     := self | parent | ancestor | ancestor(N)
+ *   op        := = | != | > | >= | < | <= | [NOT] IN (v, ...) |
+ *                [NOT] CONTAINS | STARTSWITH | ENDSWITH | MATCHES
+ *   value     := "string" | number | true | false | null | /regex/flags
+ *
+ * Built-in fields `id`, `label` and `level` read the node itself; any other
+ * name is looked up in the node's properties array.
+ */
+
+class FilterQueryError extends Error {
+    constructor(message, position) {
+        super(position !== undefined ? `${message} at position ${position}` : message);
+        this.name = 'FilterQueryError';
+        this.position = position;
+    }
+}
+
+const FilterQuery = {
+    /**
+     * Compiled expressions, keyed by source text, least recently used first
+     */
+    cache: new Map(),
+
+    /**
+     * Most compiled expressions kept in the cache
+     */
+    maxCacheSize: 100,
+
+    /**
+     * Keywords (case-insensitive)
+     */
+    keywords: ['AND', 'OR', 'NOT', 'IN', 'CONTAINS', 'STARTSWITH', 'ENDSWITH', 'MATCHES', 'TRUE', 'FALSE', 'NULL'],
+
+    /**
+     * Parse an expression, reusing a cached AST when possible
+     * @param {string} source - Query text
+     * @returns {Object} - AST (null for an empty query)
+     * @throws {FilterQueryError} - On syntax errors
+     */
+    compile(source) {
+        const text = (source || '').trim();
+        if (!text) return null;
+
+        if (this.cache.has(text)) {
+            // Refresh recency
+            const cached = this.cache.get(text);
+            this.cache.delete(text);
+            this.cache.set(text, cached);
+            return cached;
+        }
+
+        const ast = this.parse(text);
+
+        if (this.cache.size >= this.maxCacheSize) {
+            const oldestKey = this.cache.keys().next().value;
+            this.cache.delete(oldestKey);
+        }
+
+        this.cache.set(text, ast);
+        return ast;
+    },
+
+    /**
+     * Check whether a query parses
+     * @param {string} source - Query text
+     * @returns {Object} - { isValid, error }
+     */
+    validate(source) {
+        try {
+            this.compile(source);
+            return { isValid: true, error: null };
+        } catch (error) {
+            return { isValid: false, error: error.message };
+        }
+    },
+
+    /**
+     * Split query text into tokens
+     * @param {string} text - Query text
+     * @returns {Array} - Array of { type, value, position }
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+
+            // Quoted string
+            if (char === '"' || char === "'") {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== char) {
+                    if (text[i] === '\\' && i + 1 < text.length) i++;
+                    value += text[i++];
+                }
+                if (i >= text.length) throw new FilterQueryError('Unterminated string', start);
+                i++;
+                tokens.push({ type: 'string', value, position: start });
+                continue;
+            }
+
+            // Backtick-quoted field name
+            if (char === '`') {
+                const end = text.indexOf('`', i + 1);
+                if (end === -1) throw new FilterQueryError('Unterminated field name', start);
+                tokens.push({ type: 'ident', value: text.slice(i + 1, end), position: start });
+                i = end + 1;
+                continue;
+            }
+
+            // Regex literal, only where a value is expected
+            if (char === '/' && tokens.length > 0 && tokens[tokens.length - 1].type === 'op') {
+                let pattern = '';
+                i++;
+                while (i < text.length && text[i] !== '/') {
+                    if (text[i] === '\\' && i + 1 < text.length) pattern += text[i++];
+                    pattern += text[i++];
+                }
+                if (i >= text.length) throw new FilterQueryError('Unterminated regex', start);
+                i++;
+                let flags = '';
+                while (i < text.length && /[a-z]/i.test(text[i])) flags += text[i++];
+                tokens.push({ type: 'regex', value: { pattern, flags }, position: start });
+                continue;
+            }
+
+            // Number
+            const numberMatch = /^-?\d+(\.\d+)?([eE][-+]?\d+)?/.exec(text.slice(i));
+            if (numberMatch && (char !== '-' || tokens.length === 0 || tokens[tokens.length - 1].type === 'op')) {
+                tokens.push({ type: 'number', value: Number(numberMatch[0]), position: start });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            // Comparison operators
+            const opMatch = /^(>=|<=|!=|<>|=|>|<)/.exec(text.slice(i));
+            if (opMatch) {
+                tokens.push({ type: 'op', value: opMatch[0] === '<>' ? '!=' : opMatch[0], position: start });
+                i += opMatch[0].length;
+                continue;
+            }
+
+            if ('(),.'.includes(char)) {
+                tokens.push({ type: char, value: char, position: start });
+                i++;
+                continue;
+            }
+
+            // Identifier or keyword
+            const identMatch = /^[A-Za-z_][\w-]*/.exec(text.slice(i));
+            if (identMatch) {
+                const word = identMatch[0];
+                const upper = word.toUpperCase();
+                if (this.keywords.includes(upper)) {
+                    const isOperator = ['IN', 'CONTAINS', 'STARTSWITH', 'ENDSWITH', 'MATCHES'].includes(upper);
+                    tokens.push({ type: isOperator ? 'op' : 'keyword', value: upper, position: start });
+                } else {
+                    tokens.push({ type: 'ident', value: word, position: start });
+                }
+                i += word.length;
+                continue;
+            }
+
+            throw new FilterQueryError(`Unexpected character "${char}"`, start);
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Parse query text into an AST
+     * @param {string} text - Query text
+     * @returns {Object} - AST
+     * @throws {FilterQueryError}
+     */
+    parse(text) {
+        const tokens = this.tokenize(text);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const isKeyword = (value) => peek() && peek().type === 'keyword' && peek().value === value;
+        const expect = (type, value) => {
+            const token = next();
+            if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+                const found = token ? `"${token.value}"` : 'end of query';
+                const expected = value || (type === 'ident' ? 'field name' : type);
+                throw new FilterQueryError(
+                    `Expected ${expected} but found ${found}`,
+                    token ? token.position : text.length
+                );
+            }
+            return token;
+        };
+
+        const parseOr = () => {
+            let left = parseAnd();
+            while (isKeyword('OR')) {
+                next();
+                left = { type: 'or', left, right: parseAnd() };
+            }
+            return left;
+        };
+
+        const parseAnd = () => {
+            let left = parseUnary();
+            while (isKeyword('AND')) {
+                next();
+                left = { type: 'and', left, right: parseUnary() };
+            }
+            return left;
+        };
+
+        const parseUnary = () => {
+            if (isKeyword('NOT')) {
+                next();
+                return { type: 'not', operand: parseUnary() };
+            }
+            if (peek() && peek().type === '(') {
+                next();
+                const expr = parseOr();
+                expect(')');
+                return expr;
+            }
+            return parsePredicate();
+        };
+
+        const parseField = () => {
+            const first = expect('ident');
+            const scopeName = first.value.toLowerCase();
+
+            if (['self', 'parent', 'ancestor'].includes(scopeName) &&
+                peek() && (peek().type === '.' || peek().type === '(')) {
+                const scope = { kind: scopeName, level: null };
+
+                if (scopeName === 'ancestor' && peek().type === '(') {
+                    next();
+                    scope.level = expect('number').value;
+                    expect(')');
+                }
+
+                expect('.');
+                return { scope, name: expect('ident').value };
+            }
+
+            return { scope: { kind: 'self', level: null }, name: first.value };
+        };
+
+        const parseValue = () => {
+            const token = next();
+            if (!token) throw new FilterQueryError('Expected a value but found end of query', text.length);
+
+            if (token.type === 'string' || token.type === 'number') return token.value;
+            if (token.type === 'regex') return token.value;
+            if (token.type === 'keyword' && token.value === 'TRUE') return true;
+            if (token.type === 'keyword' && token.value === 'FALSE') return false;
+            if (token.type === 'keyword' && token.value === 'NULL') return null;
+
+            throw new FilterQueryError(`Expected a value but found "${token.value}"`, token.position);
+        };
+
+        const parsePredicate = () => {
+            const field = parseField();
+            let negate = false;
+
+            if (isKeyword('NOT')) {
+                next();
+                negate = true;
+            }
+
+            const opToken = expect('op');
+            const op = opToken.value;
+
+            if (negate && ['=', '!=', '>', '>=', '<', '<='].includes(op)) {
+                throw new FilterQueryError(`NOT cannot precede "${op}"`, opToken.position);
+            }
+
+            let value;
+            if (op === 'IN') {
+                expect('(');
+                value = [parseValue()];
+                while (peek() && peek().type === ',') {
+                    next();
+                    value.push(parseValue());
+                }
+                expect(')');
+            } else {
+                value = parseValue();
+            }
+
+            if (op === 'MATCHES') {
+                const { pattern, flags } = typeof value === 'object' && value !== null
+                    ? value
+                    : { pattern: String(value), flags: '' };
+                try {
+                    value = new RegExp(pattern, flags);
+                } catch (error) {
+                    throw new FilterQueryError(`Invalid regex: ${error.message}`, opToken.position);
+                }
+            }
+
+            const predicate = { type: 'predicate', field, op, value };
+            return negate ? { type: 'not', operand: predicate } : predicate;
+        };
+
+        const ast = parseOr();
+
+        if (pos < tokens.length) {
+            throw new FilterQueryError(`Unexpected "${tokens[pos].value}"`, tokens[pos].position);
+        }
+
+        return ast;
+    },
+
+    /**
+     * Evaluate a query against a node
+     * @param {string|Object} query - Query text or compiled AST
+     * @param {Object} node - Node to test
+     * @param {Array} ancestors - Ancestor nodes, root first
+     * @returns {boolean}
+     */
+    evaluate(query, node, ancestors = []) {
+        const ast = typeof query === 'string' ? this.compile(query) : query;
+        if (!ast) return true;
+
+        return this.evaluateNode(ast, node, ancestors);
+    },
+
+    /**
+     * Evaluate an AST node
+     */
+    evaluateNode(ast, node, ancestors) {
+        switch (ast.type) {
+            case 'and':
+                return this.evaluateNode(ast.left, node, ancestors) &&
+                       this.evaluateNode(ast.right, node, ancestors);
+            case 'or':
+                return this.evaluateNode(ast.left, node, ancestors) ||
+                       this.evaluateNode(ast.right, node, ancestors);
+            case 'not':
+                return !this.evaluateNode(ast.operand, node, ancestors);
+            case 'predicate':
+                return this.resolveScope(ast.field.scope, node, ancestors)
+                    .some(target => this.compare(this.getFieldValue(target, ast.field.name, ancestors, node), ast.op, ast.value));
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Get the nodes a predicate scope refers to
+     */
+    resolveScope(scope, node, ancestors) {
+        switch (scope.kind) {
+            case 'parent':
+                return ancestors.length > 0 ? [ancestors[ancestors.length - 1]] : [];
+            case 'ancestor':
+                if (scope.level !== null) {
+                    return ancestors[scope.level - 1] ? [ancestors[scope.level - 1]] : [];
+                }
+                return ancestors;
+            default:
+                return [node];
+        }
+    },
+
+    /**
+     * Read a field from a node
+     */
+    getFieldValue(target, name, ancestors, node) {
+        switch (name) {
+            case 'id':
+                return target.id;
+            case 'label':
+                return target.label;
+            case 'level': {
+                const index = ancestors.indexOf(target);
+                return index === -1 ? ancestors.length + 1 : index + 1;
+            }
+            default:
+                return DataProcessing.getPropertyValue(target, name);
+        }
+    },
+
+    /**
+     * Typed comparison: numbers compare numerically when both sides are
+     * numeric, equality is exact, text operators are case-insensitive
+     */
+    compare(actual, op, expected) {
+        const missing = actual === null || actual === undefined;
+
+        switch (op) {
+            case '=':
+                return expected === null ? missing : !missing && this.equals(actual, expected);
+            case '!=':
+                return expected === null ? !missing : missing || !this.equals(actual, expected);
+            case 'IN':
+                return !missing && expected.some(value => this.equals(actual, value));
+        }
+
+        if (missing) return false;
+
+        switch (op) {
+            case '>':
+            case '>=':
+            case '<':
+            case '<=': {
+                const [a, b] = this.comparable(actual, expected);
+                if (op === '>') return a > b;
+                if (op === '>=') return a >= b;
+                if (op === '<') return a < b;
+                return a <= b;
+            }
+            case 'CONTAINS':
+                return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+            case 'STARTSWITH':
+                return String(actual).toLowerCase().startsWith(String(expected).toLowerCase());
+            case 'ENDSWITH':
+                return String(actual).toLowerCase().endsWith(String(expected).toLowerCase());
+            case 'MATCHES':
+                expected.lastIndex = 0;
+                return expected.test(String(actual));
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Equality with numeric and boolean coercion of property strings
+     */
+    equals(actual, expected) {
+        if (typeof expected === 'number') {
+            return this.isNumeric(actual) && Number(actual) === expected;
+        }
+        if (typeof expected === 'boolean') {
+            return String(actual).toLowerCase() === String(expected);
+        }
+        return String(actual) === String(expected);
+    },
+
+    /**
+     * Coerce both sides to numbers when possible, otherwise to strings
+     */
+    comparable(actual, expected) {
+        if (this.isNumeric(actual) && this.isNumeric(expected)) {
+            return [Number(actual), Number(expected)];
+        }
+        return [String(actual), String(expected)];
+    },
+
+    /**
+     * Check whether a value is a number or numeric string
+     */
+    isNumeric(value) {
+        if (typeof value === 'number') return !isNaN(value);
+        return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value));
+    }
+};
+
+FilterQuery.FilterQueryError = FilterQueryError;
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilterQuery;
+}
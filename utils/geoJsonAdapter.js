@@ -0,0 +1,318 @@
+/**
+ * GeoJSON Adapter for Geo Visualization Widget
+ * Converts between GeoJSON FeatureCollections and the GeoLocations hierarchy
+ */
+
+const GeoJsonAdapter = {
+    /**
+     * Default conversion options
+     */
+    defaults: {
+        idProperty: 'id',           // Feature property holding the node id (falls back to feature.id)
+        labelProperty: 'label',     // Feature property holding the display label
+        parentProperty: 'parentId', // Feature property holding the parent node id
+        pathProperty: null,         // Feature property holding an ancestor path, e.g. "Asia/Japan/Tokyo DC-1"
+        pathSeparator: '/',
+        levelProperty: 'level'      // Written on export, ignored on import
+    },
+
+    /**
+     * Check if data is a GeoJSON FeatureCollection
+     * @param {Object} data - Data to check
+     * @returns {boolean}
+     */
+    isFeatureCollection(data) {
+        return !!data && data.type === 'FeatureCollection' && Array.isArray(data.features);
+    },
+
+    /**
+     * Return GeoLocations data, converting a FeatureCollection if needed
+     * @param {Object} data - GeoLocations data or FeatureCollection
+     * @param {Object} options - Conversion options
+     * @returns {Object} - GeoLocations data
+     */
+    normalize(data, options = {}) {
+        return this.isFeatureCollection(data)
+            ? this.fromFeatureCollection(data, options)
+            : data;
+    },
+
+    /**
+     * Convert a FeatureCollection into the GeoLocations hierarchy.
+     * The hierarchy comes from `pathProperty` when configured, otherwise from
+     * `parentProperty`. Features whose parent is unknown become roots.
+     * Duplicate features and parent cycles are kept in `_featureErrors`.
+     * @param {Object} collection - GeoJSON FeatureCollection
+     * @param {Object} options - Conversion options (see defaults)
+     * @returns {Object} - GeoLocations data
+     */
+    fromFeatureCollection(collection, options = {}) {
+        const config = { ...this.defaults, ...options };
+
+        if (!this.isFeatureCollection(collection)) {
+            return { type: 'GeoLocations', GeoLocations: [] };
+        }
+
+        const errors = [];
+        const roots = config.pathProperty
+            ? this.buildFromPaths(collection.features, config, errors)
+            : this.buildFromParentIds(collection.features, config, errors);
+
+        roots.forEach(root => DataProcessing.deriveMissingGeometry(root));
+
+        const result = {
+            type: 'GeoLocations',
+            GeoLocations: roots
+        };
+
+        // Links between features (by id) are carried over unchanged
+        if (Array.isArray(collection.links)) {
+            result.links = collection.links;
+        }
+
+        // Dropped features are reported by DataProcessing.validateData
+        if (errors.length > 0) {
+            result._featureErrors = errors;
+        }
+
+        return result;
+    },
+
+    /**
+     * Build the tree from parent-id references. Features repeating an
+     * earlier id, and features whose parent chain loops back on itself,
+     * are dropped and recorded in `errors`.
+     */
+    buildFromParentIds(features, config, errors) {
+        const nodes = new Map();
+        const parentIds = new Map();
+        const indices = new Map();
+
+        features.forEach((feature, i) => {
+            const node = this.featureToNode(feature, config, i);
+
+            if (nodes.has(node.id)) {
+                errors.push({
+                    index: i,
+                    code: 'DUPLICATE_ID',
+                    nodeId: node.id,
+                    message: `Duplicate feature id "${node.id}" (first used at features[${indices.get(node.id)}])`,
+                    suggestion: 'Give each feature a unique id; only the first is kept'
+                });
+                return;
+            }
+
+            nodes.set(node.id, node);
+            indices.set(node.id, i);
+            parentIds.set(node.id, (feature.properties || {})[config.parentProperty]);
+        });
+
+        const parentOf = nodeId => {
+            const parentId = parentIds.get(nodeId);
+            return parentId !== nodeId && nodes.has(parentId) ? parentId : null;
+        };
+
+        // Features that cannot reach a root through their parents
+        const unreachable = new Map(); // id -> ids of the cycle it sits in or below
+        for (const nodeId of nodes.keys()) {
+            const chain = [nodeId];
+            let current = parentOf(nodeId);
+            while (current !== null && !chain.includes(current)) {
+                chain.push(current);
+                current = parentOf(current);
+            }
+            if (current !== null) {
+                unreachable.set(nodeId, chain.slice(chain.indexOf(current)));
+            }
+        }
+
+        unreachable.forEach((cycle, nodeId) => {
+            errors.push({
+                index: indices.get(nodeId),
+                code: 'CYCLE',
+                nodeId,
+                message: cycle.includes(nodeId)
+                    ? `Feature "${nodeId}" is part of a parent cycle (${cycle.join(' → ')})`
+                    : `Feature "${nodeId}" descends from a parent cycle (${cycle.join(' → ')})`,
+                suggestion: `Point the ${config.parentProperty} of one feature in the cycle at a real ancestor`
+            });
+        });
+
+        const roots = [];
+        for (const [nodeId, node] of nodes) {
+            if (unreachable.has(nodeId)) continue;
+
+            const parentId = parentOf(nodeId);
+            if (parentId !== null) {
+                const parent = nodes.get(parentId);
+                parent.children = parent.children || [];
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+
+        return roots;
+    },
+
+    /**
+     * Build the tree from ancestor-path strings, creating intermediate
+     * nodes for path segments that have no feature of their own. A feature
+     * repeating an earlier feature's path is dropped and recorded in `errors`.
+     */
+    buildFromPaths(features, config, errors) {
+        const roots = [];
+        const byPath = new Map();
+        const featurePaths = new Map(); // path -> index of the feature that owns it
+
+        const ensureNode = (segments) => {
+            const key = segments.join(config.pathSeparator);
+            if (byPath.has(key)) return byPath.get(key);
+
+            const node = {
+                id: `path:${key}`,
+                label: segments[segments.length - 1],
+                properties: [],
+                geometry: null
+            };
+            byPath.set(key, node);
+            attach(node, segments);
+            return node;
+        };
+
+        const attach = (node, segments) => {
+            if (segments.length === 1) {
+                roots.push(node);
+            } else {
+                const parent = ensureNode(segments.slice(0, -1));
+                parent.children = parent.children || [];
+                parent.children.push(node);
+            }
+        };
+
+        features.forEach((feature, i) => {
+            const props = feature.properties || {};
+            const rawPath = props[config.pathProperty];
+            const node = this.featureToNode(feature, config, i);
+            const segments = typeof rawPath === 'string'
+                ? rawPath.split(config.pathSeparator).map(s => s.trim()).filter(Boolean)
+                : [];
+
+            if (segments.length === 0) {
+                roots.push(node);
+                return;
+            }
+
+            const key = segments.join(config.pathSeparator);
+            const placeholder = byPath.get(key);
+
+            if (featurePaths.has(key)) {
+                errors.push({
+                    index: i,
+                    code: 'DUPLICATE_ID',
+                    nodeId: node.id,
+                    message: `Duplicate feature path "${key}" (first used at features[${featurePaths.get(key)}])`,
+                    suggestion: 'Give each feature a unique path; only the first is kept'
+                });
+                return;
+            }
+            featurePaths.set(key, i);
+
+            if (placeholder) {
+                // A feature for an already-created intermediate: take over its slot
+                Object.assign(placeholder, node, { children: placeholder.children });
+            } else {
+                byPath.set(key, node);
+                attach(node, segments);
+            }
+        });
+
+        return roots;
+    },
+
+    /**
+     * Convert a single feature to a node (without children)
+     */
+    featureToNode(feature, config, index) {
+        const props = feature.properties || {};
+        const reserved = new Set([
+            config.idProperty,
+            config.labelProperty,
+            config.parentProperty,
+            config.pathProperty,
+            config.levelProperty
+        ]);
+
+        const id = props[config.idProperty] !== undefined ? props[config.idProperty] : feature.id;
+        const nodeId = id !== undefined && id !== null ? String(id) : `feature-${index}`;
+
+        return {
+            id: nodeId,
+            label: props[config.labelProperty] || props.name || nodeId,
+            properties: Object.keys(props)
+                .filter(key => !reserved.has(key))
+                .map(key => ({ propertyKey: key, propertyValue: props[key] })),
+            geometry: feature.geometry || null
+        };
+    },
+
+    /**
+     * Export the GeoLocations hierarchy as a flat FeatureCollection
+     * @param {Object} data - GeoLocations data
+     * @param {Object} options - { filters, includeLevel, plus the property names from defaults }
+     * @returns {Object} - GeoJSON FeatureCollection
+     */
+    toFeatureCollection(data, options = {}) {
+        const config = { ...this.defaults, includeLevel: true, ...options };
+        const source = config.filters
+            ? DataProcessing.filterData(data, config.filters)
+            : data;
+
+        const features = [];
+
+        const visit = (node, parent, level, path) => {
+            const nodePath = [...path, node.label];
+            const properties = {
+                [config.idProperty]: node.id,
+                [config.labelProperty]: node.label
+            };
+
+            if (parent) {
+                properties[config.parentProperty] = parent.id;
+            }
+            if (config.pathProperty) {
+                properties[config.pathProperty] = nodePath.join(config.pathSeparator);
+            }
+            if (config.includeLevel) {
+                properties[config.levelProperty] = level;
+            }
+
+            (node.properties || []).forEach(({ propertyKey, propertyValue }) => {
+                properties[propertyKey] = propertyValue;
+            });
+
+            features.push({
+                type: 'Feature',
+                id: node.id,
+                geometry: node.geometry || null,
+                properties
+            });
+
+            (node.children || []).forEach(child => visit(child, node, level + 1, nodePath));
+        };
+
+        if (source && source.GeoLocations) {
+            source.GeoLocations.forEach(node => visit(node, null, 1, []));
+        }
+
+        return {
+            type: 'FeatureCollection',
+            features
+        };
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoJsonAdapter;
+}
@@ -0,0 +1,188 @@
+/**
+ * Geometry Utilities for Geo Visualization Widget
+ * Point positions for Point, Polygon and MultiPolygon node geometries
+ * (centroids for areas), point-in-area tests and ring orientation for D3
+ */
+
+const GeometryUtils = {
+    /**
+     * Geometry types drawn as areas
+     */
+    areaTypes: ['Polygon', 'MultiPolygon'],
+
+    /**
+     * Derived values per geometry object (centroid, rewound copy)
+     */
+    cache: new WeakMap(),
+
+    /**
+     * Check if a geometry is a Polygon or MultiPolygon
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {boolean}
+     */
+    isArea(geometry) {
+        return !!geometry && this.areaTypes.includes(geometry.type);
+    },
+
+    /**
+     * Get the polygons of an area geometry as arrays of rings
+     * @returns {Array} - [[outerRing, ...holes], ...]
+     */
+    getPolygons(geometry) {
+        if (!this.isArea(geometry) || !Array.isArray(geometry.coordinates)) return [];
+        return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    },
+
+    /**
+     * Get the point at which a geometry is drawn as a marker: the Point
+     * itself, or the centroid of an area
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array|null} - [longitude, latitude]
+     */
+    getPosition(geometry) {
+        if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+        if (!this.isArea(geometry)) return geometry.coordinates;
+
+        const cached = this.getCached(geometry);
+        if (!cached.centroid) {
+            cached.centroid = this.centroid(geometry);
+        }
+        return cached.centroid;
+    },
+
+    /**
+     * Get every vertex of a geometry (outer rings only for areas), e.g. for
+     * bounding boxes
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {Array} - Array of [longitude, latitude]
+     */
+    getPositions(geometry) {
+        if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+        if (!this.isArea(geometry)) return [geometry.coordinates];
+
+        return this.getPolygons(geometry).flatMap(rings => rings[0] || []);
+    },
+
+    /**
+     * Area-weighted centroid of the outer rings (planar, in degrees). Each
+     * polygon counts with its absolute area, so parts wound in opposite
+     * directions do not cancel out.
+     * @param {Object} geometry - Polygon or MultiPolygon
+     * @returns {Array|null} - [longitude, latitude]
+     */
+    centroid(geometry) {
+        let area = 0;
+        let x = 0;
+        let y = 0;
+
+        this.getPolygons(geometry).forEach(rings => {
+            const ring = rings[0] || [];
+            let ringArea = 0;
+            let ringX = 0;
+            let ringY = 0;
+
+            for (let i = 0; i < ring.length - 1; i++) {
+                const [x0, y0] = ring[i];
+                const [x1, y1] = ring[i + 1];
+                const cross = x0 * y1 - x1 * y0;
+                ringArea += cross;
+                ringX += (x0 + x1) * cross;
+                ringY += (y0 + y1) * cross;
+            }
+
+            const sign = ringArea < 0 ? -1 : 1;
+            area += sign * ringArea;
+            x += sign * ringX;
+            y += sign * ringY;
+        });
+
+        if (Math.abs(area) > 1e-12) {
+            return [x / (3 * area), y / (3 * area)];
+        }
+
+        // Degenerate rings: fall back to the mean vertex
+        const positions = this.getPositions(geometry);
+        if (positions.length === 0) return null;
+
+        return [
+            positions.reduce((sum, p) => sum + p[0], 0) / positions.length,
+            positions.reduce((sum, p) => sum + p[1], 0) / positions.length
+        ];
+    },
+
+    /**
+     * Signed planar area of a ring (positive when counter-clockwise)
+     */
+    ringArea(ring) {
+        let area = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+        }
+        return area / 2;
+    },
+
+    /**
+     * Check if a point lies inside an area geometry (even-odd rule, so holes
+     * are excluded)
+     * @param {Array} point - [longitude, latitude]
+     * @param {Object} geometry - Polygon or MultiPolygon
+     * @returns {boolean}
+     */
+    containsPoint(point, geometry) {
+        const [px, py] = point;
+
+        return this.getPolygons(geometry).some(rings => {
+            let inside = false;
+
+            rings.forEach(ring => {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [xi, yi] = ring[i];
+                    const [xj, yj] = ring[j];
+                    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+                        inside = !inside;
+                    }
+                }
+            });
+
+            return inside;
+        });
+    },
+
+    /**
+     * Orient rings the way d3-geo expects (outer rings clockwise, holes
+     * counter-clockwise). GeoJSON (RFC 7946) uses the opposite order, which
+     * d3 would draw as the whole globe minus the area.
+     * @param {Object} geometry - Polygon or MultiPolygon
+     * @returns {Object} - Rewound copy (cached per geometry object)
+     */
+    rewindForD3(geometry) {
+        const cached = this.getCached(geometry);
+        if (cached.rewound) return cached.rewound;
+
+        const orient = (ring, clockwise) => ((this.ringArea(ring) < 0) === clockwise ? ring : [...ring].reverse());
+        const rewindPolygon = rings => rings.map((ring, i) => orient(ring, i === 0));
+
+        cached.rewound = {
+            ...geometry,
+            coordinates: geometry.type === 'Polygon'
+                ? rewindPolygon(geometry.coordinates)
+                : geometry.coordinates.map(rewindPolygon)
+        };
+        return cached.rewound;
+    },
+
+    /**
+     * Get the cache entry for a geometry object
+     */
+    getCached(geometry) {
+        if (!this.cache.has(geometry)) {
+            this.cache.set(geometry, {});
+        }
+        return this.cache.get(geometry);
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeometryUtils;
+}
@@ -0,0 +1,139 @@
+/**
+ * Health Status Roll-up for Geo Visualization Widget
+ * Derives a status for every marker from a leaf property (default
+ * `Status`) so a continent shows that one of its sites is down.
+ *
+ * Statuses are ordered from best to worst in `levels`; values not listed
+ * there are ignored. Ancestors combine the statuses of their matching
+ * leaves with a rule:
+ *
+ *   worst      the worst status of any leaf
+ *   threshold  the worst status S for which at least `thresholds[S]` percent
+ *              of the leaves are at S or worse, e.g. { Down: 25, Degraded: 10 }
+ *              (statuses without a threshold need every leaf)
+ *
+ * or a function `(distribution, options) => status`, where the distribution
+ * maps each status to its number of leaves.
+ */
+
+const HealthStatus = {
+    /**
+     * Rule names
+     */
+    rules: ['worst', 'threshold'],
+
+    /**
+     * Default health options
+     */
+    defaults: {
+        property: 'Status',
+        levels: ['Active', 'Maintenance', 'Degraded', 'Down'],   // Best to worst
+        rule: 'worst',
+        thresholds: {},
+        colors: { Maintenance: '#3b82f6', Degraded: '#f59e0b', Down: '#ef4444' },
+        badge: ['Maintenance', 'Degraded', 'Down'],   // Statuses marked with a badge
+        pulse: ['Down']                               // Statuses whose markers pulse
+    },
+
+    /**
+     * Merge options with the defaults and check the rule
+     * @param {Object} options - Health options (see defaults)
+     * @returns {Object}
+     */
+    normalize(options = {}) {
+        const normalized = {
+            ...this.defaults,
+            ...options,
+            colors: { ...this.defaults.colors, ...(options.colors || {}) }
+        };
+
+        if (typeof normalized.rule !== 'function' && !this.rules.includes(normalized.rule)) {
+            throw new Error(`Unknown status roll-up rule "${normalized.rule}"`);
+        }
+        if (!Array.isArray(normalized.levels) || normalized.levels.length === 0) {
+            throw new Error('Health levels must list at least one status');
+        }
+
+        return normalized;
+    },
+
+    /**
+     * Aggregation metric counting leaves per status (see utils/aggregation.js)
+     * @param {Object} options - Normalised health options
+     * @returns {Array} - Normalised metrics with one metric named "health"
+     */
+    getMetrics(options) {
+        return Aggregation.normalizeMetrics({
+            health: { property: options.property, op: 'distribution' }
+        });
+    },
+
+    /**
+     * Position of a status in the severity order
+     * @returns {number} - 0 for the best status, -1 for unknown statuses
+     */
+    severity(status, options) {
+        return options.levels.indexOf(status);
+    },
+
+    /**
+     * Roll a distribution of leaf statuses up to one status
+     * @param {Object} distribution - Status → number of leaves
+     * @param {Object} options - Normalised health options
+     * @returns {string|null} - Null when no leaf has a known status
+     */
+    rollUp(distribution, options) {
+        if (!distribution) return null;
+
+        const counts = options.levels.map(status => distribution[status] || 0);
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        if (total === 0) return null;
+
+        if (typeof options.rule === 'function') {
+            return options.rule(distribution, options);
+        }
+
+        let atOrWorse = 0;
+        for (let i = counts.length - 1; i > 0; i--) {
+            atOrWorse += counts[i];
+            if (atOrWorse === 0) continue;
+
+            if (options.rule === 'worst') return options.levels[i];
+
+            const threshold = options.thresholds[options.levels[i]];
+            const required = threshold !== undefined ? threshold : 100;
+            if ((atOrWorse / total) * 100 >= required) return options.levels[i];
+        }
+
+        return options.levels[0];
+    },
+
+    /**
+     * Worst of several statuses (e.g. a cluster's members)
+     * @param {Array} statuses - Statuses (nulls ignored)
+     * @param {Object} options - Normalised health options
+     * @returns {string|null}
+     */
+    worst(statuses, options) {
+        return statuses.reduce((worst, status) => (
+            this.severity(status, options) > this.severity(worst, options) ? status : worst
+        ), null);
+    },
+
+    /**
+     * Display flags and colour for a status
+     * @returns {Object} - { badge, pulse, color }
+     */
+    getStyle(status, options) {
+        return {
+            badge: !!status && options.badge.includes(status),
+            pulse: !!status && options.pulse.includes(status),
+            color: (status && options.colors[status]) || null
+        };
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HealthStatus;
+}
@@ -0,0 +1,100 @@
+/**
+ * Density Heatmap for Geo Visualization Widget
+ * Kernel density contours over leaf locations, optionally weighted by a
+ * numeric property. Density is estimated with d3.contourDensity on a grid
+ * in screen space, so the detail follows the zoom level; the widget
+ * recomputes the contours once zooming settles.
+ */
+
+const DensityHeatmap = {
+    /**
+     * Default heatmap options
+     */
+    defaults: {
+        visible: true,
+        weight: null,                                 // Numeric leaf property; null counts each leaf once
+        bandwidth: 20,                                // Kernel bandwidth in screen px
+        cellSize: 4,                                  // Density grid cell in screen px (power of two)
+        thresholds: 10,                               // Number of contour levels
+        opacity: 0.6,
+        colors: ['#fde68a', '#f97316', '#b91c1c'],    // Low to high density
+        control: true                                 // Show the toggle and opacity control
+    },
+
+    /**
+     * Merge options with the defaults
+     * @param {Object} options - Heatmap options (see defaults)
+     * @returns {Object}
+     */
+    normalize(options) {
+        const normalized = { ...this.defaults, ...(options || {}) };
+
+        normalized.opacity = Math.min(Math.max(Number(normalized.opacity) || 0, 0), 1);
+        normalized.bandwidth = Math.max(Number(normalized.bandwidth) || this.defaults.bandwidth, 1);
+
+        return normalized;
+    },
+
+    /**
+     * Screen positions and weights of leaves
+     * @param {Array} leaves - Leaf nodes
+     * @param {Function} locate - (node) => [x, y] in screen px, or null
+     * @param {string|null} weight - Numeric property, or null for 1 per leaf
+     * @returns {Array} - [{ x, y, weight }] (leaves without a position or a positive weight are skipped)
+     */
+    getPoints(leaves, locate, weight = null) {
+        const points = [];
+
+        leaves.forEach(node => {
+            const position = locate(node);
+            if (!position || isNaN(position[0]) || isNaN(position[1])) return;
+
+            const value = weight ? Aggregation.readNumber(node, weight) : 1;
+            if (value === null || value <= 0) return;
+
+            points.push({ x: position[0], y: position[1], weight: value });
+        });
+
+        return points;
+    },
+
+    /**
+     * Density contours over an area. Points up to three bandwidths outside
+     * the area still contribute, so the density does not fade at the edges.
+     * @param {Array} points - [{ x, y, weight }]
+     * @param {Object} options - { width, height, bandwidth, cellSize, thresholds }
+     * @returns {Object} - { contours (GeoJSON MultiPolygons with `value`), margin }
+     */
+    contours(points, { width, height, bandwidth, cellSize, thresholds }) {
+        const margin = Math.ceil(bandwidth * 3);
+
+        const contours = d3.contourDensity()
+            .x(point => point.x + margin)
+            .y(point => point.y + margin)
+            .weight(point => point.weight)
+            .size([width + 2 * margin, height + 2 * margin])
+            .cellSize(cellSize)
+            .bandwidth(bandwidth)
+            .thresholds(thresholds)(points);
+
+        return { contours, margin };
+    },
+
+    /**
+     * Colour for each contour level (low to high density)
+     * @param {Array} contours - Contours from `contours`
+     * @param {Array} colors - Colour stops
+     * @returns {Function} - (value) => colour
+     */
+    colorScale(contours, colors) {
+        const interpolate = d3.piecewise(d3.interpolate, colors);
+        const [min, max] = d3.extent(contours, contour => contour.value);
+
+        return value => interpolate(max > min ? (value - min) / (max - min) : 1);
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DensityHeatmap;
+}
@@ -0,0 +1,169 @@
+/**
+ * Label Placement for Geo Visualization Widget
+ * Chooses a position for each marker label from a set of candidates around
+ * the marker so labels avoid each other and other markers. Labels are placed
+ * in priority order; a label is shown in full when some candidate fits,
+ * shortened when only the short text fits, and hidden otherwise.
+ *
+ * All coordinates are screen pixels. Placed boxes are kept in a uniform grid
+ * so each test only looks at nearby boxes.
+ */
+
+const LabelPlacement = {
+    /**
+     * Candidate positions, in order of preference. `offset` returns the text
+     * anchor point relative to the marker centre (vertically centred text).
+     */
+    candidates: [
+        { name: 'bottom', offset: (r, h, gap) => ({ dx: 0, dy: r + gap + h / 2, anchor: 'middle' }) },
+        { name: 'top', offset: (r, h, gap) => ({ dx: 0, dy: -(r + gap + h / 2), anchor: 'middle' }) },
+        { name: 'right', offset: (r, h, gap) => ({ dx: r + gap, dy: 0, anchor: 'start' }) },
+        { name: 'left', offset: (r, h, gap) => ({ dx: -(r + gap), dy: 0, anchor: 'end' }) },
+        { name: 'bottom-right', offset: (r, h, gap) => ({ dx: r * 0.7 + gap, dy: r * 0.7 + h / 2, anchor: 'start' }) },
+        { name: 'top-right', offset: (r, h, gap) => ({ dx: r * 0.7 + gap, dy: -(r * 0.7 + h / 2), anchor: 'start' }) },
+        { name: 'bottom-left', offset: (r, h, gap) => ({ dx: -(r * 0.7 + gap), dy: r * 0.7 + h / 2, anchor: 'end' }) },
+        { name: 'top-left', offset: (r, h, gap) => ({ dx: -(r * 0.7 + gap), dy: -(r * 0.7 + h / 2), anchor: 'end' }) }
+    ],
+
+    /**
+     * Place labels
+     * @param {Array} labels - [{ id, x, y, radius, texts, priority, force }]
+     *   `texts` lists the versions to try, longest first; `force` keeps the
+     *   label visible (at its first candidate) even when nothing fits
+     * @param {Object} options - { measure: (text) => width, height, gap, bounds: { width, height } }
+     * @returns {Map} - id → { text, dx, dy, anchor, candidate, hidden }
+     */
+    place(labels, options) {
+        const { measure, height, gap = 4, bounds = null } = options;
+        const index = this.createIndex(Math.max(height * 4, 32));
+        const placements = new Map();
+
+        // Every marker is an obstacle for the other markers' labels
+        labels.forEach(label => {
+            index.insert({
+                id: label.id,
+                x0: label.x - label.radius,
+                y0: label.y - label.radius,
+                x1: label.x + label.radius,
+                y1: label.y + label.radius
+            });
+        });
+
+        [...labels]
+            .sort((a, b) => b.priority - a.priority)
+            .forEach(label => {
+                const onScreen = !bounds ||
+                    (label.x >= 0 && label.x <= bounds.width && label.y >= 0 && label.y <= bounds.height);
+                let chosen = null;
+
+                if (onScreen) {
+                    for (const text of label.texts) {
+                        const width = measure(text);
+
+                        for (const candidate of this.candidates) {
+                            const box = this.candidateBox(candidate, label, text, width, height, gap);
+                            if ((!bounds || this.isInside(box, bounds)) && !index.collides(box, label.id)) {
+                                chosen = box;
+                                break;
+                            }
+                        }
+                        if (chosen) break;
+                    }
+                }
+
+                if (!chosen && onScreen && label.force) {
+                    const text = label.texts[label.texts.length - 1];
+                    chosen = this.candidateBox(this.candidates[0], label, text, measure(text), height, gap);
+                }
+
+                if (chosen) {
+                    index.insert({ ...chosen, id: label.id });
+                    placements.set(label.id, {
+                        text: chosen.text,
+                        dx: chosen.dx,
+                        dy: chosen.dy,
+                        anchor: chosen.anchor,
+                        candidate: chosen.candidate,
+                        hidden: false
+                    });
+                } else {
+                    const fallback = this.candidates[0].offset(label.radius, height, gap);
+                    placements.set(label.id, {
+                        text: label.texts[label.texts.length - 1],
+                        ...fallback,
+                        candidate: null,
+                        hidden: true
+                    });
+                }
+            });
+
+        return placements;
+    },
+
+    /**
+     * Screen box of a label at a candidate position
+     */
+    candidateBox(candidate, label, text, width, height, gap) {
+        const { dx, dy, anchor } = candidate.offset(label.radius, height, gap);
+        const left = anchor === 'start' ? dx : anchor === 'end' ? dx - width : dx - width / 2;
+
+        return {
+            candidate: candidate.name,
+            text,
+            dx,
+            dy,
+            anchor,
+            x0: label.x + left,
+            y0: label.y + dy - height / 2,
+            x1: label.x + left + width,
+            y1: label.y + dy + height / 2
+        };
+    },
+
+    /**
+     * Check that a box lies within the view
+     */
+    isInside(box, bounds) {
+        return box.x0 >= 0 && box.y0 >= 0 && box.x1 <= bounds.width && box.y1 <= bounds.height;
+    },
+
+    /**
+     * Uniform grid of boxes for overlap tests
+     * @param {number} cellSize - Cell size in px
+     * @returns {Object} - { insert(box), collides(box, ownId) }
+     */
+    createIndex(cellSize) {
+        const cells = new Map();
+        const forEachCell = (box, fn) => {
+            for (let cx = Math.floor(box.x0 / cellSize); cx <= Math.floor(box.x1 / cellSize); cx++) {
+                for (let cy = Math.floor(box.y0 / cellSize); cy <= Math.floor(box.y1 / cellSize); cy++) {
+                    fn(`${cx}:${cy}`);
+                }
+            }
+        };
+        const overlaps = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+
+        return {
+            insert(box) {
+                forEachCell(box, key => {
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(box);
+                });
+            },
+            // Boxes belonging to the same marker (its own circle) never collide
+            collides(box, ownId) {
+                let hit = false;
+                forEachCell(box, key => {
+                    if (hit) return;
+                    hit = (cells.get(key) || []).some(other => other.id !== ownId && overlaps(box, other));
+                });
+                return hit;
+            }
+        };
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LabelPlacement;
+}
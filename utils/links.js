@@ -0,0 +1,167 @@
+/**
+ * Network Links for Geo Visualization Widget
+ * Connections between nodes (replication pairs, backbone links, ...) drawn
+ * as great-circle arcs. Links are listed next to the hierarchy:
+ *
+ *   {
+ *     "type": "GeoLocations",
+ *     "GeoLocations": [...],
+ *     "links": [
+ *       { "id": "tyo-fra", "source": "dc-tokyo-1", "target": "dc-frankfurt-1",
+ *         "properties": [{ "propertyKey": "BandwidthGbps", "propertyValue": 100 }] }
+ *     ]
+ *   }
+ *
+ * At each hierarchy level a link is drawn between the nearest visible
+ * ancestors of its endpoints, so links between hidden nodes collapse into
+ * one bundle per pair of visible markers. Bundle values for the width and
+ * colour encodings are rolled up with utils/aggregation.js.
+ */
+
+const LinkUtils = {
+    /**
+     * Default link options
+     */
+    defaults: {
+        width: null,                          // Metric definition, e.g. { property: 'BandwidthGbps', op: 'sum' }
+        color: null,                          // Metric definition, e.g. { property: 'LatencyMs', op: 'max' }
+        widthRange: [1.5, 8],                 // Stroke width in px for the smallest and largest value
+        colorRange: ['#22c55e', '#ef4444'],   // Colours for the smallest and largest value
+        filter: null                          // Filter query or (link) => boolean
+    },
+
+    /**
+     * Get the well-formed links of a dataset, with default ids
+     * @param {Object} data - GeoLocations data
+     * @returns {Array} - [{ id, source, target, properties }]
+     */
+    getLinks(data) {
+        if (!data || !Array.isArray(data.links)) return [];
+
+        return data.links
+            .map((link, i) => (this.isValid(link) && (link.id === undefined || link.id === null)
+                ? { ...link, id: `link-${i}` }
+                : link))
+            .filter(link => this.isValid(link));
+    },
+
+    /**
+     * Check that a link names both endpoints
+     */
+    isValid(link) {
+        return !!link && typeof link === 'object' &&
+            link.source !== undefined && link.source !== null && link.source !== '' &&
+            link.target !== undefined && link.target !== null && link.target !== '';
+    },
+
+    /**
+     * Normalise the width and colour encodings to aggregation metrics
+     * @param {Object} options - Link options (see defaults)
+     * @returns {Array} - Normalised metrics named "width" and "color"
+     */
+    normalizeEncoding(options) {
+        const metrics = {};
+        if (options.width) metrics.width = options.width;
+        if (options.color) metrics.color = options.color;
+
+        return Aggregation.normalizeMetrics(metrics);
+    },
+
+    /**
+     * Check a link against a filter query or predicate
+     * @param {Object} link - Link
+     * @param {string|Function|null} filter - Query over the link's id and properties
+     * @returns {boolean}
+     */
+    matches(link, filter) {
+        if (!filter) return true;
+        if (typeof filter === 'function') return !!filter(link);
+
+        return FilterQuery.evaluate(filter, link);
+    },
+
+    /**
+     * Find the nearest visible node on the path from the root to a node
+     * @param {string} nodeId - Link endpoint
+     * @param {Set} visibleIds - IDs of the visible markers
+     * @param {NodeIndex} nodeIndex - Built node index
+     * @returns {string|null}
+     */
+    resolveEndpoint(nodeId, visibleIds, nodeIndex) {
+        const path = nodeIndex.getPath(nodeId);
+
+        for (let i = path.length - 1; i >= 0; i--) {
+            if (visibleIds.has(path[i])) return path[i];
+        }
+        return null;
+    },
+
+    /**
+     * Collapse links onto the visible markers. Links whose endpoints resolve
+     * to the same pair (in either direction) share one bundle; links inside a
+     * single visible marker, or with an endpoint that is not shown, are dropped.
+     * @param {Array} links - Links (see getLinks)
+     * @param {Object} options - { nodeIndex, visibleIds, include: (nodeId) => boolean,
+     *   aliases: Map of visible node id to the id it is drawn as (e.g. a cluster) }
+     * @returns {Array} - [{ id, source, target, links }]
+     */
+    collapse(links, { nodeIndex, visibleIds, include = () => true, aliases = new Map() }) {
+        const bundles = new Map();
+
+        links.forEach(link => {
+            if (!nodeIndex.has(link.source) || !nodeIndex.has(link.target)) return;
+            if (!include(link.source) || !include(link.target)) return;
+
+            const alias = id => aliases.get(id) || id;
+            const source = alias(this.resolveEndpoint(link.source, visibleIds, nodeIndex));
+            const target = alias(this.resolveEndpoint(link.target, visibleIds, nodeIndex));
+            if (!source || !target || source === target) return;
+
+            const key = source < target ? `${source}|${target}` : `${target}|${source}`;
+            if (!bundles.has(key)) {
+                bundles.set(key, { id: key, source, target, links: [] });
+            }
+            bundles.get(key).links.push(link);
+        });
+
+        return Array.from(bundles.values());
+    },
+
+    /**
+     * Roll the encoded properties of each bundle's links up into `_metrics`
+     * @param {Array} bundles - Link bundles (modified in place)
+     * @param {Array} metrics - Normalised metrics (see normalizeEncoding)
+     * @returns {Array} - The bundles
+     */
+    aggregate(bundles, metrics) {
+        bundles.forEach(bundle => {
+            const states = Aggregation.mergeStates(
+                bundle.links.map(link => Aggregation.leafState(link, metrics)),
+                metrics
+            );
+            bundle._metrics = Aggregation.finalize(states, metrics);
+        });
+
+        return bundles;
+    },
+
+    /**
+     * Geometry of the arc between two nodes. d3-geo draws LineStrings along
+     * great circles, so the projected path curves like a flight route.
+     * @param {Object} sourceNode - Source node
+     * @param {Object} targetNode - Target node
+     * @returns {Object|null} - GeoJSON LineString
+     */
+    arc(sourceNode, targetNode) {
+        const from = GeometryUtils.getPosition(sourceNode && sourceNode.geometry);
+        const to = GeometryUtils.getPosition(targetNode && targetNode.geometry);
+        if (!from || !to) return null;
+
+        return { type: 'LineString', coordinates: [from, to] };
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkUtils;
+}
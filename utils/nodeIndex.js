@@ -0,0 +1,396 @@
+/**
+ * Node Index for Geo Visualization Widget
+ * Built-once lookup tables over the GeoLocations tree (id → node, parent,
+ * depth, ancestor path) with cached descendant counts and metric
+ * aggregates per filter set
+ */
+
+class NodeIndex {
+    constructor(data = null, options = {}) {
+        this.entries = new Map();     // Map<nodeId, { node, parentId, depth, path, childIds }>
+        this.levels = new Map();      // Map<depth, Set<nodeId>>
+        this.rootIds = [];
+        this.countCaches = new Map(); // Map<filterKey, Map<nodeId, count>>
+        this.aggregateCaches = new Map(); // Map<filterKey + metricsKey, Map<nodeId, partial states>>
+        this.maxCachedFilterSets = options.maxCachedFilterSets || 10;
+        this.debug = options.debug || false;
+
+        if (data) {
+            this.build(data);
+        }
+    }
+
+    /**
+     * Log debug messages
+     */
+    log(...args) {
+        if (this.debug) {
+            console.log('[NodeIndex]', ...args);
+        }
+    }
+
+    /**
+     * Index the whole tree from scratch
+     * @param {Object} data - GeoLocations data
+     */
+    build(data) {
+        this.entries.clear();
+        this.levels.clear();
+        this.countCaches.clear();
+        this.aggregateCaches.clear();
+        this.rootIds = [];
+
+        if (!data || !data.GeoLocations) return;
+
+        const visit = (node, parentId, depth, path) => {
+            const nodePath = [...path, node.id];
+            this.setEntry(node, parentId, depth, nodePath);
+
+            if (node.children) {
+                node.children.forEach(child => visit(child, node.id, depth + 1, nodePath));
+            }
+        };
+
+        data.GeoLocations.forEach(node => {
+            this.rootIds.push(node.id);
+            visit(node, null, 1, []);
+        });
+
+        this.log(`Indexed ${this.entries.size} nodes`);
+    }
+
+    /**
+     * Re-index only the branches that changed since the last build/update.
+     * Subtrees are compared by reference, so callers should replace changed
+     * nodes (and their ancestors) rather than mutate them in place.
+     * @param {Object} data - New GeoLocations data
+     * @returns {Object} - { changed: string[], removed: string[] }
+     */
+    update(data) {
+        const seen = new Set();
+        const changed = [];
+        const staleIds = new Set();
+
+        const markSubtreeSeen = (nodeId, stale) => {
+            seen.add(nodeId);
+            if (stale) staleIds.add(nodeId);
+            const entry = this.entries.get(nodeId);
+            if (entry) entry.childIds.forEach(childId => markSubtreeSeen(childId, stale));
+        };
+
+        // Leaves are matched against their ancestors (e.g. `parent.X` queries),
+        // so when a node's own fields change its whole subtree goes stale
+        const visit = (node, parentId, depth, path, ancestorChanged) => {
+            const nodePath = [...path, node.id];
+            const existing = this.entries.get(node.id);
+
+            // Same object at the same place in the tree: whole branch is unchanged
+            if (existing && existing.node === node && existing.parentId === parentId &&
+                existing.path.join('/') === nodePath.join('/')) {
+                markSubtreeSeen(node.id, ancestorChanged);
+                return;
+            }
+
+            if (existing) {
+                existing.path.forEach(id => staleIds.add(id));
+            }
+            nodePath.forEach(id => staleIds.add(id));
+
+            const fieldsChanged = ancestorChanged || !existing || !NodeIndex.sameFields(existing.node, node);
+
+            seen.add(node.id);
+            changed.push(node.id);
+            this.setEntry(node, parentId, depth, nodePath);
+
+            if (node.children) {
+                node.children.forEach(child => visit(child, node.id, depth + 1, nodePath, fieldsChanged));
+            }
+        };
+
+        this.rootIds = [];
+        if (data && data.GeoLocations) {
+            data.GeoLocations.forEach(node => {
+                this.rootIds.push(node.id);
+                visit(node, null, 1, [], false);
+            });
+        }
+
+        // Drop nodes that no longer exist
+        const removed = [];
+        for (const [nodeId, entry] of this.entries) {
+            if (!seen.has(nodeId)) {
+                removed.push(nodeId);
+                entry.path.forEach(id => staleIds.add(id));
+            }
+        }
+        removed.forEach(nodeId => this.deleteEntry(nodeId));
+
+        // Invalidate cached counts and aggregates along every touched ancestor
+        // path and below every node whose own fields changed
+        for (const cache of [...this.countCaches.values(), ...this.aggregateCaches.values()]) {
+            staleIds.forEach(id => cache.delete(id));
+        }
+
+        this.log(`Updated ${changed.length} nodes, removed ${removed.length}`);
+
+        return { changed, removed };
+    }
+
+    /**
+     * Store an entry and register it in the level table
+     */
+    setEntry(node, parentId, depth, path) {
+        const existing = this.entries.get(node.id);
+        if (existing && existing.depth !== depth) {
+            this.levels.get(existing.depth).delete(node.id);
+        }
+
+        this.entries.set(node.id, {
+            node,
+            parentId,
+            depth,
+            path,
+            childIds: (node.children || []).map(child => child.id)
+        });
+
+        if (!this.levels.has(depth)) {
+            this.levels.set(depth, new Set());
+        }
+        this.levels.get(depth).add(node.id);
+    }
+
+    /**
+     * Remove an entry and its level registration
+     */
+    deleteEntry(nodeId) {
+        const entry = this.entries.get(nodeId);
+        if (!entry) return;
+
+        this.levels.get(entry.depth).delete(nodeId);
+        this.entries.delete(nodeId);
+    }
+
+    /**
+     * Check whether a node is indexed
+     * @param {string} nodeId - Node ID
+     * @returns {boolean}
+     */
+    has(nodeId) {
+        return this.entries.has(nodeId);
+    }
+
+    /**
+     * Get a node by ID
+     * @param {string} nodeId - Node ID
+     * @returns {Object|null}
+     */
+    getNode(nodeId) {
+        const entry = this.entries.get(nodeId);
+        return entry ? entry.node : null;
+    }
+
+    /**
+     * Get the parent node of a node
+     * @param {string} nodeId - Node ID
+     * @returns {Object|null}
+     */
+    getParent(nodeId) {
+        const entry = this.entries.get(nodeId);
+        return entry && entry.parentId ? this.getNode(entry.parentId) : null;
+    }
+
+    /**
+     * Get the hierarchy level of a node
+     * @param {string} nodeId - Node ID
+     * @returns {number} - 1-based depth, 0 if unknown
+     */
+    getDepth(nodeId) {
+        const entry = this.entries.get(nodeId);
+        return entry ? entry.depth : 0;
+    }
+
+    /**
+     * Get the IDs from the root down to (and including) a node
+     * @param {string} nodeId - Node ID
+     * @returns {Array} - Array of node IDs
+     */
+    getPath(nodeId) {
+        const entry = this.entries.get(nodeId);
+        return entry ? [...entry.path] : [];
+    }
+
+    /**
+     * Get the ancestor nodes of a node, root first
+     * @param {string} nodeId - Node ID
+     * @returns {Array} - Array of nodes
+     */
+    getAncestors(nodeId) {
+        return this.getPath(nodeId).slice(0, -1).map(id => this.getNode(id));
+    }
+
+    /**
+     * Get the children of a node
+     * @param {string} nodeId - Node ID
+     * @returns {Array} - Array of child nodes
+     */
+    getChildren(nodeId) {
+        const entry = this.entries.get(nodeId);
+        return entry ? entry.childIds.map(id => this.getNode(id)) : [];
+    }
+
+    /**
+     * Get the root nodes
+     * @returns {Array} - Array of top-level nodes
+     */
+    getRoots() {
+        return this.rootIds.map(id => this.getNode(id)).filter(Boolean);
+    }
+
+    /**
+     * Get all nodes at a hierarchy level
+     * @param {number} level - 1-based level
+     * @returns {Array} - Array of nodes
+     */
+    getNodesAtLevel(level) {
+        const ids = this.levels.get(level);
+        return ids ? Array.from(ids, id => this.getNode(id)) : [];
+    }
+
+    /**
+     * Get the number of indexed levels
+     * @returns {number}
+     */
+    getMaxDepth() {
+        let max = 0;
+        for (const [depth, ids] of this.levels) {
+            if (ids.size > 0) max = Math.max(max, depth);
+        }
+        return max;
+    }
+
+    /**
+     * Get the count of matching descendant leaves, cached per filter set
+     * @param {string} nodeId - Node ID
+     * @param {Object} filters - Active filter criteria
+     * @returns {number}
+     */
+    getCount(nodeId, filters = {}) {
+        const cache = this.getCache(this.countCaches, NodeIndex.filterKey(filters));
+        return this.computeCount(nodeId, filters, cache);
+    }
+
+    /**
+     * Count recursively, memoising every visited node
+     */
+    computeCount(nodeId, filters, cache) {
+        if (cache.has(nodeId)) return cache.get(nodeId);
+
+        const entry = this.entries.get(nodeId);
+        if (!entry) return 0;
+
+        let count = 0;
+        if (entry.childIds.length === 0) {
+            count = DataProcessing.matchesFilters(entry.node, filters, this.getAncestors(nodeId)) ? 1 : 0;
+        } else {
+            for (const childId of entry.childIds) {
+                count += this.computeCount(childId, filters, cache);
+            }
+        }
+
+        cache.set(nodeId, count);
+        return count;
+    }
+
+    /**
+     * Get rolled-up metric values for a node, cached per filter set
+     * @param {string} nodeId - Node ID
+     * @param {Object} filters - Active filter criteria
+     * @param {Array} metrics - Normalised metrics (see Aggregation.normalizeMetrics)
+     * @returns {Object} - Map of metric name to value
+     */
+    getAggregates(nodeId, filters = {}, metrics = []) {
+        if (metrics.length === 0) return {};
+
+        const key = `${NodeIndex.filterKey(filters)}|${JSON.stringify(metrics)}`;
+        const cache = this.getCache(this.aggregateCaches, key);
+
+        return Aggregation.finalize(this.computeStates(nodeId, filters, metrics, cache), metrics);
+    }
+
+    /**
+     * Collect partial aggregation states recursively, memoising every visited node
+     */
+    computeStates(nodeId, filters, metrics, cache) {
+        if (cache.has(nodeId)) return cache.get(nodeId);
+
+        const entry = this.entries.get(nodeId);
+        if (!entry) return Aggregation.mergeStates([], metrics);
+
+        let states;
+        if (entry.childIds.length === 0) {
+            states = DataProcessing.matchesFilters(entry.node, filters, this.getAncestors(nodeId))
+                ? Aggregation.leafState(entry.node, metrics)
+                : Aggregation.mergeStates([], metrics);
+        } else {
+            states = Aggregation.mergeStates(
+                entry.childIds.map(childId => this.computeStates(childId, filters, metrics, cache)),
+                metrics
+            );
+        }
+
+        cache.set(nodeId, states);
+        return states;
+    }
+
+    /**
+     * Get (or create) the cache for a key, evicting the least recently used
+     */
+    getCache(caches, key) {
+        if (caches.has(key)) {
+            // Refresh recency
+            const cache = caches.get(key);
+            caches.delete(key);
+            caches.set(key, cache);
+            return cache;
+        }
+
+        if (caches.size >= this.maxCachedFilterSets) {
+            const oldestKey = caches.keys().next().value;
+            caches.delete(oldestKey);
+        }
+
+        const cache = new Map();
+        caches.set(key, cache);
+        return cache;
+    }
+
+    /**
+     * Check whether two versions of a node have the same fields, ignoring
+     * `children` (compared by reference)
+     * @returns {boolean}
+     */
+    static sameFields(a, b) {
+        const keys = Object.keys(a).filter(key => key !== 'children');
+        return keys.length === Object.keys(b).filter(key => key !== 'children').length &&
+            keys.every(key => a[key] === b[key]);
+    }
+
+    /**
+     * Build a stable cache key for a filter set
+     * @param {Object} filters - Filter criteria
+     * @returns {string}
+     */
+    static filterKey(filters = {}) {
+        const active = Object.keys(filters)
+            .filter(key => filters[key] !== undefined && filters[key] !== null && filters[key] !== 'All')
+            .sort()
+            .map(key => [key, filters[key]]);
+
+        return JSON.stringify(active);
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NodeIndex;
+}
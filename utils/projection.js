@@ -4,11 +4,16 @@
  */
 
 const ProjectionUtils = {
+    /**
+     * Supported projection types ('orthographic' is the globe)
+     */
+    types: ['naturalEarth1', 'mercator', 'equirectangular', 'orthographic'],
+
     /**
      * Create a D3 projection configured for the container
      * @param {number} width - Container width
      * @param {number} height - Container height
-     * @param {string} type - Projection type ('naturalEarth1', 'mercator', 'equirectangular')
+     * @param {string} type - Projection type (see types)
      * @returns {Object} - D3 projection
      */
     createProjection(width, height, type = 'naturalEarth1') {
@@ -21,20 +26,118 @@ const ProjectionUtils = {
             case 'equirectangular':
                 projection = d3.geoEquirectangular();
                 break;
+            case 'orthographic':
+                projection = d3.geoOrthographic().clipAngle(90);
+                break;
             case 'naturalEarth1':
             default:
                 projection = d3.geoNaturalEarth1();
                 break;
         }
         
-        // Configure projection to fit container
+        // Configure projection to fit container (the globe fits the shorter side)
         projection
-            .scale(width / 5.5)
+            .scale(this.isGlobe(type) ? Math.min(width, height) / 2.1 : width / 5.5)
             .translate([width / 2, height / 2]);
         
         return projection;
     },
 
+    /**
+     * Check whether a projection type draws a globe
+     * @param {string} type - Projection type
+     * @returns {boolean}
+     */
+    isGlobe(type) {
+        return type === 'orthographic';
+    },
+
+    /**
+     * Raw (unscaled, radian) form of a projection type, for interpolation
+     * @param {string} type - Projection type
+     * @returns {Function}
+     */
+    getRaw(type) {
+        switch (type) {
+            case 'mercator':
+                return d3.geoMercatorRaw;
+            case 'equirectangular':
+                return d3.geoEquirectangularRaw;
+            case 'orthographic':
+                return d3.geoOrthographicRaw;
+            case 'naturalEarth1':
+            default:
+                return d3.geoNaturalEarth1Raw;
+        }
+    },
+
+    /**
+     * Projection blending two projections, for animated switches. Call
+     * `alpha(t)` with t from 0 (`from`) to 1 (`to`); scale, translation and
+     * rotation are interpolated with the shape. Towards the globe the clip
+     * circle closes from the whole sphere to the visible hemisphere.
+     * @param {Object} from - Projection at t = 0
+     * @param {Object} to - Projection at t = 1
+     * @param {string} fromType - Type of `from`
+     * @param {string} toType - Type of `to`
+     * @returns {Object} - D3 projection with an `alpha(t)` method, at t = 0
+     */
+    interpolateProjection(from, to, fromType, toType) {
+        const rawFrom = this.getRaw(fromType);
+        const rawTo = this.getRaw(toType);
+        const globeAt = this.isGlobe(toType) ? 1 : this.isGlobe(fromType) ? 0 : null;
+        
+        // Mercator is infinite at the poles
+        const maxPhi = fromType === 'mercator' || toType === 'mercator' ? (85 * Math.PI) / 180 : Math.PI / 2;
+        let alpha = 0;
+        
+        const raw = (lambda, phi) => {
+            phi = Math.max(-maxPhi, Math.min(maxPhi, phi));
+            const a = rawFrom(lambda, phi);
+            const b = rawTo(lambda, phi);
+            return [a[0] + (b[0] - a[0]) * alpha, a[1] + (b[1] - a[1]) * alpha];
+        };
+        // Approximate: the nearer end's inverse
+        raw.invert = (x, y) => (alpha < 0.5 ? rawFrom : rawTo).invert(x, y);
+        
+        const projection = d3.geoProjection(raw);
+        const lerp = (a, b) => a.map((value, i) => value + (b[i] - value) * alpha);
+        
+        projection.alpha = t => {
+            alpha = t;
+            projection
+                .scale(from.scale() + (to.scale() - from.scale()) * alpha)
+                .translate(lerp(from.translate(), to.translate()))
+                .rotate(lerp(from.rotate(), to.rotate()));
+            
+            if (globeAt !== null) {
+                // Distance from the globe end: 0 shows one hemisphere, 1 the whole sphere
+                const flatness = Math.abs(globeAt - alpha);
+                const radius = ((90 + 90 * flatness) * Math.PI) / 180;
+                projection.preclip(flatness >= 1
+                    ? d3.geoClipAntimeridian
+                    : stream => d3.geoClipCircle(radius)(d3.geoClipAntimeridian(stream)));
+            }
+            return projection;
+        };
+        
+        return projection.alpha(0);
+    },
+
+    /**
+     * Check whether a point faces the viewer (always true for flat maps)
+     * @param {Object} projection - D3 projection
+     * @param {Array} coordinates - [longitude, latitude]
+     * @returns {boolean}
+     */
+    isVisible(projection, coordinates) {
+        const angle = projection.clipAngle ? projection.clipAngle() : null;
+        if (!angle) return true;
+        
+        const [lambda, phi] = projection.rotate();
+        return d3.geoDistance(coordinates, [-lambda, -phi]) < (angle * Math.PI) / 180;
+    },
+
     /**
      * Project geo coordinates [longitude, latitude] to screen coordinates [x, y]
      * @param {Object} projection - D3 projection
@@ -258,37 +361,6 @@ const ProjectionUtils = {
         const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
         
         return R * c;
-    },
-
-    /**
-     * Detect and handle overlapping markers
-     * @param {Array} markers - Array of marker objects with x, y positions
-     * @param {number} minDistance - Minimum distance between markers
-     * @returns {Array} - Markers with adjusted positions
-     */
-    resolveOverlaps(markers, minDistance = 30) {
-        const adjusted = markers.map(m => ({ ...m }));
-        
-        for (let i = 0; i < adjusted.length; i++) {
-            for (let j = i + 1; j < adjusted.length; j++) {
-                const dx = adjusted[j].x - adjusted[i].x;
-                const dy = adjusted[j].y - adjusted[i].y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance < minDistance && distance > 0) {
-                    // Push markers apart
-                    const overlap = minDistance - distance;
-                    const angle = Math.atan2(dy, dx);
-                    
-                    adjusted[j].x += Math.cos(angle) * overlap / 2;
-                    adjusted[j].y += Math.sin(angle) * overlap / 2;
-                    adjusted[i].x -= Math.cos(angle) * overlap / 2;
-                    adjusted[i].y -= Math.sin(angle) * overlap / 2;
-                }
-            }
-        }
-        
-        return adjusted;
     }
 };
 
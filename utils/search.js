@@ -0,0 +1,231 @@
+/**
+ * Location Search for Geo Visualization Widget
+ * Fuzzy, ranked search over node labels, ids and selected property values
+ */
+
+class SearchIndex {
+    constructor(options = {}) {
+        this.properties = options.properties || []; // Property keys to index besides label and id
+        this.limit = options.limit || 8;
+        this.entries = [];
+    }
+
+    /**
+     * Field weights: label matches outrank id and property matches
+     */
+    static get weights() {
+        return { label: 1, id: 0.7, property: 0.6 };
+    }
+
+    /**
+     * Index every node of a NodeIndex
+     * @param {NodeIndex} nodeIndex - Built node index
+     */
+    build(nodeIndex) {
+        this.entries = [];
+
+        for (const [nodeId, entry] of nodeIndex.entries) {
+            const node = entry.node;
+            const fields = [
+                { name: 'label', text: String(node.label || ''), weight: SearchIndex.weights.label },
+                { name: 'id', text: String(nodeId), weight: SearchIndex.weights.id }
+            ];
+
+            this.properties.forEach(key => {
+                const value = DataProcessing.getPropertyValue(node, key);
+                if (value !== null && value !== undefined && value !== '') {
+                    fields.push({ name: key, text: String(value), weight: SearchIndex.weights.property });
+                }
+            });
+
+            this.entries.push({
+                node,
+                depth: entry.depth,
+                context: nodeIndex.getAncestors(nodeId).map(ancestor => ancestor.label),
+                fields: fields.map(field => ({ ...field, normalized: SearchIndex.normalize(field.text) }))
+            });
+        }
+    }
+
+    /**
+     * Find the best matches for a query
+     * @param {string} query - Search text
+     * @param {Object} options - { limit, filter: (node) => boolean }
+     * @returns {Array} - [{ node, depth, context, score, field, text, indices }], best first
+     */
+    search(query, options = {}) {
+        const normalized = SearchIndex.normalize(query);
+        if (!normalized) return [];
+
+        const limit = options.limit || this.limit;
+        const results = [];
+
+        this.entries.forEach(entry => {
+            if (options.filter && !options.filter(entry.node)) return;
+
+            let best = null;
+            entry.fields.forEach(field => {
+                const match = SearchIndex.match(normalized, field.normalized);
+                if (!match) return;
+
+                const score = match.score * field.weight;
+                if (!best || score > best.score) {
+                    best = { score, field: field.name, text: field.text, indices: match.indices };
+                }
+            });
+
+            if (best) {
+                results.push({ node: entry.node, depth: entry.depth, context: entry.context, ...best });
+            }
+        });
+
+        return results
+            .sort((a, b) =>
+                b.score - a.score ||
+                a.node.label.length - b.node.label.length ||
+                a.node.label.localeCompare(b.node.label))
+            .slice(0, limit);
+    }
+
+    /**
+     * Lower-case and strip accents so "Sao" finds "São"
+     * @param {string} text - Text to normalise
+     * @returns {string}
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+    }
+
+    /**
+     * Score a normalised query against normalised text. Tiers, best first:
+     * exact, prefix, word prefixes, substring, in-order characters, and
+     * words within a small edit distance (typos).
+     * @returns {Object|null} - { score, indices } with matched character positions
+     */
+    static match(query, text) {
+        if (!text) return null;
+
+        const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+
+        if (text === query) {
+            return { score: 1000, indices: range(0, text.length) };
+        }
+        if (text.startsWith(query)) {
+            return { score: 900 - (text.length - query.length), indices: range(0, query.length) };
+        }
+
+        // Every query word starts a word of the text ("fra dc" → "Frankfurt DC-3")
+        const tokens = query.split(/\s+/).filter(Boolean);
+        const words = SearchIndex.words(text);
+        const wordIndices = [];
+        const allTokensPrefix = tokens.every(token => {
+            const word = words.find(w => w.text.startsWith(token));
+            if (word) wordIndices.push(...range(word.start, token.length));
+            return !!word;
+        });
+        if (allTokensPrefix) {
+            return { score: 700 - (text.length - query.length), indices: wordIndices };
+        }
+
+        const position = text.indexOf(query);
+        if (position !== -1) {
+            return { score: 600 - position, indices: range(position, query.length) };
+        }
+
+        // Characters in order, rewarding runs and penalising gaps ("fkft" → "frankfurt")
+        const compact = query.replace(/\s+/g, '');
+        const indices = [];
+        let from = 0;
+        let runs = 0;
+        for (const char of compact) {
+            const index = text.indexOf(char, from);
+            if (index === -1) break;
+            if (indices.length > 0 && index === indices[indices.length - 1] + 1) runs++;
+            indices.push(index);
+            from = index + 1;
+        }
+        if (indices.length === compact.length && compact.length >= 2) {
+            const span = indices[indices.length - 1] - indices[0] + 1;
+            return { score: 300 + runs * 10 - (span - compact.length) * 5, indices };
+        }
+
+        // Typos: each query word within one edit (two for long words) of a text word
+        let typoScore = 0;
+        const typoIndices = [];
+        const allTokensClose = tokens.every(token => {
+            if (token.length < 4) return false;
+
+            const maxDistance = token.length >= 8 ? 2 : 1;
+            let closest = null;
+            words.forEach(word => {
+                // Compare with the whole word and with its start (a word still being typed)
+                const distance = Math.min(
+                    SearchIndex.editDistance(token, word.text),
+                    SearchIndex.editDistance(token, word.text.slice(0, token.length))
+                );
+                if (distance <= maxDistance && (!closest || distance < closest.distance)) {
+                    closest = { distance, word };
+                }
+            });
+
+            if (!closest) return false;
+            typoScore += 200 - closest.distance * 50;
+            typoIndices.push(...range(closest.word.start, Math.min(token.length, closest.word.text.length)));
+            return true;
+        });
+        if (allTokensClose && tokens.length > 0) {
+            return { score: typoScore / tokens.length, indices: typoIndices };
+        }
+
+        return null;
+    }
+
+    /**
+     * Split text into words with their start offsets
+     */
+    static words(text) {
+        const words = [];
+        const pattern = /[a-z0-9]+/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            words.push({ text: match[0], start: match.index });
+        }
+        return words;
+    }
+
+    /**
+     * Damerau-Levenshtein distance (adjacent transpositions count as one edit)
+     */
+    static editDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = Array.from({ length: rows }, (_, i) => {
+            const row = new Array(cols).fill(0);
+            row[0] = i;
+            return row;
+        });
+        for (let j = 0; j < cols; j++) d[0][j] = j;
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
@@ -263,6 +263,62 @@ class SelectionManager {
         this.emitChange();
     }
 
+    /**
+     * Replace stored markers with fresh data after the underlying data changed,
+     * dropping any that no longer resolve. Emits a change only when a marker
+     * was dropped or its data differs.
+     * @param {Function} markerLookup - Function to look up marker by ID
+     * @returns {boolean} - Whether the selection changed
+     */
+    refreshSelections(markerLookup) {
+        if (this.selectedMarkers.size === 0) return false;
+
+        let changed = false;
+        for (const [markerId, selected] of this.selectedMarkers) {
+            const marker = markerLookup(markerId);
+            if (!marker) {
+                this.selectedMarkers.delete(markerId);
+                changed = true;
+            } else if (!this.sameMarker(selected, marker)) {
+                this.selectedMarkers.set(markerId, { ...marker, _level: selected._level });
+                changed = true;
+            }
+        }
+
+        if (!changed) return false;
+
+        if (this.selectedMarkers.size === 0) {
+            this.selectionHierarchyLevel = null;
+        }
+
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Check whether fresh marker data matches a stored selection. Values are
+     * compared by reference, arrays (e.g. `children`) by their items and
+     * other objects (e.g. rolled-up `_metrics`) by content.
+     * @param {Object} stored - Stored selection entry
+     * @param {Object} marker - Fresh marker data
+     * @returns {boolean}
+     */
+    sameMarker(stored, marker) {
+        const keys = Object.keys(marker).filter(key => key !== '_level');
+        if (keys.length !== Object.keys(stored).filter(key => key !== '_level').length) return false;
+
+        return keys.every(key => {
+            const a = stored[key];
+            const b = marker[key];
+            if (a === b) return true;
+            if (Array.isArray(a) && Array.isArray(b)) {
+                return a.length === b.length && a.every((item, i) => item === b[i]);
+            }
+            return !!a && !!b && typeof a === 'object' && typeof b === 'object' &&
+                JSON.stringify(a) === JSON.stringify(b);
+        });
+    }
+
     /**
      * Emit selection change event
      */
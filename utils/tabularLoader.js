@@ -0,0 +1,307 @@
+/**
+ * Tabular Loader for Geo Visualization Widget
+ * Builds the GeoLocations hierarchy from CSV text or arrays of row objects
+ */
+
+const TabularLoader = {
+    /**
+     * Check if data looks like tabular input (CSV text or an array of rows)
+     * @param {*} data - Data to check
+     * @returns {boolean}
+     */
+    isTabular(data) {
+        return typeof data === 'string' || Array.isArray(data);
+    },
+
+    /**
+     * Parse CSV text into row objects keyed by header
+     * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+     * @param {string} text - CSV text with a header row
+     * @param {Object} options - { delimiter }
+     * @returns {Object} - { rows, lines } where lines[i] is the source line of rows[i]
+     */
+    parseCSV(text, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push({ fields: record, line: recordLine });
+                record = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push({ fields: record, line: recordLine });
+        }
+
+        // Skip blank lines
+        const nonEmpty = records.filter(r => r.fields.some(f => f.trim() !== ''));
+        if (nonEmpty.length === 0) return { rows: [], lines: [] };
+
+        const header = nonEmpty[0].fields.map(h => h.trim());
+        const body = nonEmpty.slice(1);
+
+        return {
+            rows: body.map(({ fields }) => {
+                const row = {};
+                header.forEach((key, i) => {
+                    row[key] = fields[i] !== undefined ? fields[i].trim() : '';
+                });
+                return row;
+            }),
+            lines: body.map(r => r.line)
+        };
+    },
+
+    /**
+     * Build GeoLocations data from CSV text
+     * @param {string} text - CSV text
+     * @param {Object} mapping - Column mapping (see fromRows)
+     * @returns {Object} - GeoLocations data
+     */
+    fromCSV(text, mapping = {}) {
+        const { rows, lines } = this.parseCSV(text, mapping);
+        return this.fromRows(rows, mapping, lines);
+    },
+
+    /**
+     * Build GeoLocations data from CSV text or row objects
+     * @param {string|Array} input - CSV text or array of row objects
+     * @param {Object} mapping - Column mapping (see fromRows)
+     * @returns {Object} - GeoLocations data
+     */
+    load(input, mapping = {}) {
+        return typeof input === 'string'
+            ? this.fromCSV(input, mapping)
+            : this.fromRows(input, mapping);
+    },
+
+    /**
+     * Build GeoLocations data from row objects.
+     *
+     * Each row describes the node at its deepest non-empty level column, so a
+     * row may describe a leaf (region, country, site) or a parent (region,
+     * country). Parents without a row of their own are placed at the mean
+     * position of their children. Row problems are kept in `_rowErrors` and
+     * reported by DataProcessing.validateData.
+     *
+     * @param {Array} rows - Array of row objects
+     * @param {Object} mapping - {
+     *     levels: ['region', 'country', 'site'] or [{ column, category }],
+     *     id: column holding the node id (optional),
+     *     latitude: 'lat', longitude: 'lon',
+     *     properties: ['status'] or { Status: 'status' }
+     * }
+     * @param {Array} lines - Source line for each row (defaults to row number)
+     * @returns {Object} - GeoLocations data
+     */
+    fromRows(rows, mapping = {}, lines = null) {
+        const levels = (mapping.levels || []).map(level =>
+            typeof level === 'string' ? { column: level, category: level } : level
+        );
+        const latColumn = mapping.latitude || 'lat';
+        const lonColumn = mapping.longitude || 'lon';
+        const propertyColumns = this.normalizePropertyMapping(mapping.properties);
+
+        const roots = [];
+        const byPath = new Map();
+        const ids = new Set();
+        const generatedIds = new Set();
+        const rowErrors = [];
+
+        const ensureNode = (segments) => {
+            const key = segments.join('\u0000');
+            if (byPath.has(key)) return byPath.get(key);
+
+            const level = levels[segments.length - 1];
+            const label = segments[segments.length - 1];
+            const node = {
+                id: this.makeId(level.category, segments, generatedIds),
+                label,
+                properties: [
+                    { propertyKey: 'CategoryName', propertyValue: level.category },
+                    { propertyKey: 'CategoryValue', propertyValue: label }
+                ],
+                geometry: null
+            };
+
+            byPath.set(key, node);
+
+            if (segments.length === 1) {
+                roots.push(node);
+            } else {
+                const parent = ensureNode(segments.slice(0, -1));
+                parent.children = parent.children || [];
+                parent.children.push(node);
+            }
+
+            return node;
+        };
+
+        if (levels.length === 0) {
+            rowErrors.push({ line: 0, message: 'Column mapping has no hierarchy levels' });
+        }
+
+        (rows || []).forEach((row, i) => {
+            if (levels.length === 0) return;
+
+            const line = lines ? lines[i] : i + 1;
+            const values = levels.map(level => this.cellText(row[level.column]));
+            const depth = values.reduce((d, v, idx) => (v ? idx + 1 : d), 0);
+
+            if (depth === 0) {
+                rowErrors.push({ line, message: 'Row has no hierarchy values' });
+                return;
+            }
+
+            const gap = values.slice(0, depth).findIndex(v => !v);
+            if (gap !== -1) {
+                rowErrors.push({
+                    line,
+                    message: `Missing value for "${levels[gap].column}" above "${levels[depth - 1].column}"`
+                });
+                return;
+            }
+
+            const node = ensureNode(values.slice(0, depth));
+
+            if (node._source) {
+                rowErrors.push({
+                    line,
+                    message: `Duplicate row for "${values.slice(0, depth).join(' / ')}" (first seen on line ${node._source.line})`
+                });
+                return;
+            }
+            node._source = { line };
+
+            // Explicit id column
+            const explicitId = mapping.id ? this.cellText(row[mapping.id]) : '';
+            if (explicitId) {
+                if (ids.has(explicitId)) {
+                    rowErrors.push({ line, message: `Duplicate id "${explicitId}"` });
+                } else {
+                    node.id = explicitId;
+                }
+            }
+            ids.add(node.id);
+
+            // Coordinates: both absent means "derive from children"
+            const rawLat = this.cellText(row[latColumn]);
+            const rawLon = this.cellText(row[lonColumn]);
+            if (rawLat || rawLon) {
+                const lat = Number(rawLat);
+                const lon = Number(rawLon);
+
+                if (!rawLat || !rawLon || isNaN(lat) || isNaN(lon)) {
+                    rowErrors.push({
+                        line,
+                        message: `Invalid coordinates "${rawLat}", "${rawLon}"`
+                    });
+                } else {
+                    node.geometry = { type: 'Point', coordinates: [lon, lat] };
+                }
+            }
+
+            propertyColumns.forEach(({ key, column }) => {
+                const value = row[column];
+                if (value !== undefined && value !== '') {
+                    node.properties.push({ propertyKey: key, propertyValue: value });
+                }
+            });
+        });
+
+        roots.forEach(root => DataProcessing.deriveMissingGeometry(root));
+
+        const data = {
+            type: 'GeoLocations',
+            GeoLocations: roots
+        };
+
+        if (rowErrors.length > 0) {
+            data._rowErrors = rowErrors;
+        }
+
+        return data;
+    },
+
+    /**
+     * Normalise the properties mapping to [{ key, column }]
+     */
+    normalizePropertyMapping(properties) {
+        if (!properties) return [];
+
+        if (Array.isArray(properties)) {
+            return properties.map(column => ({ key: column, column }));
+        }
+
+        return Object.keys(properties).map(key => ({ key, column: properties[key] }));
+    },
+
+    /**
+     * Read a cell as trimmed text
+     */
+    cellText(value) {
+        return value === undefined || value === null ? '' : String(value).trim();
+    },
+
+    /**
+     * Build a stable id from a level category and its ancestor path. Letters
+     * and digits of any script are kept; an id already in `taken` gets a
+     * numeric suffix.
+     * @param {string} category - Level category
+     * @param {Array} segments - Ancestor path, ending with the node's own label
+     * @param {Set} taken - Ids generated so far (the new id is added)
+     * @returns {string}
+     */
+    makeId(category, segments, taken = new Set()) {
+        const slug = (text) => String(text)
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+
+        const base = `${slug(category)}-${segments.map(slug).join('-')}`;
+        let id = base;
+        for (let n = 2; taken.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        taken.add(id);
+
+        return id;
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabularLoader;
+}
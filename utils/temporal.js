@@ -0,0 +1,317 @@
+/**
+ * Temporal Data for Geo Visualization Widget
+ * Resolves time-varying data to the GeoLocations tree at a point in time.
+ *
+ * Two input shapes are supported:
+ *
+ * 1. A single tree with time-stamped values
+ *    - Node lifetime from date properties (default "ValidFrom" / "ValidTo"),
+ *      e.g. commissioning and decommissioning dates
+ *    - Property entries with a window:
+ *        { propertyKey: 'Status', propertyValue: 'Outage', validFrom: '2024-03-01', validTo: '2024-03-03' }
+ *      Untimed entries are the default; a timed entry wins while it is valid
+ *
+ * 2. A snapshot series
+ *    { type: 'GeoLocationsSeries', snapshots: [{ time: '2024-01-01', data: {...} }, ...] }
+ *    The latest snapshot at or before the requested time is shown.
+ *
+ * Windows are half-open: a value is valid from `validFrom` up to, but not
+ * including, `validTo`.
+ */
+
+const Temporal = {
+    /**
+     * Last resolved properties and sliced copy per source node, so a node
+     * that resolves the same way keeps its identity across slices
+     */
+    resolvedCache: new WeakMap(),
+    sliceCache: new WeakMap(),
+
+    /**
+     * Default options
+     */
+    defaults: {
+        startProperty: 'ValidFrom', // Node property holding the start of its lifetime
+        endProperty: 'ValidTo'      // Node property holding the end of its lifetime
+    },
+
+    /**
+     * Parse a date, timestamp or date string to epoch milliseconds
+     * @param {*} value - Date, number or string
+     * @returns {number|null}
+     */
+    parseTime(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'number') return value;
+
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    },
+
+    /**
+     * Check if data is a snapshot series
+     * @param {Object} data - Data to check
+     * @returns {boolean}
+     */
+    isSeries(data) {
+        return !!data && data.type === 'GeoLocationsSeries' && Array.isArray(data.snapshots);
+    },
+
+    /**
+     * Sort a series by time, dropping snapshots without a valid time
+     * @param {Object} series - Snapshot series
+     * @returns {Object} - Series with snapshots as [{ time (ms), data }]
+     */
+    normalizeSeries(series) {
+        const snapshots = series.snapshots
+            .map(snapshot => ({ ...snapshot, time: this.parseTime(snapshot.time) }))
+            .filter(snapshot => snapshot.time !== null && snapshot.data)
+            .sort((a, b) => a.time - b.time);
+
+        return { ...series, snapshots };
+    },
+
+    /**
+     * Get the time range covered by the data
+     * @param {Object} data - GeoLocations data or snapshot series
+     * @param {Object} options - { startProperty, endProperty }
+     * @returns {Object|null} - { start, end } in ms, or null if nothing is time-stamped
+     */
+    getRange(data, options = {}) {
+        const times = this.getEventTimes(data, options);
+        return times.length > 0
+            ? { start: times[0], end: times[times.length - 1] }
+            : null;
+    },
+
+    /**
+     * Get every time at which the resolved data changes
+     * @param {Object} data - GeoLocations data or snapshot series
+     * @param {Object} options - { startProperty, endProperty }
+     * @returns {Array} - Sorted unique times in ms
+     */
+    getEventTimes(data, options = {}) {
+        const config = { ...this.defaults, ...options };
+        const times = new Set();
+        const add = (value) => {
+            const time = this.parseTime(value);
+            if (time !== null) times.add(time);
+        };
+
+        if (this.isSeries(data)) {
+            data.snapshots.forEach(snapshot => add(snapshot.time));
+        } else {
+            const visit = (node) => {
+                (node.properties || []).forEach(prop => {
+                    if (prop.propertyKey === config.startProperty || prop.propertyKey === config.endProperty) {
+                        add(prop.propertyValue);
+                    }
+                    add(prop.validFrom);
+                    add(prop.validTo);
+                });
+                (node.children || []).forEach(visit);
+            };
+            ((data && data.GeoLocations) || []).forEach(visit);
+        }
+
+        return Array.from(times).sort((a, b) => a - b);
+    },
+
+    /**
+     * Resolve the data at a point in time
+     * @param {Object} data - GeoLocations data or snapshot series
+     * @param {number} time - Time in ms
+     * @param {Object} options - { startProperty, endProperty }
+     * @returns {Object} - GeoLocations data
+     */
+    sliceAt(data, time, options = {}) {
+        if (this.isSeries(data)) {
+            return this.snapshotAt(data, time);
+        }
+
+        const config = { ...this.defaults, ...options };
+        const roots = ((data && data.GeoLocations) || [])
+            .map(node => this.sliceNode(node, time, config))
+            .filter(Boolean);
+
+        return { ...data, GeoLocations: roots };
+    },
+
+    /**
+     * Resolve one node (and its subtree). Unchanged nodes are returned as-is
+     * so repeated slices share objects and NodeIndex.update stays cheap.
+     * @returns {Object|null} - Node, or null if it does not exist at `time`
+     */
+    sliceNode(node, time, config) {
+        if (!this.isAliveAt(node, time, config)) return null;
+
+        const properties = this.resolvePropertiesCached(node, time);
+        let children = node.children;
+
+        if (node.children && node.children.length > 0) {
+            const sliced = node.children
+                .map(child => this.sliceNode(child, time, config))
+                .filter(Boolean);
+
+            // A parent whose children are all absent would read as a leaf
+            if (sliced.length === 0) return null;
+
+            const unchanged = sliced.length === node.children.length &&
+                sliced.every((child, i) => child === node.children[i]);
+            if (!unchanged) children = sliced;
+        }
+
+        if (properties === node.properties && children === node.children) {
+            return node;
+        }
+
+        const previous = this.sliceCache.get(node);
+        if (previous && previous.properties === properties && previous.children === children) {
+            return previous;
+        }
+
+        const sliced = { ...node, properties, children };
+        this.sliceCache.set(node, sliced);
+        return sliced;
+    },
+
+    /**
+     * Check whether a node exists at a point in time
+     */
+    isAliveAt(node, time, config) {
+        const start = this.parseTime(DataProcessing.getPropertyValue(node, config.startProperty));
+        const end = this.parseTime(DataProcessing.getPropertyValue(node, config.endProperty));
+
+        return (start === null || time >= start) && (end === null || time < end);
+    },
+
+    /**
+     * Resolve a node's properties, reusing the previous result when the same
+     * entries are chosen
+     */
+    resolvePropertiesCached(node, time) {
+        const resolved = this.resolveProperties(node.properties, time);
+        if (resolved === node.properties) return resolved;
+
+        const signature = JSON.stringify(resolved);
+        const cached = this.resolvedCache.get(node);
+        if (cached && cached.signature === signature) return cached.properties;
+
+        this.resolvedCache.set(node, { signature, properties: resolved });
+        return resolved;
+    },
+
+    /**
+     * Pick the value of each property valid at a point in time. When several
+     * entries are valid the one with the latest validFrom wins, so a timed
+     * entry overrides an untimed default.
+     * @param {Array} properties - Property entries
+     * @param {number} time - Time in ms
+     * @returns {Array} - The same array if nothing is time-stamped
+     */
+    resolveProperties(properties, time) {
+        if (!properties || !properties.some(p => p.validFrom !== undefined || p.validTo !== undefined)) {
+            return properties;
+        }
+
+        const chosen = new Map();
+
+        properties.forEach(prop => {
+            const from = this.parseTime(prop.validFrom);
+            const to = this.parseTime(prop.validTo);
+            if ((from !== null && time < from) || (to !== null && time >= to)) return;
+
+            const rank = from === null ? -Infinity : from;
+            const current = chosen.get(prop.propertyKey);
+            if (!current || rank >= current.rank) {
+                chosen.set(prop.propertyKey, { rank, prop });
+            }
+        });
+
+        return Array.from(chosen.values(), ({ prop }) => ({
+            propertyKey: prop.propertyKey,
+            propertyValue: prop.propertyValue
+        }));
+    },
+
+    /**
+     * Get the latest snapshot at or before a point in time (the first
+     * snapshot before the series starts)
+     * @param {Object} series - Normalised snapshot series
+     * @param {number} time - Time in ms
+     * @returns {Object} - GeoLocations data
+     */
+    snapshotAt(series, time) {
+        const snapshots = series.snapshots;
+        if (snapshots.length === 0) return { type: 'GeoLocations', GeoLocations: [] };
+
+        let match = snapshots[0];
+        for (const snapshot of snapshots) {
+            if (snapshot.time > time) break;
+            match = snapshot;
+        }
+
+        return match.data;
+    },
+
+    /**
+     * Reuse nodes from the previous tree wherever the next tree is identical,
+     * so switching snapshots only re-indexes and re-styles what changed
+     * @param {Object} previous - Previously shown GeoLocations data
+     * @param {Object} next - GeoLocations data about to be shown
+     * @returns {Object} - `next` with unchanged subtrees replaced by `previous` ones
+     */
+    shareUnchanged(previous, next) {
+        if (!previous || !previous.GeoLocations || !next || !next.GeoLocations) return next;
+
+        const previousById = new Map();
+        const collect = (node) => {
+            previousById.set(node.id, node);
+            (node.children || []).forEach(collect);
+        };
+        previous.GeoLocations.forEach(collect);
+
+        const ownFields = (node) => JSON.stringify({ ...node, children: undefined });
+
+        const share = (node) => {
+            const children = node.children ? node.children.map(share) : node.children;
+            const old = previousById.get(node.id);
+
+            if (old &&
+                (old.children || []).length === (children || []).length &&
+                (children || []).every((child, i) => child === old.children[i]) &&
+                ownFields(old) === ownFields(node)) {
+                return old;
+            }
+
+            return children === node.children ? node : { ...node, children };
+        };
+
+        const roots = next.GeoLocations.map(share);
+        const unchanged = roots.length === previous.GeoLocations.length &&
+            roots.every((root, i) => root === previous.GeoLocations[i]);
+
+        return unchanged ? previous : { ...next, GeoLocations: roots };
+    },
+
+    /**
+     * Format a time for display
+     * @param {number} time - Time in ms
+     * @param {number} span - Length of the whole range in ms (picks the precision)
+     * @returns {string}
+     */
+    formatTime(time, span = 0) {
+        const date = new Date(time);
+        const day = 24 * 60 * 60 * 1000;
+
+        return span > 0 && span < 2 * day
+            ? date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+            : date.toLocaleDateString(undefined, { dateStyle: 'medium' });
+    }
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Temporal;
+}